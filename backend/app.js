@@ -7,6 +7,11 @@ import { errorHandler } from "./middleware/error.middleware.js";
 import { globalLimiter } from "./middleware/rateLimiter.js";
 import uploadRouter from "./routes/upload.route.js";
 import pdfRouter from "./routes/pdf.route.js";
+import debateRouter from "./routes/debate.route.js";
+import synthesisRouter from "./routes/synthesis.route.js";
+import teamRouter from "./routes/team.route.js";
+import reviewRouter from "./routes/review.route.js";
+import { REBUTTAL_BODY_LIMIT } from "./zod/debateSchemas/rebuttal.schema.js";
 
 const app = express();
 app.set("trust proxy", 1);
@@ -21,6 +26,9 @@ app.use(
   }),
 );
 
+// typed rebuttals are longer than the default limit allows in multi-byte scripts
+// (parsed first: the default parser below skips a body that is already parsed)
+app.use("/api/v1/pdfs/:publicId/rebuttals", express.json({ limit: REBUTTAL_BODY_LIMIT }));
 app.use(express.json({ limit: "16kb" }));
 app.use(express.urlencoded({ extended: true, limit: "16kb" }));
 app.use(cookieParser());
@@ -37,6 +45,10 @@ app.use("/api/v1/auth", authRouter);
 app.use("/api/v1/users", userRouter); // user dashboard protected routes
 app.use("/api/v1/uploads", uploadRouter); // for uploading/deleting to/from cloud and db
 app.use("/api/v1/pdfs", pdfRouter); // all pdf handling related routes
+app.use("/api/v1/debates", debateRouter); // interactive debate sessions
+app.use("/api/v1/syntheses", synthesisRouter); // multi-document analyses
+app.use("/api/v1/teams", teamRouter); // coach teams and their rubrics
+app.use("/api/v1/reviews", reviewRouter); // spaced-repetition reviews of study sets
 
 
 app.use(errorHandler);
@@ -0,0 +1,180 @@
+import mongoose from "mongoose";
+import { Pdf } from "../models/pdf.model.js";
+import { DebateSession } from "../models/debateSession.model.js";
+import { generateDebateTurn } from "../services/ai/debateSession.services.js";
+import { assertWithinAiQuota, runWithUsageContext } from "../services/ai/usage.services.js";
+import { ApiResponse, asyncHandler, ApiError } from "../utils/utilBarrel.js";
+
+const MAX_TURNS = 40; // opening counter-debate included
+const REPLY_LOCK_MS = 2 * 60 * 1000; // a reply lock older than this is from a crashed request
+
+/**
+ * Helper to return only safe fields (no internal ids or AI meta)
+ */
+const safeSessionResponse = (session, pdf) => ({
+  sessionId: session._id.toString(),
+  publicId: pdf?.publicId,
+  originalName: pdf?.originalName,
+  topic: session.topic,
+  turns: session.turns.map((turn) => ({
+    id: turn._id.toString(),
+    role: turn.role,
+    content: turn.content,
+    createdAt: turn.createdAt,
+  })),
+  maxTurns: MAX_TURNS,
+  createdAt: session.createdAt,
+  updatedAt: session.updatedAt,
+});
+
+async function findOwnedSession(sessionId, userId) {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw new ApiError(404, "Debate session not found");
+  }
+
+  const session = await DebateSession.findOne({ _id: sessionId, user: userId }).populate("pdf", "publicId originalName");
+  if (!session) throw new ApiError(404, "Debate session not found");
+
+  return session;
+}
+
+// start a session: the AI's counter-debate is the opening turn
+export const startDebateSession = asyncHandler(async (req, res) => {
+  const { publicId } = req.body;
+
+  const pdf = await Pdf.findOne({
+    publicId,
+    user: req.user._id,
+  }).select("_id publicId originalName status aiResult");
+
+  if (!pdf) throw new ApiError(404, "PDF not found");
+
+  const analysis = pdf.aiResult?.analysis;
+  const passedGate = pdf.aiResult?.gate?.isDebate || pdf.aiResult?.gateOverride;
+  if (pdf.status !== "completed" || !passedGate || !analysis?.counterDebate) {
+    throw new ApiError(409, "Debates can only be started on a PDF with a completed counter debate");
+  }
+
+  const session = await DebateSession.create({
+    user: req.user._id,
+    pdf: pdf._id,
+    topic: pdf.aiResult.gate?.detectedTopic || pdf.originalName,
+    turns: [{ role: "ai", content: analysis.counterDebate }],
+  });
+
+  return res.status(201).json(new ApiResponse(201, { session: safeSessionResponse(session, pdf) }, "Debate started"));
+});
+
+// list sessions (optionally for one PDF), newest first
+export const listDebateSessions = asyncHandler(async (req, res) => {
+  const filter = { user: req.user._id };
+
+  if (req.query.publicId) {
+    const pdf = await Pdf.findOne({ publicId: req.query.publicId, user: req.user._id }).select("_id");
+    if (!pdf) throw new ApiError(404, "PDF not found");
+    filter.pdf = pdf._id;
+  }
+
+  const sessions = await DebateSession.find(filter)
+    .select("topic turns.role turns.createdAt pdf createdAt updatedAt")
+    .populate("pdf", "publicId originalName")
+    .sort({ updatedAt: -1 })
+    .lean();
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        sessions: sessions.map((s) => ({
+          sessionId: s._id.toString(),
+          publicId: s.pdf?.publicId,
+          originalName: s.pdf?.originalName,
+          topic: s.topic,
+          turnCount: s.turns.length,
+          createdAt: s.createdAt,
+          updatedAt: s.updatedAt,
+        })),
+      },
+      "Debate sessions fetched",
+    ),
+  );
+});
+
+// full turn history of one session
+export const getDebateSession = asyncHandler(async (req, res) => {
+  const session = await findOwnedSession(req.params.sessionId, req.user._id);
+  return res.status(200).json(new ApiResponse(200, { session: safeSessionResponse(session, session.pdf) }, "Debate session fetched"));
+});
+
+/**
+ * Post the student's reply and generate the AI rebuttal.
+ * The reply is claimed atomically (one pending AI reply per session); if generation
+ * fails the student's turn is removed again so they can simply resend it.
+ */
+export const postDebateTurn = asyncHandler(async (req, res) => {
+  const { content } = req.body;
+  const session = await findOwnedSession(req.params.sessionId, req.user._id);
+
+  if (session.turns.length + 2 > MAX_TURNS) {
+    throw new ApiError(409, "This debate has reached its turn limit. Start a new debate to keep practicing.");
+  }
+
+  await assertWithinAiQuota(req.user._id);
+
+  const pdf = await Pdf.findById(session.pdf?._id).select("_id +extractedText");
+  if (!pdf) throw new ApiError(404, "The PDF for this debate no longer exists");
+
+  // claim the reply slot and append the student's turn in one write
+  const userTurnId = new mongoose.Types.ObjectId();
+  const claimedAt = new Date();
+  const claimed = await DebateSession.findOneAndUpdate(
+    {
+      _id: session._id,
+      $or: [{ replyStartedAt: null }, { replyStartedAt: { $lt: new Date(Date.now() - REPLY_LOCK_MS) } }],
+    },
+    {
+      $push: { turns: { _id: userTurnId, role: "user", content } },
+      $set: { replyStartedAt: claimedAt },
+    },
+    { new: true },
+  );
+
+  if (!claimed) {
+    throw new ApiError(409, "Your opponent is still replying to your last turn");
+  }
+
+  let aiTurn;
+  try {
+    aiTurn = await runWithUsageContext({ userId: req.user._id, source: "debateTurn" }, () =>
+      generateDebateTurn({
+        pdfId: pdf._id,
+        extractedText: pdf.extractedText,
+        topic: claimed.topic,
+        history: claimed.turns.slice(0, -1),
+        reply: content,
+      }),
+    );
+  } catch (error) {
+    await DebateSession.updateOne(
+      { _id: session._id, replyStartedAt: claimedAt },
+      { $pull: { turns: { _id: userTurnId } }, $set: { replyStartedAt: null } },
+    );
+    throw error;
+  }
+
+  const updated = await DebateSession.findOneAndUpdate(
+    { _id: session._id, replyStartedAt: claimedAt },
+    {
+      $push: { turns: { role: "ai", content: aiTurn.reply, meta: aiTurn.meta } },
+      $set: { replyStartedAt: null },
+    },
+    { new: true },
+  );
+
+  // lock expired and was taken over by another request - this reply is discarded
+  if (!updated) {
+    throw new ApiError(409, "This debate changed while your reply was processed. Please refresh.");
+  }
+
+  return res.status(201).json(new ApiResponse(201, { session: safeSessionResponse(updated, session.pdf) }, "Rebuttal generated"));
+});
@@ -0,0 +1,108 @@
+import { FallacyFinding } from "../models/fallacyFinding.model.js";
+import { Team } from "../models/team.model.js";
+import { User } from "../models/User.js";
+import { FALLACY_TYPES } from "../services/ai/fallacyTaxonomy.js";
+import { ApiResponse, ApiError, asyncHandler } from "../utils/utilBarrel.js";
+
+const MAX_FINDINGS = 50;
+
+/**
+ * A user's fallacies grouped by type, most frequent first.
+ * "documents" counts distinct PDFs: a fallacy found in 2+ documents is a recurring habit.
+ */
+async function fallacyStatsFor(userId) {
+  const groups = await FallacyFinding.aggregate([
+    { $match: { user: userId } },
+    {
+      $group: {
+        _id: "$type",
+        count: { $sum: 1 },
+        pdfs: { $addToSet: "$pdf" },
+        high: { $sum: { $cond: [{ $eq: ["$severity", "high"] }, 1, 0] } },
+        medium: { $sum: { $cond: [{ $eq: ["$severity", "medium"] }, 1, 0] } },
+        low: { $sum: { $cond: [{ $eq: ["$severity", "low"] }, 1, 0] } },
+        lastSeenAt: { $max: "$createdAt" },
+      },
+    },
+    { $sort: { count: -1, lastSeenAt: -1 } },
+  ]);
+
+  const fallacies = groups.map((g) => ({
+    type: g._id,
+    label: FALLACY_TYPES[g._id]?.label ?? g._id,
+    description: FALLACY_TYPES[g._id]?.description ?? null,
+    count: g.count,
+    documents: g.pdfs.length,
+    recurring: g.pdfs.length >= 2,
+    severity: { high: g.high, medium: g.medium, low: g.low },
+    lastSeenAt: g.lastSeenAt,
+  }));
+
+  const documents = new Set(groups.flatMap((g) => g.pdfs.map(String))).size;
+  const findings = groups.reduce((sum, g) => sum + g.count, 0);
+
+  return { totals: { findings, documents }, fallacies };
+}
+
+/**
+ * A user's most recent findings of one fallacy type, with the document each was found in.
+ * pdfFields: which document fields to show (a coach gets the name only, the PDF itself stays private).
+ */
+async function fallacyFindingsFor(userId, type, pdfFields) {
+  if (!Object.hasOwn(FALLACY_TYPES, type)) {
+    throw new ApiError(400, "Unknown fallacy type");
+  }
+
+  const findings = await FallacyFinding.find({ user: userId, type })
+    .sort({ createdAt: -1 })
+    .limit(MAX_FINDINGS)
+    .populate("pdf", `-_id ${pdfFields}`)
+    .lean();
+
+  return {
+    type,
+    label: FALLACY_TYPES[type].label,
+    findings: findings.map((f) => ({
+      quote: f.quote,
+      chunk: f.chunk,
+      explanation: f.explanation,
+      severity: f.severity,
+      createdAt: f.createdAt,
+      pdf: f.pdf, // { publicId?, originalName }
+    })),
+  };
+}
+
+/**
+ * The member of the coach's team named in :username (coach only).
+ */
+async function findCoachedMember(req) {
+  const team = req.user.team ? await Team.findById(req.user.team).select("coach").lean() : null;
+  if (!team) throw new ApiError(404, "You are not in a team");
+  if (!team.coach.equals(req.user._id)) throw new ApiError(403, "Only the team's coach can see its members' fallacies");
+
+  const member = await User.findOne({ username: req.params.username.toLowerCase(), team: team._id }).select("_id").lean();
+  if (!member) throw new ApiError(404, "No member of your team has this username");
+  return member;
+}
+
+export const getMyFallacyStats = asyncHandler(async (req, res) => {
+  return res.status(200).json(new ApiResponse(200, await fallacyStatsFor(req.user._id), "Fallacy statistics fetched"));
+});
+
+export const getMyFallacyFindings = asyncHandler(async (req, res) => {
+  const data = await fallacyFindingsFor(req.user._id, req.params.type, "publicId originalName");
+  return res.status(200).json(new ApiResponse(200, data, "Fallacy findings fetched"));
+});
+
+// a team member's recurring fallacies, for their coach
+export const getMemberFallacyStats = asyncHandler(async (req, res) => {
+  const member = await findCoachedMember(req);
+  return res.status(200).json(new ApiResponse(200, await fallacyStatsFor(member._id), "Fallacy statistics fetched"));
+});
+
+export const getMemberFallacyFindings = asyncHandler(async (req, res) => {
+  const member = await findCoachedMember(req);
+  const data = await fallacyFindingsFor(member._id, req.params.type, "originalName");
+  return res.status(200).json(new ApiResponse(200, data, "Fallacy findings fetched"));
+});
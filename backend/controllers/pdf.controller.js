@@ -1,17 +1,29 @@
 import { Pdf } from "../models/pdf.model.js";
+import { PdfChunk } from "../models/pdfChunk.model.js";
+import { AnalysisRevision } from "../models/analysisRevision.model.js";
+import { QuestionBank } from "../models/questionBank.model.js";
+import { StudySet } from "../models/studySet.model.js";
 import { ApiResponse, asyncHandler, ApiError } from "../utils/utilBarrel.js";
 import { v2 as cloudinary } from "cloudinary";
+import { getAnalysisStreamSnapshot, subscribeAnalysisStream } from "../redis/analysisStream.js";
+import { injectionRiskSummary } from "../services/ai/injectionScreening.services.js";
 
 // get all pdfs for dasboard and cleanup if non debate and consumed
 export const getMyPdfs = asyncHandler(async (req, res) => {
   const userId = req.user._id;
 
-  // find non debate pdfs that have been consumed
+  // find non debate pdfs that have been consumed (a requested summary, study set or question bank, an overridden gate or an opt-out keeps the PDF)
+  const [studied, drilled] = await Promise.all([StudySet.distinct("pdf", { user: userId }), QuestionBank.distinct("pdf", { user: userId })]);
   const toCleanup = await Pdf.find({
     user: userId,
+    _id: { $nin: [...studied, ...drilled] },
     isConsumed: true,
+    keepAfterViewing: { $ne: true },
     status: "completed",
     "aiResult.gate.isDebate": false,
+    "aiResult.gateOverride": null,
+    "aiResult.summary": null,
+    summaryStatus: { $ne: "processing" },
   }).select("_id publicId");
 
   // delete from cloud all non debates
@@ -22,12 +34,17 @@ export const getMyPdfs = asyncHandler(async (req, res) => {
     await Pdf.deleteMany({
       _id: { $in: toCleanup.map((p) => p._id) },
     });
+    // gate-rejected runs are recorded as revisions
+    await AnalysisRevision.deleteMany({ pdf: { $in: toCleanup.map((p) => p._id) } });
   }
   // Return only fields needed for frontend (no _id exposed)
   const pdfs = await Pdf.find({ user: userId })
-    .select("-_id publicId previewImageUrl originalName size createdAt preprocessStatus status")
-    .sort({ createdAt: -1 });
-  return res.status(200).json(new ApiResponse(200, { pdfs }, "PDFs fetched"));
+    .select("-_id publicId previewImageUrl originalName size createdAt preprocessStatus status statusReason summaryStatus analysisOptions injectionRisk.level injectionRisk.signals injectionRisk.releasedAt ocr.confidence")
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const data = pdfs.map((pdf) => ({ ...pdf, injectionRisk: injectionRiskSummary(pdf.injectionRisk) }));
+  return res.status(200).json(new ApiResponse(200, { pdfs: data }, "PDFs fetched"));
 });
 
 // get single pdf for summary page
@@ -37,13 +54,66 @@ export const getSinglePdf = asyncHandler(async (req, res) => {
   const pdf = await Pdf.findOne({
     publicId: decodeURIComponent(publicId),
     user: req.user._id,
-  }).select("-_id publicId originalName pdfUrl aiResult");
+  }).select(
+    "-_id publicId originalName pdfUrl preprocessStatus status statusReason summaryStatus summaryStatusReason keepAfterViewing analysisOptions revisionCount preferredRevision aiResult ocr.confidence ocr.pageCount ocr.truncated",
+  );
 
   if (!pdf) throw new ApiError(404, "PDF not found");
 
   return res.status(200).json(new ApiResponse(200, { pdf }, "PDF fetched"));
 });
 
+// one chunk of the PDF text, for showing a citation in context
+export const getPdfChunk = asyncHandler(async (req, res) => {
+  const { publicId } = req.params;
+  const index = Number(req.params.index);
+
+  if (!Number.isInteger(index) || index < 0) {
+    throw new ApiError(400, "Invalid chunk index");
+  }
+
+  const pdf = await Pdf.findOne({ publicId: decodeURIComponent(publicId), user: req.user._id }).select("_id").lean();
+  if (!pdf) throw new ApiError(404, "PDF not found");
+
+  const chunk = await PdfChunk.findOne({ pdf: pdf._id, index }).select("-_id index text").lean();
+  if (!chunk) throw new ApiError(404, "Chunk not found");
+
+  return res.status(200).json(new ApiResponse(200, { chunk }, "Chunk fetched"));
+});
+
+// argument graph of the analysis (document nodes + counter-debate attacks), ?revision=<n> for an older run
+export const getArgumentMap = asyncHandler(async (req, res) => {
+  const { publicId } = req.params;
+  const revisionNumber = req.query.revision === undefined ? null : Number(req.query.revision);
+
+  if (revisionNumber !== null && (!Number.isInteger(revisionNumber) || revisionNumber < 1)) {
+    throw new ApiError(400, "Invalid revision number");
+  }
+
+  const pdf = await Pdf.findOne({ publicId: decodeURIComponent(publicId), user: req.user._id })
+    .select("status aiResult.argumentMap aiResult.meta.argumentMap")
+    .lean();
+  if (!pdf) throw new ApiError(404, "PDF not found");
+
+  let source = pdf.aiResult;
+  if (revisionNumber !== null) {
+    const revision = await AnalysisRevision.findOne({ pdf: pdf._id, number: revisionNumber })
+      .select("result.argumentMap meta.argumentMap")
+      .lean();
+    if (!revision) throw new ApiError(404, "Revision not found");
+    source = { argumentMap: revision.result?.argumentMap, meta: revision.meta };
+  } else if (pdf.status === "processing") {
+    throw new ApiError(409, "Analysis is still running");
+  }
+
+  const argumentMap = source?.argumentMap;
+  if (!argumentMap) {
+    throw new ApiError(404, source?.meta?.argumentMap?.error || "No argument map for this PDF");
+  }
+
+  return res.status(200).json(new ApiResponse(200, { argumentMap }, "Argument map fetched"));
+});
+
 // to mark as consumed. cleanup db controller
 export const markPdfAsConsumed = asyncHandler(async (req, res) => {
   const { publicId } = req.params;
@@ -65,6 +135,38 @@ export const markPdfAsConsumed = asyncHandler(async (req, res) => {
   return res.status(200).json(new ApiResponse(200, null, "PDF marked as consumed"));
 });
 
+// opt a PDF out of (or back into) the cleanup of viewed non-debate files
+export const setKeepAfterViewing = asyncHandler(async (req, res) => {
+  const { publicId } = req.params;
+
+  const pdf = await Pdf.findOneAndUpdate(
+    { publicId: decodeURIComponent(publicId), user: req.user._id },
+    { $set: { keepAfterViewing: req.body.keep } },
+    { new: true },
+  ).select("-_id keepAfterViewing");
+
+  if (!pdf) throw new ApiError(404, "PDF not found");
+
+  return res.status(200).json(new ApiResponse(200, { keepAfterViewing: pdf.keepAfterViewing }, "PDF cleanup preference updated"));
+});
+
+// owner override of the injection screening: a released PDF is accepted by the AI calls again
+export const setQuarantineRelease = asyncHandler(async (req, res) => {
+  const { publicId } = req.params;
+
+  const pdf = await Pdf.findOneAndUpdate(
+    { publicId: decodeURIComponent(publicId), user: req.user._id, "injectionRisk.level": "high" },
+    { $set: { "injectionRisk.releasedAt": req.body.release ? new Date() : null } },
+    { new: true },
+  ).select("-_id injectionRisk.level injectionRisk.signals injectionRisk.releasedAt");
+
+  if (!pdf) throw new ApiError(404, "No quarantined PDF with this id");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { injectionRisk: injectionRiskSummary(pdf.injectionRisk) }, req.body.release ? "PDF released from quarantine" : "PDF quarantined"));
+});
+
 /**
  * Get PDF status for polling.
  * Lightweight endpoint - returns only status fields.
@@ -76,7 +178,7 @@ export const getPdfStatus = asyncHandler(async (req, res) => {
   // Select only status fields for minimal DB load
   const pdf = await Pdf.findOne(
     { publicId: decodeURIComponent(publicId), user: req.user._id },
-    { preprocessStatus: 1, status: 1 }
+    { preprocessStatus: 1, status: 1, statusReason: 1, summaryStatus: 1, summaryStatusReason: 1, "injectionRisk.level": 1, "injectionRisk.signals": 1, "injectionRisk.releasedAt": 1 }
   ).lean();
 
   // if not found, could also be due to deletion.
@@ -88,6 +190,118 @@ export const getPdfStatus = asyncHandler(async (req, res) => {
     new ApiResponse(200, {
       preprocessStatus: pdf.preprocessStatus,
       status: pdf.status,
+      statusReason: pdf.statusReason ?? null,
+      summaryStatus: pdf.summaryStatus,
+      summaryStatusReason: pdf.summaryStatusReason ?? null,
+      injectionRisk: injectionRiskSummary(pdf.injectionRisk),
     }, "Status fetched")
   );
 });
+
+const STREAM_HEARTBEAT_MS = 15000;
+
+/**
+ * Server-Sent Events stream of a running AI analysis.
+ * Sends a snapshot of the counter-debate generated so far, then live deltas, then "done".
+ * The final structured result is persisted by the worker - clients refetch the PDF on "done".
+ *
+ * Events: snapshot { text }, delta { text }, reset, stage { stage }, done { status, reason? },
+ * unavailable (live stream could not be set up - client should fall back to polling)
+ */
+export const streamPdfAnalysis = asyncHandler(async (req, res) => {
+  const { publicId } = req.params;
+
+  const pdf = await Pdf.findOne(
+    { publicId: decodeURIComponent(publicId), user: req.user._id },
+    { _id: 1, status: 1, statusReason: 1 }
+  ).lean();
+
+  if (!pdf) throw new ApiError(404, "PDF not found");
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // disable nginx response buffering
+  });
+  res.flushHeaders();
+
+  const send = (event, data = {}) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Nothing running - tell the client to use the persisted result
+  if (pdf.status !== "processing") {
+    send("done", { status: pdf.status, reason: pdf.statusReason ?? null });
+    return res.end();
+  }
+
+  let closed = false;
+  let snapshotBytes = null; // null until the snapshot was sent
+  let heartbeat = null;
+  let unsubscribe = null;
+  const pending = [];
+
+  const close = async () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    res.end();
+    await unsubscribe?.();
+  };
+  req.on("close", close);
+
+  const forward = (event) => {
+    if (closed) return;
+
+    if (event.type === "delta") {
+      // Trim the part of the delta already contained in the snapshot
+      const bytes = Buffer.from(event.text);
+      const skip = Math.max(0, snapshotBytes - event.offset);
+      if (skip >= bytes.length) return;
+      snapshotBytes = Math.max(snapshotBytes, event.offset + bytes.length);
+      send("delta", { text: skip > 0 ? bytes.subarray(skip).toString() : event.text });
+    } else if (event.type === "reset") {
+      snapshotBytes = 0;
+      send("reset");
+    } else if (event.type === "stage") {
+      send("stage", { stage: event.stage });
+    } else if (event.type === "done") {
+      send("done", { status: event.status, reason: event.reason ?? null });
+      close();
+    } else if (event.type === "shutdown") {
+      send("unavailable");
+      close();
+    }
+  };
+
+  // Headers are already sent, so failures end the stream instead of reaching the error middleware
+  try {
+    // Subscribe BEFORE reading the snapshot so nothing generated in between is lost
+    unsubscribe = await subscribeAnalysisStream(pdf._id.toString(), (event) => {
+      if (snapshotBytes === null) pending.push(event);
+      else forward(event);
+    });
+    if (closed) return unsubscribe();
+
+    const snapshot = await getAnalysisStreamSnapshot(pdf._id.toString());
+    snapshotBytes = Buffer.byteLength(snapshot);
+    send("snapshot", { text: snapshot });
+    pending.splice(0).forEach(forward);
+  } catch (err) {
+    console.error(`AI stream setup failed for ${pdf._id}: ${err.message}`);
+    send("unavailable");
+    return close();
+  }
+
+  if (closed) return;
+
+  // Heartbeat keeps proxies from closing the connection, and catches a "done" that was
+  // published while nobody listened (e.g. worker crashed, recovery failed the run)
+  heartbeat = setInterval(async () => {
+    if (closed) return;
+    res.write(": ping\n\n");
+    const current = await Pdf.findById(pdf._id, { status: 1, statusReason: 1 }).lean().catch(() => null);
+    if (current && current.status !== "processing") {
+      forward({ type: "done", status: current.status, reason: current.statusReason });
+    }
+  }, STREAM_HEARTBEAT_MS);
+});
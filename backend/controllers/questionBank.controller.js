@@ -0,0 +1,166 @@
+import mongoose from "mongoose";
+import { Pdf } from "../models/pdf.model.js";
+import { QuestionBank } from "../models/questionBank.model.js";
+import { createAiJobId, enqueueQuestionBank } from "../queues/aiAnalysis.queue.js";
+import { gradeDrillAnswer, markQuestionBankFailed, MAX_ATTEMPTS_PER_QUESTION } from "../services/ai/questionBank.services.js";
+import { isQuarantined, quarantineReasonFor } from "../services/ai/injectionScreening.services.js";
+import { assertWithinAiQuota, runWithUsageContext } from "../services/ai/usage.services.js";
+import { ApiResponse, ApiError, asyncHandler } from "../utils/utilBarrel.js";
+
+const safeAttemptResponse = (attempt) => ({
+  answer: attempt.answer,
+  score: attempt.score,
+  feedback: attempt.feedback,
+  improvedAnswer: attempt.improvedAnswer,
+  createdAt: attempt.createdAt,
+});
+
+/**
+ * Helper to return only safe fields (no internal ids besides the question id, no AI meta).
+ * Only the latest attempt is returned in full; the rest is summarized.
+ */
+const safeQuestionResponse = (question) => {
+  const attempts = question.attempts ?? [];
+  const latest = attempts.at(-1);
+
+  return {
+    questionId: question._id.toString(),
+    kind: question.kind,
+    question: question.question,
+    targetClaim: question.targetClaim,
+    citations: question.citations,
+    difficulty: question.difficulty,
+    suggestedAnswer: question.suggestedAnswer,
+    attemptCount: attempts.length,
+    bestScore: attempts.length > 0 ? Math.max(...attempts.map((a) => a.score)) : null,
+    latestAttempt: latest ? safeAttemptResponse(latest) : null,
+  };
+};
+
+const safeBankResponse = (bank) => ({
+  status: bank.status,
+  statusReason: bank.statusReason,
+  generatedAt: bank.generatedAt,
+  questions: bank.questions.map(safeQuestionResponse),
+});
+
+async function findOwnedPdf(publicId, userId, fields) {
+  const pdf = await Pdf.findOne({
+    publicId: decodeURIComponent(publicId),
+    user: userId,
+  }).select(fields);
+
+  if (!pdf) throw new ApiError(404, "PDF not found");
+  return pdf;
+}
+
+/**
+ * Generate (or regenerate) the question bank of a PDF. Works for any preprocessed PDF.
+ * Responds 202 immediately; the page polls GET /questions until the status settles.
+ * A regeneration keeps the previous questions visible until the new ones replace them.
+ */
+export const requestQuestionBank = asyncHandler(async (req, res) => {
+  const pdf = await findOwnedPdf(req.params.publicId, req.user._id, "_id preprocessStatus injectionRisk");
+
+  if (pdf.preprocessStatus !== "completed") {
+    throw new ApiError(409, "PDF is still being prepared, please wait");
+  }
+
+  if (isQuarantined(pdf)) {
+    throw new ApiError(422, quarantineReasonFor(pdf.injectionRisk));
+  }
+
+  await assertWithinAiQuota(req.user._id);
+
+  const existing = await QuestionBank.findOne({ pdf: pdf._id }).select("_id").lean();
+  const bankId = existing?._id ?? new mongoose.Types.ObjectId();
+  const jobId = createAiJobId(bankId);
+
+  // claim the bank for this run (created on the first request)
+  let bank;
+  try {
+    bank = await QuestionBank.findOneAndUpdate(
+      { pdf: pdf._id, status: { $ne: "processing" } },
+      {
+        $set: { status: "processing", statusReason: null, aiJobId: jobId },
+        $setOnInsert: { _id: bankId, user: req.user._id },
+      },
+      { upsert: true, new: true },
+    );
+  } catch (err) {
+    // the filter missed because a run is processing, so the upsert hit the unique pdf index
+    if (err.code === 11000) throw new ApiError(409, "Questions are already being generated");
+    throw err;
+  }
+
+  try {
+    await enqueueQuestionBank(bank._id, jobId);
+  } catch (err) {
+    console.error(`Failed to enqueue question bank for ${bank._id}: ${err.message}`);
+    await markQuestionBankFailed(bank._id, jobId, "Could not start generating questions. Please try again.");
+    throw new ApiError(503, "Could not start generating questions. Please try again.");
+  }
+
+  return res.status(202).json(new ApiResponse(202, { bank: safeBankResponse(bank) }, "Question generation started"));
+});
+
+// the PDF's question bank, null if none was generated yet
+export const getQuestionBank = asyncHandler(async (req, res) => {
+  const pdf = await findOwnedPdf(req.params.publicId, req.user._id, "_id");
+  const bank = await QuestionBank.findOne({ pdf: pdf._id, user: req.user._id }).select("-meta -questions.attempts.meta").lean();
+
+  return res.status(200).json(new ApiResponse(200, { bank: bank ? safeBankResponse(bank) : null }, "Question bank fetched"));
+});
+
+/**
+ * Drill mode: grade the student's answer to one question and keep it as an attempt.
+ */
+export const answerBankQuestion = asyncHandler(async (req, res) => {
+  const { questionId } = req.params;
+  if (!mongoose.isValidObjectId(questionId)) throw new ApiError(404, "Question not found");
+
+  const pdf = await findOwnedPdf(req.params.publicId, req.user._id, "_id originalName aiResult.gate");
+  const bank = await QuestionBank.findOne({ pdf: pdf._id, user: req.user._id, "questions._id": questionId })
+    .select({ questions: { $elemMatch: { _id: questionId } } })
+    .lean();
+
+  const question = bank?.questions?.[0];
+  if (!question) throw new ApiError(404, "Question not found");
+
+  await assertWithinAiQuota(req.user._id);
+
+  const graded = await runWithUsageContext({ userId: req.user._id, source: "drillAnswer" }, () =>
+    gradeDrillAnswer({
+      topic: pdf.aiResult?.gate?.detectedTopic || pdf.originalName,
+      question,
+      answer: req.body.answer,
+    }),
+  );
+
+  const updated = await QuestionBank.findOneAndUpdate(
+    { _id: bank._id, "questions._id": questionId },
+    {
+      $push: {
+        "questions.$.attempts": {
+          $each: [{ answer: req.body.answer, ...graded }],
+          $slice: -MAX_ATTEMPTS_PER_QUESTION,
+        },
+      },
+    },
+    { new: true, projection: { questions: { $elemMatch: { _id: questionId } } } },
+  ).lean();
+
+  // the bank was regenerated while the answer was graded
+  if (!updated?.questions?.[0]) {
+    throw new ApiError(409, "The question bank changed while your answer was graded. Please refresh.");
+  }
+
+  const answered = updated.questions[0];
+  return res.status(201).json(
+    new ApiResponse(
+      201,
+      { attempt: safeAttemptResponse(answered.attempts.at(-1)), question: safeQuestionResponse(answered) },
+      "Answer graded",
+    ),
+  );
+});
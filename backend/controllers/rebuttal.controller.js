@@ -0,0 +1,118 @@
+import fs from "fs";
+import { Pdf } from "../models/pdf.model.js";
+import { RebuttalGrade } from "../models/rebuttalGrade.model.js";
+import { uploadPdfToCloudinary } from "../cloudinary/cloudinary.js";
+import { createAiJobId, enqueueRebuttalGrading } from "../queues/aiAnalysis.queue.js";
+import { markRebuttalFailed, REBUTTAL_RUBRIC } from "../services/ai/rebuttalGrading.services.js";
+import { assertWithinAiQuota } from "../services/ai/usage.services.js";
+import { rebuttalSubmissionSchema } from "../zod/debateSchemas/rebuttal.schema.js";
+import { ApiResponse, ApiError, asyncHandler } from "../utils/utilBarrel.js";
+
+/**
+ * Helper to return only safe fields (no rebuttal text, file references or AI meta)
+ */
+const safeRebuttalResponse = (rebuttal) => ({
+  rebuttalId: rebuttal._id.toString(),
+  source: rebuttal.source,
+  originalName: rebuttal.originalName,
+  revision: rebuttal.revision,
+  status: rebuttal.status,
+  statusReason: rebuttal.statusReason,
+  result: rebuttal.result,
+  overallScore: rebuttal.overallScore,
+  createdAt: rebuttal.createdAt,
+});
+
+/**
+ * Submit a rebuttal to a PDF's counter-debate for grading.
+ * Accepts either JSON/form field `text` or a multipart `file` (PDF), not both.
+ * Responds 202 immediately; grading runs in the ai-analysis worker.
+ */
+export const submitRebuttal = asyncHandler(async (req, res) => {
+  const removeUpload = () => req.file && fs.unlink(req.file.path, () => {});
+
+  const parsed = rebuttalSubmissionSchema().safeParse(req.body ?? {});
+  if (!parsed.success) {
+    removeUpload();
+    throw new ApiError(400, parsed.error.issues[0]?.message);
+  }
+
+  const { text } = parsed.data;
+  if (Boolean(text) === Boolean(req.file)) {
+    removeUpload();
+    throw new ApiError(400, "Provide either a rebuttal text or a rebuttal PDF");
+  }
+
+  const pdf = await Pdf.findOne({
+    publicId: decodeURIComponent(req.params.publicId),
+    user: req.user._id,
+  }).select("_id status aiResult preferredRevision");
+
+  if (!pdf) {
+    removeUpload();
+    throw new ApiError(404, "PDF not found");
+  }
+
+  if (pdf.status !== "completed" || !pdf.aiResult?.analysis?.counterDebate) {
+    removeUpload();
+    throw new ApiError(409, "Rebuttals can only be graded for a PDF with a completed counter debate");
+  }
+
+  try {
+    await assertWithinAiQuota(req.user._id);
+  } catch (err) {
+    removeUpload();
+    throw err;
+  }
+
+  const rebuttal = new RebuttalGrade({
+    user: req.user._id,
+    pdf: pdf._id,
+    revision: pdf.preferredRevision,
+    source: req.file ? "pdf" : "text",
+    text: text ?? null,
+  });
+
+  if (req.file) {
+    // uploadPdfToCloudinary always removes the local file
+    const uploaded = await uploadPdfToCloudinary(req.file.path, req.file.originalname);
+    if (!uploaded) throw new ApiError(500, "Failed to upload rebuttal PDF, retry");
+
+    rebuttal.originalName = req.file.originalname;
+    rebuttal.filePublicId = uploaded.public_id;
+    rebuttal.fileUrl = uploaded.secure_url;
+  }
+
+  const jobId = createAiJobId(rebuttal._id);
+  rebuttal.aiJobId = jobId;
+  await rebuttal.save();
+
+  try {
+    await enqueueRebuttalGrading(rebuttal._id, jobId);
+  } catch (err) {
+    console.error(`Failed to enqueue rebuttal grading for ${rebuttal._id}: ${err.message}`);
+    await markRebuttalFailed(rebuttal._id, jobId, "Could not start grading. Please try again.");
+    throw new ApiError(503, "Could not start grading. Please try again.");
+  }
+
+  return res.status(202).json(new ApiResponse(202, { rebuttal: safeRebuttalResponse(rebuttal) }, "Rebuttal grading started"));
+});
+
+// all graded rebuttals for a PDF, oldest first (progress over time)
+export const getRebuttals = asyncHandler(async (req, res) => {
+  const pdf = await Pdf.findOne({
+    publicId: decodeURIComponent(req.params.publicId),
+    user: req.user._id,
+  }).select("_id");
+
+  if (!pdf) throw new ApiError(404, "PDF not found");
+
+  const rebuttals = await RebuttalGrade.find({ pdf: pdf._id, user: req.user._id })
+    .select("source originalName revision status statusReason result overallScore createdAt")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { rebuttals: rebuttals.map(safeRebuttalResponse), rubric: REBUTTAL_RUBRIC }, "Rebuttals fetched"));
+});
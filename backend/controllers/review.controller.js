@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+import { Pdf } from "../models/pdf.model.js";
+import { StudySet } from "../models/studySet.model.js";
+import { ReviewCard } from "../models/reviewCard.model.js";
+import { REVIEW_GRADES, scheduleReview } from "../services/study/spacedRepetition.js";
+import { safeStudyItemResponse } from "./studySet.controller.js";
+import { ApiResponse, ApiError, asyncHandler } from "../utils/utilBarrel.js";
+
+const DEFAULT_DUE_LIMIT = 20;
+const MAX_DUE_LIMIT = 100;
+
+const safeScheduleResponse = (card) => ({
+  cardId: card._id.toString(),
+  kind: card.kind,
+  dueAt: card.dueAt,
+  intervalDays: card.intervalDays,
+  repetitions: card.repetitions,
+  lapses: card.lapses,
+  lastGrade: card.lastGrade,
+  lastReviewedAt: card.lastReviewedAt,
+});
+
+/**
+ * The user's review decks (one per PDF with a study set), with how many cards are due now.
+ */
+export const getReviewDecks = asyncHandler(async (req, res) => {
+  const now = new Date();
+  const groups = await ReviewCard.aggregate([
+    { $match: { user: req.user._id } },
+    {
+      $group: {
+        _id: "$pdf",
+        total: { $sum: 1 },
+        due: { $sum: { $cond: [{ $lte: ["$dueAt", now] }, 1, 0] } },
+        learned: { $sum: { $cond: [{ $gt: ["$repetitions", 0] }, 1, 0] } },
+        nextDueAt: { $min: "$dueAt" },
+      },
+    },
+    { $sort: { due: -1, nextDueAt: 1 } },
+  ]);
+
+  const pdfs = await Pdf.find({ _id: { $in: groups.map((g) => g._id) } }).select("publicId originalName").lean();
+  const pdfById = new Map(pdfs.map((p) => [p._id.toString(), p]));
+
+  const decks = groups
+    .filter((g) => pdfById.has(g._id.toString()))
+    .map((g) => ({
+      publicId: pdfById.get(g._id.toString()).publicId,
+      originalName: pdfById.get(g._id.toString()).originalName,
+      total: g.total,
+      due: g.due,
+      learned: g.learned,
+      nextDueAt: g.nextDueAt,
+    }));
+
+  const due = decks.reduce((sum, d) => sum + d.due, 0);
+  return res.status(200).json(new ApiResponse(200, { decks, due }, "Review decks fetched"));
+});
+
+/**
+ * Cards due now, most overdue first, with their item content. ?publicId=<id> for one PDF, ?limit=<n> (max 100).
+ * Each card carries when it would be due next for every grade, for the grade buttons.
+ */
+export const getDueReviewCards = asyncHandler(async (req, res) => {
+  const limit = req.query.limit === undefined ? DEFAULT_DUE_LIMIT : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DUE_LIMIT) {
+    throw new ApiError(400, `Limit must be a whole number between 1 and ${MAX_DUE_LIMIT}`);
+  }
+
+  const now = new Date();
+  const filter = { user: req.user._id, dueAt: { $lte: now } };
+
+  if (req.query.publicId) {
+    const pdf = await Pdf.findOne({ publicId: req.query.publicId, user: req.user._id }).select("_id");
+    if (!pdf) throw new ApiError(404, "PDF not found");
+    filter.pdf = pdf._id;
+  }
+
+  const [cards, due] = await Promise.all([
+    ReviewCard.find(filter).sort({ dueAt: 1 }).limit(limit).populate("pdf", "publicId originalName").lean(),
+    ReviewCard.countDocuments(filter),
+  ]);
+
+  // item content lives on the study sets
+  const sets = await StudySet.find({ _id: { $in: [...new Set(cards.map((c) => c.studySet.toString()))] } })
+    .select("multipleChoice flashcards")
+    .lean();
+  const items = new Map(sets.flatMap((s) => [...s.multipleChoice, ...s.flashcards]).map((item) => [item._id.toString(), item]));
+
+  const dueCards = cards
+    .filter((card) => items.has(card.item.toString()))
+    .map((card) => ({
+      ...safeScheduleResponse(card),
+      publicId: card.pdf?.publicId,
+      originalName: card.pdf?.originalName,
+      item: safeStudyItemResponse[card.kind](items.get(card.item.toString())),
+      nextDueAt: Object.fromEntries(REVIEW_GRADES.map((grade) => [grade, scheduleReview(card, grade, now).dueAt])),
+    }));
+
+  return res.status(200).json(new ApiResponse(200, { cards: dueCards, due }, "Due cards fetched"));
+});
+
+/**
+ * Record a review of one card and schedule its next one.
+ */
+export const gradeReviewCard = asyncHandler(async (req, res) => {
+  const { cardId } = req.params;
+  if (!mongoose.isValidObjectId(cardId)) throw new ApiError(404, "Card not found");
+
+  const card = await ReviewCard.findOne({ _id: cardId, user: req.user._id }).lean();
+  if (!card) throw new ApiError(404, "Card not found");
+
+  // the lastReviewedAt match rejects a second grade for the same review (double click, two tabs)
+  const updated = await ReviewCard.findOneAndUpdate(
+    { _id: card._id, lastReviewedAt: card.lastReviewedAt },
+    { $set: scheduleReview(card, req.body.grade) },
+    { new: true },
+  ).lean();
+
+  if (!updated) throw new ApiError(409, "This card was just reviewed. Please refresh.");
+
+  return res.status(200).json(new ApiResponse(200, { card: safeScheduleResponse(updated) }, "Review recorded"));
+});
@@ -0,0 +1,75 @@
+import { Pdf } from "../models/pdf.model.js";
+import { AnalysisRevision } from "../models/analysisRevision.model.js";
+import { replaceFallacyFindings } from "../services/ai/fallacy.services.js";
+import { revisionToAiResultUpdate } from "../services/ai/revisions.services.js";
+import { ApiResponse, ApiError, asyncHandler } from "../utils/utilBarrel.js";
+
+async function findOwnedPdf(req, fields) {
+  const pdf = await Pdf.findOne({ publicId: decodeURIComponent(req.params.publicId), user: req.user._id }).select(fields).lean();
+  if (!pdf) throw new ApiError(404, "PDF not found");
+  return pdf;
+}
+
+function parseRevisionNumber(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw new ApiError(400, "Invalid revision number");
+  return number;
+}
+
+/**
+ * All analysis revisions of a PDF, newest first (options and outcome only, no result bodies).
+ */
+export const getRevisions = asyncHandler(async (req, res) => {
+  const pdf = await findOwnedPdf(req, "_id preferredRevision");
+
+  const revisions = await AnalysisRevision.find({ pdf: pdf._id })
+    .sort({ number: -1 })
+    .select("-_id number options createdAt result.gate.isDebate result.gateOverride")
+    .lean();
+
+  const data = revisions.map((r) => ({
+    number: r.number,
+    options: r.options,
+    isDebate: Boolean(r.result?.gate?.isDebate || r.result?.gateOverride), // overridden runs have an analysis too
+    isPreferred: r.number === pdf.preferredRevision,
+    createdAt: r.createdAt,
+  }));
+
+  return res.status(200).json(new ApiResponse(200, { revisions: data, preferredRevision: pdf.preferredRevision }, "Revisions fetched"));
+});
+
+/**
+ * One revision with its full result, shaped like Pdf.aiResult.
+ */
+export const getRevision = asyncHandler(async (req, res) => {
+  const number = parseRevisionNumber(req.params.number);
+  const pdf = await findOwnedPdf(req, "_id preferredRevision");
+
+  const revision = await AnalysisRevision.findOne({ pdf: pdf._id, number }).select("-_id number options result meta createdAt").lean();
+  if (!revision) throw new ApiError(404, "Revision not found");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { revision: { ...revision, isPreferred: number === pdf.preferredRevision } }, "Revision fetched"));
+});
+
+/**
+ * Make a revision the PDF's current result (copied into aiResult; fallacy stats follow it).
+ */
+export const preferRevision = asyncHandler(async (req, res) => {
+  const number = parseRevisionNumber(req.params.number);
+  const pdf = await findOwnedPdf(req, "_id user");
+
+  const revision = await AnalysisRevision.findOne({ pdf: pdf._id, number }).lean();
+  if (!revision) throw new ApiError(404, "Revision not found");
+
+  // aiResult is never null once a revision exists, so the dotted-path writes are safe
+  const switched = await Pdf.updateOne({ _id: pdf._id, status: { $ne: "processing" } }, revisionToAiResultUpdate(revision));
+  if (switched.matchedCount === 0) {
+    throw new ApiError(409, "Analysis is still running");
+  }
+
+  await replaceFallacyFindings({ pdfId: pdf._id, userId: pdf.user, fallacies: revision.result?.fallacies ?? [] });
+
+  return res.status(200).json(new ApiResponse(200, { preferredRevision: number }, "Preferred revision updated"));
+});
@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+import { Pdf } from "../models/pdf.model.js";
+import { SpeechOutline } from "../models/speechOutline.model.js";
+import { getDebateFormat, WORDS_PER_MINUTE } from "../services/ai/debateFormats.js";
+import { generateSpeechOutline } from "../services/ai/speechOutline.services.js";
+import { assertWithinAiQuota, runWithUsageContext } from "../services/ai/usage.services.js";
+import { ApiResponse, asyncHandler, ApiError } from "../utils/utilBarrel.js";
+
+const DEFAULT_OUTLINE_MINUTES = 5; // generic speeches have no format-defined slot
+
+/**
+ * Helper to return only safe fields (no internal ids or AI meta)
+ */
+const safeOutlineResponse = (outline) => ({
+  outlineId: outline._id.toString(),
+  revision: outline.revision,
+  minutes: outline.minutes,
+  wordsPerMinute: outline.wordsPerMinute,
+  targetWords: outline.targetWords,
+  targetSeconds: Math.round(outline.minutes * 60),
+  totalWords: outline.totalWords,
+  totalSeconds: outline.totalSeconds,
+  sections: outline.sections,
+  createdAt: outline.createdAt,
+});
+
+async function findOwnedPdf(publicId, userId, fields) {
+  const pdf = await Pdf.findOne({
+    publicId: decodeURIComponent(publicId),
+    user: userId,
+  }).select(fields);
+
+  if (!pdf) throw new ApiError(404, "PDF not found");
+  return pdf;
+}
+
+/**
+ * Generate a timed outline of the PDF's counter-debate.
+ * Body: { minutes?, wordsPerMinute? } - minutes defaults to the debate format's speech time.
+ */
+export const createSpeechOutline = asyncHandler(async (req, res) => {
+  const pdf = await findOwnedPdf(req.params.publicId, req.user._id, "_id originalName status aiResult preferredRevision");
+
+  const analysis = pdf.aiResult?.analysis;
+  const passedGate = pdf.aiResult?.gate?.isDebate || pdf.aiResult?.gateOverride;
+  if (pdf.status !== "completed" || !passedGate || !analysis?.counterDebate) {
+    throw new ApiError(409, "Speech outlines can only be made for a PDF with a completed counter debate");
+  }
+
+  const format = getDebateFormat(pdf.aiResult.format);
+  const minutes = req.body.minutes ?? format.speechMinutes ?? DEFAULT_OUTLINE_MINUTES;
+  const wordsPerMinute = req.body.wordsPerMinute ?? WORDS_PER_MINUTE;
+
+  await assertWithinAiQuota(req.user._id);
+
+  const outline = await runWithUsageContext({ userId: req.user._id, source: "speechOutline" }, () =>
+    generateSpeechOutline({
+      topic: pdf.aiResult.gate?.detectedTopic || pdf.originalName,
+      formatLabel: format.label,
+      counterDebate: analysis.counterDebate,
+      minutes,
+      wordsPerMinute,
+    }),
+  );
+
+  const saved = await SpeechOutline.create({
+    user: req.user._id,
+    pdf: pdf._id,
+    revision: pdf.preferredRevision,
+    minutes,
+    wordsPerMinute,
+    ...outline,
+  });
+
+  return res.status(201).json(new ApiResponse(201, { outline: safeOutlineResponse(saved) }, "Speech outline generated"));
+});
+
+// outlines of a PDF, newest first (without the section texts)
+export const getSpeechOutlines = asyncHandler(async (req, res) => {
+  const pdf = await findOwnedPdf(req.params.publicId, req.user._id, "_id");
+
+  const outlines = await SpeechOutline.find({ pdf: pdf._id, user: req.user._id })
+    .select("revision minutes wordsPerMinute targetWords totalWords totalSeconds createdAt")
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return res.status(200).json(new ApiResponse(200, { outlines: outlines.map(safeOutlineResponse) }, "Speech outlines fetched"));
+});
+
+export const getSpeechOutline = asyncHandler(async (req, res) => {
+  const { outlineId } = req.params;
+  if (!mongoose.isValidObjectId(outlineId)) throw new ApiError(404, "Speech outline not found");
+
+  const pdf = await findOwnedPdf(req.params.publicId, req.user._id, "_id");
+  const outline = await SpeechOutline.findOne({ _id: outlineId, pdf: pdf._id, user: req.user._id }).lean();
+  if (!outline) throw new ApiError(404, "Speech outline not found");
+
+  return res.status(200).json(new ApiResponse(200, { outline: safeOutlineResponse(outline) }, "Speech outline fetched"));
+});
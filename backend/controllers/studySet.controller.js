@@ -0,0 +1,116 @@
+import mongoose from "mongoose";
+import { Pdf } from "../models/pdf.model.js";
+import { StudySet } from "../models/studySet.model.js";
+import { ReviewCard } from "../models/reviewCard.model.js";
+import { createAiJobId, enqueueStudySet } from "../queues/aiAnalysis.queue.js";
+import { markStudySetFailed } from "../services/ai/studySet.services.js";
+import { isQuarantined, quarantineReasonFor } from "../services/ai/injectionScreening.services.js";
+import { assertWithinAiQuota } from "../services/ai/usage.services.js";
+import { ApiResponse, ApiError, asyncHandler } from "../utils/utilBarrel.js";
+
+// item fields shown to the student, by review card kind (shared with the review controller)
+export const safeStudyItemResponse = {
+  multipleChoice: (item) => ({
+    itemId: item._id.toString(),
+    question: item.question,
+    options: item.options,
+    answerIndex: item.answerIndex,
+    explanation: item.explanation,
+    citations: item.citations,
+  }),
+  flashcard: (item) => ({
+    itemId: item._id.toString(),
+    front: item.front,
+    back: item.back,
+    citations: item.citations,
+  }),
+};
+
+/**
+ * Helper to return only safe fields (no internal ids besides the item ids, no AI meta).
+ */
+const safeStudySetResponse = (set, reviewCounts) => ({
+  status: set.status,
+  statusReason: set.statusReason,
+  generatedAt: set.generatedAt,
+  multipleChoice: set.multipleChoice.map(safeStudyItemResponse.multipleChoice),
+  flashcards: set.flashcards.map(safeStudyItemResponse.flashcard),
+  review: reviewCounts,
+});
+
+async function findOwnedPdf(publicId, userId, fields) {
+  const pdf = await Pdf.findOne({
+    publicId: decodeURIComponent(publicId),
+    user: userId,
+  }).select(fields);
+
+  if (!pdf) throw new ApiError(404, "PDF not found");
+  return pdf;
+}
+
+/**
+ * Generate (or regenerate) the quiz questions and flashcards of a PDF. Works for any preprocessed PDF.
+ * Responds 202 immediately; the page polls GET /study until the status settles.
+ * A regeneration keeps the previous items visible until the new ones replace them.
+ */
+export const requestStudySet = asyncHandler(async (req, res) => {
+  const pdf = await findOwnedPdf(req.params.publicId, req.user._id, "_id preprocessStatus injectionRisk");
+
+  if (pdf.preprocessStatus !== "completed") {
+    throw new ApiError(409, "PDF is still being prepared, please wait");
+  }
+
+  if (isQuarantined(pdf)) {
+    throw new ApiError(422, quarantineReasonFor(pdf.injectionRisk));
+  }
+
+  await assertWithinAiQuota(req.user._id);
+
+  const existing = await StudySet.findOne({ pdf: pdf._id }).select("_id").lean();
+  const studySetId = existing?._id ?? new mongoose.Types.ObjectId();
+  const jobId = createAiJobId(studySetId);
+
+  // claim the study set for this run (created on the first request)
+  let set;
+  try {
+    set = await StudySet.findOneAndUpdate(
+      { pdf: pdf._id, status: { $ne: "processing" } },
+      {
+        $set: { status: "processing", statusReason: null, aiJobId: jobId },
+        $setOnInsert: { _id: studySetId, user: req.user._id },
+      },
+      { upsert: true, new: true },
+    );
+  } catch (err) {
+    // the filter missed because a run is processing, so the upsert hit the unique pdf index
+    if (err.code === 11000) throw new ApiError(409, "The study set is already being generated");
+    throw err;
+  }
+
+  try {
+    await enqueueStudySet(set._id, jobId);
+  } catch (err) {
+    console.error(`Failed to enqueue study set for ${set._id}: ${err.message}`);
+    await markStudySetFailed(set._id, jobId, "Could not start generating the study set. Please try again.");
+    throw new ApiError(503, "Could not start generating the study set. Please try again.");
+  }
+
+  return res.status(202).json(new ApiResponse(202, { studySet: safeStudySetResponse(set, null) }, "Study set generation started"));
+});
+
+// the PDF's study set with its review counts, null if none was generated yet
+export const getStudySet = asyncHandler(async (req, res) => {
+  const pdf = await findOwnedPdf(req.params.publicId, req.user._id, "_id");
+  const set = await StudySet.findOne({ pdf: pdf._id, user: req.user._id }).select("-meta").lean();
+
+  if (!set) {
+    return res.status(200).json(new ApiResponse(200, { studySet: null }, "Study set fetched"));
+  }
+
+  const [total, due] = await Promise.all([
+    ReviewCard.countDocuments({ pdf: pdf._id, user: req.user._id }),
+    ReviewCard.countDocuments({ pdf: pdf._id, user: req.user._id, dueAt: { $lte: new Date() } }),
+  ]);
+
+  return res.status(200).json(new ApiResponse(200, { studySet: safeStudySetResponse(set, { total, due }) }, "Study set fetched"));
+});
@@ -1,6 +1,10 @@
 import { Pdf } from "../models/pdf.model.js";
-import { analyzeDebateSutaibility } from "../services/ai/debateGate.services.js";
-import { generateDebateAnalysis } from "../services/ai/gemini.services.js";
+import { createAiJobId, enqueueAiAnalysis, enqueueSummary } from "../queues/aiAnalysis.queue.js";
+import { markAnalysisFailed, runPdfAnalysis } from "../services/ai/analysisPipeline.services.js";
+import { markSummaryFailed } from "../services/ai/summary.services.js";
+import { assertWithinAiQuota } from "../services/ai/usage.services.js";
+import { rubricForUser } from "../services/ai/rubrics.js";
+import { injectionRiskSummary, isQuarantined, quarantineReasonFor } from "../services/ai/injectionScreening.services.js";
 import { ApiResponse, ApiError, asyncHandler } from "../utils/utilBarrel.js";
 
 /**
@@ -15,74 +19,150 @@ const safePdfResponse = (pdf) => ({
   createdAt: pdf.createdAt,
   preprocessStatus: pdf.preprocessStatus,
   status: pdf.status,
+  statusReason: pdf.statusReason,
+  summaryStatus: pdf.summaryStatus,
+  analysisOptions: pdf.analysisOptions,
+  injectionRisk: injectionRiskSummary(pdf.injectionRisk),
 });
 
+/**
+ * Replay a cached result for an identical document (no model calls).
+ * @returns {Promise<object|null>} the updated PDF, or null when the worker has to run
+ */
+async function replayCachedAnalysis(pdfId, jobId) {
+  try {
+    const outcome = await runPdfAnalysis({ pdfId, jobId, cacheOnly: true });
+    return outcome.status === "cacheMiss" ? null : await Pdf.findById(pdfId);
+  } catch (err) {
+    console.error(`Cached replay failed for ${pdfId}, queueing instead: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Submit a PDF for AI analysis.
+ * Only claims the PDF and enqueues the job - the gate + analysis run in the ai-analysis worker.
+ * Also used to regenerate a completed analysis: the new result becomes a new revision, older ones are kept.
+ * skipGate runs the analysis on a PDF the debate gate rejected ("run analysis anyway").
+ * The chosen options (format, tone, length, difficulty, focus, bypassCache, skipGate) are stored on the PDF (analysisOptions) so retries and recovery use them too,
+ * together with the scoring rubric of the user's team (or the default rubric).
+ * An identical document analyzed before (same contentHash, prompts and model) is answered from the
+ * result cache right away (200); otherwise responds 202 and the dashboard polls /status.
+ * Over the daily or monthly AI quota -> 429 (checked before anything runs, cached replays included).
+ */
 export const submitPdfToAI = asyncHandler(async (req, res) => {
   const { publicId } = req.params;
+  const { format, tone, length, difficulty, focus, bypassCache, skipGate } = req.body;
 
   const pdf = await Pdf.findOne({
     publicId: decodeURIComponent(publicId),
     user: req.user._id,
-  }).select("+extractedText");
+  }).select("_id preprocessStatus status injectionRisk");
 
   if (!pdf) {
     throw new ApiError(404, "PDF not found, cannot submit to AI");
   }
 
-  // backend safety guard
-  if (pdf.status === "processing") {
+  if (pdf.preprocessStatus !== "completed") {
+    throw new ApiError(409, "PDF is still being prepared, please wait");
+  }
+
+  if (isQuarantined(pdf)) {
+    throw new ApiError(422, quarantineReasonFor(pdf.injectionRisk));
+  }
+
+  await assertWithinAiQuota(req.user._id);
+  const rubric = await rubricForUser(req.user);
+
+  // backend safety guard (atomic claim, so double clicks cannot enqueue twice)
+  const jobId = createAiJobId(pdf._id);
+  const claimed = await Pdf.findOneAndUpdate(
+    { _id: pdf._id, status: { $ne: "processing" } },
+    {
+      $set: {
+        status: "processing",
+        statusReason: null,
+        aiJobId: jobId,
+        "analysisOptions.format": format,
+        "analysisOptions.tone": tone,
+        "analysisOptions.length": length,
+        "analysisOptions.difficulty": difficulty,
+        "analysisOptions.focus": focus,
+        "analysisOptions.bypassCache": bypassCache,
+        "analysisOptions.skipGate": skipGate,
+        "analysisOptions.rubric": rubric,
+      },
+    },
+    { new: true },
+  );
+
+  if (!claimed) {
     throw new ApiError(409, "PDF is already being processed");
   }
-  pdf.status = "processing";
-  await pdf.save();
+
+  if (!bypassCache) {
+    const replayed = await replayCachedAnalysis(pdf._id, jobId);
+    if (replayed) {
+      return res.status(200).json(new ApiResponse(200, { pdf: safePdfResponse(replayed), cached: true }, "AI result reused from an identical document"));
+    }
+  }
 
   try {
-    // Debate gate
-    const gateResult = await analyzeDebateSutaibility({
-      text: pdf.extractedText,
-    });
+    await enqueueAiAnalysis(pdf._id, jobId);
+  } catch (err) {
+    console.error(`Failed to enqueue AI analysis for ${pdf._id}: ${err.message}`);
+    await markAnalysisFailed(pdf._id, jobId, "Could not start AI processing. Please try again.");
+    throw new ApiError(503, "Could not start AI processing. Please try again.");
+  }
 
-    // persist gate result early
-    pdf.aiResult = { gate: gateResult };
+  return res.status(202).json(new ApiResponse(202, { pdf: safePdfResponse(claimed) }, "AI processing started"));
+});
 
-    // Not debate-suitable → graceful exit
-    if (!gateResult.isDebate) {
-      pdf.status = "completed";
-      await pdf.save();
+/**
+ * Request a neutral summary of a PDF (works for any preprocessed PDF, debate or not).
+ * Runs next to the debate analysis: it has its own status (summaryStatus) and job id.
+ * Responds 202 immediately; the summary page polls /status until summaryStatus settles.
+ */
+export const requestPdfSummary = asyncHandler(async (req, res) => {
+  const { publicId } = req.params;
 
-      return res.status(200).json(new ApiResponse(200, { pdf: safePdfResponse(pdf) }, "PDF is not suitable for debate"));
-    }
+  const pdf = await Pdf.findOne({
+    publicId: decodeURIComponent(publicId),
+    user: req.user._id,
+  }).select("_id preprocessStatus injectionRisk");
 
-    // Debate-suitable → full analysis
-    if (!pdf.extractedText?.trim()) {
-      throw new ApiError(400, "No readable text found in PDF (possibly scanned)");
-    }
+  if (!pdf) {
+    throw new ApiError(404, "PDF not found");
+  }
 
-    const analysisResult = await generateDebateAnalysis({
-      text: pdf.extractedText,
-    });
+  if (pdf.preprocessStatus !== "completed") {
+    throw new ApiError(409, "PDF is still being prepared, please wait");
+  }
 
-    pdf.aiResult = {
-      gate: gateResult,
-      analysis: analysisResult,
-    };
-    pdf.status = "completed";
-    await pdf.save();
+  if (isQuarantined(pdf)) {
+    throw new ApiError(422, quarantineReasonFor(pdf.injectionRisk));
+  }
 
-    return res.status(200).json(new ApiResponse(200, { pdf: safePdfResponse(pdf) }, "AI processing completed"));
-  } catch (error) {
-    pdf.status = "failed";
-    await pdf.save();
+  await assertWithinAiQuota(req.user._id);
 
-    if (error?.status === 429 || error?.message?.toLowerCase().includes("quota") || error?.message?.toLowerCase().includes("rate")) {
-      throw new ApiError(429, "AI usage limit reached. Please try again later.");
-    }
+  const jobId = createAiJobId(pdf._id);
+  const claimed = await Pdf.findOneAndUpdate(
+    { _id: pdf._id, summaryStatus: { $ne: "processing" } },
+    { $set: { summaryStatus: "processing", summaryStatusReason: null, summaryJobId: jobId } },
+    { new: true },
+  );
 
-    // preserve ApiError if already thrown
-    if (error instanceof ApiError) {
-      throw error;
-    }
+  if (!claimed) {
+    throw new ApiError(409, "A summary is already being generated");
+  }
 
-    throw new ApiError(500, "AI processing failed. Please try again later.");
+  try {
+    await enqueueSummary(pdf._id, jobId);
+  } catch (err) {
+    console.error(`Failed to enqueue summary for ${pdf._id}: ${err.message}`);
+    await markSummaryFailed(pdf._id, jobId, "Could not start the summary. Please try again.");
+    throw new ApiError(503, "Could not start the summary. Please try again.");
   }
+
+  return res.status(202).json(new ApiResponse(202, { pdf: safePdfResponse(claimed) }, "Summary started"));
 });
@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+import { Pdf } from "../models/pdf.model.js";
+import { Synthesis } from "../models/synthesis.model.js";
+import { createAiJobId, enqueueSynthesis } from "../queues/aiAnalysis.queue.js";
+import { markSynthesisFailed } from "../services/ai/synthesis.services.js";
+import { isQuarantined } from "../services/ai/injectionScreening.services.js";
+import { assertWithinAiQuota } from "../services/ai/usage.services.js";
+import { ApiResponse, ApiError, asyncHandler } from "../utils/utilBarrel.js";
+
+/**
+ * Helper to return only safe fields (no internal ids or AI meta)
+ */
+const safeSynthesisResponse = (synthesis) => ({
+  synthesisId: synthesis._id.toString(),
+  documents: synthesis.documents.map((d) => ({ originalName: d.originalName })),
+  motion: synthesis.motion,
+  status: synthesis.status,
+  statusReason: synthesis.statusReason,
+  result: synthesis.result,
+  // prompt source id -> document name, for result.sourceNotes
+  sources: synthesis.meta?.sources?.map((s) => ({ source: s.source, name: s.name })) ?? [],
+  createdAt: synthesis.createdAt,
+});
+
+/**
+ * Create one synthesized analysis from several PDFs.
+ * Every PDF must belong to the user and have finished preprocessing (its chunks are the input).
+ * Responds 202 immediately; the synthesis runs in the ai-analysis worker.
+ */
+export const createSynthesis = asyncHandler(async (req, res) => {
+  const { publicIds, motion } = req.body;
+
+  const pdfs = await Pdf.find({
+    publicId: { $in: publicIds },
+    user: req.user._id,
+  }).select("_id publicId originalName preprocessStatus injectionRisk");
+
+  if (pdfs.length !== publicIds.length) {
+    throw new ApiError(404, "One or more PDFs were not found");
+  }
+
+  if (pdfs.some((p) => p.preprocessStatus !== "completed")) {
+    throw new ApiError(409, "All selected PDFs must finish preparing first");
+  }
+
+  const quarantined = pdfs.filter(isQuarantined);
+  if (quarantined.length > 0) {
+    throw new ApiError(422, `Quarantined documents cannot be analyzed: ${quarantined.map((p) => p.originalName).join(", ")}`);
+  }
+
+  await assertWithinAiQuota(req.user._id);
+
+  // keep the user's selection order (the first document is usually the main case)
+  const ordered = publicIds.map((id) => pdfs.find((p) => p.publicId === id));
+
+  const synthesis = new Synthesis({
+    user: req.user._id,
+    pdfs: ordered.map((p) => p._id),
+    documents: ordered.map((p) => ({ pdf: p._id, originalName: p.originalName })),
+    motion: motion || null,
+  });
+  const jobId = createAiJobId(synthesis._id);
+  synthesis.aiJobId = jobId;
+  await synthesis.save();
+
+  try {
+    await enqueueSynthesis(synthesis._id, jobId);
+  } catch (err) {
+    console.error(`Failed to enqueue synthesis ${synthesis._id}: ${err.message}`);
+    await markSynthesisFailed(synthesis._id, jobId, "Could not start the synthesis. Please try again.");
+    throw new ApiError(503, "Could not start the synthesis. Please try again.");
+  }
+
+  return res.status(202).json(new ApiResponse(202, { synthesis: safeSynthesisResponse(synthesis) }, "Synthesis started"));
+});
+
+// all syntheses of the user, newest first (without the full result)
+export const getMySyntheses = asyncHandler(async (req, res) => {
+  const syntheses = await Synthesis.find({ user: req.user._id })
+    .select("documents motion status statusReason result.motion createdAt")
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return res.status(200).json(new ApiResponse(200, { syntheses: syntheses.map(safeSynthesisResponse) }, "Syntheses fetched"));
+});
+
+// single synthesis for the results page (also polled while processing)
+export const getSynthesis = asyncHandler(async (req, res) => {
+  const { synthesisId } = req.params;
+
+  if (!mongoose.isValidObjectId(synthesisId)) {
+    throw new ApiError(404, "Synthesis not found");
+  }
+
+  const synthesis = await Synthesis.findOne({ _id: synthesisId, user: req.user._id }).lean();
+  if (!synthesis) throw new ApiError(404, "Synthesis not found");
+
+  return res.status(200).json(new ApiResponse(200, { synthesis: safeSynthesisResponse(synthesis) }, "Synthesis fetched"));
+});
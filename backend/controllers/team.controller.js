@@ -0,0 +1,114 @@
+import crypto from "crypto";
+import { Team } from "../models/team.model.js";
+import { User } from "../models/User.js";
+import { buildRubric, resolveRubric } from "../services/ai/rubrics.js";
+import { ApiResponse, ApiError, asyncHandler } from "../utils/utilBarrel.js";
+
+const newInviteCode = () => crypto.randomBytes(4).toString("hex").toUpperCase();
+
+/**
+ * Team as its members see it (the invite code only for the coach).
+ */
+async function teamResponse(team, userId) {
+  const isCoach = team.coach.equals(userId);
+  const members = await User.find({ team: team._id }).select("-_id username fullname").sort({ username: 1 }).lean();
+  const coach = await User.findById(team.coach).select("-_id username fullname").lean();
+
+  return {
+    name: team.name,
+    isCoach,
+    inviteCode: isCoach ? team.inviteCode : null,
+    coach,
+    members,
+    rubric: resolveRubric(team.rubric),
+    customRubric: Boolean(team.rubric),
+  };
+}
+
+async function findOwnTeam(req) {
+  if (!req.user.team) throw new ApiError(404, "You are not in a team");
+  const team = await Team.findById(req.user.team);
+  if (!team) throw new ApiError(404, "You are not in a team");
+  return team;
+}
+
+async function findCoachedTeam(req) {
+  const team = await findOwnTeam(req);
+  if (!team.coach.equals(req.user._id)) throw new ApiError(403, "Only the team's coach can change its rubric");
+  return team;
+}
+
+// the user's team, or null
+export const getMyTeam = asyncHandler(async (req, res) => {
+  const team = req.user.team ? await Team.findById(req.user.team) : null;
+  return res.status(200).json(new ApiResponse(200, { team: team ? await teamResponse(team, req.user._id) : null }, "Team fetched"));
+});
+
+/**
+ * Create a team; the creator becomes its coach (and a member).
+ */
+export const createTeam = asyncHandler(async (req, res) => {
+  if (req.user.team) throw new ApiError(409, "You are already in a team. Leave it first.");
+
+  const team = await Team.create({ name: req.body.name, coach: req.user._id, inviteCode: newInviteCode() });
+
+  // claim conditionally: two parallel creates must not leave the user in two teams
+  const joined = await User.updateOne({ _id: req.user._id, team: null }, { $set: { team: team._id } });
+  if (joined.modifiedCount === 0) {
+    await Team.deleteOne({ _id: team._id });
+    throw new ApiError(409, "You are already in a team. Leave it first.");
+  }
+
+  return res.status(201).json(new ApiResponse(201, { team: await teamResponse(team, req.user._id) }, "Team created"));
+});
+
+export const joinTeam = asyncHandler(async (req, res) => {
+  if (req.user.team) throw new ApiError(409, "You are already in a team. Leave it first.");
+
+  const team = await Team.findOne({ inviteCode: req.body.inviteCode });
+  if (!team) throw new ApiError(404, "No team has this invite code");
+
+  const joined = await User.updateOne({ _id: req.user._id, team: null }, { $set: { team: team._id } });
+  if (joined.modifiedCount === 0) throw new ApiError(409, "You are already in a team. Leave it first.");
+
+  return res.status(200).json(new ApiResponse(200, { team: await teamResponse(team, req.user._id) }, "Joined team"));
+});
+
+/**
+ * Leave the team. A coach leaving closes the team: every member is removed and the default rubric applies again.
+ * Analyses already submitted keep the rubric they were submitted with.
+ */
+export const leaveTeam = asyncHandler(async (req, res) => {
+  const team = await findOwnTeam(req);
+
+  if (team.coach.equals(req.user._id)) {
+    await User.updateMany({ team: team._id }, { $set: { team: null } });
+    await Team.deleteOne({ _id: team._id });
+    return res.status(200).json(new ApiResponse(200, { team: null }, "Team closed"));
+  }
+
+  await User.updateOne({ _id: req.user._id }, { $set: { team: null } });
+  return res.status(200).json(new ApiResponse(200, { team: null }, "Left team"));
+});
+
+/**
+ * Replace the team's rubric (coach only). Applies to analyses submitted from now on.
+ */
+export const updateTeamRubric = asyncHandler(async (req, res) => {
+  const team = await findCoachedTeam(req);
+
+  team.rubric = buildRubric(req.body);
+  await team.save();
+
+  return res.status(200).json(new ApiResponse(200, { team: await teamResponse(team, req.user._id) }, "Rubric updated"));
+});
+
+// back to the default rubric (coach only)
+export const resetTeamRubric = asyncHandler(async (req, res) => {
+  const team = await findCoachedTeam(req);
+
+  team.rubric = null;
+  await team.save();
+
+  return res.status(200).json(new ApiResponse(200, { team: await teamResponse(team, req.user._id) }, "Rubric reset to the default"));
+});
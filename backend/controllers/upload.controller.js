@@ -5,6 +5,15 @@ import { Pdf } from "../models/pdf.model.js";
 import { ApiError, ApiResponse, asyncHandler } from "../utils/utilBarrel.js";
 import { enqueuePdfPreprocess, pdfPreprocessQueue } from "../queues/pdfPreprocess.queue.js";
 import { PdfChunk } from "../models/pdfChunk.model.js";
+import { DebateSession } from "../models/debateSession.model.js";
+import { RebuttalGrade } from "../models/rebuttalGrade.model.js";
+import { FallacyFinding } from "../models/fallacyFinding.model.js";
+import { AnalysisRevision } from "../models/analysisRevision.model.js";
+import { SpeechOutline } from "../models/speechOutline.model.js";
+import { QuestionBank } from "../models/questionBank.model.js";
+import { StudySet } from "../models/studySet.model.js";
+import { ReviewCard } from "../models/reviewCard.model.js";
+import { deleteRebuttalFile } from "../services/ai/rebuttalGrading.services.js";
 
 /**
  * Safely delete local uploaded file (disk storage cleanup)
@@ -95,6 +104,7 @@ export const uploadPdfController = asyncHandler(async (req, res) => {
         createdAt: pdfDoc.createdAt,
         preprocessStatus: pdfDoc.preprocessStatus,
         status: pdfDoc.status,
+        summaryStatus: pdfDoc.summaryStatus,
       }
     }, "Upload successful, preprocessing started")
   );
@@ -161,6 +171,18 @@ export const deletePdf = asyncHandler(async (req, res) => {
   // Delete chunks (may not exist if preprocessing hasn't completed yet)
   await PdfChunk.deleteMany({ pdf: pdf._id });
 
+  // Delete debate sessions, graded rebuttals, fallacy findings, analysis revisions, speech outlines, the question bank, the study set and its review cards of this PDF
+  await DebateSession.deleteMany({ pdf: pdf._id });
+  await FallacyFinding.deleteMany({ pdf: pdf._id });
+  await AnalysisRevision.deleteMany({ pdf: pdf._id });
+  await SpeechOutline.deleteMany({ pdf: pdf._id });
+  await QuestionBank.deleteMany({ pdf: pdf._id });
+  await StudySet.deleteMany({ pdf: pdf._id });
+  await ReviewCard.deleteMany({ pdf: pdf._id });
+  const pendingFiles = await RebuttalGrade.find({ pdf: pdf._id, filePublicId: { $ne: null } }).select("filePublicId").lean();
+  await Promise.allSettled(pendingFiles.map((r) => deleteRebuttalFile(r.filePublicId)));
+  await RebuttalGrade.deleteMany({ pdf: pdf._id });
+
   // Delete PDF document
   await Pdf.deleteOne({ _id: pdf._id });
 
@@ -0,0 +1,11 @@
+import { getUsageReport } from "../services/ai/usage.services.js";
+import { ApiResponse, asyncHandler } from "../utils/utilBarrel.js";
+
+/**
+ * The user's AI usage: quotas (used / limit / reset time), this month by source,
+ * the last 30 days and the latest model calls.
+ */
+export const getMyUsage = asyncHandler(async (req, res) => {
+  const usage = await getUsageReport(req.user._id);
+  return res.status(200).json(new ApiResponse(200, usage, "AI usage fetched"));
+});
@@ -97,3 +97,57 @@ export const updateUsernameLimiter = rateLimit({
     });
   },
 });
+
+/**
+ * Debate turn limiter
+ * - Every turn is a model call
+ */
+export const debateTurnLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: "You are replying too quickly. Please wait a moment and try again.",
+      code: "RATE_LIMITED",
+    });
+  },
+});
+
+/**
+ * Speech outline limiter
+ * - Every outline is a long model call
+ */
+export const speechOutlineLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: "Too many speech outlines requested. Please wait a few minutes and try again.",
+      code: "RATE_LIMITED",
+    });
+  },
+});
+
+/**
+ * Drill answer limiter
+ * - Every answer is graded by a model call
+ */
+export const drillAnswerLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  max: 40,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: "You are answering too quickly. Please wait a moment and try again.",
+      code: "RATE_LIMITED",
+    });
+  },
+});
@@ -50,6 +50,12 @@ const userSchema = new mongoose.Schema(
     emailVerificationExpiry: {
       type: Date,
     },
+    // team the user belongs to (coach or member); its rubric scores the user's analyses
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Team",
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+/**
+ * AI results shared across users: identical documents (same contentHash) reuse the
+ * gate / analysis produced for the first upload instead of calling the model again.
+ * Entries hold model output only - never user ids, names or document text.
+ */
+const aiResultCacheSchema = new mongoose.Schema(
+  {
+    // sha256 of the extracted text (Pdf.contentHash)
+    contentHash: {
+      type: String,
+      required: true,
+    },
+
+    // which pipeline step: "gate" | "analysis"
+    type: {
+      type: String,
+      enum: ["gate", "analysis"],
+      required: true,
+    },
+
+    // prompt versions + model + options that produced the result (services/ai/resultCache.services.js)
+    version: {
+      type: String,
+      required: true,
+    },
+
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    meta: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    hits: {
+      type: Number,
+      default: 0,
+    },
+
+    // refreshed on every hit; MongoDB's TTL monitor removes entries nobody used for a while
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+aiResultCacheSchema.index({ contentHash: 1, type: 1, version: 1 }, { unique: true });
+aiResultCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const AiResultCache = mongoose.model("AiResultCache", aiResultCacheSchema);
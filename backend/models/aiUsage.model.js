@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+/**
+ * Usage ledger: one entry per model call (generate, stream or embed), charged to the user
+ * whose request or job made it. Quotas and the usage panel aggregate this collection.
+ */
+const aiUsageSchema = new mongoose.Schema(
+  {
+    // null when a call ran outside any user context (should not happen, logged by the service)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // what started the call: ai-analysis job name ("analyze", "summarize", ...), "preprocess", "debateTurn", "speechOutline" or "drillAnswer"
+    source: {
+      type: String,
+      required: true,
+    },
+
+    // provider task ("debateGate", "analysisReduce", "embed", ...)
+    task: {
+      type: String,
+      required: true,
+    },
+
+    model: {
+      type: String,
+      required: true,
+    },
+
+    promptTokens: {
+      type: Number,
+      default: 0,
+    },
+
+    outputTokens: {
+      type: Number,
+      default: 0,
+    },
+
+    totalTokens: {
+      type: Number,
+      default: 0,
+    },
+
+    // embeddings report no usage: their tokens are estimated from the text length
+    estimated: {
+      type: Boolean,
+      default: false,
+    },
+
+    latencyMs: {
+      type: Number,
+      required: true,
+    },
+
+    // list-price estimate in USD (services/ai/usage.services.js)
+    costUsd: {
+      type: Number,
+      default: 0,
+    },
+
+    // the call threw (nothing billed as far as we know, kept for latency / error rates)
+    failed: {
+      type: Boolean,
+      default: false,
+    },
+
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    versionKey: false,
+  },
+);
+
+aiUsageSchema.index({ user: 1, createdAt: -1 });
+// the monthly quota only needs the current month; older entries are kept a year for the usage history
+aiUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 400 * 24 * 60 * 60 });
+
+export const AiUsage = mongoose.model("AiUsage", aiUsageSchema);
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+/**
+ * One completed analysis run of a PDF, numbered per PDF (1, 2, 3, ...).
+ * Pdf.aiResult holds the preferred revision; every other run stays here so the user
+ * can compare results produced with different options and switch back.
+ */
+const analysisRevisionSchema = new mongoose.Schema(
+  {
+    // ======================
+    // Ownership
+    // ======================
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    pdf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Pdf",
+      required: true,
+    },
+
+    // per-PDF sequence number (allocated from Pdf.revisionCount)
+    number: {
+      type: Number,
+      required: true,
+    },
+
+    // resolved options the run used (services/ai/analysisOptions.js)
+    options: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    // ======================
+    // Result (same fields as Pdf.aiResult, without the neutral summary)
+    // ======================
+    // { gate, gateOverride?, analysis?, format?, argumentMap?, fallacies? }
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    // { gate, analysis?, argumentMap?, fallacies? }
+    meta: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+analysisRevisionSchema.index({ pdf: 1, number: 1 }, { unique: true });
+
+export const AnalysisRevision = mongoose.model("AnalysisRevision", analysisRevisionSchema);
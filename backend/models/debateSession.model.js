@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+
+const debateTurnSchema = new mongoose.Schema(
+  {
+    // "ai" = opposing side, "user" = the student
+    role: {
+      type: String,
+      enum: ["ai", "user"],
+      required: true,
+    },
+
+    content: {
+      type: String,
+      required: true,
+    },
+
+    // which model/prompt produced an AI turn (null for user turns and the opening turn)
+    meta: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+const debateSessionSchema = new mongoose.Schema(
+  {
+    // ======================
+    // Ownership
+    // ======================
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    pdf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Pdf",
+      required: true,
+      index: true,
+    },
+
+    // motion detected by the debate gate (copied so the session survives re-analysis)
+    topic: {
+      type: String,
+      required: true,
+    },
+
+    // ======================
+    // Conversation (ordered, oldest first)
+    // ======================
+    turns: {
+      type: [debateTurnSchema],
+      default: [],
+    },
+
+    // set while an AI reply is being generated, so two replies can never interleave
+    replyStartedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// list a user's sessions for a PDF, newest first
+debateSessionSchema.index({ user: 1, pdf: 1, updatedAt: -1 });
+
+export const DebateSession = mongoose.model("DebateSession", debateSessionSchema);
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+import { FALLACY_SEVERITIES } from "../services/ai/fallacyTaxonomy.js";
+
+/**
+ * One fallacy found in a user's speech. Kept as its own collection (not only in Pdf.aiResult)
+ * so a student's recurring fallacies can be counted across all their documents.
+ */
+const fallacyFindingSchema = new mongoose.Schema(
+  {
+    // ======================
+    // Ownership
+    // ======================
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    pdf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Pdf",
+      required: true,
+      index: true,
+    },
+
+    // ======================
+    // Finding
+    // ======================
+    // key from services/ai/fallacyTaxonomy.js
+    type: {
+      type: String,
+      required: true,
+    },
+
+    severity: {
+      type: String,
+      enum: FALLACY_SEVERITIES,
+      required: true,
+    },
+
+    // offending span: verified verbatim quote and the chunk it is in (null = full-text mode)
+    quote: {
+      type: String,
+      required: true,
+    },
+
+    chunk: {
+      type: Number,
+      default: null,
+    },
+
+    explanation: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// per-user breakdown by type, newest first
+fallacyFindingSchema.index({ user: 1, type: 1, createdAt: -1 });
+
+export const FallacyFinding = mongoose.model("FallacyFinding", fallacyFindingSchema);
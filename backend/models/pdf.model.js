@@ -1,5 +1,28 @@
 import mongoose from "mongoose";
 
+// recognition result of one scanned page (utils/ocrPdfText.js)
+const ocrPageSchema = new mongoose.Schema(
+  {
+    page: { type: Number, required: true }, // 1-based
+    confidence: { type: Number, required: true }, // 0-100
+    words: { type: Number, default: 0 },
+    kept: { type: Boolean, default: true }, // false = below the confidence floor, left out of extractedText
+  },
+  { _id: false },
+);
+
+const ocrSchema = new mongoose.Schema(
+  {
+    engine: { type: String, required: true },
+    confidence: { type: Number, default: null }, // 0-100, mean of the kept pages (null = no page kept)
+    pages: { type: [ocrPageSchema], default: [] },
+    pageCount: { type: Number, required: true }, // pages in the PDF
+    truncated: { type: Boolean, default: false }, // true = only the first MAX_OCR_PAGES were recognized
+    recognizedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
 const pdfSchema = new mongoose.Schema(
   {
     // ======================
@@ -66,6 +89,24 @@ const pdfSchema = new mongoose.Schema(
       select: false, // never send full text accidentally
     },
 
+    // prompt-injection screening of extractedText (services/ai/injectionScreening.services.js)
+    // level "high" = quarantined: no AI call accepts the document (until the owner releases it). null = screened before this existed
+    injectionRisk: {
+      score: { type: Number, default: null }, // 0-1
+      level: { type: String, enum: ["low", "medium", "high", null], default: null },
+      signals: { type: [String], default: undefined }, // keys of INJECTION_SIGNALS
+      classifier: { type: mongoose.Schema.Types.Mixed, default: null }, // verdict of the optional model call
+      screenedAt: { type: Date, default: null },
+      releasedAt: { type: Date, default: null }, // owner released a "high" document from quarantine
+    },
+
+    // OCR fallback (preprocess worker): set when extractedText was recognized from page images
+    // because the PDF has no text layer (scans). null = text came from the PDF's own text layer
+    ocr: {
+      type: ocrSchema,
+      default: null,
+    },
+
     // ======================
     // AI lifecycle (user-triggered)
     // ======================
@@ -76,12 +117,116 @@ const pdfSchema = new mongoose.Schema(
       index: true,
     },
 
+    // user-facing reason for the last AI failure (cleared on resubmit); set on a "completed" PDF
+    // when a regeneration failed and the previous result was kept
+    statusReason: {
+      type: String,
+      default: null,
+    },
+
+    // id of the ai-analysis job that owns the current run (stale jobs are ignored)
+    aiJobId: {
+      type: String,
+      default: null,
+    },
+
+    // options chosen at submit time, read by the worker (and by recovery re-runs)
+    analysisOptions: {
+      // debate format profile key (services/ai/debateFormats.js)
+      format: {
+        type: String,
+        default: "generic",
+      },
+
+      // style options (services/ai/analysisOptions.js)
+      tone: {
+        type: String,
+        default: "academic",
+      },
+
+      length: {
+        type: String,
+        default: "standard",
+      },
+
+      difficulty: {
+        type: String,
+        default: "intermediate",
+      },
+
+      // optional subject the analysis concentrates on (user text, max 120 chars)
+      focus: {
+        type: String,
+        default: null,
+      },
+
+      // skip the cross-user result cache for this run (models/aiResultCache.model.js)
+      bypassCache: {
+        type: Boolean,
+        default: false,
+      },
+
+      // "run analysis anyway": the user overrides the debate gate (recorded as aiResult.gateOverride)
+      skipGate: {
+        type: Boolean,
+        default: false,
+      },
+
+      // scoring rubric at submit time (the user's team rubric or the default, services/ai/rubrics.js)
+      rubric: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+      },
+    },
+
+    // ======================
+    // Analysis revisions (models/analysisRevision.model.js)
+    // ======================
+    // last allocated revision number (every completed run is kept as a revision)
+    revisionCount: {
+      type: Number,
+      default: 0,
+    },
+
+    // revision currently copied into aiResult (the user's pick, or the latest run)
+    preferredRevision: {
+      type: Number,
+      default: null,
+    },
+
+    // ======================
+    // Neutral summary lifecycle (user-triggered, independent of the debate analysis)
+    // ======================
+    summaryStatus: {
+      type: String,
+      enum: ["idle", "processing", "completed", "failed"],
+      default: "idle",
+      index: true,
+    },
+
+    summaryStatusReason: {
+      type: String,
+      default: null,
+    },
+
+    // id of the ai-analysis job that owns the current summary run
+    summaryJobId: {
+      type: String,
+      default: null,
+    },
+
     isConsumed: {
       type: Boolean,
       default: false,
       index: true,
     },
 
+    // opt-out from the cleanup of viewed non-debate PDFs (getMyPdfs)
+    keepAfterViewing: {
+      type: Boolean,
+      default: false,
+    },
+
     aiResult: {
       type: mongoose.Schema.Types.Mixed,
       default: null,
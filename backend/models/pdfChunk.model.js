@@ -35,6 +35,19 @@ const pdfChunkSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+
+    // vector used for retrieval (filled after chunking, backfilled lazily on retrieval)
+    embedding: {
+      type: [Number],
+      default: undefined,
+      select: false, // large array, only load when retrieving
+    },
+
+    // which embedding model produced the vector (vectors from different models are not comparable)
+    embeddingModel: {
+      type: String,
+      default: null,
+    },
   },
   {
     timestamps: true,
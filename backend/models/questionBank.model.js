@@ -0,0 +1,149 @@
+import mongoose from "mongoose";
+
+// one graded drill answer (services/ai/questionBank.services.js)
+const drillAttemptSchema = new mongoose.Schema(
+  {
+    answer: {
+      type: String,
+      required: true,
+    },
+
+    // 1-10 from the adjudicator
+    score: {
+      type: Number,
+      required: true,
+    },
+
+    feedback: {
+      type: [String],
+      default: [],
+    },
+
+    improvedAnswer: {
+      type: String,
+      default: null,
+    },
+
+    // which model/prompt graded the answer
+    meta: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+const bankQuestionSchema = new mongoose.Schema({
+  // "poi" = Point of Information during the speech, "crossExam" = cross-examination after it
+  kind: {
+    type: String,
+    enum: ["poi", "crossExam"],
+    required: true,
+  },
+
+  question: {
+    type: String,
+    required: true,
+  },
+
+  // the claim of the speech the question attacks (one-sentence summary)
+  targetClaim: {
+    type: String,
+    required: true,
+  },
+
+  // verified span of the targeted claim ([{ chunk, quote }], empty if the quote was not found)
+  citations: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+  },
+
+  difficulty: {
+    type: String,
+    enum: ["easy", "medium", "hard"],
+    required: true,
+  },
+
+  suggestedAnswer: {
+    type: String,
+    required: true,
+  },
+
+  // latest drill answers, oldest first (capped, see MAX_ATTEMPTS_PER_QUESTION)
+  attempts: {
+    type: [drillAttemptSchema],
+    default: [],
+  },
+});
+
+/**
+ * The Points of Information and cross-examination questions an opponent would ask
+ * about one PDF. One bank per PDF: regenerating replaces its questions (and their attempts).
+ */
+const questionBankSchema = new mongoose.Schema(
+  {
+    // ======================
+    // Ownership
+    // ======================
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    pdf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Pdf",
+      required: true,
+      unique: true,
+    },
+
+    // ======================
+    // Generation lifecycle (ai-analysis worker)
+    // ======================
+    status: {
+      type: String,
+      enum: ["processing", "completed", "failed"],
+      default: "processing",
+      index: true,
+    },
+
+    statusReason: {
+      type: String,
+      default: null,
+    },
+
+    // id of the ai-analysis job that owns the current run (stale jobs are ignored)
+    aiJobId: {
+      type: String,
+      default: null,
+    },
+
+    // ======================
+    // Questions (kept from the previous run while a regeneration is processing)
+    // ======================
+    questions: {
+      type: [bankQuestionSchema],
+      default: [],
+    },
+
+    generatedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // which model/prompt produced the questions
+    meta: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+export const QuestionBank = mongoose.model("QuestionBank", questionBankSchema);
@@ -0,0 +1,108 @@
+import mongoose from "mongoose";
+
+const rebuttalGradeSchema = new mongoose.Schema(
+  {
+    // ======================
+    // Ownership
+    // ======================
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    // the analyzed PDF whose counter-debate is being answered
+    pdf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Pdf",
+      required: true,
+      index: true,
+    },
+
+    // analysis revision whose counter-debate was graded (null for PDFs analyzed before revisions)
+    revision: {
+      type: Number,
+      default: null,
+    },
+
+    // ======================
+    // Submission
+    // ======================
+    source: {
+      type: String,
+      enum: ["text", "pdf"],
+      required: true,
+    },
+
+    // uploaded rebuttal PDF (only until the worker has extracted its text)
+    originalName: {
+      type: String,
+      default: null,
+    },
+
+    filePublicId: {
+      type: String,
+      default: null,
+    },
+
+    fileUrl: {
+      type: String,
+      default: null,
+    },
+
+    // rebuttal text (typed, or extracted from the uploaded PDF by the worker)
+    text: {
+      type: String,
+      default: null,
+      select: false,
+    },
+
+    // ======================
+    // Grading lifecycle (ai-analysis worker)
+    // ======================
+    status: {
+      type: String,
+      enum: ["processing", "completed", "failed"],
+      default: "processing",
+      index: true,
+    },
+
+    statusReason: {
+      type: String,
+      default: null,
+    },
+
+    // id of the ai-analysis job that owns the current run (stale jobs are ignored)
+    aiJobId: {
+      type: String,
+      default: null,
+    },
+
+    // { counterArguments, rubric, feedback } from the adjudicator
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    // 0-100, computed from the rubric (kept top-level so progress can be charted/sorted)
+    overallScore: {
+      type: Number,
+      default: null,
+    },
+
+    // which model/prompt produced the result
+    meta: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// a user's rebuttals for one PDF, oldest first (progress over time)
+rebuttalGradeSchema.index({ user: 1, pdf: 1, createdAt: 1 });
+
+export const RebuttalGrade = mongoose.model("RebuttalGrade", rebuttalGradeSchema);
@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+
+/**
+ * Spaced-repetition schedule of one study set item for its owner
+ * (services/study/spacedRepetition.js). Created due-now when the study set is generated.
+ */
+const reviewCardSchema = new mongoose.Schema(
+  {
+    // ======================
+    // Ownership
+    // ======================
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    pdf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Pdf",
+      required: true,
+      index: true,
+    },
+
+    studySet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StudySet",
+      required: true,
+    },
+
+    // ======================
+    // Reviewed item (subdocument of the study set)
+    // ======================
+    kind: {
+      type: String,
+      enum: ["flashcard", "multipleChoice"],
+      required: true,
+    },
+
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+
+    // ======================
+    // Schedule (SM-2 style)
+    // ======================
+    dueAt: {
+      type: Date,
+      required: true,
+    },
+
+    // days until the next review after a successful recall (0 = still learning)
+    intervalDays: {
+      type: Number,
+      default: 0,
+    },
+
+    ease: {
+      type: Number,
+      default: 2.5,
+    },
+
+    // successful reviews in a row
+    repetitions: {
+      type: Number,
+      default: 0,
+    },
+
+    // times the item was forgotten after being learned
+    lapses: {
+      type: Number,
+      default: 0,
+    },
+
+    lastReviewedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastGrade: {
+      type: String,
+      enum: ["again", "hard", "good", "easy", null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// due queue of a user
+reviewCardSchema.index({ user: 1, dueAt: 1 });
+
+export const ReviewCard = mongoose.model("ReviewCard", reviewCardSchema);
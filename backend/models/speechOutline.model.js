@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+
+// one timed section of the speech (budgets computed by services/ai/speechOutline.services.js)
+const outlineSectionSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true },
+    signpost: { type: String, required: true },
+    points: { type: [String], default: [] },
+    text: { type: String, required: true },
+    words: { type: Number, required: true },
+    seconds: { type: Number, required: true },
+    // offset from the start of the speech
+    startsAt: { type: Number, required: true },
+  },
+  { _id: false },
+);
+
+/**
+ * A timed speech outline of a PDF's counter-debate, for practicing delivery in a fixed slot.
+ */
+const speechOutlineSchema = new mongoose.Schema(
+  {
+    // ======================
+    // Ownership
+    // ======================
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    // the analyzed PDF whose counter-debate was outlined
+    pdf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Pdf",
+      required: true,
+    },
+
+    // analysis revision the counter-debate came from (null for PDFs analyzed before revisions)
+    revision: {
+      type: Number,
+      default: null,
+    },
+
+    // ======================
+    // Speaking slot
+    // ======================
+    minutes: {
+      type: Number,
+      required: true,
+    },
+
+    wordsPerMinute: {
+      type: Number,
+      required: true,
+    },
+
+    targetWords: {
+      type: Number,
+      required: true,
+    },
+
+    // ======================
+    // Outline
+    // ======================
+    sections: {
+      type: [outlineSectionSchema],
+      default: [],
+    },
+
+    totalWords: {
+      type: Number,
+      required: true,
+    },
+
+    totalSeconds: {
+      type: Number,
+      required: true,
+    },
+
+    // which model/prompt produced the outline
+    meta: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// a user's outlines for one PDF, newest first
+speechOutlineSchema.index({ user: 1, pdf: 1, createdAt: -1 });
+
+export const SpeechOutline = mongoose.model("SpeechOutline", speechOutlineSchema);
@@ -0,0 +1,125 @@
+import mongoose from "mongoose";
+
+// one multiple-choice question (services/ai/studySet.services.js)
+const multipleChoiceSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: true,
+  },
+
+  // always four options
+  options: {
+    type: [String],
+    required: true,
+  },
+
+  // 0-based index of the correct option
+  answerIndex: {
+    type: Number,
+    required: true,
+  },
+
+  explanation: {
+    type: String,
+    required: true,
+  },
+
+  // verified span the question is based on ([{ chunk, quote }])
+  citations: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+  },
+});
+
+const flashcardSchema = new mongoose.Schema({
+  front: {
+    type: String,
+    required: true,
+  },
+
+  back: {
+    type: String,
+    required: true,
+  },
+
+  // verified span the card is based on ([{ chunk, quote }])
+  citations: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+  },
+});
+
+/**
+ * Study material generated from one PDF: multiple-choice questions and flashcards.
+ * One set per PDF: regenerating replaces its items (and resets their review cards).
+ */
+const studySetSchema = new mongoose.Schema(
+  {
+    // ======================
+    // Ownership
+    // ======================
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    pdf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Pdf",
+      required: true,
+      unique: true,
+    },
+
+    // ======================
+    // Generation lifecycle (ai-analysis worker)
+    // ======================
+    status: {
+      type: String,
+      enum: ["processing", "completed", "failed"],
+      default: "processing",
+      index: true,
+    },
+
+    statusReason: {
+      type: String,
+      default: null,
+    },
+
+    // id of the ai-analysis job that owns the current run (stale jobs are ignored)
+    aiJobId: {
+      type: String,
+      default: null,
+    },
+
+    // ======================
+    // Items (kept from the previous run while a regeneration is processing)
+    // ======================
+    multipleChoice: {
+      type: [multipleChoiceSchema],
+      default: [],
+    },
+
+    flashcards: {
+      type: [flashcardSchema],
+      default: [],
+    },
+
+    generatedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // which model/prompt produced the items
+    meta: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+export const StudySet = mongoose.model("StudySet", studySetSchema);
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+const synthesisSchema = new mongoose.Schema(
+  {
+    // ======================
+    // Ownership
+    // ======================
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    // source PDFs, in the order the user selected them
+    pdfs: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Pdf" }],
+      required: true,
+      index: true,
+    },
+
+    // names at creation time (the result stays readable if a source PDF is deleted later)
+    documents: {
+      type: [
+        {
+          _id: false,
+          pdf: { type: mongoose.Schema.Types.ObjectId, ref: "Pdf" },
+          originalName: { type: String, required: true },
+        },
+      ],
+      default: [],
+    },
+
+    // optional motion given by the user (null = inferred by the model)
+    motion: {
+      type: String,
+      default: null,
+    },
+
+    // ======================
+    // AI lifecycle (ai-analysis worker)
+    // ======================
+    status: {
+      type: String,
+      enum: ["processing", "completed", "failed"],
+      default: "processing",
+      index: true,
+    },
+
+    statusReason: {
+      type: String,
+      default: null,
+    },
+
+    // id of the ai-analysis job that owns the current run (stale jobs are ignored)
+    aiJobId: {
+      type: String,
+      default: null,
+    },
+
+    // { motion, counterDebate, sourceNotes, strengths, weaknesses, rating, resources }
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    // which model/prompt produced the result and how much of each source was used
+    meta: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+export const Synthesis = mongoose.model("Synthesis", synthesisSchema);
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+/**
+ * A coach's team. Members join with the invite code (User.team points here);
+ * the coach can replace the default analysis rubric with the team's own.
+ */
+const teamSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // the user who created the team; only the coach edits the rubric or sees the invite code
+    coach: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    inviteCode: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // { name, criteria: [{ key, label, description, weight }] } built by services/ai/rubrics.js; null = default rubric
+    rubric: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+export const Team = mongoose.model("Team", teamSchema);
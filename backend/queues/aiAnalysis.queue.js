@@ -0,0 +1,123 @@
+/**
+ * AI Analysis Queue
+ *
+ * WHY A QUEUE:
+ * - Gate + analysis takes tens of seconds; the submit request must not hold the connection open
+ * - A server restart mid-call no longer leaves the PDF stuck in "processing"
+ *
+ * JOB IDENTITY:
+ * - Every submission gets a fresh jobId (`<pdfId>-<timestamp>`) stored on Pdf.aiJobId
+ * - The worker ignores jobs whose id no longer matches (stale duplicates after recovery)
+ * - Fresh ids also let a failed PDF be resubmitted while the old failed job is kept for debugging
+ *
+ * JOB NAMES:
+ * - "analyze": gate + analysis for a Pdf (owner id stored on Pdf.aiJobId)
+ * - "gradeRebuttal": grade a student's rebuttal (owner id stored on RebuttalGrade.aiJobId)
+ * - "synthesize": one opposition case from several PDFs (owner id stored on Synthesis.aiJobId)
+ * - "summarize": neutral summary of a Pdf (owner id stored on Pdf.summaryJobId)
+ * - "generateQuestions": POI / cross-examination question bank of a Pdf (owner id stored on QuestionBank.aiJobId)
+ * - "generateStudySet": quiz questions and flashcards of a Pdf (owner id stored on StudySet.aiJobId)
+ *
+ * BACKOFF:
+ * - "aiRateLimit" is a custom strategy implemented by the worker (see aiAnalysis.worker.js)
+ */
+
+import { Queue } from "bullmq";
+import RedisClient from "../redis/redis.js";
+
+// Producer connection (fail fast)
+const producerConnection = RedisClient.createConnection();
+
+export const aiAnalysisQueue = new Queue("ai-analysis", {
+  connection: producerConnection,
+  defaultJobOptions: {
+    attempts: 4,
+    backoff: {
+      type: "aiRateLimit",
+      delay: 5000, // base delay, rate-limit errors wait much longer (see worker)
+    },
+    removeOnComplete: 100,
+    removeOnFail: 200,
+  },
+});
+
+/**
+ * Create a unique job id for a new AI run.
+ * BullMQ rejects custom ids containing ":" so a dash is used.
+ * @param {string} documentId - id of the document that owns the run (Pdf, RebuttalGrade, Synthesis, QuestionBank, StudySet)
+ */
+export function createAiJobId(documentId) {
+  return `${documentId.toString()}-${Date.now()}`;
+}
+
+/**
+ * Enqueue an AI analysis run.
+ * Caller must have stored jobId on Pdf.aiJobId first, otherwise the worker skips the job.
+ *
+ * @param {string} pdfId - MongoDB ObjectId of the PDF document
+ * @param {string} jobId - id from createAiJobId()
+ */
+export async function enqueueAiAnalysis(pdfId, jobId) {
+  await aiAnalysisQueue.add("analyze", { pdfId: pdfId.toString() }, { jobId });
+  console.log(`Enqueued AI analysis job: ${jobId}`);
+}
+
+/**
+ * Enqueue a rebuttal grading run.
+ * Caller must have stored jobId on RebuttalGrade.aiJobId first.
+ *
+ * @param {string} rebuttalId - MongoDB ObjectId of the RebuttalGrade document
+ * @param {string} jobId - id from createAiJobId()
+ */
+export async function enqueueRebuttalGrading(rebuttalId, jobId) {
+  await aiAnalysisQueue.add("gradeRebuttal", { rebuttalId: rebuttalId.toString() }, { jobId });
+  console.log(`Enqueued rebuttal grading job: ${jobId}`);
+}
+
+/**
+ * Enqueue a multi-document synthesis run.
+ * Caller must have stored jobId on Synthesis.aiJobId first.
+ *
+ * @param {string} synthesisId - MongoDB ObjectId of the Synthesis document
+ * @param {string} jobId - id from createAiJobId()
+ */
+export async function enqueueSynthesis(synthesisId, jobId) {
+  await aiAnalysisQueue.add("synthesize", { synthesisId: synthesisId.toString() }, { jobId });
+  console.log(`Enqueued synthesis job: ${jobId}`);
+}
+
+/**
+ * Enqueue a neutral summary run.
+ * Caller must have stored jobId on Pdf.summaryJobId first.
+ *
+ * @param {string} pdfId - MongoDB ObjectId of the PDF document
+ * @param {string} jobId - id from createAiJobId()
+ */
+export async function enqueueSummary(pdfId, jobId) {
+  await aiAnalysisQueue.add("summarize", { pdfId: pdfId.toString() }, { jobId });
+  console.log(`Enqueued summary job: ${jobId}`);
+}
+
+/**
+ * Enqueue a question bank run.
+ * Caller must have stored jobId on QuestionBank.aiJobId first.
+ *
+ * @param {string} bankId - MongoDB ObjectId of the QuestionBank document
+ * @param {string} jobId - id from createAiJobId()
+ */
+export async function enqueueQuestionBank(bankId, jobId) {
+  await aiAnalysisQueue.add("generateQuestions", { bankId: bankId.toString() }, { jobId });
+  console.log(`Enqueued question bank job: ${jobId}`);
+}
+
+/**
+ * Enqueue a study set run.
+ * Caller must have stored jobId on StudySet.aiJobId first.
+ *
+ * @param {string} studySetId - MongoDB ObjectId of the StudySet document
+ * @param {string} jobId - id from createAiJobId()
+ */
+export async function enqueueStudySet(studySetId, jobId) {
+  await aiAnalysisQueue.add("generateStudySet", { studySetId: studySetId.toString() }, { jobId });
+  console.log(`Enqueued study set job: ${jobId}`);
+}
@@ -0,0 +1,141 @@
+/**
+ * Live AI Analysis Stream (Redis pub/sub)
+ *
+ * WHY REDIS:
+ * - The model runs in the forked worker process, the SSE connection lives in the HTTP process
+ * - Pub/sub relays events between them without touching MongoDB
+ *
+ * DESIGN DECISIONS:
+ * - Worker side publishes on the shared worker client (RedisClient singleton)
+ * - HTTP side uses ONE lazily-created subscriber connection and fans events out in-process
+ * - Streamed text is also appended to a short-lived buffer key, so a browser that connects
+ *   mid-generation first receives everything generated so far (snapshot), then live deltas
+ * - Each delta carries its byte offset in the buffer, so the snapshot/live overlap can be trimmed
+ */
+
+import RedisClient from "./redis.js";
+
+const CHANNEL_PREFIX = "ai-stream:";
+const BUFFER_PREFIX = "ai-stream:buffer:";
+const BUFFER_TTL_SECONDS = 60 * 60; // 1 hour, only needed while a run is live
+
+const channelFor = (pdfId) => `${CHANNEL_PREFIX}${pdfId}`;
+const bufferKeyFor = (pdfId) => `${BUFFER_PREFIX}${pdfId}`;
+
+// ======================
+// Publisher (worker process)
+// ======================
+
+/**
+ * Start a fresh stream for a run (also used when a job is retried).
+ * @param {string} pdfId
+ */
+export async function resetAnalysisStream(pdfId) {
+  const client = RedisClient.getInstance().getClient();
+  await client.del(bufferKeyFor(pdfId));
+  await client.publish(channelFor(pdfId), JSON.stringify({ type: "reset" }));
+}
+
+/**
+ * Append streamed counter-debate text and publish it.
+ * @param {string} pdfId
+ * @param {string} text - newly generated text
+ */
+export async function publishAnalysisDelta(pdfId, text) {
+  const client = RedisClient.getInstance().getClient();
+  const key = bufferKeyFor(pdfId);
+
+  // APPEND returns the new byte length, which gives this delta's byte offset
+  const length = await client.append(key, text);
+  await client.expire(key, BUFFER_TTL_SECONDS);
+
+  const offset = length - Buffer.byteLength(text);
+  await client.publish(channelFor(pdfId), JSON.stringify({ type: "delta", text, offset }));
+}
+
+/**
+ * Publish a non-text event (stage change, completion, failure).
+ * @param {string} pdfId
+ * @param {{ type: "stage" | "done", [key: string]: any }} event
+ */
+export async function publishAnalysisEvent(pdfId, event) {
+  const client = RedisClient.getInstance().getClient();
+  await client.publish(channelFor(pdfId), JSON.stringify(event));
+}
+
+// ======================
+// Subscriber (HTTP process)
+// ======================
+
+let subscriber = null;
+let snapshotClient = null;
+const listeners = new Map(); // channel -> Set<listener>
+
+function getSubscriber() {
+  if (!subscriber) {
+    subscriber = RedisClient.createConnection();
+    subscriber.on("message", (channel, message) => {
+      const channelListeners = listeners.get(channel);
+      if (!channelListeners) return;
+
+      let event;
+      try {
+        event = JSON.parse(message);
+      } catch {
+        return;
+      }
+      channelListeners.forEach((listener) => listener(event));
+    });
+  }
+  return subscriber;
+}
+
+/**
+ * Subscribe to live events for a PDF.
+ * @param {string} pdfId
+ * @param {(event: object) => void} listener
+ * @returns {Promise<() => Promise<void>>} unsubscribe function
+ */
+export async function subscribeAnalysisStream(pdfId, listener) {
+  const channel = channelFor(pdfId);
+  const client = getSubscriber();
+
+  if (!listeners.has(channel)) {
+    listeners.set(channel, new Set());
+    await client.subscribe(channel);
+  }
+  listeners.get(channel).add(listener);
+
+  return async () => {
+    const channelListeners = listeners.get(channel);
+    if (!channelListeners) return;
+
+    channelListeners.delete(listener);
+    if (channelListeners.size === 0) {
+      listeners.delete(channel);
+      await client.unsubscribe(channel).catch(() => {});
+    }
+  };
+}
+
+/**
+ * Text streamed so far for the current run ("" if none).
+ * Uses the subscriber-independent producer connection since a subscribed client cannot run GET.
+ * @param {string} pdfId
+ */
+export async function getAnalysisStreamSnapshot(pdfId) {
+  if (!snapshotClient) snapshotClient = RedisClient.createConnection();
+  return (await snapshotClient.get(bufferKeyFor(pdfId))) || "";
+}
+
+/**
+ * Close HTTP-side connections (graceful shutdown).
+ * Open SSE responses get a "shutdown" event so they end and do not block server.close().
+ */
+export async function closeAnalysisStream() {
+  listeners.forEach((channelListeners) => channelListeners.forEach((listener) => listener({ type: "shutdown" })));
+  listeners.clear();
+  await Promise.allSettled([subscriber?.quit(), snapshotClient?.quit()]);
+  subscriber = null;
+  snapshotClient = null;
+}
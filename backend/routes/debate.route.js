@@ -0,0 +1,16 @@
+import express from "express";
+import { getDebateSession, listDebateSessions, postDebateTurn, startDebateSession } from "../controllers/debate.controller.js";
+import { verifyJwt } from "../middleware/authMiddleware.js";
+import { debateTurnLimiter } from "../middleware/rateLimiter.js";
+import { validate } from "../zod/validate.js";
+import { debateReplySchema, startDebateSchema } from "../zod/debateSchemas/debate.schema.js";
+
+const debateRouter = express.Router();
+
+// Interactive "argue back" sessions on an analyzed PDF
+debateRouter.post("/", verifyJwt, validate(startDebateSchema()), startDebateSession);
+debateRouter.get("/", verifyJwt, listDebateSessions); // ?publicId= to filter by PDF
+debateRouter.get("/:sessionId", verifyJwt, getDebateSession);
+debateRouter.post("/:sessionId/turns", verifyJwt, debateTurnLimiter, validate(debateReplySchema()), postDebateTurn);
+
+export default debateRouter;
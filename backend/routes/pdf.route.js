@@ -1,7 +1,19 @@
 import express from "express";
-import { getMyPdfs, getSinglePdf, markPdfAsConsumed, getPdfStatus } from "../controllers/pdf.controller.js";
+import { getMyPdfs, getSinglePdf, markPdfAsConsumed, getPdfStatus, streamPdfAnalysis, getPdfChunk, getArgumentMap, setKeepAfterViewing, setQuarantineRelease } from "../controllers/pdf.controller.js";
 import { verifyJwt } from "../middleware/authMiddleware.js";
-import { submitPdfToAI } from "../controllers/submitPdf.controller.js";
+import { requestPdfSummary, submitPdfToAI } from "../controllers/submitPdf.controller.js";
+import { getRebuttals, submitRebuttal } from "../controllers/rebuttal.controller.js";
+import { getRevision, getRevisions, preferRevision } from "../controllers/revision.controller.js";
+import { createSpeechOutline, getSpeechOutline, getSpeechOutlines } from "../controllers/speechOutline.controller.js";
+import { answerBankQuestion, getQuestionBank, requestQuestionBank } from "../controllers/questionBank.controller.js";
+import { getStudySet, requestStudySet } from "../controllers/studySet.controller.js";
+import { drillAnswerLimiter, speechOutlineLimiter } from "../middleware/rateLimiter.js";
+import { uploadPdf } from "../middleware/multer.middleware.js";
+import { validate } from "../zod/validate.js";
+import { submitPdfSchema } from "../zod/debateSchemas/submit.schema.js";
+import { keepPdfSchema, releasePdfSchema } from "../zod/debateSchemas/pdf.schema.js";
+import { speechOutlineRequestSchema } from "../zod/debateSchemas/speechOutline.schema.js";
+import { drillAnswerSchema } from "../zod/debateSchemas/drill.schema.js";
 
 const pdfRouter = express.Router();
 
@@ -9,8 +21,27 @@ const pdfRouter = express.Router();
 pdfRouter.get("/", verifyJwt, getMyPdfs);
 pdfRouter.get("/:publicId", verifyJwt, getSinglePdf);
 pdfRouter.get("/:publicId/status", verifyJwt, getPdfStatus);
-pdfRouter.post("/:publicId/submit", verifyJwt, submitPdfToAI);
+pdfRouter.get("/:publicId/stream", verifyJwt, streamPdfAnalysis); // SSE: live counter-debate
+pdfRouter.get("/:publicId/chunks/:index", verifyJwt, getPdfChunk); // citation context
+pdfRouter.get("/:publicId/argument-map", verifyJwt, getArgumentMap); // ?revision=<n> for an older run
+pdfRouter.get("/:publicId/revisions", verifyJwt, getRevisions);
+pdfRouter.get("/:publicId/revisions/:number", verifyJwt, getRevision);
+pdfRouter.patch("/:publicId/revisions/:number/prefer", verifyJwt, preferRevision);
+pdfRouter.post("/:publicId/submit", verifyJwt, validate(submitPdfSchema()), submitPdfToAI); // body: { format?, tone?, length?, difficulty?, focus?, bypassCache?, skipGate? }
+pdfRouter.post("/:publicId/summary", verifyJwt, requestPdfSummary); // neutral summary, any preprocessed PDF
 pdfRouter.patch("/:publicId/consume", verifyJwt, markPdfAsConsumed);
+pdfRouter.patch("/:publicId/keep", verifyJwt, validate(keepPdfSchema()), setKeepAfterViewing); // body: { keep }
+pdfRouter.patch("/:publicId/quarantine", verifyJwt, validate(releasePdfSchema()), setQuarantineRelease); // body: { release }
+pdfRouter.get("/:publicId/rebuttals", verifyJwt, getRebuttals);
+pdfRouter.post("/:publicId/rebuttals", verifyJwt, uploadPdf.single("file"), submitRebuttal); // JSON { text } or multipart file
+pdfRouter.get("/:publicId/outlines", verifyJwt, getSpeechOutlines);
+pdfRouter.get("/:publicId/outlines/:outlineId", verifyJwt, getSpeechOutline);
+pdfRouter.post("/:publicId/outlines", verifyJwt, speechOutlineLimiter, validate(speechOutlineRequestSchema()), createSpeechOutline); // body: { minutes?, wordsPerMinute? }
+pdfRouter.get("/:publicId/questions", verifyJwt, getQuestionBank);
+pdfRouter.post("/:publicId/questions", verifyJwt, requestQuestionBank); // (re)generate the POI / cross-examination bank
+pdfRouter.post("/:publicId/questions/:questionId/answers", verifyJwt, drillAnswerLimiter, validate(drillAnswerSchema()), answerBankQuestion); // body: { answer }
+pdfRouter.get("/:publicId/study", verifyJwt, getStudySet);
+pdfRouter.post("/:publicId/study", verifyJwt, requestStudySet); // (re)generate quiz questions and flashcards
 
 export default pdfRouter;
 
@@ -0,0 +1,14 @@
+import express from "express";
+import { getDueReviewCards, getReviewDecks, gradeReviewCard } from "../controllers/review.controller.js";
+import { verifyJwt } from "../middleware/authMiddleware.js";
+import { validate } from "../zod/validate.js";
+import { reviewGradeSchema } from "../zod/studySchemas/review.schema.js";
+
+const reviewRouter = express.Router();
+
+// Spaced-repetition reviews of the user's study sets (cards are created when a study set is generated)
+reviewRouter.get("/", verifyJwt, getReviewDecks);
+reviewRouter.get("/due", verifyJwt, getDueReviewCards); // ?publicId=<id>&limit=<n>
+reviewRouter.post("/:cardId", verifyJwt, validate(reviewGradeSchema()), gradeReviewCard); // body: { grade }
+
+export default reviewRouter;
@@ -0,0 +1,14 @@
+import express from "express";
+import { createSynthesis, getMySyntheses, getSynthesis } from "../controllers/synthesis.controller.js";
+import { verifyJwt } from "../middleware/authMiddleware.js";
+import { validate } from "../zod/validate.js";
+import { createSynthesisSchema } from "../zod/debateSchemas/synthesis.schema.js";
+
+const synthesisRouter = express.Router();
+
+// One opposition case from several PDFs
+synthesisRouter.post("/", verifyJwt, validate(createSynthesisSchema()), createSynthesis);
+synthesisRouter.get("/", verifyJwt, getMySyntheses);
+synthesisRouter.get("/:synthesisId", verifyJwt, getSynthesis);
+
+export default synthesisRouter;
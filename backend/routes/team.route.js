@@ -0,0 +1,20 @@
+import express from "express";
+import { createTeam, getMyTeam, joinTeam, leaveTeam, resetTeamRubric, updateTeamRubric } from "../controllers/team.controller.js";
+import { getMemberFallacyFindings, getMemberFallacyStats } from "../controllers/fallacy.controller.js";
+import { verifyJwt } from "../middleware/authMiddleware.js";
+import { validate } from "../zod/validate.js";
+import { createTeamSchema, joinTeamSchema, teamRubricSchema } from "../zod/teamSchemas/team.schema.js";
+
+const teamRouter = express.Router();
+
+// Teams (a coach and members); the coach's rubric scores the members' analyses
+teamRouter.get("/mine", verifyJwt, getMyTeam);
+teamRouter.post("/", verifyJwt, validate(createTeamSchema()), createTeam);
+teamRouter.post("/join", verifyJwt, validate(joinTeamSchema()), joinTeam);
+teamRouter.post("/leave", verifyJwt, leaveTeam);
+teamRouter.put("/mine/rubric", verifyJwt, validate(teamRubricSchema()), updateTeamRubric);
+teamRouter.delete("/mine/rubric", verifyJwt, resetTeamRubric);
+teamRouter.get("/mine/members/:username/fallacies", verifyJwt, getMemberFallacyStats); // coach only
+teamRouter.get("/mine/members/:username/fallacies/:type", verifyJwt, getMemberFallacyFindings);
+
+export default teamRouter;
@@ -3,6 +3,8 @@ import { changePassword, changeUsername, getCurrentUser, refreshAccessToken } fr
 import { verifyJwtOptional } from "../middleware/verifyOptionalJwt.js";
 import { verifyJwt } from "../middleware/authMiddleware.js";
 import { updateUsernameLimiter } from "../middleware/rateLimiter.js";
+import { getMyFallacyFindings, getMyFallacyStats } from "../controllers/fallacy.controller.js";
+import { getMyUsage } from "../controllers/usage.controller.js";
 
 const userRouter = express.Router();
 
@@ -10,5 +12,8 @@ userRouter.get("/me", verifyJwtOptional, getCurrentUser);
 userRouter.post("/refresh-token", refreshAccessToken);
 userRouter.post("/update-password", verifyJwt, changePassword);
 userRouter.post("/update-username", verifyJwt, updateUsernameLimiter, changeUsername);
+userRouter.get("/me/fallacies", verifyJwt, getMyFallacyStats); // recurring fallacies across all PDFs
+userRouter.get("/me/fallacies/:type", verifyJwt, getMyFallacyFindings);
+userRouter.get("/me/usage", verifyJwt, getMyUsage); // AI usage ledger totals and quotas
 
 export default userRouter;
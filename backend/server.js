@@ -19,7 +19,7 @@ const __dirname = path.dirname(__filename);
  * 
  * WORKER PROCESS:
  * - Own MongoDB/Redis connections
- * - Runs BullMQ PDF preprocessing worker
+ * - Runs BullMQ PDF preprocessing and AI analysis workers
  * - Receives shutdown signal from primary via IPC
  */
 
@@ -31,6 +31,7 @@ if (cluster.isPrimary) {
   const { default: app } = await import("./app.js");
   const { connectDB } = await import("./db/connectDB.js");
   const { default: RedisClient } = await import("./redis/redis.js");
+  const { validatePromptRegistry } = await import("./services/ai/promptRegistry.js");
 
   const port = process.env.PORT || 8080;
   const redisClient = RedisClient.getInstance();
@@ -76,7 +77,13 @@ if (cluster.isPrimary) {
     console.log(`\n${signal} received. Shutting down gracefully...`);
 
     try {
-      // 1. Stop accepting new HTTP requests
+      // 1. Stop accepting new HTTP requests (end live SSE streams first, they never finish on their own)
+      try {
+        const { closeAnalysisStream } = await import("./redis/analysisStream.js");
+        await closeAnalysisStream();
+      } catch (err) {
+        console.error("Error closing AI streams:", err.message);
+      }
       if (server) {
         await new Promise((res, rej) => {
           server.close((err) => {
@@ -104,7 +111,7 @@ if (cluster.isPrimary) {
         });
       }
 
-      // 3. Close BullMQ queue (producer side)
+      // 3. Close BullMQ queues (producer side)
       try {
         const { pdfPreprocessQueue } = await import("./queues/pdfPreprocess.queue.js");
         await pdfPreprocessQueue.close();
@@ -112,6 +119,13 @@ if (cluster.isPrimary) {
       } catch (err) {
         console.error("Error closing queue:", err.message);
       }
+      try {
+        const { aiAnalysisQueue } = await import("./queues/aiAnalysis.queue.js");
+        await aiAnalysisQueue.close();
+        console.log("AI analysis queue closed");
+      } catch (err) {
+        console.error("Error closing queue:", err.message);
+      }
 
       // 4. Close Redis connection
       await redisClient.disconnect();
@@ -148,6 +162,9 @@ if (cluster.isPrimary) {
 
   // Start the server
   try {
+    // Fail fast on a missing or mismatched AI prompt template
+    validatePromptRegistry();
+
     await connectDB();
 
     server = app.listen(port, () => {
@@ -0,0 +1,334 @@
+/**
+ * AI Analysis Pipeline (gate -> analysis -> persist)
+ *
+ * Runs inside the ai-analysis worker, never inside an HTTP request - except a cache-only replay
+ * (submitPdfToAI), which makes no model calls.
+ *
+ * DESIGN DECISIONS:
+ * - Every write is filtered by { _id, aiJobId } so a stale job can never overwrite a newer run
+ * - Throw = transient (BullMQ retries), Return = terminal (same rule as the preprocess worker)
+ * - Client errors (4xx except 429) are terminal: retrying the same input cannot succeed
+ * - Live progress (stages + counterDebate text) is published for SSE clients, best-effort:
+ *   a Redis hiccup must never fail the analysis itself
+ * - aiResult.meta records per step which model answered and whether its output needed repair
+ * - aiResult is written field by field: the neutral summary (aiResult.summary) lives next to
+ *   the debate result and has its own lifecycle, so a re-analysis must not wipe it
+ * - Gate and analysis are written in one update at the end of a run: a failed regeneration
+ *   leaves the last good result (and preferredRevision) untouched, and the PDF stays "completed"
+ *   with the failure in statusReason
+ * - The argument map and fallacy detection are best-effort extra steps: if one fails, the analysis
+ *   still completes without it and aiResult.meta.<step>.error records why
+ * - Gate and analysis results are shared across identical documents (resultCache.services.js);
+ *   a reused result is marked with meta.cache.hit
+ * - The gate's "not a debate" verdict can be overridden (gateOverrideFor): by the user ("run analysis anyway",
+ *   analysisOptions.skipGate) or by a verdict below the confidence threshold; aiResult.gateOverride records which.
+ *   An override is never lost: a regeneration the gate rejects again keeps the PDF's earlier override
+ * - Every completed run is also kept as a numbered revision (revisions.services.js); aiResult holds the
+ *   latest one until the user prefers another
+ */
+
+import { Pdf } from "../../models/pdf.model.js";
+import { ApiError } from "../../utils/ApiError.js";
+import { analyzeDebateSutaibility, gateOverrideFor } from "./debateGate.services.js";
+import { generateDebateAnalysis } from "./gemini.services.js";
+import { generateArgumentMap } from "./argumentMap.services.js";
+import { detectFallacies, replaceFallacyFindings } from "./fallacy.services.js";
+import { findCachedResult, peekCachedResult, storeCachedResult } from "./resultCache.services.js";
+import { archiveLegacyResult, earlierGateOverride, recordRevision } from "./revisions.services.js";
+import { isQuarantined, quarantineReasonFor } from "./injectionScreening.services.js";
+import { isRateLimitError } from "./utils/isRateLimitError.js";
+import { publishAnalysisDelta, publishAnalysisEvent, resetAnalysisStream } from "../../redis/analysisStream.js";
+
+const RATE_LIMIT_REASON = "AI usage limit reached. Please try again later.";
+const GENERIC_FAILURE_REASON = "AI processing failed. Please try again later.";
+
+/**
+ * Map an error to the reason shown on the dashboard card.
+ */
+export function failureReasonFor(error) {
+  if (isRateLimitError(error)) return RATE_LIMIT_REASON;
+  if (error instanceof ApiError && error.statusCode < 500) return error.message;
+  return GENERIC_FAILURE_REASON;
+}
+
+/**
+ * Client errors (4xx except 429) cannot succeed on retry.
+ */
+export function isTerminalError(error) {
+  return error instanceof ApiError && error.statusCode >= 400 && error.statusCode < 500 && !isRateLimitError(error);
+}
+
+/**
+ * Mark an analysis run as failed (only if the run is still current).
+ * A failed regeneration keeps the PDF "completed" with its previous result; statusReason says why the run failed.
+ */
+export async function markAnalysisFailed(pdfId, jobId, reason) {
+  const isRunning = { _id: pdfId, aiJobId: jobId, status: "processing" };
+
+  // a completed run always wrote aiResult.gate
+  const kept = await Pdf.updateOne({ ...isRunning, "aiResult.gate": { $ne: null } }, { $set: { status: "completed", statusReason: reason } });
+  const status = kept.modifiedCount > 0 ? "completed" : "failed";
+  const result = kept.modifiedCount > 0 ? kept : await Pdf.updateOne(isRunning, { $set: { status, statusReason: reason } });
+
+  if (result.modifiedCount > 0) {
+    await publishSafely(() => publishAnalysisEvent(pdfId, { type: "done", status, reason }));
+  }
+}
+
+async function publishSafely(publish) {
+  try {
+    await publish();
+  } catch (err) {
+    console.error(`AI stream publish failed: ${err.message}`);
+  }
+}
+
+/**
+ * Build an onCounterDebateDelta callback that publishes deltas in order.
+ * Returns the callback and a flush() to await pending publishes before "done".
+ */
+function createDeltaPublisher(pdfId) {
+  let chain = Promise.resolve();
+
+  return {
+    onDelta: (text) => {
+      chain = chain.then(() => publishSafely(() => publishAnalysisDelta(pdfId, text)));
+    },
+    flush: () => chain,
+  };
+}
+
+export const toResultMeta = (meta) => ({ ...meta, repaired: meta.repairAttempts > 0 });
+
+/**
+ * Run an optional step after the analysis. Never throws: a missing extra must not cost the finished analysis.
+ * @returns {Promise<{ result: any, meta: object }>} result null (and meta.error) on failure
+ */
+async function runOptionalStep(pdfId, step, generate) {
+  try {
+    const { result, meta } = await generate();
+    return { result, meta: toResultMeta(meta) };
+  } catch (error) {
+    console.error(`${step} failed for PDF ${pdfId}: ${error?.message || error}`);
+    return { result: null, meta: { error: failureReasonFor(error) } };
+  }
+}
+
+/**
+ * Dotted-path writes ("aiResult.gate") fail on a null aiResult, so start from an empty object.
+ */
+export async function ensureAiResult(pdfId) {
+  await Pdf.updateOne({ _id: pdfId, aiResult: null }, { $set: { aiResult: {} } });
+}
+
+const withCacheHit = (meta, storedAt) => ({ ...meta, cache: { hit: true, storedAt } });
+
+/**
+ * Whether both steps this PDF needs are cached, so the run can be replayed without the model.
+ */
+async function isFullyCached(pdf, keptOverride) {
+  if (pdf.analysisOptions?.bypassCache) return false;
+
+  if (!pdf.analysisOptions?.skipGate) {
+    const gate = await peekCachedResult({ contentHash: pdf.contentHash, type: "gate" });
+    if (!gate) return false;
+    if (!gate.result.isDebate && !gateOverrideFor(gate.result) && !keptOverride) return true;
+  }
+
+  return Boolean(await peekCachedResult({ contentHash: pdf.contentHash, type: "analysis", options: pdf.analysisOptions }));
+}
+
+/**
+ * Debate gate, reused from the cache when an identical document was gated before.
+ * @returns {Promise<{ result: object, meta: object }>}
+ */
+async function runGateStep(pdf, { useCache, cacheOnly }) {
+  const key = { contentHash: pdf.contentHash, type: "gate" };
+
+  const cached = useCache ? await findCachedResult(key) : null;
+  if (cached) return { result: cached.result, meta: withCacheHit(cached.meta, cached.storedAt) };
+  if (cacheOnly) throw new Error("AI cache entry disappeared during replay");
+
+  const gate = await analyzeDebateSutaibility({ text: pdf.extractedText });
+  const meta = toResultMeta(gate.meta);
+  await storeCachedResult({ ...key, result: gate.result, meta });
+  return { result: gate.result, meta };
+}
+
+/**
+ * "Run analysis anyway": the gate model is not called, the earlier verdict is kept for reference.
+ */
+const keptGateStep = (pdf) => ({ result: pdf.aiResult?.gate ?? null, meta: pdf.aiResult?.meta?.gate ?? null });
+
+/**
+ * Counter-debate analysis, argument map and fallacies, reused from the cache as one unit.
+ * @returns {Promise<{ analysis: object, format: string, argumentMap: object|null, fallacies: object[]|null, meta: object }>}
+ */
+async function runAnalysisSteps(pdf, topic, { useCache, cacheOnly, onProgress, onCounterDebateDelta }) {
+  const pdfId = pdf._id;
+  const key = { contentHash: pdf.contentHash, type: "analysis", options: pdf.analysisOptions };
+
+  const cached = useCache ? await findCachedResult(key) : null;
+  if (cached) {
+    onCounterDebateDelta(cached.result.analysis.counterDebate); // live viewers get the whole speech at once
+    const meta = Object.fromEntries(Object.entries(cached.meta).map(([step, m]) => [step, withCacheHit(m, cached.storedAt)]));
+    return { ...cached.result, meta };
+  }
+  if (cacheOnly) throw new Error("AI cache entry disappeared during replay");
+
+  // Debate-suitable -> full analysis (counterDebate streamed live)
+  await publishSafely(() => publishAnalysisEvent(pdfId, { type: "stage", stage: "analysis" }));
+  const analysis = await generateDebateAnalysis({
+    text: pdf.extractedText,
+    pdfId,
+    topic,
+    options: pdf.analysisOptions,
+    onCounterDebateDelta,
+  });
+  onProgress(75);
+
+  // Argument map of the document and the counter-debate's attacks on it
+  await publishSafely(() => publishAnalysisEvent(pdfId, { type: "stage", stage: "argumentMap" }));
+  const mapStep = await runOptionalStep(pdfId, "Argument map", () =>
+    generateArgumentMap({ text: pdf.extractedText, pdfId, counterDebate: analysis.result.counterDebate }),
+  );
+  onProgress(85);
+
+  // Fallacies in the user's speech (also stored per user as FallacyFinding)
+  await publishSafely(() => publishAnalysisEvent(pdfId, { type: "stage", stage: "fallacies" }));
+  const fallacyStep = await runOptionalStep(pdfId, "Fallacy detection", () => detectFallacies({ text: pdf.extractedText, pdfId }));
+
+  const result = { analysis: analysis.result, format: analysis.meta.format, argumentMap: mapStep.result, fallacies: fallacyStep.result };
+  const meta = { analysis: toResultMeta(analysis.meta), argumentMap: mapStep.meta, fallacies: fallacyStep.meta };
+
+  // incomplete results are not shared: the next run should get a chance to produce the missing parts
+  if (mapStep.result && fallacyStep.result) {
+    await storeCachedResult({ ...key, result, meta });
+  }
+
+  return { ...result, meta };
+}
+
+/**
+ * Run the debate gate and, if suitable, the full analysis for one PDF.
+ *
+ * @param {object} params
+ * @param {string} params.pdfId - MongoDB ObjectId of the PDF document
+ * @param {string} params.jobId - ai-analysis job id that owns this run
+ * @param {(progress: number) => void} [params.onProgress]
+ * @param {boolean} [params.cacheOnly] - replay cached results only; returns { status: "cacheMiss" } without
+ *   writing anything when a step would need the model (used by submitPdfToAI before enqueueing)
+ * @returns {Promise<{ status: string, reason?: string }>}
+ */
+export async function runPdfAnalysis({ pdfId, jobId, onProgress = () => {}, cacheOnly = false }) {
+  const pdf = await Pdf.findById(pdfId).select("+extractedText");
+  const isCurrent = { _id: pdfId, aiJobId: jobId };
+
+  if (!pdf?.extractedText?.trim()) {
+    const reason = "No readable text found in PDF (possibly scanned)";
+    await markAnalysisFailed(pdfId, jobId, reason);
+    return { status: "failed", reason };
+  }
+
+  // submit refuses quarantined PDFs; this covers jobs queued before the screening result existed
+  if (isQuarantined(pdf)) {
+    const reason = quarantineReasonFor(pdf.injectionRisk);
+    await markAnalysisFailed(pdfId, jobId, reason);
+    return { status: "failed", reason };
+  }
+
+  // an earlier override (e.g. "run analysis anyway", then a plain regenerate) still applies to this run
+  const keptOverride = pdf.aiResult?.gateOverride ?? (await earlierGateOverride(pdfId));
+
+  if (cacheOnly && !(await isFullyCached(pdf, keptOverride))) {
+    return { status: "cacheMiss" };
+  }
+  const cacheMode = { useCache: !pdf.analysisOptions?.bypassCache, cacheOnly };
+
+  // the final write below replaces aiResult: keep a pre-revision result in the history first
+  await archiveLegacyResult(pdf);
+
+  // fresh stream for this attempt (clears text from a failed previous attempt)
+  await publishSafely(() => resetAnalysisStream(pdfId));
+  const deltaPublisher = createDeltaPublisher(pdfId);
+
+  try {
+    onProgress(10);
+    const skipGate = Boolean(pdf.analysisOptions?.skipGate);
+    if (!skipGate) await publishSafely(() => publishAnalysisEvent(pdfId, { type: "stage", stage: "gate" }));
+
+    // Debate gate (skipped when the user overrode its verdict)
+    const gate = skipGate ? keptGateStep(pdf) : await runGateStep(pdf, cacheMode);
+    const gateResult = gate.result;
+    const gateOverride = gateOverrideFor(gateResult, { skipGate }) ?? (gateResult?.isDebate ? null : keptOverride);
+
+    // the gate is persisted together with the rest of the run: a run that fails later keeps the last good result
+    const gateFields = { "aiResult.gate": gateResult, "aiResult.gateOverride": gateOverride, "aiResult.meta.gate": gate.meta };
+    await ensureAiResult(pdfId);
+    onProgress(40);
+
+    // Not debate-suitable (and not overridden) -> graceful exit (clears the previous analysis, keeps the summary)
+    if (!gateResult?.isDebate && !gateOverride) {
+      const revision = await recordRevision({ pdf, jobId, result: { gate: gateResult }, meta: { gate: gate.meta } });
+      const done = await Pdf.updateOne(isCurrent, {
+        $set: { ...gateFields, status: "completed", statusReason: null, preferredRevision: revision },
+        $unset: {
+          "aiResult.analysis": "",
+          "aiResult.format": "",
+          "aiResult.argumentMap": "",
+          "aiResult.fallacies": "",
+          "aiResult.meta.analysis": "",
+          "aiResult.meta.argumentMap": "",
+          "aiResult.meta.fallacies": "",
+        },
+      });
+      if (done.modifiedCount > 0) await replaceFallacyFindings({ pdfId, userId: pdf.user, fallacies: [] });
+      await publishSafely(() => publishAnalysisEvent(pdfId, { type: "done", status: "completed" }));
+      return { status: "completed", isDebate: false };
+    }
+
+    const debate = await runAnalysisSteps(pdf, gateResult?.detectedTopic ?? null, { ...cacheMode, onProgress, onCounterDebateDelta: deltaPublisher.onDelta });
+    await deltaPublisher.flush();
+    onProgress(95);
+
+    const revision = await recordRevision({
+      pdf,
+      jobId,
+      result: { gate: gateResult, gateOverride, ...debate },
+      meta: { gate: gate.meta, ...debate.meta },
+    });
+
+    const done = await Pdf.updateOne(isCurrent, {
+      $set: {
+        ...gateFields,
+        "aiResult.analysis": debate.analysis,
+        "aiResult.format": debate.format,
+        "aiResult.argumentMap": debate.argumentMap,
+        "aiResult.fallacies": debate.fallacies,
+        "aiResult.meta.analysis": debate.meta.analysis,
+        "aiResult.meta.argumentMap": debate.meta.argumentMap,
+        "aiResult.meta.fallacies": debate.meta.fallacies,
+        preferredRevision: revision,
+        status: "completed",
+        statusReason: null,
+      },
+    });
+    if (done.modifiedCount > 0) {
+      await replaceFallacyFindings({ pdfId, userId: pdf.user, fallacies: debate.fallacies ?? [] });
+    }
+
+    // final structured result is persisted - clients refetch it on "done"
+    await publishSafely(() => publishAnalysisEvent(pdfId, { type: "done", status: "completed" }));
+
+    onProgress(100);
+    return { status: "completed", isDebate: true };
+  } catch (error) {
+    if (isTerminalError(error)) {
+      const reason = failureReasonFor(error);
+      await markAnalysisFailed(pdfId, jobId, reason);
+      return { status: "failed", reason };
+    }
+    // transient (provider outage, 429, DB hiccup) -> retry with backoff
+    throw error;
+  }
+}
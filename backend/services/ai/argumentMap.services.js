@@ -0,0 +1,62 @@
+/**
+ * Argument Map
+ *
+ * A graph of the document's argument (claims, premises, evidence, warrants and the support
+ * edges between them) plus the counter-debate's arguments as attack edges on specific nodes.
+ *
+ * DESIGN DECISIONS:
+ * - Generated by the analysis pipeline right after the counter-debate, which it needs as input
+ * - Best-effort: a failed map never fails the analysis (the pipeline records the error in meta instead)
+ * - Built from a context covering the whole document (like the summary), not the retrieved chunks:
+ *   the map is about the document's structure, not the passages most relevant to one query
+ * - Document nodes cite their source text; quotes are verified like the analysis citations
+ */
+
+import { ApiError } from "../../utils/ApiError.js";
+import { isRateLimitError } from "./utils/isRateLimitError.js";
+import { renderPrompt } from "./promptRegistry.js";
+import { generateStructured } from "./structuredOutput.services.js";
+import { createCitationVerifier, splitParagraphs } from "./citations.services.js";
+import { buildDocumentContext } from "./retrieval.services.js";
+import { argumentMapSchema } from "../../zod/aiSchemas/argumentMap.schema.js";
+
+/**
+ * Generate the argument map of a document and of the counter-debate that answers it.
+ *
+ * @param {object} params
+ * @param {string} params.text - full extracted text
+ * @param {string} params.pdfId - MongoDB ObjectId of the PDF (chunks are sampled for long documents)
+ * @param {string} params.counterDebate - the stored counter-debate
+ * @returns {Promise<{ result: { nodes: object[], edges: object[] }, meta: { model: string, prompt: object, repairAttempts: number, mode: string, citations: object } }>}
+ */
+export async function generateArgumentMap({ text, pdfId, counterDebate }) {
+  if (!text || !text.trim()) {
+    throw new ApiError(400, "Empty text provided for argument map");
+  }
+
+  const { context, sources, ...contextMeta } = await buildDocumentContext({ text, pdfId });
+  const { text: finalPrompt, prompt } = renderPrompt("argumentMap", {
+    TEXT: context,
+    COUNTER_DEBATE: splitParagraphs(counterDebate)
+      .map((p, i) => `[${i + 1}] ${p}`)
+      .join("\n\n"),
+  });
+
+  try {
+    const { data, model, repairAttempts } = await generateStructured({
+      task: "argumentMap",
+      prompt: finalPrompt,
+      schema: argumentMapSchema(),
+    });
+
+    const { verify, stats } = createCitationVerifier(sources);
+    const nodes = data.nodes.map((node) => ({ ...node, citations: node.side === "document" ? verify(node.citations) : [] }));
+
+    return { result: { nodes, edges: data.edges }, meta: { model, prompt, repairAttempts, ...contextMeta, citations: stats } };
+  } catch (error) {
+    console.error("AI argument map error:", error?.message || error);
+    if (error instanceof ApiError) throw error;
+    if (isRateLimitError(error)) throw new ApiError(429, "AI usage limit reached. Please try again later.");
+    throw new ApiError(500, "Argument map generation failed");
+  }
+}
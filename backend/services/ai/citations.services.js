@@ -0,0 +1,118 @@
+/**
+ * Citation Verification
+ *
+ * Analysis items cite the text they are about: { chunk, quote } where chunk is a PdfChunk
+ * index (null when the prompt held the full text instead of chunks).
+ * Models misquote, so every quote is checked against the source text before it is stored.
+ *
+ * DESIGN DECISIONS:
+ * - Matching ignores case, whitespace and typographic quote/dash differences, nothing more
+ * - A quote found in a different chunk than cited is re-pointed to that chunk
+ * - A quote found nowhere is dropped (counted in meta, never shown to the user)
+ * - Very short quotes ("the", "however") match anywhere and prove nothing, so they are dropped too
+ */
+
+const MAX_CITATIONS_PER_ITEM = 3;
+const MIN_QUOTE_WORDS = 3;
+
+const CITED_LISTS = ["strengths", "weaknesses", "grammarNotes"];
+
+function normalizeForMatch(text) {
+  return text
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, "-")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// models like to wrap quotes in quotation marks or ellipses
+const trimQuote = (quote) => quote.replace(/^[\s"'“”‘’.…]+|[\s"'“”‘’…]+$/g, "");
+
+/**
+ * Split a counter-debate into the paragraphs its citations refer to (1-based in the prompt).
+ */
+export function splitParagraphs(text) {
+  return (text || "")
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Create a verifier over the source text the model was shown.
+ *
+ * @param {Array<{ index: number|null, text: string }>} sources - prompt chunks (index null = full text)
+ * @returns {{ verify: (citations: Array<{ chunk: number|null, quote: string }>) => Array<{ chunk: number|null, quote: string }>, stats: object }}
+ */
+export function createCitationVerifier(sources) {
+  const normalized = sources.map((s) => ({ index: s.index ?? null, text: normalizeForMatch(s.text || "") }));
+  const stats = { total: 0, verified: 0, repointed: 0, dropped: 0 };
+
+  function locate(citation) {
+    const quote = normalizeForMatch(trimQuote(citation.quote || ""));
+    if (quote.split(" ").length < MIN_QUOTE_WORDS) return null;
+
+    const cited = normalized.find((s) => s.index === (citation.chunk ?? null));
+    if (cited?.text.includes(quote)) return { chunk: cited.index, repointed: false };
+
+    const other = normalized.find((s) => s !== cited && s.text.includes(quote));
+    return other ? { chunk: other.index, repointed: true } : null;
+  }
+
+  function verify(citations = []) {
+    const kept = [];
+
+    for (const citation of citations) {
+      stats.total++;
+      const found = locate(citation);
+      const duplicate = found && kept.some((k) => k.chunk === found.chunk && k.quote === trimQuote(citation.quote));
+
+      if (!found || duplicate || kept.length >= MAX_CITATIONS_PER_ITEM) {
+        stats.dropped++;
+        continue;
+      }
+
+      stats.verified++;
+      if (found.repointed) stats.repointed++;
+      kept.push({ chunk: found.chunk, quote: trimQuote(citation.quote) });
+    }
+
+    return kept;
+  }
+
+  return { verify, stats };
+}
+
+/**
+ * Verify every citation of a debate analysis against the chunks it was generated from.
+ *
+ * @param {object} analysis - output of debateAnalysisSchema()
+ * @param {Array<{ index: number|null, text: string }>} sources
+ * @returns {{ result: object, stats: { total: number, verified: number, repointed: number, dropped: number } }}
+ */
+export function verifyAnalysisCitations(analysis, sources) {
+  const { verify, stats } = createCitationVerifier(sources);
+  const paragraphCount = splitParagraphs(analysis.counterDebate).length;
+
+  const result = { ...analysis };
+  for (const list of CITED_LISTS) {
+    result[list] = analysis[list].map((item) => ({ ...item, citations: verify(item.citations) }));
+  }
+
+  result.counterDebateCitations = [];
+  for (const entry of analysis.counterDebateCitations) {
+    // a paragraph the counter-debate does not have: its citations cannot be placed
+    if (entry.paragraph > paragraphCount) {
+      stats.total += entry.citations.length;
+      stats.dropped += entry.citations.length;
+      continue;
+    }
+
+    const citations = verify(entry.citations);
+    if (citations.length > 0) result.counterDebateCitations.push({ paragraph: entry.paragraph, citations });
+  }
+
+  return { result, stats };
+}
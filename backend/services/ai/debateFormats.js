@@ -0,0 +1,159 @@
+/**
+ * Debate Format Profiles
+ *
+ * The counter-debate is written for the competition format chosen at submit time.
+ * A profile sets the speaker roles, time limits and judging criteria the prompt describes,
+ * the expected speech length, and the format-specific output fields (analysis.formatFields).
+ *
+ * DESIGN DECISIONS:
+ * - "generic" keeps the original behavior: one opposing speech as long as the document, no extra fields
+ * - Timed formats derive their length from the speech time, not from the document
+ * - Each profile owns the zod schema of its formatFields, so the prompt and validation cannot drift apart
+ */
+
+import * as z from "zod";
+
+export const DEFAULT_DEBATE_FORMAT = "generic";
+
+export const WORDS_PER_MINUTE = 150; // competitive speaking pace, used for speech length targets
+
+const clash = () => z.object({ question: z.string().trim().min(1), opposition: z.string().trim().min(1) }).strict();
+
+export const DEBATE_FORMATS = {
+  generic: {
+    label: "Generic speech",
+    speechMinutes: null,
+    roles: "None. The document is a single-sided speech for or against a position.",
+    judging: "Quality of reasoning, evidence and direct engagement with the document's arguments.",
+    counterRole: "Write one opposing speech that answers the document.",
+    fields: "null",
+    fieldGuidelines: "formatFields: always null.",
+    fieldsSchema: () => z.null(),
+  },
+
+  bp: {
+    label: "British Parliamentary",
+    speechMinutes: 7,
+    roles:
+      "Four teams of two: Opening Government (Prime Minister, Deputy Prime Minister), Opening Opposition (Leader and Deputy Leader of the Opposition), " +
+      "Closing Government (Member, Government Whip) and Closing Opposition (Member, Opposition Whip). Points of Information are allowed after the first and before the last minute.",
+    judging: "Teams are ranked 1st to 4th by how persuasive they were to an average reasonable person; engagement with the strongest opposing material and weighing of clashes decide close calls.",
+    counterRole: "Write the Opposition's case answering the document, as the Leader of the Opposition would deliver it.",
+    fields: '{ "whipSpeech": { "clashes": { "question": string, "opposition": string }[], "weighing": string } }',
+    fieldGuidelines:
+      "formatFields.whipSpeech: how the Opposition Whip would summarise the debate. clashes: 2–3 key clashes phrased as questions, " +
+      "each with why the Opposition wins it; weighing: why the most important clash decides the debate. The whip adds NO new arguments.",
+    fieldsSchema: () =>
+      z.object({ whipSpeech: z.object({ clashes: z.array(clash()).min(1), weighing: z.string().trim().min(1) }).strict() }).strict(),
+  },
+
+  worldSchools: {
+    label: "World Schools",
+    speechMinutes: 8,
+    roles:
+      "Two teams of three (Proposition, Opposition). Each speaker gives an 8-minute substantive speech; the first or second speaker then gives a 4-minute reply speech, Opposition first. " +
+      "Points of Information are allowed during substantive speeches, except in the first and last minute.",
+    judging: "Content 40%, Style 40%, Strategy 20%.",
+    counterRole: "Write the Opposition's case answering the document, as the first Opposition speaker would deliver it.",
+    fields: '{ "caseSplit": { "speaker": number, "responsibility": string, "arguments": string[] }[], "replyOutline": string[] }',
+    fieldGuidelines:
+      "formatFields.caseSplit: how the Opposition splits its case across speakers 1–3 (the third speaker focuses on rebuttal, not new arguments); " +
+      "replyOutline: 2–4 points of the Opposition reply speech, a biased summary of the clashes.",
+    fieldsSchema: () =>
+      z
+        .object({
+          caseSplit: z
+            .array(
+              z
+                .object({
+                  speaker: z.number().int().min(1).max(3),
+                  responsibility: z.string().trim().min(1),
+                  arguments: z.array(z.string()),
+                })
+                .strict(),
+            )
+            .min(1),
+          replyOutline: z.array(z.string().trim().min(1)).min(1),
+        })
+        .strict(),
+  },
+
+  ld: {
+    label: "Lincoln-Douglas",
+    speechMinutes: 7,
+    roles: "One-on-one: the Affirmative defends the resolution, the Negative opposes it. The Negative constructive is 7 minutes, followed by cross-examination.",
+    judging: "The round is decided on values: which debater better upholds the value at stake, measured by their criterion. Framework clash often decides the round.",
+    counterRole: "Write the Negative constructive answering the Affirmative case in the document.",
+    fields:
+      '{ "framework": { "value": string, "criterion": string, "justification": string }, "affirmativeFramework": { "value": string | null, "criterion": string | null } }',
+    fieldGuidelines:
+      "formatFields.framework: the Negative's value premise, value criterion and why they should frame the round; " +
+      "affirmativeFramework: the value and criterion the document uses (null where it does not state one).",
+    fieldsSchema: () =>
+      z
+        .object({
+          framework: z
+            .object({ value: z.string().trim().min(1), criterion: z.string().trim().min(1), justification: z.string() })
+            .strict(),
+          affirmativeFramework: z.object({ value: z.string().nullable(), criterion: z.string().nullable() }).strict(),
+        })
+        .strict(),
+  },
+
+  pf: {
+    label: "Public Forum",
+    speechMinutes: 4,
+    roles: "Two teams of two (Pro, Con). Constructive speeches are 4 minutes, followed by crossfire, rebuttal, summary and final focus.",
+    judging: "Aimed at a lay judge: clear, jargon-free argument backed by real-world evidence; the team whose impacts outweigh wins.",
+    counterRole: "Write the opposing team's constructive answering the document.",
+    fields: '{ "contentions": { "tag": string, "warrant": string, "impact": string }[], "voters": string[] }',
+    fieldGuidelines:
+      "formatFields.contentions: the 2–3 contentions of the constructive, each with a short tag, its warrant and its impact; " +
+      "voters: 2–3 voting issues for the final focus.",
+    fieldsSchema: () =>
+      z
+        .object({
+          contentions: z
+            .array(z.object({ tag: z.string().trim().min(1), warrant: z.string(), impact: z.string() }).strict())
+            .min(1),
+          voters: z.array(z.string().trim().min(1)),
+        })
+        .strict(),
+  },
+};
+
+export const DEBATE_FORMAT_KEYS = Object.keys(DEBATE_FORMATS);
+
+/**
+ * @param {string} [key]
+ * @returns {object} the profile with its key, "generic" for unknown or missing keys (PDFs submitted before formats)
+ */
+export function getDebateFormat(key) {
+  const resolved = Object.hasOwn(DEBATE_FORMATS, key ?? "") ? key : DEFAULT_DEBATE_FORMAT;
+  return { key: resolved, ...DEBATE_FORMATS[resolved] };
+}
+
+/**
+ * Expected counter-debate length: the speech time for timed formats, the document's length otherwise.
+ */
+export function targetWordCount(profile, documentWords) {
+  return profile.speechMinutes ? profile.speechMinutes * WORDS_PER_MINUTE : documentWords;
+}
+
+/**
+ * Format description inserted into the analysis prompts (FORMAT variable).
+ */
+export function renderFormatRules(profile, wordCount) {
+  const length = profile.speechMinutes
+    ? `a ${profile.speechMinutes}-minute speech, about ${wordCount} words`
+    : `the same length as the document, about ${wordCount} words`;
+
+  return [
+    `Format: ${profile.label}`,
+    `Roles and timing: ${profile.roles}`,
+    `Judging criteria: ${profile.judging}`,
+    `Your speech: ${profile.counterRole}`,
+    `Speech length: ${length}.`,
+    `Format fields: ${profile.fieldGuidelines}`,
+  ].join("\n");
+}
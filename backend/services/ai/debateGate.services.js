@@ -1,68 +1,53 @@
 import { ApiError } from "../../utils/ApiError.js";
-import { GoogleGenAI } from "@google/genai";
-import { loadPrompt } from "./utils/loadPrompt.js";
+import { renderPrompt } from "./promptRegistry.js";
+import { isRateLimitError } from "./utils/isRateLimitError.js";
+import { generateStructured } from "./structuredOutput.services.js";
+import { debateGateSchema } from "../../zod/aiSchemas/debateGate.schema.js";
+
+// a "not a debate" verdict below this confidence is not trusted: the analysis runs anyway
+const GATE_MIN_CONFIDENCE = parseFloat(process.env.DEBATE_GATE_MIN_CONFIDENCE ?? "0.6");
 
-const genAI = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
 /**
- * Safely parse Gemini JSON output
+ * Why the analysis runs despite the gate, or null when the gate's verdict stands.
+ * "user" - the user chose "run analysis anyway" (the gate was skipped);
+ * "lowConfidence" - the gate said "not a debate" with less than DEBATE_GATE_MIN_CONFIDENCE.
+ *
+ * @param {object|null} gate - gate result (null when skipped without an earlier verdict)
+ * @param {{ skipGate?: boolean }} [options] - Pdf.analysisOptions
+ * @returns {"user"|"lowConfidence"|null}
  */
-function parseGeminiJson(rawResponse) {
-  try {
-    // Best case: pure JSON
-    return JSON.parse(rawResponse);
-  } catch {
-    // Fallback: extract first JSON object
-    const match = rawResponse.match(/\{[\s\S]*\}/);
-    if (!match) {
-      throw new ApiError(500, "No JSON object found in Gemini response");
-    }
-    return JSON.parse(match[0]);
-  }
+export function gateOverrideFor(gate, { skipGate } = {}) {
+  if (skipGate) return "user";
+  if (gate && !gate.isDebate && gate.confidence < GATE_MIN_CONFIDENCE) return "lowConfidence";
+  return null;
 }
 
+/**
+ * Decide whether a document is a single-sided argument worth a counter-debate.
+ *
+ * @param {object} params
+ * @param {string} params.text - full extracted text
+ * @returns {Promise<{ result: { isDebate: boolean, confidence: number, reason: string|null, detectedTopic: string|null }, meta: { model: string, prompt: object, repairAttempts: number } }>}
+ */
 export async function analyzeDebateSutaibility({ text }) {
   if (!text || !text.trim()) {
     throw new ApiError(400, "Empty text provided for debate analysis");
   }
 
-  const basePrompt = loadPrompt("debateAnalysis.prompt.txt");
-  const finalPrompt = basePrompt.replace("{{TEXT}}", text);
+  const { text: finalPrompt, prompt } = renderPrompt("debateGate", { TEXT: text });
 
   try {
-    const response = await genAI.models.generateContent({
-      model: "gemini-2.5-flash",
-      contents: finalPrompt,
-      config: {
-        thinkingConfig: { thinkingBudget: -1 },
-      },
+    const { data, model, repairAttempts } = await generateStructured({
+      task: "debateGate",
+      prompt: finalPrompt,
+      schema: debateGateSchema(),
     });
 
-    const rawResponse = response.text;
-    const parsed = parseGeminiJson(rawResponse);
-
-    // Normalize and validate schema (LLM-safe)
-    const confidence = Number(parsed.confidence);
-
-    if (
-      typeof parsed.isDebate !== "boolean" ||
-      Number.isNaN(confidence) ||
-      !("detectedTopic" in parsed) ||
-      (parsed.isDebate && typeof parsed.detectedTopic !== "string") ||
-      (!parsed.isDebate && parsed.detectedTopic !== null) ||
-      (parsed.reason !== null && typeof parsed.reason !== "string")
-    ) {
-      throw new ApiError(500, "Debate gate response schema mismatch");
-    }
-
-    return {
-      isDebate: parsed.isDebate,
-      confidence,
-      reason: parsed.reason,
-      detectedTopic: parsed.detectedTopic ?? null,
-    };
+    return { result: data, meta: { model, prompt, repairAttempts } };
   } catch (error) {
-    console.error("Gemini debate gate error:", error?.message || error);
+    console.error("AI debate gate error:", error?.message || error);
     if (error instanceof ApiError) throw error;
+    if (isRateLimitError(error)) throw new ApiError(429, "AI usage limit reached. Please try again later.");
     throw new ApiError(500, "Debate suitability analysis failed");
   }
 }
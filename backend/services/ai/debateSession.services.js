@@ -0,0 +1,62 @@
+/**
+ * Interactive Debate Turns ("argue back")
+ *
+ * The student replies to the AI's counter-debate and gets a rebuttal, turn by turn.
+ *
+ * DESIGN DECISIONS:
+ * - Every rebuttal is grounded in the student's original PDF: the chunks most relevant to
+ *   the latest reply (and the motion) are retrieved and sent with the conversation
+ * - Only the most recent turns are sent, so long sessions keep a bounded prompt
+ * - Runs inside the HTTP request: a single short generation, the chat UI waits for it
+ */
+
+import { ApiError } from "../../utils/ApiError.js";
+import { isRateLimitError } from "./utils/isRateLimitError.js";
+import { renderPrompt } from "./promptRegistry.js";
+import { generateStructured } from "./structuredOutput.services.js";
+import { buildChunkContext, retrieveRelevantChunks } from "./retrieval.services.js";
+import { debateTurnSchema } from "../../zod/aiSchemas/debateTurn.schema.js";
+
+const HISTORY_TURNS = 10;
+const FALLBACK_CONTEXT_CHARS = 12000; // used only when the PDF has no chunks
+
+/**
+ * Generate the AI's next rebuttal.
+ *
+ * @param {object} params
+ * @param {string} params.pdfId - MongoDB ObjectId of the PDF the session is about
+ * @param {string} params.extractedText - full text of the PDF (fallback context)
+ * @param {string} params.topic - debate motion
+ * @param {{ role: "ai" | "user", content: string }[]} params.history - earlier turns, oldest first
+ * @param {string} params.reply - the student's latest reply
+ * @returns {Promise<{ reply: string, meta: { model: string, prompt: object, repairAttempts: number } }>}
+ */
+export async function generateDebateTurn({ pdfId, extractedText, topic, history, reply }) {
+  const chunks = await retrieveRelevantChunks({ pdfId, queries: [reply, topic] });
+  const context = chunks.length > 0 ? buildChunkContext(chunks) : (extractedText || "").slice(0, FALLBACK_CONTEXT_CHARS);
+
+  const { text: finalPrompt, prompt } = renderPrompt("debateTurn", {
+    TOPIC: topic,
+    TEXT: context,
+    HISTORY: history.slice(-HISTORY_TURNS).map((turn) => ({
+      speaker: turn.role === "ai" ? "opponent" : "student",
+      content: turn.content,
+    })),
+    REPLY: reply,
+  });
+
+  try {
+    const { data, model, repairAttempts } = await generateStructured({
+      task: "debateTurn",
+      prompt: finalPrompt,
+      schema: debateTurnSchema(),
+    });
+
+    return { reply: data.reply, meta: { model, prompt, repairAttempts } };
+  } catch (error) {
+    console.error("AI debate turn error:", error?.message || error);
+    if (error instanceof ApiError) throw error;
+    if (isRateLimitError(error)) throw new ApiError(429, "AI usage limit reached. Please try again later.");
+    throw new ApiError(500, "AI rebuttal failed");
+  }
+}
@@ -0,0 +1,54 @@
+import { PdfChunk } from "../../models/pdfChunk.model.js";
+import { getLLMProvider } from "./providers/llmProvider.js";
+
+const EMBEDDING_BATCH_SIZE = 50;
+
+/**
+ * Embed every chunk of a PDF that has no vector from the current embedding model.
+ * Idempotent: already-embedded chunks are skipped, so it is safe to call on retries
+ * and as a lazy backfill before retrieval.
+ *
+ * @param {string} pdfId - MongoDB ObjectId of the PDF document
+ * @returns {Promise<number>} number of chunks embedded
+ */
+export async function embedPdfChunks(pdfId) {
+  const provider = getLLMProvider();
+
+  const pending = await PdfChunk.find({
+    pdf: pdfId,
+    embeddingModel: { $ne: provider.embeddingModel },
+  })
+    .select("_id text")
+    .sort({ index: 1 })
+    .lean();
+
+  for (let i = 0; i < pending.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = pending.slice(i, i + EMBEDDING_BATCH_SIZE);
+    const vectors = await provider.embed({ texts: batch.map((c) => c.text) });
+
+    if (vectors.length !== batch.length) {
+      throw new Error(`Embedding count mismatch: expected ${batch.length}, got ${vectors.length}`);
+    }
+
+    await PdfChunk.bulkWrite(
+      batch.map((chunk, j) => ({
+        updateOne: {
+          filter: { _id: chunk._id },
+          update: { $set: { embedding: vectors[j], embeddingModel: provider.embeddingModel } },
+        },
+      })),
+      { ordered: false },
+    );
+  }
+
+  return pending.length;
+}
+
+/**
+ * Embed free-text queries with the same model used for chunks.
+ * @param {string[]} queries
+ * @returns {Promise<number[][]>}
+ */
+export async function embedQueries(queries) {
+  return getLLMProvider().embed({ texts: queries });
+}
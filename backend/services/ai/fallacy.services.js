@@ -0,0 +1,76 @@
+/**
+ * Fallacy Detection
+ *
+ * Labels passages of the user's speech with fallacies from a fixed taxonomy
+ * (services/ai/fallacyTaxonomy.js), each with the offending span, an explanation and a severity.
+ *
+ * DESIGN DECISIONS:
+ * - A pipeline step after the counter-debate, best-effort like the argument map
+ * - Reads a context covering the whole speech (a fallacy can be anywhere, not only near the topic)
+ * - The span is verified like a citation: a finding whose quote is not in the document is dropped
+ * - Findings are stored twice: on the PDF (aiResult.fallacies, shown with the analysis) and as
+ *   FallacyFinding documents, so a student's recurring fallacies can be counted across PDFs
+ */
+
+import { FallacyFinding } from "../../models/fallacyFinding.model.js";
+import { ApiError } from "../../utils/ApiError.js";
+import { isRateLimitError } from "./utils/isRateLimitError.js";
+import { renderPrompt } from "./promptRegistry.js";
+import { generateStructured } from "./structuredOutput.services.js";
+import { createCitationVerifier } from "./citations.services.js";
+import { buildDocumentContext } from "./retrieval.services.js";
+import { renderFallacyTaxonomy } from "./fallacyTaxonomy.js";
+import { fallacyDetectionSchema } from "../../zod/aiSchemas/fallacy.schema.js";
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Detect fallacies in a speech.
+ *
+ * @param {object} params
+ * @param {string} params.text - full extracted text
+ * @param {string} params.pdfId - MongoDB ObjectId of the PDF (chunks are sampled for long documents)
+ * @returns {Promise<{ result: Array<{ type: string, chunk: number|null, quote: string, explanation: string, severity: string }>, meta: object }>}
+ */
+export async function detectFallacies({ text, pdfId }) {
+  if (!text || !text.trim()) {
+    throw new ApiError(400, "Empty text provided for fallacy detection");
+  }
+
+  const { context, sources, ...contextMeta } = await buildDocumentContext({ text, pdfId });
+  const { text: finalPrompt, prompt } = renderPrompt("fallacies", { TEXT: context, TAXONOMY: renderFallacyTaxonomy() });
+
+  try {
+    const { data, model, repairAttempts } = await generateStructured({
+      task: "fallacies",
+      prompt: finalPrompt,
+      schema: fallacyDetectionSchema(),
+    });
+
+    const { verify, stats } = createCitationVerifier(sources);
+    const fallacies = data.fallacies
+      .map((finding) => {
+        const [span] = verify([{ chunk: finding.chunk, quote: finding.quote }]);
+        return span && { ...finding, chunk: span.chunk, quote: span.quote };
+      })
+      .filter(Boolean)
+      .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+    return { result: fallacies, meta: { model, prompt, repairAttempts, ...contextMeta, citations: stats } };
+  } catch (error) {
+    console.error("AI fallacy detection error:", error?.message || error);
+    if (error instanceof ApiError) throw error;
+    if (isRateLimitError(error)) throw new ApiError(429, "AI usage limit reached. Please try again later.");
+    throw new ApiError(500, "Fallacy detection failed");
+  }
+}
+
+/**
+ * Replace the stored findings of one PDF with the latest analysis run's findings.
+ */
+export async function replaceFallacyFindings({ pdfId, userId, fallacies }) {
+  await FallacyFinding.deleteMany({ pdf: pdfId });
+  if (!fallacies?.length) return;
+
+  await FallacyFinding.insertMany(fallacies.map((f) => ({ ...f, user: userId, pdf: pdfId })));
+}
@@ -0,0 +1,75 @@
+/**
+ * Fallacy Taxonomy
+ *
+ * The fixed list of fallacies the detection pass may report. Labels stay stable so
+ * findings can be counted per student across documents.
+ *
+ * DESIGN DECISIONS:
+ * - The model picks from these keys only (enforced by the schema); anything else is not reported
+ * - Rendered into the prompt from this list, so the prompt and validation cannot drift apart
+ * - Adding a type is safe; renaming or removing one orphans stored findings (FallacyFinding.type)
+ */
+
+export const FALLACY_TYPES = {
+  strawman: {
+    label: "Strawman",
+    description: "Misrepresents an opposing position as weaker or more extreme than it is, then attacks that version.",
+  },
+  falseDilemma: {
+    label: "False dilemma",
+    description: "Presents two options as the only possibilities when others exist.",
+  },
+  slipperySlope: {
+    label: "Slippery slope",
+    description: "Claims a first step will inevitably lead to an extreme outcome without showing each link.",
+  },
+  hastyGeneralization: {
+    label: "Hasty generalization",
+    description: "Draws a broad conclusion from too few or unrepresentative cases.",
+  },
+  adHominem: {
+    label: "Ad hominem",
+    description: "Attacks the person or group making an argument instead of the argument.",
+  },
+  appealToAuthority: {
+    label: "Appeal to authority",
+    description: "Treats a claim as true because an authority says so, where the authority is irrelevant or unsupported.",
+  },
+  appealToEmotion: {
+    label: "Appeal to emotion",
+    description: "Uses fear, pity or outrage in place of reasons.",
+  },
+  bandwagon: {
+    label: "Bandwagon",
+    description: "Argues a claim is true or right because many people believe or do it.",
+  },
+  falseCause: {
+    label: "False cause",
+    description: "Assumes that because one thing followed or accompanies another, it caused it.",
+  },
+  circularReasoning: {
+    label: "Circular reasoning",
+    description: "Uses the conclusion, or a restatement of it, as a premise.",
+  },
+  redHerring: {
+    label: "Red herring",
+    description: "Introduces an irrelevant point to divert attention from the issue.",
+  },
+  tuQuoque: {
+    label: "Tu quoque",
+    description: "Dismisses a criticism by pointing out that the critic is guilty of the same thing.",
+  },
+};
+
+export const FALLACY_TYPE_KEYS = Object.keys(FALLACY_TYPES);
+
+export const FALLACY_SEVERITIES = ["low", "medium", "high"];
+
+/**
+ * Taxonomy as inserted into the fallacy prompt (TAXONOMY variable).
+ */
+export function renderFallacyTaxonomy() {
+  return Object.entries(FALLACY_TYPES)
+    .map(([key, { label, description }]) => `- ${key} (${label}): ${description}`)
+    .join("\n");
+}
@@ -1,52 +1,92 @@
-import { GoogleGenAI } from "@google/genai";
 import { ApiError } from "../../utils/ApiError.js";
-import { loadPrompt } from "./utils/loadPrompt.js";
+import { renderPrompt } from "./promptRegistry.js";
+import { isRateLimitError } from "./utils/isRateLimitError.js";
+import { getLLMProvider } from "./providers/llmProvider.js";
+import { buildChunkContext, retrieveRelevantChunks } from "./retrieval.services.js";
+import { generateMapReduceAnalysis } from "./mapReduce.services.js";
+import { createJsonStringStreamer } from "./utils/extractPartialJsonString.js";
+import { generateStructured } from "./structuredOutput.services.js";
+import { verifyAnalysisCitations } from "./citations.services.js";
+import { getDebateFormat, renderFormatRules, targetWordCount } from "./debateFormats.js";
+import { applyLengthTarget, renderStyleRules, resolveAnalysisOptions } from "./analysisOptions.js";
+import { applyRubricScores, renderRubricRules, rubricScoresSchema } from "./rubrics.js";
+import { debateAnalysisSchema } from "../../zod/aiSchemas/debateAnalysis.schema.js";
 
-const genAI = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+// Above this many tokens the document is analyzed chunk by chunk (map-reduce)
+const ANALYSIS_TOKEN_BUDGET = parseInt(process.env.ANALYSIS_TOKEN_BUDGET, 10) || 30000;
 
-function parseGeminiJson(rawResponse) {
-  try {
-    return JSON.parse(rawResponse);
-  } catch {
-    const match = rawResponse.match(/\{[\s\S]*\}/);
-    if (!match) {
-      throw new ApiError(500, "No JSON object found in Gemini response");
-    }
-    return JSON.parse(match[0]);
-  }
+/**
+ * Retrieval queries for the counter-debate.
+ * The detected topic anchors the search, the generic queries pull in
+ * the claims and evidence an opposing speaker would need to attack.
+ */
+function buildRetrievalQueries(topic) {
+  return [topic, "central claims and the reasoning behind them", "evidence, statistics and examples used to support the argument"];
 }
 
-export async function generateDebateAnalysis({ text }) {
+/**
+ * Generate the counter-debate and feedback for a debate-suitable PDF.
+ * - Over the token budget: map-reduce over every chunk
+ * - Otherwise, when the PDF has chunks: only the top-k relevant chunks are sent (RAG)
+ * - No chunks: the full extracted text is used
+ * - Citations are verified against exactly the text the model was shown
+ *
+ * @param {object} params
+ * @param {string} params.text - full extracted text (used for length targets and as fallback context)
+ * @param {string} [params.pdfId] - MongoDB ObjectId of the PDF, enables chunk retrieval
+ * @param {string|null} [params.topic] - topic detected by the debate gate
+ * @param {object} [params.options] - analysis options: format, tone, length, difficulty, focus (services/ai/analysisOptions.js)
+ * @param {(delta: string) => void} [params.onCounterDebateDelta] - streams counterDebate text as it is generated
+ * @returns {Promise<{ result: object, meta: { model: string, prompt: object, repairAttempts: number, mode: string, format: string, options: object, citations: object } }>}
+ */
+export async function generateDebateAnalysis({ text, pdfId, topic = null, options, onCounterDebateDelta }) {
   if (!text || !text.trim()) {
     throw new ApiError(400, "Empty text provided for debate analysis");
   }
 
-  const basePrompt = loadPrompt("counterDebate.prompt.txt");
-  const finalPrompt = basePrompt.replace("{{TEXT}}", text);
+  const wordCount = text.split(/\s+/).filter(Boolean).length;
+
+  if (pdfId) {
+    const tokenCount = await getLLMProvider().countTokens({ text });
+    if (tokenCount > ANALYSIS_TOKEN_BUDGET) {
+      console.log(`PDF ${pdfId} has ${tokenCount} tokens (budget ${ANALYSIS_TOKEN_BUDGET}) - using map-reduce`);
+      return generateMapReduceAnalysis({ pdfId, topic, wordCount, options, onCounterDebateDelta });
+    }
+  }
+
+  const chunks = pdfId ? await retrieveRelevantChunks({ pdfId, queries: buildRetrievalQueries(topic) }) : [];
+  const context = chunks.length > 0 ? buildChunkContext(chunks) : text;
+
+  const resolved = resolveAnalysisOptions(options);
+  const profile = getDebateFormat(resolved.format);
+  const targetWords = applyLengthTarget(targetWordCount(profile, wordCount), resolved.length);
+  const { text: finalPrompt, prompt } = renderPrompt("counterDebate", {
+    TEXT: context,
+    WORD_COUNT: targetWords,
+    FORMAT: renderFormatRules(profile, targetWords),
+    FORMAT_FIELDS: profile.fields,
+    STYLE: renderStyleRules(resolved),
+    RUBRIC: renderRubricRules(resolved.rubric),
+  });
 
   try {
-    const response = await genAI.models.generateContent({
-      model: "gemini-2.5-flash",
-      contents: finalPrompt,
-      config: {
-        thinkingConfig: { thinkingBudget: -1 },
-      },
+    const { data, model, repairAttempts } = await generateStructured({
+      task: "counterDebate",
+      prompt: finalPrompt,
+      schema: debateAnalysisSchema(profile.fieldsSchema(), rubricScoresSchema(resolved.rubric)),
+      onDelta: onCounterDebateDelta && createJsonStringStreamer("counterDebate", onCounterDebateDelta),
     });
 
-    const rawResponse = response.text;
-    const parsed = parseGeminiJson(rawResponse);
+    const { result, stats } = verifyAnalysisCitations(data, chunks.length > 0 ? chunks : [{ index: null, text }]);
 
     return {
-      counterDebate: parsed.counterDebate ?? "",
-      strengths: Array.isArray(parsed.strengths) ? parsed.strengths : [],
-      weaknesses: Array.isArray(parsed.weaknesses) ? parsed.weaknesses : [],
-      grammarNotes: Array.isArray(parsed.grammarNotes) ? parsed.grammarNotes : [],
-      rating: Number(parsed.rating) || 0,
-      resources: Array.isArray(parsed.resources) ? parsed.resources : [],
+      result: applyRubricScores(result, resolved.rubric),
+      meta: { model, prompt, repairAttempts, mode: chunks.length > 0 ? "retrieval" : "fullText", format: profile.key, options: resolved, citations: stats },
     };
   } catch (error) {
-    console.error("Gemini analysis error:", error?.message || error);
+    console.error("AI analysis error:", error?.message || error);
     if (error instanceof ApiError) throw error;
+    if (isRateLimitError(error)) throw new ApiError(429, "AI usage limit reached. Please try again later.");
     throw new ApiError(500, "AI generation failed");
   }
 }
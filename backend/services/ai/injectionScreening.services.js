@@ -0,0 +1,202 @@
+/**
+ * Prompt-Injection Screening
+ *
+ * The prompts tell the model to ignore instructions inside the document; this step checks the text itself.
+ * Runs in the preprocessing worker on the sanitized text and stores Pdf.injectionRisk.
+ *
+ * DESIGN DECISIONS:
+ * - Heuristics first: each signal (role override, "ignore previous instructions", fake chat turns,
+ *   dictated output, prompt leaks, invisible text) has a weight; the score combines them like
+ *   independent evidence (1 - Π(1 - weight)), so one strong signal or several weak ones score high.
+ *   Patterns name an AI target (instructions, prompt, grade of "this essay"): debate prose about
+ *   rules and rates is not a payload
+ * - The classifier call is optional (INJECTION_CLASSIFIER=true) and only runs when a heuristic fired:
+ *   clean documents never cost a model call. It only sees excerpts around the signals
+ * - The classifier reads the payload itself, so it can lower a heuristic score at most by half
+ * - Screening never fails preprocessing: a classifier error falls back to the heuristic score
+ * - Heuristics alone stop at "medium": only a classifier that confirms the injection makes a document "high"
+ * - A "high" document is quarantined: no AI call accepts it (submit, summary, synthesis, worker),
+ *   until its owner releases it (injectionRisk.releasedAt)
+ */
+
+import { renderPrompt } from "./promptRegistry.js";
+import { generateStructured } from "./structuredOutput.services.js";
+import { injectionScreenSchema } from "../../zod/aiSchemas/injectionScreen.schema.js";
+
+const CLASSIFIER_ENABLED = process.env.INJECTION_CLASSIFIER === "true";
+const HIGH_RISK_SCORE = parseFloat(process.env.INJECTION_BLOCK_SCORE ?? "0.7");
+const MEDIUM_RISK_SCORE = 0.35;
+
+const EXCERPT_RADIUS = 150; // characters around a match sent to the classifier
+const MAX_EXCERPTS = 6;
+const MIN_INVISIBLE_CHARS = 3; // a stray zero-width space from copy-paste is not a payload
+
+// zero-width / invisible formatting characters, and Unicode tag characters (invisible ASCII copies)
+const INVISIBLE_CHARS = /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+const TAG_CHARS = /[\u{E0000}-\u{E007F}]/gu;
+
+export const INJECTION_SIGNALS = {
+  ignoreInstructions: {
+    label: "asks the AI to ignore its instructions",
+    weight: 0.6,
+    pattern:
+      /\b(ignore|disregard|forget|override|bypass)\b[^.\n]{0,40}\b(previous|prior|above|earlier|preceding|all|any|your|system)\b[^.\n]{0,20}\b(instructions?|prompts?|system (message|prompt)|(ai|assistant|model)('s)? (rules|guidelines))\b/gi,
+  },
+  roleOverride: {
+    label: "gives the AI a new role",
+    weight: 0.35,
+    pattern: /\b(you are (now|no longer)|from now on,? you|pretend (to be|you are)|new (system )?instructions?:|developer mode|jailbreak)\b/gi,
+  },
+  chatMarkers: {
+    label: "contains fake chat or system messages",
+    weight: 0.5,
+    pattern: /(^|\n)\s*(system|assistant|developer)\s*:|<\|im_(start|end)\|>|\[\/?INST\]|<\/?(system|instructions?)>|#{2,}\s*(system|instructions?)\b/gi,
+  },
+  outputHijack: {
+    label: "dictates the AI's answer or grade",
+    weight: 0.45,
+    pattern:
+      /\b(rate|grade|score|mark|give)\s+(this|the|my|it|me)\b[^.\n]{0,40}\b(10\s*\/\s*10|ten out of ten|10 out of 10|full marks|(a )?perfect (score|grade|mark)|(the )?highest (score|grade|mark))|\b(respond|reply|answer|output)\s+(only\s+)?with\b[^.\n]{0,40}\b(json|exactly|the following|nothing (else|but))\b/gi,
+  },
+  promptLeak: {
+    label: "asks the AI to reveal its prompt",
+    weight: 0.5,
+    pattern: /\b(reveal|print|show|repeat|output)\b[^.\n]{0,30}\b(system prompt|your (instructions|prompt|rules)|hidden prompt|initial prompt)\b/gi,
+  },
+  invisibleText: {
+    label: "contains hidden zero-width text",
+    weight: 0.4,
+  },
+  tagCharacters: {
+    label: "contains invisible tag characters (hidden ASCII)",
+    weight: 0.8,
+  },
+};
+
+const combine = (weights) => 1 - weights.reduce((rest, w) => rest * (1 - w), 1);
+
+const round = (score) => Math.round(score * 100) / 100;
+
+export function riskLevelFor(score) {
+  if (score >= HIGH_RISK_SCORE) return "high";
+  if (score >= MEDIUM_RISK_SCORE) return "medium";
+  return "low";
+}
+
+function excerptAround(text, index, length) {
+  const start = Math.max(0, index - EXCERPT_RADIUS);
+  const end = Math.min(text.length, index + length + EXCERPT_RADIUS);
+  return text.slice(start, end).replace(INVISIBLE_CHARS, "").replace(TAG_CHARS, "").trim();
+}
+
+// tag characters mirror ASCII (U+E0041 = "A"): decode them so the classifier sees the hidden message
+const decodeTagCharacters = (text) =>
+  (text.match(TAG_CHARS) || []).map((c) => String.fromCharCode(c.codePointAt(0) - 0xe0000)).join("");
+
+/**
+ * Heuristic screening (no model call).
+ * @param {string} text - sanitized extracted text
+ * @returns {{ score: number, signals: string[], excerpts: Array<{ signal: string, text: string }> }}
+ */
+export function scoreInjectionHeuristics(text) {
+  const signals = [];
+  const excerpts = [];
+
+  for (const [key, signal] of Object.entries(INJECTION_SIGNALS)) {
+    if (!signal.pattern) continue;
+
+    const matches = [...text.matchAll(signal.pattern)];
+    if (matches.length === 0) continue;
+
+    signals.push(key);
+    for (const match of matches.slice(0, 2)) {
+      excerpts.push({ signal: key, text: excerptAround(text, match.index, match[0].length) });
+    }
+  }
+
+  if ((text.match(INVISIBLE_CHARS) || []).length >= MIN_INVISIBLE_CHARS) {
+    signals.push("invisibleText");
+  }
+
+  const hidden = decodeTagCharacters(text);
+  if (hidden) {
+    signals.push("tagCharacters");
+    excerpts.push({ signal: "tagCharacters", text: `Hidden text decoded: ${hidden.slice(0, EXCERPT_RADIUS * 2)}` });
+  }
+
+  return {
+    score: round(combine(signals.map((key) => INJECTION_SIGNALS[key].weight))),
+    signals,
+    excerpts: excerpts.slice(0, MAX_EXCERPTS),
+  };
+}
+
+async function classifyExcerpts(excerpts) {
+  const { text: finalPrompt, prompt } = renderPrompt("injectionScreen", {
+    EXCERPTS: excerpts.map((e) => `[${e.signal}]\n${e.text}`).join("\n\n"),
+  });
+
+  const { data, model, repairAttempts } = await generateStructured({
+    task: "injectionScreen",
+    prompt: finalPrompt,
+    schema: injectionScreenSchema(),
+  });
+
+  return { ...data, model, prompt, repairAttempts };
+}
+
+/**
+ * Screen a document for prompt-injection payloads. Never throws.
+ *
+ * @param {string} text - sanitized extracted text
+ * @returns {Promise<{ score: number, level: "low"|"medium"|"high", signals: string[], classifier: object|null, screenedAt: Date }>}
+ */
+export async function screenExtractedText(text) {
+  const heuristics = scoreInjectionHeuristics(text);
+  let score = heuristics.score;
+  let classifier = null;
+
+  if (CLASSIFIER_ENABLED && heuristics.signals.length > 0) {
+    try {
+      const verdict = await classifyExcerpts(heuristics.excerpts);
+      classifier = { isInjection: verdict.isInjection, confidence: verdict.confidence, reason: verdict.reason, model: verdict.model, prompt: verdict.prompt };
+
+      score = verdict.isInjection
+        ? Math.max(score, verdict.confidence)
+        : Math.max(score / 2, Math.min(score, 1 - verdict.confidence));
+    } catch (err) {
+      console.error(`Injection classifier failed, using heuristics only: ${err?.message || err}`);
+      classifier = { error: "Classifier unavailable" };
+    }
+  }
+
+  score = round(score);
+  let level = riskLevelFor(score);
+  if (level === "high" && !classifier?.isInjection) level = "medium"; // heuristics alone never quarantine
+
+  return { score, level, signals: heuristics.signals, classifier, screenedAt: new Date() };
+}
+
+/**
+ * Whether a PDF is quarantined (PDFs screened before this step existed have no injectionRisk).
+ * The owner can release it: the screening result is kept, the AI calls accept the document again.
+ */
+export const isQuarantined = (pdf) => pdf?.injectionRisk?.level === "high" && !pdf.injectionRisk.releasedAt;
+
+/**
+ * User-facing reason for a quarantined PDF (shown on the dashboard card and in 422 responses).
+ */
+export function quarantineReasonFor(risk) {
+  const found = (risk?.signals || []).map((key) => INJECTION_SIGNALS[key]?.label).filter(Boolean);
+  const detail = found.length > 0 ? `: it ${found.join(", ")}` : "";
+  return `This document looks like it contains instructions aimed at the AI${detail}. It was quarantined and cannot be analyzed.`;
+}
+
+/**
+ * What clients see of the screening: the level, the reason when "high" and whether the owner released it
+ * (no scores or classifier details).
+ */
+export function injectionRiskSummary(risk) {
+  if (!risk?.level) return null;
+  return { level: risk.level, reason: risk.level === "high" ? quarantineReasonFor(risk) : null, released: Boolean(risk.releasedAt) };
+}
@@ -0,0 +1,140 @@
+/**
+ * Map-Reduce Debate Analysis (long documents)
+ *
+ * WHY:
+ * - A long brief does not fit in one prompt; sending it anyway fails or truncates silently
+ * - Retrieval alone only shows the model a handful of chunks
+ *
+ * FLOW:
+ * - Map: every PdfChunk is analyzed on its own (claims, strengths, weaknesses, grammar)
+ *   with verbatim quotes, checked against that chunk before they reach the reduce step
+ * - Reduce: the per-chunk notes are merged into the standard analysis shape,
+ *   carrying the notes' citations (verified again against all chunks)
+ */
+
+import { PdfChunk } from "../../models/pdfChunk.model.js";
+import { ApiError } from "../../utils/ApiError.js";
+import { renderPrompt, getPromptRef } from "./promptRegistry.js";
+import { isRateLimitError } from "./utils/isRateLimitError.js";
+import { mapWithConcurrency } from "./utils/mapWithConcurrency.js";
+import { createJsonStringStreamer } from "./utils/extractPartialJsonString.js";
+import { generateStructured } from "./structuredOutput.services.js";
+import { buildChunkContext } from "./retrieval.services.js";
+import { createCitationVerifier, verifyAnalysisCitations } from "./citations.services.js";
+import { getDebateFormat, renderFormatRules, targetWordCount } from "./debateFormats.js";
+import { applyLengthTarget, renderStyleRules, resolveAnalysisOptions } from "./analysisOptions.js";
+import { applyRubricScores, renderRubricRules, rubricScoresSchema } from "./rubrics.js";
+import { analysisMapSchema, debateAnalysisSchema } from "../../zod/aiSchemas/debateAnalysis.schema.js";
+
+const MAP_CONCURRENCY = parseInt(process.env.MAP_CONCURRENCY, 10) || 3;
+const MAX_COUNTER_DEBATE_WORDS = 2000; // a 60-page brief does not get a 60-page rebuttal
+const MAX_NOTES_PER_FIELD = 5;
+
+/**
+ * Keep the first non-empty items, with their quotes turned into verified citations of this chunk.
+ */
+function toNoteList(values, chunk, verifier) {
+  return values
+    .filter((v) => v.text.trim())
+    .slice(0, MAX_NOTES_PER_FIELD)
+    .map((v) => ({ text: v.text, citations: verifier.verify(v.quotes.map((quote) => ({ chunk: chunk.index, quote }))) }));
+}
+
+/**
+ * Map step: analyze a single chunk.
+ */
+async function mapChunk(chunk, topic) {
+  const { text: finalPrompt } = renderPrompt("analysisMap", { TOPIC: topic, TEXT: buildChunkContext([chunk]) });
+
+  const { data, repairAttempts } = await generateStructured({
+    task: "analysisMap",
+    prompt: finalPrompt,
+    schema: analysisMapSchema(),
+  });
+
+  const verifier = createCitationVerifier([chunk]);
+
+  return {
+    note: {
+      chunkIndex: chunk.index,
+      claims: toNoteList(data.claims, chunk, verifier),
+      strengths: toNoteList(data.strengths, chunk, verifier),
+      weaknesses: toNoteList(data.weaknesses, chunk, verifier),
+      grammarNotes: toNoteList(data.grammarNotes, chunk, verifier),
+    },
+    repairAttempts,
+  };
+}
+
+/**
+ * Run the map-reduce analysis over every chunk of a PDF.
+ *
+ * @param {object} params
+ * @param {string} params.pdfId - MongoDB ObjectId of the PDF document
+ * @param {string|null} params.topic - topic detected by the debate gate
+ * @param {number} params.wordCount - word count of the full extracted text
+ * @param {object} [params.options] - analysis options (services/ai/analysisOptions.js), defaults when missing
+ * @param {(delta: string) => void} [params.onCounterDebateDelta] - streams the reduce step's counterDebate
+ * @returns {Promise<{ result: object, meta: { model: string, prompt: object, mapPrompt: object, repairAttempts: number, mode: string, format: string, options: object, chunksAnalyzed: number, citations: object } }>}
+ */
+export async function generateMapReduceAnalysis({ pdfId, topic, wordCount, options, onCounterDebateDelta }) {
+  const chunks = await PdfChunk.find({ pdf: pdfId }).select("index text").sort({ index: 1 }).lean();
+
+  if (chunks.length === 0) {
+    throw new ApiError(400, "No chunks available for long document analysis");
+  }
+
+  const topicLabel = topic || "the document's main motion";
+  console.log(`Map-reduce analysis for PDF ${pdfId}: mapping ${chunks.length} chunks`);
+
+  try {
+    const mapped = await mapWithConcurrency(chunks, MAP_CONCURRENCY, (chunk) => mapChunk(chunk, topicLabel));
+    const notes = mapped.map((m) => m.note);
+
+    // Drop chunks with nothing to say so the reduce prompt stays small
+    const usefulNotes = notes.filter((n) => n.claims.length || n.strengths.length || n.weaknesses.length || n.grammarNotes.length);
+
+    const resolved = resolveAnalysisOptions(options);
+    const profile = getDebateFormat(resolved.format);
+    const targetWords = applyLengthTarget(targetWordCount(profile, Math.min(wordCount, MAX_COUNTER_DEBATE_WORDS)), resolved.length);
+    const { text: finalPrompt, prompt } = renderPrompt("analysisReduce", {
+      TOPIC: topicLabel,
+      WORD_COUNT: targetWords,
+      NOTES: usefulNotes,
+      FORMAT: renderFormatRules(profile, targetWords),
+      FORMAT_FIELDS: profile.fields,
+      STYLE: renderStyleRules(resolved),
+      RUBRIC: renderRubricRules(resolved.rubric),
+    });
+
+    const { data, model, repairAttempts } = await generateStructured({
+      task: "analysisReduce",
+      prompt: finalPrompt,
+      schema: debateAnalysisSchema(profile.fieldsSchema(), rubricScoresSchema(resolved.rubric)),
+      onDelta: onCounterDebateDelta && createJsonStringStreamer("counterDebate", onCounterDebateDelta),
+    });
+
+    const { result, stats } = verifyAnalysisCitations(data, chunks);
+
+    return {
+      result: applyRubricScores(result, resolved.rubric),
+      meta: {
+        model,
+        prompt,
+        mapPrompt: getPromptRef("analysisMap"),
+        // map repairs count too: any repaired step means the result needed a repair
+        repairAttempts: repairAttempts + mapped.reduce((sum, m) => sum + m.repairAttempts, 0),
+        mode: "mapReduce",
+        format: profile.key,
+        options: resolved,
+        chunksAnalyzed: chunks.length,
+        citations: stats,
+      },
+    };
+  } catch (error) {
+    console.error("AI map-reduce analysis error:", error?.message || error);
+    if (error instanceof ApiError) throw error;
+    if (isRateLimitError(error)) throw new ApiError(429, "AI usage limit reached. Please try again later.");
+    throw new ApiError(500, "AI generation failed");
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Prompt Registry
+ *
+ * Single source of truth for every prompt the AI services send.
+ *
+ * DESIGN DECISIONS:
+ * - Prompts are named and versioned; files live at prompts/<name>.v<version>.prompt.txt
+ * - Changing a prompt's wording means adding a new version file and bumping `version` here,
+ *   so stored results (aiResult.meta.*.prompt) show which prompt produced them
+ * - Variables are declared with a type and checked on every render
+ * - Substitution is a single pass, so document text containing "{{...}}" or "$&" is inserted verbatim
+ * - Templates are read from disk once per process and cached
+ * - validatePromptRegistry() runs at startup so a missing or mismatched template fails fast
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ApiError } from "../../utils/ApiError.js";
+
+const PROMPTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "prompts");
+const PLACEHOLDER = /\{\{([A-Z_]+)\}\}/g;
+
+/**
+ * Variable types:
+ * - string: inserted as-is
+ * - number: finite number, inserted as its string form
+ * - json: any JSON-serializable value, inserted as JSON
+ */
+const PROMPTS = {
+  debateGate: { version: 1, variables: { TEXT: "string" } },
+  counterDebate: {
+    version: 5,
+    variables: { TEXT: "string", WORD_COUNT: "number", FORMAT: "string", FORMAT_FIELDS: "string", STYLE: "string", RUBRIC: "string" },
+  },
+  analysisMap: { version: 2, variables: { TOPIC: "string", TEXT: "string" } },
+  analysisReduce: {
+    version: 5,
+    variables: { TOPIC: "string", WORD_COUNT: "number", NOTES: "json", FORMAT: "string", FORMAT_FIELDS: "string", STYLE: "string", RUBRIC: "string" },
+  },
+  debateTurn: { version: 1, variables: { TOPIC: "string", TEXT: "string", HISTORY: "json", REPLY: "string" } },
+  speechOutline: {
+    version: 1,
+    variables: { TOPIC: "string", FORMAT: "string", MINUTES: "number", WORD_COUNT: "number", COUNTER_DEBATE: "string" },
+  },
+  rebuttalGrade: { version: 1, variables: { TOPIC: "string", COUNTER_DEBATE: "string", REBUTTAL: "string" } },
+  questionBank: { version: 1, variables: { TOPIC: "string", COUNT: "number", TEXT: "string" } },
+  drillAnswerGrade: {
+    version: 1,
+    variables: { TOPIC: "string", KIND: "string", TIMING: "string", QUESTION: "string", TARGET_CLAIM: "string", SUGGESTED_ANSWER: "string", ANSWER: "string" },
+  },
+  studySet: { version: 1, variables: { MCQ_COUNT: "number", FLASHCARD_COUNT: "number", TEXT: "string" } },
+  synthesis: { version: 1, variables: { MOTION: "string", MAX_WORDS: "number", SOURCES: "string" } },
+  summary: { version: 1, variables: { TEXT: "string" } },
+  argumentMap: { version: 1, variables: { TEXT: "string", COUNTER_DEBATE: "string" } },
+  fallacies: { version: 1, variables: { TEXT: "string", TAXONOMY: "string" } },
+  injectionScreen: { version: 1, variables: { EXCERPTS: "string" } },
+  structuredRepair: { version: 1, variables: { PROMPT: "string", ERRORS: "string", RESPONSE: "string" } },
+};
+
+const templateCache = new Map();
+
+const fileNameFor = (name, version) => `${name}.v${version}.prompt.txt`;
+
+function getDefinition(name) {
+  const definition = PROMPTS[name];
+  if (!definition) {
+    throw new ApiError(500, `Unknown AI prompt: ${name}`);
+  }
+  return definition;
+}
+
+function readTemplate(name, version) {
+  const fileName = fileNameFor(name, version);
+  if (!templateCache.has(fileName)) {
+    templateCache.set(fileName, fs.readFileSync(path.join(PROMPTS_DIR, fileName), "utf-8"));
+  }
+  return templateCache.get(fileName);
+}
+
+function formatVariable(name, key, type, value) {
+  if (type === "string" && typeof value === "string") return value;
+  if (type === "number" && Number.isFinite(value)) return String(value);
+  if (type === "json" && value !== undefined) return JSON.stringify(value);
+
+  throw new ApiError(500, `AI prompt ${name}: variable ${key} must be of type ${type}`);
+}
+
+/**
+ * Name and version of the current template (what gets stamped on results).
+ * @param {string} name
+ * @returns {{ name: string, version: number }}
+ */
+export function getPromptRef(name) {
+  return { name, version: getDefinition(name).version };
+}
+
+/**
+ * Render a prompt with its variables.
+ *
+ * @param {string} name - registered prompt name
+ * @param {Record<string, any>} variables - every declared variable, keyed by placeholder name
+ * @returns {{ text: string, prompt: { name: string, version: number } }}
+ * @throws {ApiError} 500 for unknown prompts, missing/extra variables or wrong types
+ */
+export function renderPrompt(name, variables = {}) {
+  const { version, variables: declared } = getDefinition(name);
+
+  const unknown = Object.keys(variables).filter((key) => !(key in declared));
+  if (unknown.length > 0) {
+    throw new ApiError(500, `AI prompt ${name}: unknown variables ${unknown.join(", ")}`);
+  }
+
+  const values = {};
+  for (const [key, type] of Object.entries(declared)) {
+    values[key] = formatVariable(name, key, type, variables[key]);
+  }
+
+  let template;
+  try {
+    template = readTemplate(name, version);
+  } catch {
+    throw new ApiError(500, `Failed to load AI prompt: ${fileNameFor(name, version)}`);
+  }
+
+  return {
+    text: template.replace(PLACEHOLDER, (match, key) => values[key] ?? match),
+    prompt: { name, version },
+  };
+}
+
+/**
+ * Check every registered template exists and uses exactly its declared variables.
+ * Also warms the cache. Throws one error listing every problem.
+ */
+export function validatePromptRegistry() {
+  const problems = [];
+
+  for (const [name, { version, variables }] of Object.entries(PROMPTS)) {
+    let template;
+    try {
+      template = readTemplate(name, version);
+    } catch {
+      problems.push(`${fileNameFor(name, version)} is missing`);
+      continue;
+    }
+
+    const used = new Set([...template.matchAll(PLACEHOLDER)].map((m) => m[1]));
+    const declared = Object.keys(variables);
+
+    declared.filter((key) => !used.has(key)).forEach((key) => problems.push(`${name}: {{${key}}} is declared but not used`));
+    [...used].filter((key) => !(key in variables)).forEach((key) => problems.push(`${name}: {{${key}}} is used but not declared`));
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Prompt registry is invalid:\n- ${problems.join("\n- ")}`);
+  }
+
+  console.log(`Prompt registry validated (${Object.keys(PROMPTS).length} prompts)`);
+}
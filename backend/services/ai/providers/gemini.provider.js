@@ -0,0 +1,138 @@
+/**
+ * Gemini LLM Provider
+ *
+ * Thin adapter around @google/genai that implements the provider contract
+ * used by every AI service (see llmProvider.js).
+ *
+ * DESIGN DECISIONS:
+ * - Client is created lazily so importing this file never requires an API key
+ * - Models are configurable via env, defaults match what production used so far
+ */
+
+import { GoogleGenAI } from "@google/genai";
+
+const DEFAULT_MODEL = "gemini-2.5-flash";
+const DEFAULT_EMBEDDING_MODEL = "gemini-embedding-001";
+
+export function createGeminiProvider({
+  apiKey = process.env.GEMINI_API_KEY,
+  model = process.env.GEMINI_MODEL || DEFAULT_MODEL,
+  embeddingModel = process.env.GEMINI_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL,
+} = {}) {
+  let genAI = null;
+
+  const getClient = () => {
+    if (!genAI) {
+      if (!apiKey) {
+        throw new Error("GEMINI_API_KEY is not set (use LLM_PROVIDER=mock for offline runs)");
+      }
+      genAI = new GoogleGenAI({ apiKey });
+    }
+    return genAI;
+  };
+
+  // Structured output: Gemini constrains decoding to the JSON Schema when one is given
+  const buildConfig = (responseSchema) => ({
+    thinkingConfig: { thinkingBudget: -1 },
+    ...(responseSchema && { responseMimeType: "application/json", responseJsonSchema: responseSchema }),
+  });
+
+  /**
+   * Generate a completion for a prompt.
+   * @param {object} params
+   * @param {string} params.task - logical task name (used for logging only)
+   * @param {string} params.prompt - fully rendered prompt
+   * @param {object} [params.responseSchema] - JSON Schema the output must follow
+   * @returns {Promise<{ text: string, model: string, usage: object }>}
+   */
+  async function generate({ prompt, responseSchema }) {
+    const response = await getClient().models.generateContent({
+      model,
+      contents: prompt,
+      config: buildConfig(responseSchema),
+    });
+
+    const usage = response.usageMetadata || {};
+    return {
+      text: response.text ?? "",
+      model,
+      usage: {
+        promptTokens: usage.promptTokenCount ?? 0,
+        outputTokens: usage.candidatesTokenCount ?? 0,
+        totalTokens: usage.totalTokenCount ?? 0,
+      },
+    };
+  }
+
+  /**
+   * Generate a completion while streaming text deltas as they arrive.
+   * Resolves with the same shape as generate() once the stream ends.
+   * @param {object} params
+   * @param {string} params.task
+   * @param {string} params.prompt
+   * @param {object} [params.responseSchema]
+   * @param {(delta: string) => void} [params.onDelta]
+   * @returns {Promise<{ text: string, model: string, usage: object }>}
+   */
+  async function generateStream({ prompt, responseSchema, onDelta }) {
+    const stream = await getClient().models.generateContentStream({
+      model,
+      contents: prompt,
+      config: buildConfig(responseSchema),
+    });
+
+    let text = "";
+    let usage = {};
+    for await (const chunk of stream) {
+      const delta = chunk.text ?? "";
+      if (delta) {
+        text += delta;
+        onDelta?.(delta);
+      }
+      // usage is reported on the final chunk
+      if (chunk.usageMetadata) usage = chunk.usageMetadata;
+    }
+
+    return {
+      text,
+      model,
+      usage: {
+        promptTokens: usage.promptTokenCount ?? 0,
+        outputTokens: usage.candidatesTokenCount ?? 0,
+        totalTokens: usage.totalTokenCount ?? 0,
+      },
+    };
+  }
+
+  /**
+   * Count tokens for a piece of text using the generation model's tokenizer.
+   * @param {object} params
+   * @param {string} params.text
+   * @returns {Promise<number>}
+   */
+  async function countTokens({ text }) {
+    const response = await getClient().models.countTokens({
+      model,
+      contents: text,
+    });
+    return response.totalTokens ?? 0;
+  }
+
+  /**
+   * Embed a batch of texts.
+   * @param {object} params
+   * @param {string[]} params.texts
+   * @returns {Promise<number[][]>} one vector per input text, same order
+   */
+  async function embed({ texts }) {
+    if (!texts?.length) return [];
+
+    const response = await getClient().models.embedContent({
+      model: embeddingModel,
+      contents: texts,
+    });
+    return (response.embeddings || []).map((e) => e.values || []);
+  }
+
+  return { name: "gemini", model, embeddingModel, supportsResponseSchema: true, generate, generateStream, countTokens, embed };
+}
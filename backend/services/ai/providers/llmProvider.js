@@ -0,0 +1,46 @@
+/**
+ * LLM Provider Selection
+ *
+ * Every AI service talks to the model through this single provider interface:
+ * - generate({ task, prompt, responseSchema? }) -> { text, model, usage }
+ * - generateStream({ task, prompt, responseSchema?, onDelta }) -> same as generate, calls onDelta(text) per streamed piece
+ * - supportsResponseSchema -> whether responseSchema (JSON Schema) is enforced by the model
+ * - countTokens({ text }) -> number
+ * - embed({ texts }) -> number[][]
+ *
+ * Every generate / generateStream / embed call is recorded in the usage ledger (see usage.services.js).
+ *
+ * CONFIGURATION:
+ * - LLM_PROVIDER=gemini (default) - Google Gemini, requires GEMINI_API_KEY
+ * - LLM_PROVIDER=mock - deterministic offline provider for CI and local development
+ */
+
+import { createGeminiProvider } from "./gemini.provider.js";
+import { createMockProvider } from "./mock.provider.js";
+import { withUsageTracking } from "../usage.services.js";
+
+const providerFactories = {
+  gemini: createGeminiProvider,
+  mock: createMockProvider,
+};
+
+let provider = null;
+
+/**
+ * Get the configured provider (created once per process).
+ * @returns {{ name: string, model: string, supportsResponseSchema: boolean, generate: Function, generateStream: Function, countTokens: Function, embed: Function }}
+ */
+export function getLLMProvider() {
+  if (!provider) {
+    const name = (process.env.LLM_PROVIDER || "gemini").toLowerCase();
+    const factory = providerFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(providerFactories).join(", ")}`);
+    }
+
+    provider = withUsageTracking(factory());
+    console.log(`LLM provider initialized: ${provider.name} (${provider.model})`);
+  }
+  return provider;
+}
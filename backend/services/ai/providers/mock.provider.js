@@ -0,0 +1,579 @@
+/**
+ * Mock LLM Provider (offline, deterministic)
+ *
+ * Lets the full upload -> gate -> analysis flow run in CI and on laptops
+ * without a Gemini key or network access.
+ *
+ * DESIGN DECISIONS:
+ * - Same input always produces the same output (no randomness, no clock)
+ * - Responses are built from the document text inside the prompt so results look plausible
+ * - Citations quote the prompt's own text, so they pass the server-side quote verification
+ * - Each AI task registers a fixture that returns JSON in that task's expected shape
+ * - Embeddings are hashed bag-of-words vectors, so cosine similarity still reflects word overlap
+ */
+
+import crypto from "crypto";
+
+const MOCK_MODEL = "mock-llm-1";
+const EMBEDDING_DIMENSIONS = 256;
+const STREAM_CHUNK_SIZE = 40; // characters per streamed delta
+const STREAM_DELAY_MS = parseInt(process.env.MOCK_STREAM_DELAY_MS, 10) || 25; // makes progressive rendering visible locally
+
+/**
+ * Pull the untrusted document out of a rendered prompt.
+ * Falls back to the whole prompt if the <Document> wrapper is missing.
+ */
+function extractDocument(prompt) {
+  const match = prompt.match(/<Document>([\s\S]*?)<\/Document>/);
+  return (match ? match[1] : prompt).replace(/<\/?Chunk[^>]*>/g, "").trim();
+}
+
+/**
+ * Sentences of the document, each tagged with the <Chunk> index it came from (null = not chunked).
+ */
+function extractPassages(prompt) {
+  const match = prompt.match(/<Document>([\s\S]*?)<\/Document>/);
+  const document = match ? match[1] : prompt;
+  const chunks = [...document.matchAll(/<Chunk index="(\d+)">([\s\S]*?)<\/Chunk>/g)].map(([, index, text]) => ({ index: Number(index), text }));
+  const sources = chunks.length > 0 ? chunks : [{ index: null, text: document }];
+
+  const seen = new Set();
+  return sources.flatMap(({ index, text }) =>
+    splitSentences(text)
+      .filter((sentence) => !seen.has(sentence) && seen.add(sentence))
+      .map((sentence) => ({ chunk: index, sentence })),
+  );
+}
+
+// verbatim opening words of a sentence (what a model would quote)
+const quoteOf = (sentence) => sentence.split(" ").slice(0, 12).join(" ");
+const citeOf = (passage) => (passage ? [{ chunk: passage.chunk, quote: quoteOf(passage.sentence) }] : []);
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+/)
+    .map((s) => s.replace(/\s+/g, " ").trim())
+    .filter((s) => s.length > 0);
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+// Stable integer derived from text, used wherever the mock needs "variety"
+function stableHash(text) {
+  return crypto.createHash("sha256").update(text).digest().readUInt32BE(0);
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 3).trim()}...` : text;
+}
+
+/**
+ * rubricScores for the criteria listed in the prompt's SCORING RUBRIC block (- "key" (Label): ...).
+ */
+function rubricScoresFor(prompt, seed) {
+  const block = prompt.match(/SCORING RUBRIC[^\n]*\n([\s\S]*?)\n\n/)?.[1] || "";
+  const keys = [...block.matchAll(/^- "([^"]+)"/gm)].map((m) => m[1]);
+
+  return Object.fromEntries(
+    keys.map((key, i) => [key, { score: 4 + (stableHash(`${seed}:${key}`) % 5), justification: `Mock justification for criterion ${i + 1}.` }]),
+  );
+}
+
+/**
+ * formatFields for the debate format named in the prompt's "Format:" line (null for generic speeches).
+ */
+function formatFieldsFor(prompt, claims) {
+  const format = prompt.match(/^Format: (.*)$/m)?.[1]?.trim();
+  const points = claims.length > 0 ? claims.slice(0, 3) : ["the motion"];
+
+  switch (format) {
+    case "British Parliamentary":
+      return {
+        whipSpeech: {
+          clashes: points.map((c) => ({ question: `Is it true that ${truncate(c, 100)}?`, opposition: "The Opposition showed this claim is never proven." })),
+          weighing: "The first clash matters most because the whole case depends on it.",
+        },
+      };
+    case "World Schools":
+      return {
+        caseSplit: [
+          { speaker: 1, responsibility: "Set up the Opposition case and its first argument", arguments: points.slice(0, 1) },
+          { speaker: 2, responsibility: "Rebuild and extend the Opposition case", arguments: points.slice(1, 2) },
+          { speaker: 3, responsibility: "Rebuttal and comparison of the key clashes", arguments: [] },
+        ],
+        replyOutline: points.map((c) => `Why the Proposition lost the clash over ${truncate(c, 100)}`),
+      };
+    case "Lincoln-Douglas":
+      return {
+        framework: { value: "Justice", criterion: "Protecting individual rights", justification: "Any policy must first respect the rights it affects." },
+        affirmativeFramework: { value: null, criterion: null },
+      };
+    case "Public Forum":
+      return {
+        contentions: points.map((c, i) => ({ tag: `Contention ${i + 1}`, warrant: `The case assumes that ${truncate(c, 100)}`, impact: "The plan fails the people it targets." })),
+        voters: ["Which side's impacts are more likely to happen."],
+      };
+    default:
+      return null;
+  }
+}
+
+// ======================
+// Task fixtures
+// ======================
+
+const fixtures = {
+  debateGate(prompt) {
+    const document = extractDocument(prompt);
+    const sentences = splitSentences(document);
+    const isDebate = countWords(document) >= 40 && sentences.length >= 2;
+
+    return {
+      isDebate,
+      confidence: isDebate ? 0.82 : 0.74,
+      reason: isDebate ? "Document presents a single-sided argument." : "Document is too short to contain a debatable argument.",
+      detectedTopic: isDebate ? truncate(sentences[0], 120) : null,
+    };
+  },
+
+  counterDebate(prompt) {
+    const document = extractDocument(prompt);
+    const passages = extractPassages(prompt).slice(0, 6);
+    const rebuttals = passages.map((p) => `The opposition contests the claim that "${truncate(p.sentence, 160)}" because it rests on assumptions the speaker never defends.`);
+
+    return {
+      counterDebate: rebuttals.join("\n\n") || "The opposition rejects the premise of the motion.",
+      counterDebateCitations: passages.map((p, i) => ({ paragraph: i + 1, citations: citeOf(p) })),
+      strengths: [
+        { text: "The speaker states a clear position early.", citations: citeOf(passages[0]) },
+        { text: "The speaker keeps the argument focused on a single motion.", citations: [] },
+      ],
+      weaknesses: [
+        { text: "The speaker relies on assertions without supporting evidence.", citations: citeOf(passages[1]) },
+        { text: "The speaker does not anticipate obvious counter-arguments.", citations: [] },
+      ],
+      grammarNotes: [],
+      rubricScores: rubricScoresFor(prompt, document),
+      resources: [],
+      formatFields: formatFieldsFor(prompt, passages.map((p) => p.sentence)),
+    };
+  },
+
+  analysisMap(prompt) {
+    const sentences = extractPassages(prompt).map((p) => p.sentence);
+    const quotes = (sentence) => (sentence ? [quoteOf(sentence)] : []);
+
+    return {
+      claims: sentences.slice(0, 2).map((s) => ({ text: truncate(s, 160), quotes: quotes(s) })),
+      strengths: sentences.length > 0 ? [{ text: "The speaker states this section's point directly.", quotes: quotes(sentences[0]) }] : [],
+      weaknesses: sentences.length > 0 ? [{ text: "The speaker does not support this section's claims with evidence.", quotes: quotes(sentences[1]) }] : [],
+      grammarNotes: [],
+    };
+  },
+
+  analysisReduce(prompt) {
+    const match = prompt.match(/<Notes>([\s\S]*?)<\/Notes>/);
+    const notes = match ? JSON.parse(match[1]) : [];
+    // first item per distinct text (duplicates across overlapping excerpts are merged)
+    const unique = (field, max) =>
+      notes
+        .flatMap((n) => n[field])
+        .filter((item, i, all) => all.findIndex((other) => other.text === item.text) === i)
+        .slice(0, max);
+    const claims = unique("claims", 8);
+
+    return {
+      counterDebate:
+        claims.map((c) => `The opposition contests the claim that "${c.text}" because the document never establishes it.`).join("\n\n") ||
+        "The opposition rejects the premise of the motion.",
+      counterDebateCitations: claims.map((c, i) => ({ paragraph: i + 1, citations: c.citations })),
+      strengths: unique("strengths", 5),
+      weaknesses: unique("weaknesses", 5),
+      grammarNotes: unique("grammarNotes", 5),
+      rubricScores: rubricScoresFor(prompt, claims.map((c) => c.text).join(" ")),
+      resources: [],
+      formatFields: formatFieldsFor(prompt, claims.map((c) => c.text)),
+    };
+  },
+
+  debateTurn(prompt) {
+    const sentences = [...new Set(splitSentences(extractDocument(prompt)))];
+    const match = prompt.match(/<StudentReply>([\s\S]*?)<\/StudentReply>/);
+    const studentReply = (match ? match[1] : "").replace(/\s+/g, " ").trim();
+    const claim = sentences[stableHash(studentReply) % Math.max(sentences.length, 1)];
+
+    return {
+      reply: [
+        `You argue that "${truncate(studentReply, 160)}", but this does not resolve the core problem with your case.`,
+        claim ? `Your speech still rests on the claim that "${truncate(claim, 160)}", which you have not defended with evidence.` : "",
+        "Until that gap is addressed, the opposition maintains that the motion should fall.",
+      ]
+        .filter(Boolean)
+        .join(" "),
+    };
+  },
+
+  rebuttalGrade(prompt) {
+    // last occurrence: the instructions above the data mention the same tag names
+    const readTag = (tag) => {
+      const start = prompt.lastIndexOf(`<${tag}>`);
+      const end = prompt.lastIndexOf(`</${tag}>`);
+      return start >= 0 && end > start ? prompt.slice(start + tag.length + 2, end).trim() : "";
+    };
+    const rebuttal = readTag("Rebuttal");
+    const rebuttalWords = new Set(rebuttal.toLowerCase().match(/[a-z']{5,}/g) || []);
+    const paragraphs = readTag("CounterDebate")
+      .split(/\n\s*\n/)
+      .map((p) => p.trim())
+      .filter(Boolean)
+      .slice(0, 8);
+
+    // word overlap stands in for "engaged with this argument"
+    const counterArguments = paragraphs.map((paragraph) => {
+      const overlap = (paragraph.toLowerCase().match(/[a-z']{5,}/g) || []).filter((w) => rebuttalWords.has(w)).length;
+      const status = overlap >= 4 ? "answered" : overlap >= 2 ? "partial" : "dropped";
+      return {
+        argument: truncate(splitSentences(paragraph)[0] || paragraph, 160),
+        status,
+        explanation: {
+          answered: "The rebuttal responds to this point directly.",
+          partial: "The rebuttal touches this point without fully answering it.",
+          dropped: "The rebuttal does not engage with this point.",
+        }[status],
+      };
+    });
+
+    const answered = counterArguments.filter((c) => c.status === "answered").length;
+    const lengthScore = Math.min(10, 3 + Math.floor(countWords(rebuttal) / 60));
+    const refutation = Math.max(1, Math.round((answered / Math.max(counterArguments.length, 1)) * 10));
+
+    return {
+      counterArguments: counterArguments.length ? counterArguments : [{ argument: "The opposition rejects the motion.", status: "dropped", explanation: "No counter-arguments were found." }],
+      rubric: { refutation, evidence: Math.max(1, lengthScore - 2), clarity: 4 + (stableHash(rebuttal) % 5), structure: lengthScore },
+      feedback: [
+        "You should answer every opposition argument explicitly, in the order they were raised.",
+        "You should support each response with a concrete example or piece of evidence.",
+        "You should finish by weighing why your side wins the most important clash.",
+      ],
+    };
+  },
+
+  speechOutline(prompt) {
+    const start = prompt.lastIndexOf("<CounterDebate>");
+    const end = prompt.lastIndexOf("</CounterDebate>");
+    const counterDebate = start >= 0 && end > start ? prompt.slice(start + "<CounterDebate>".length, end) : "";
+    const targetWords = Number(prompt.match(/^- Target length: (\d+) words/m)?.[1]) || 750;
+    const paragraphs = counterDebate
+      .split(/\n\s*\n/)
+      .map((p) => p.replace(/\s+/g, " ").trim())
+      .filter(Boolean)
+      .slice(0, 5);
+    const bodies = paragraphs.length > 0 ? paragraphs : ["The opposition rejects the premise of the motion."];
+
+    const intro = {
+      title: "Introduction",
+      signpost: "Thank you, chair; the opposition rejects this motion.",
+      points: ["State the opposition's stance", `Roadmap: ${bodies.length} arguments`],
+      text: `I will make ${bodies.length} arguments, and then explain why they decide this debate.`,
+    };
+    const conclusion = {
+      title: "Conclusion",
+      signpost: "To conclude.",
+      points: ["Summarise the arguments", "Ask the judges to oppose"],
+      text: "The case for the motion rests on claims it never proves, so I am proud to oppose.",
+    };
+
+    // whole sentences until the section's share of the target (95%, like a speaker aiming under time) is used up
+    const framing = [intro, conclusion].reduce((sum, s) => sum + countWords(s.signpost) + countWords(s.text), 0);
+    const budget = Math.max(10, Math.floor((targetWords * 0.95 - framing) / bodies.length) - 6);
+    const fit = (paragraph) => {
+      const kept = [];
+      let words = 0;
+      for (const sentence of splitSentences(paragraph)) {
+        if (words + countWords(sentence) > budget) break;
+        kept.push(sentence);
+        words += countWords(sentence);
+      }
+      return kept.length > 0 ? kept.join(" ") : `${paragraph.split(" ").slice(0, budget).join(" ")}.`;
+    };
+
+    const argumentSections = bodies.map((paragraph, i) => ({
+      title: `Argument ${i + 1}`,
+      signpost: `My ${["first", "second", "third", "fourth", "fifth"][i]} argument is this.`,
+      points: [truncate(splitSentences(paragraph)[0] || paragraph, 80)],
+      text: fit(paragraph),
+    }));
+
+    return { sections: [intro, ...argumentSections, conclusion] };
+  },
+
+  questionBank(prompt) {
+    const count = Number(prompt.match(/Write (\d+) questions/)?.[1]) || 10;
+    const passages = extractPassages(prompt).slice(0, count);
+    const difficulties = ["medium", "hard", "easy"];
+
+    return {
+      questions: passages.map((p, i) => {
+        const claim = truncate(p.sentence, 120);
+        return i % 2 === 0
+          ? {
+              kind: "poi",
+              question: `What evidence shows that ${claim.replace(/[.!?]+$/, "").toLowerCase()}?`,
+              targetClaim: claim,
+              chunk: p.chunk,
+              quote: quoteOf(p.sentence),
+              difficulty: difficulties[i % 3],
+              suggestedAnswer: "The evidence is in my case: I will come to it, but the burden is on you to show it is wrong.",
+            }
+          : {
+              kind: "crossExam",
+              question: `You claimed that "${claim}" Would that still hold if the opposite were true in just one case?`,
+              targetClaim: claim,
+              chunk: p.chunk,
+              quote: quoteOf(p.sentence),
+              difficulty: difficulties[i % 3],
+              suggestedAnswer: "Yes. One exception does not undo a general trend, and my case never claimed the rule is absolute.",
+            };
+      }),
+    };
+  },
+
+  drillAnswerGrade(prompt) {
+    // last occurrence: the instructions above the data mention the same tag names
+    const readTag = (tag) => {
+      const start = prompt.lastIndexOf(`<${tag}>`);
+      const end = prompt.lastIndexOf(`</${tag}>`);
+      return start >= 0 && end > start ? prompt.slice(start + tag.length + 2, end).trim() : "";
+    };
+    const answer = readTag("StudentAnswer");
+    const claimWords = new Set(readTag("TargetClaim").toLowerCase().match(/[a-z']{5,}/g) || []);
+    const overlap = (answer.toLowerCase().match(/[a-z']{5,}/g) || []).filter((w) => claimWords.has(w)).length;
+
+    // word overlap with the targeted claim stands in for "engaged with the question"
+    const score = Math.max(1, Math.min(10, 2 + overlap * 2 + Math.min(3, Math.floor(countWords(answer) / 15))));
+
+    return {
+      score,
+      feedback:
+        score >= 7
+          ? ["You answered the question directly; now finish by turning it back on your opponent."]
+          : ["You should answer the question in your first sentence instead of working up to it.", "You should give one reason that protects the targeted claim."],
+      improvedAnswer: readTag("ReferenceAnswer") || answer,
+    };
+  },
+
+  studySet(prompt) {
+    const mcqCount = Number(prompt.match(/Write (\d+) multiple-choice questions/)?.[1]) || 8;
+    const flashcardCount = Number(prompt.match(/Write (\d+) flashcards/)?.[1]) || 12;
+    const passages = extractPassages(prompt);
+    const questionPassages = passages.slice(0, mcqCount);
+    const cardPassages = passages.slice(mcqCount, mcqCount + flashcardCount);
+
+    return {
+      multipleChoice: questionPassages.map((p, i) => {
+        const statement = truncate(p.sentence, 140);
+        const distractors = [
+          `The document argues the opposite: it is false that ${statement.charAt(0).toLowerCase()}${statement.slice(1).replace(/[.!?]+$/, "")}.`,
+          "The document does not discuss this point.",
+          "The document says this only applies in exceptional cases.",
+        ];
+        const answerIndex = i % 4;
+        const options = [...distractors.slice(0, answerIndex), statement, ...distractors.slice(answerIndex)];
+        return {
+          question: `Which statement does the document make (point ${i + 1})?`,
+          options,
+          answerIndex,
+          explanation: `The document states it directly: "${quoteOf(p.sentence)}".`,
+          chunk: p.chunk,
+          quote: quoteOf(p.sentence),
+        };
+      }),
+      flashcards: cardPassages.map((p) => ({
+        front: `${p.sentence.split(" ").slice(0, 6).join(" ")}…`,
+        back: truncate(p.sentence, 200),
+        chunk: p.chunk,
+        quote: quoteOf(p.sentence),
+      })),
+    };
+  },
+
+  synthesis(prompt) {
+    const sources = [...prompt.matchAll(/<Source id="(\d+)" name="([^"]*)">([\s\S]*?)<\/Source>/g)].map(([, id, name, body]) => ({
+      id: Number(id),
+      name,
+      sentences: [...new Set(splitSentences(body.replace(/<\/?Chunk[^>]*>/g, " ")))],
+    }));
+    const motion = prompt.match(/^Motion: (.*)$/m)?.[1]?.trim();
+    const claims = sources.flatMap((s) => s.sentences.slice(0, 2).map((sentence) => `${truncate(sentence, 160)}" (${s.name})`));
+
+    return {
+      motion: motion && motion !== "infer" ? motion : truncate(sources[0]?.sentences[0] || "The motion of the case file.", 120),
+      counterDebate:
+        claims.map((c) => `The opposition contests the claim that "${c} because the case file never establishes it.`).join("\n\n") ||
+        "The opposition rejects the premise of the motion.",
+      sourceNotes: sources.map((s) => ({ source: s.id, note: `The opposition case challenges the claims made in ${s.name}.` })),
+      strengths: ["The case presents its position consistently across documents."],
+      weaknesses: ["The case relies on evidence the documents do not connect to the main claims."],
+      rating: 5 + (stableHash(claims.join(" ")) % 4),
+      resources: [],
+    };
+  },
+
+  summary(prompt) {
+    const document = extractDocument(prompt);
+    const sentences = [...new Set(splitSentences(document))];
+    const paragraphs = document
+      .split(/\n\s*\n/)
+      .map((p) => p.replace(/\s+/g, " ").trim())
+      .filter(Boolean)
+      .slice(0, 6);
+    // sentences with a number stand in for "evidence"
+    const evidence = sentences.filter((s) => /\d/.test(s)).slice(0, 4);
+
+    return {
+      thesis: sentences.length > 0 ? truncate(sentences[0], 200) : null,
+      keyPoints: sentences.length > 0 ? sentences.slice(0, 5).map((s) => truncate(s, 160)) : ["The document contains no readable sentences."],
+      structure: (paragraphs.length > 0 ? paragraphs : [document]).map((p, i) => ({
+        section: `Part ${i + 1}`,
+        summary: truncate(splitSentences(p)[0] || p, 160),
+      })),
+      notableEvidence: evidence.map((s) => ({ evidence: truncate(s, 160), supports: truncate(sentences[0], 120) })),
+    };
+  },
+
+  argumentMap(prompt) {
+    const passages = extractPassages(prompt).slice(0, 5);
+    // last occurrence: the instructions above the data mention the same tag name
+    const start = prompt.lastIndexOf("<CounterDebate>");
+    const end = prompt.lastIndexOf("</CounterDebate>");
+    const paragraphs = (start >= 0 && end > start ? prompt.slice(start + 15, end) : "")
+      .split(/\n\s*\n/)
+      .map((p) => p.replace(/^\s*\[\d+\]\s*/, "").trim())
+      .filter(Boolean)
+      .slice(0, 6);
+
+    // first sentence = main claim; sentences with a number stand in for evidence, the rest for premises
+    const documentNodes = (passages.length > 0 ? passages : [{ chunk: null, sentence: "The document's position." }]).map((p, i) => ({
+      id: `d${i + 1}`,
+      type: i === 0 ? "claim" : /\d/.test(p.sentence) ? "evidence" : "premise",
+      side: "document",
+      text: truncate(p.sentence, 160),
+      paragraph: null,
+      citations: citeOf(passages[i]),
+    }));
+    const counterNodes = paragraphs.map((p, i) => ({
+      id: `c${i + 1}`,
+      type: "claim",
+      side: "counter",
+      text: truncate(splitSentences(p)[0] || p, 160),
+      paragraph: i + 1,
+      citations: [],
+    }));
+
+    // word overlap picks the document node each counter paragraph attacks
+    const wordsOf = (text) => new Set(text.toLowerCase().match(/[a-z']{5,}/g) || []);
+    const attackTarget = (paragraph) => {
+      const words = wordsOf(paragraph);
+      const overlap = documentNodes.map((n) => [...wordsOf(n.text)].filter((w) => words.has(w)).length);
+      return documentNodes[overlap.indexOf(Math.max(...overlap))].id;
+    };
+
+    return {
+      nodes: [...documentNodes, ...counterNodes],
+      edges: [
+        ...documentNodes.slice(1).map((n) => ({ from: n.id, to: "d1", relation: "support" })),
+        ...counterNodes.map((n, i) => ({ from: n.id, to: attackTarget(paragraphs[i]), relation: "attack" })),
+      ],
+    };
+  },
+
+  fallacies(prompt) {
+    // keyword cues stand in for real fallacy detection
+    const cues = [
+      { type: "falseDilemma", pattern: /\beither\b[^.]*\bor\b|\bonly (two|one) (options?|choices?|ways?)\b/i, explanation: "You present two options as if no others existed." },
+      { type: "slipperySlope", pattern: /\b(will (inevitably|eventually) lead|leads? to|next thing)\b/i, explanation: "You assume one step leads to an extreme outcome without showing each link." },
+      { type: "bandwagon", pattern: /\b(everyone (knows|agrees)|most people|nobody believes)\b/i, explanation: "You treat popularity as proof that the claim is right." },
+      { type: "hastyGeneralization", pattern: /\b(always|never|all (students|people|schools))\b/i, explanation: "You draw a universal conclusion from limited cases." },
+    ];
+
+    const fallacies = extractPassages(prompt)
+      .map((p) => ({ p, cue: cues.find((c) => c.pattern.test(p.sentence)) }))
+      .filter(({ cue }) => cue)
+      .slice(0, 5)
+      .map(({ p, cue }, i) => ({
+        type: cue.type,
+        chunk: p.chunk,
+        quote: quoteOf(p.sentence),
+        explanation: cue.explanation,
+        severity: i === 0 ? "high" : "medium",
+      }));
+
+    return { fallacies };
+  },
+
+  injectionScreen(prompt) {
+    const excerpts = extractDocument(prompt);
+    // an excerpt that only mentions injection as a topic reads like a speech about AI, not an attack
+    const discussesTopic = /\bprompt injection\b|\bAI safety\b/i.test(excerpts);
+    const strong = /\[(ignoreInstructions|chatMarkers|tagCharacters)\]/.test(excerpts);
+
+    return discussesTopic && !strong
+      ? { isInjection: false, confidence: 0.7, reason: "The excerpts discuss prompt injection as a subject of the speech." }
+      : { isInjection: strong, confidence: strong ? 0.9 : 0.6, reason: strong ? "The excerpts give the AI direct instructions." : "Weak signals only, no direct instructions." };
+  },
+};
+
+export function createMockProvider() {
+  async function generate({ task, prompt }) {
+    const fixture = fixtures[task];
+    if (!fixture) {
+      throw new Error(`Mock provider has no fixture for task: ${task}`);
+    }
+
+    const text = JSON.stringify(fixture(prompt));
+    const promptTokens = Math.ceil(prompt.length / 4);
+    const outputTokens = Math.ceil(text.length / 4);
+
+    return {
+      text,
+      model: MOCK_MODEL,
+      usage: { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens },
+    };
+  }
+
+  // Replays the fixture output in fixed-size slices (same final text as generate)
+  async function generateStream({ task, prompt, onDelta }) {
+    const result = await generate({ task, prompt });
+
+    for (let i = 0; i < result.text.length; i += STREAM_CHUNK_SIZE) {
+      onDelta?.(result.text.slice(i, i + STREAM_CHUNK_SIZE));
+      await new Promise((resolve) => setTimeout(resolve, STREAM_DELAY_MS));
+    }
+
+    return result;
+  }
+
+  // Rough heuristic (~4 chars per token), good enough for budget decisions offline
+  async function countTokens({ text }) {
+    return Math.ceil((text || "").length / 4);
+  }
+
+  async function embed({ texts }) {
+    return (texts || []).map((text) => {
+      const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+      const words = text.toLowerCase().match(/[a-z0-9']+/g) || [];
+
+      for (const word of words) {
+        vector[stableHash(word) % EMBEDDING_DIMENSIONS] += 1;
+      }
+
+      const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+      return vector.map((v) => v / norm);
+    });
+  }
+
+  // Fixtures already return the expected shape, so response schemas are not needed
+  return { name: "mock", model: MOCK_MODEL, embeddingModel: MOCK_MODEL, supportsResponseSchema: false, generate, generateStream, countTokens, embed };
+}
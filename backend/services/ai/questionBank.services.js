@@ -0,0 +1,175 @@
+/**
+ * Points of Information & Cross-Examination Question Bank
+ *
+ * The questions an opponent would most likely ask about the user's speech, each aimed at one
+ * claim with a difficulty and a suggested answer, plus AI grading of the user's own answers (drill mode).
+ *
+ * DESIGN DECISIONS:
+ * - Generated from a context covering the whole document (like the summary), not the analysis:
+ *   questions attack the student's speech, so any preprocessed PDF can get a bank
+ * - Runs in the ai-analysis worker (job name "generateQuestions"), same retry rules as the analysis pipeline
+ * - The targeted claim's quote goes through the citation verifier; a question whose quote is not
+ *   found is kept (the claim summary still says what it attacks), it just has no citation
+ * - Drill answers are graded synchronously, like a debate turn: one short generation per answer
+ */
+
+import { Pdf } from "../../models/pdf.model.js";
+import { QuestionBank } from "../../models/questionBank.model.js";
+import { ApiError } from "../../utils/ApiError.js";
+import { isRateLimitError } from "./utils/isRateLimitError.js";
+import { renderPrompt } from "./promptRegistry.js";
+import { generateStructured } from "./structuredOutput.services.js";
+import { createCitationVerifier } from "./citations.services.js";
+import { buildDocumentContext } from "./retrieval.services.js";
+import { isQuarantined, quarantineReasonFor } from "./injectionScreening.services.js";
+import { failureReasonFor, isTerminalError, toResultMeta } from "./analysisPipeline.services.js";
+import { drillAnswerGradeSchema, questionBankSchema } from "../../zod/aiSchemas/questionBank.schema.js";
+
+const QUESTION_COUNT = 10;
+export const MAX_ATTEMPTS_PER_QUESTION = 20;
+
+// how each question type is named and timed in the grading prompt
+const QUESTION_KINDS = {
+  poi: {
+    label: "Point of Information",
+    timing: "A Point of Information is answered mid-speech: penalise answers that would take more than two sentences to say.",
+  },
+  crossExam: {
+    label: "cross-examination question",
+    timing: "Cross-examination answers may take a few sentences, but penalise answers that drift away from the question.",
+  },
+};
+
+/**
+ * Generate the question bank of a speech.
+ *
+ * @param {object} params
+ * @param {string} params.text - full extracted text
+ * @param {string} params.pdfId - MongoDB ObjectId of the PDF (chunks are sampled for long documents)
+ * @param {string} params.topic - debate motion (or the file name when the gate never ran)
+ * @returns {Promise<{ questions: object[], meta: object }>}
+ */
+export async function generateQuestionBank({ text, pdfId, topic }) {
+  if (!text || !text.trim()) {
+    throw new ApiError(400, "Empty text provided for the question bank");
+  }
+
+  const { context, sources, ...contextMeta } = await buildDocumentContext({ text, pdfId });
+  const { text: finalPrompt, prompt } = renderPrompt("questionBank", { TOPIC: topic, COUNT: QUESTION_COUNT, TEXT: context });
+
+  try {
+    const { data, model, repairAttempts } = await generateStructured({
+      task: "questionBank",
+      prompt: finalPrompt,
+      schema: questionBankSchema(),
+    });
+
+    const { verify, stats } = createCitationVerifier(sources);
+    const questions = data.questions.map(({ chunk, quote, ...question }) => ({ ...question, citations: verify([{ chunk, quote }]) }));
+
+    return { questions, meta: { model, prompt, repairAttempts, ...contextMeta, citations: stats } };
+  } catch (error) {
+    console.error("AI question bank error:", error?.message || error);
+    if (error instanceof ApiError) throw error;
+    if (isRateLimitError(error)) throw new ApiError(429, "AI usage limit reached. Please try again later.");
+    throw new ApiError(500, "Question bank generation failed");
+  }
+}
+
+/**
+ * Mark a question bank run as failed (only if the run is still current).
+ */
+export async function markQuestionBankFailed(bankId, jobId, reason) {
+  await QuestionBank.updateOne(
+    { _id: bankId, aiJobId: jobId, status: "processing" },
+    { $set: { status: "failed", statusReason: reason } },
+  );
+}
+
+/**
+ * Generate the question bank of one PDF (ai-analysis worker).
+ *
+ * @param {object} params
+ * @param {string} params.bankId - MongoDB ObjectId of the QuestionBank document
+ * @param {string} params.jobId - ai-analysis job id that owns this run
+ * @param {(progress: number) => void} [params.onProgress]
+ * @returns {Promise<{ status: string, reason?: string, questions?: number }>}
+ */
+export async function runQuestionBank({ bankId, jobId, onProgress = () => {} }) {
+  const bank = await QuestionBank.findById(bankId).select("pdf").lean();
+  const isCurrent = { _id: bankId, aiJobId: jobId };
+
+  const fail = async (reason) => {
+    await markQuestionBankFailed(bankId, jobId, reason);
+    return { status: "failed", reason };
+  };
+
+  const pdf = await Pdf.findById(bank.pdf).select("+extractedText originalName injectionRisk aiResult.gate");
+  if (!pdf) return fail("The PDF for this question bank no longer exists");
+  if (!pdf.extractedText?.trim()) return fail("No readable text found in PDF (possibly scanned)");
+  if (isQuarantined(pdf)) return fail(quarantineReasonFor(pdf.injectionRisk));
+
+  try {
+    onProgress(10);
+    const { questions, meta } = await generateQuestionBank({
+      text: pdf.extractedText,
+      pdfId: pdf._id,
+      topic: pdf.aiResult?.gate?.detectedTopic || pdf.originalName,
+    });
+    onProgress(90);
+
+    await QuestionBank.updateOne(isCurrent, {
+      $set: {
+        status: "completed",
+        statusReason: null,
+        questions,
+        generatedAt: new Date(),
+        meta: toResultMeta(meta),
+      },
+    });
+
+    onProgress(100);
+    return { status: "completed", questions: questions.length };
+  } catch (error) {
+    if (isTerminalError(error)) return fail(failureReasonFor(error));
+    throw error;
+  }
+}
+
+/**
+ * Grade the student's answer to one bank question (drill mode).
+ *
+ * @param {object} params
+ * @param {string} params.topic - debate motion
+ * @param {{ kind: string, question: string, targetClaim: string, suggestedAnswer: string }} params.question
+ * @param {string} params.answer - the student's answer
+ * @returns {Promise<{ score: number, feedback: string[], improvedAnswer: string, meta: { model: string, prompt: object, repairAttempts: number } }>}
+ */
+export async function gradeDrillAnswer({ topic, question, answer }) {
+  const kind = QUESTION_KINDS[question.kind];
+
+  const { text: finalPrompt, prompt } = renderPrompt("drillAnswerGrade", {
+    TOPIC: topic,
+    KIND: kind.label,
+    TIMING: kind.timing,
+    QUESTION: question.question,
+    TARGET_CLAIM: question.targetClaim,
+    SUGGESTED_ANSWER: question.suggestedAnswer,
+    ANSWER: answer,
+  });
+
+  try {
+    const { data, model, repairAttempts } = await generateStructured({
+      task: "drillAnswerGrade",
+      prompt: finalPrompt,
+      schema: drillAnswerGradeSchema(),
+    });
+
+    return { ...data, meta: { model, prompt, repairAttempts } };
+  } catch (error) {
+    console.error("AI drill grading error:", error?.message || error);
+    if (error instanceof ApiError) throw error;
+    if (isRateLimitError(error)) throw new ApiError(429, "AI usage limit reached. Please try again later.");
+    throw new ApiError(500, "Answer grading failed");
+  }
+}
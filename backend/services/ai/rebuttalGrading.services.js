@@ -0,0 +1,185 @@
+/**
+ * Rebuttal Grading
+ *
+ * The student answers the AI's counter-debate; an adjudicator prompt judges which
+ * counter-arguments were answered or dropped, scores a rubric and gives feedback.
+ *
+ * DESIGN DECISIONS:
+ * - Runs in the ai-analysis worker (job name "gradeRebuttal"), like the main analysis
+ * - Uploaded rebuttal PDFs are extracted in the worker (controllers never extract text),
+ *   then the temporary Cloudinary copy is deleted - only the text is kept
+ * - The overall score is computed here from the rubric, never taken from the model
+ * - Same retry rules as the analysis pipeline: Throw = transient, Return = terminal
+ */
+
+import { v2 as cloudinary } from "cloudinary";
+import { Pdf } from "../../models/pdf.model.js";
+import { RebuttalGrade } from "../../models/rebuttalGrade.model.js";
+import { ApiError } from "../../utils/ApiError.js";
+import { downloadPdfBuffer } from "../../utils/downloadPdfBuffer.js";
+import { extractPdfText } from "../../utils/extractPdfText.js";
+import { sanitizeExtractedText } from "../../utils/sanitizeExtractedText.js";
+import { isRateLimitError } from "./utils/isRateLimitError.js";
+import { renderPrompt } from "./promptRegistry.js";
+import { generateStructured } from "./structuredOutput.services.js";
+import { failureReasonFor, isTerminalError } from "./analysisPipeline.services.js";
+import { rebuttalGradeSchema } from "../../zod/aiSchemas/rebuttalGrade.schema.js";
+import { MAX_REBUTTAL_LENGTH } from "../../zod/debateSchemas/rebuttal.schema.js";
+
+export const REBUTTAL_RUBRIC = [
+  { key: "refutation", label: "Refutation" },
+  { key: "evidence", label: "Evidence" },
+  { key: "clarity", label: "Clarity" },
+  { key: "structure", label: "Structure" },
+];
+
+/**
+ * Average rubric score (1-10 per criterion) as 0-100.
+ */
+function computeOverallScore(rubric) {
+  const total = REBUTTAL_RUBRIC.reduce((sum, { key }) => sum + rubric[key], 0);
+  return Math.round((total / REBUTTAL_RUBRIC.length) * 10);
+}
+
+/**
+ * Judge a rebuttal against the counter-debate it answers.
+ *
+ * @param {object} params
+ * @param {string} params.topic - debate motion
+ * @param {string} params.counterDebate - the AI counter-debate shown to the student
+ * @param {string} params.rebuttal - the student's rebuttal text
+ * @returns {Promise<{ result: object, overallScore: number, meta: { model: string, prompt: object, repairAttempts: number } }>}
+ */
+export async function gradeRebuttal({ topic, counterDebate, rebuttal }) {
+  const { text: finalPrompt, prompt } = renderPrompt("rebuttalGrade", {
+    TOPIC: topic,
+    COUNTER_DEBATE: counterDebate,
+    REBUTTAL: rebuttal,
+  });
+
+  try {
+    const { data, model, repairAttempts } = await generateStructured({
+      task: "rebuttalGrade",
+      prompt: finalPrompt,
+      schema: rebuttalGradeSchema(),
+    });
+
+    return {
+      result: data,
+      overallScore: computeOverallScore(data.rubric),
+      meta: { model, prompt, repairAttempts },
+    };
+  } catch (error) {
+    console.error("AI rebuttal grading error:", error?.message || error);
+    if (error instanceof ApiError) throw error;
+    if (isRateLimitError(error)) throw new ApiError(429, "AI usage limit reached. Please try again later.");
+    throw new ApiError(500, "Rebuttal grading failed");
+  }
+}
+
+/**
+ * Mark a grading run as failed (only if the run is still current).
+ */
+export async function markRebuttalFailed(rebuttalId, jobId, reason) {
+  await RebuttalGrade.updateOne(
+    { _id: rebuttalId, aiJobId: jobId, status: "processing" },
+    { $set: { status: "failed", statusReason: reason } },
+  );
+}
+
+/**
+ * Best-effort removal of the temporary rebuttal PDF from Cloudinary.
+ */
+export async function deleteRebuttalFile(filePublicId) {
+  if (!filePublicId) return;
+  try {
+    await cloudinary.uploader.destroy(filePublicId, { resource_type: "image" });
+  } catch (err) {
+    console.error(`Failed to delete rebuttal file ${filePublicId}: ${err.message}`);
+  }
+}
+
+/**
+ * Extract the rebuttal text from the uploaded PDF and store it.
+ * @returns {Promise<{ text?: string, reason?: string }>} reason = terminal failure
+ */
+async function extractRebuttalPdf(rebuttal, isCurrent) {
+  let rawText;
+  try {
+    rawText = await extractPdfText(await downloadPdfBuffer(rebuttal.fileUrl));
+  } catch (err) {
+    // download errors are transient, unreadable files are not
+    if (err.message?.startsWith("Failed to download") || err.message?.includes("timed out")) throw err;
+    console.error(`Failed to extract rebuttal text: ${err.message}`);
+    return { reason: "Could not read the rebuttal PDF" };
+  }
+
+  const text = sanitizeExtractedText(rawText);
+  if (!text) return { reason: "No readable text found in the rebuttal PDF" };
+  if (text.length > MAX_REBUTTAL_LENGTH) {
+    return { reason: `Rebuttal is too long (max ${MAX_REBUTTAL_LENGTH} characters)` };
+  }
+
+  await RebuttalGrade.updateOne(isCurrent, { $set: { text, fileUrl: null, filePublicId: null } });
+  await deleteRebuttalFile(rebuttal.filePublicId);
+
+  return { text };
+}
+
+/**
+ * Grade one submitted rebuttal (ai-analysis worker).
+ *
+ * @param {object} params
+ * @param {string} params.rebuttalId - MongoDB ObjectId of the RebuttalGrade document
+ * @param {string} params.jobId - ai-analysis job id that owns this run
+ * @returns {Promise<{ status: string, reason?: string, overallScore?: number }>}
+ */
+export async function runRebuttalGrading({ rebuttalId, jobId }) {
+  const rebuttal = await RebuttalGrade.findById(rebuttalId).select("+text");
+  const isCurrent = { _id: rebuttalId, aiJobId: jobId };
+
+  const fail = async (reason) => {
+    await markRebuttalFailed(rebuttalId, jobId, reason);
+    return { status: "failed", reason };
+  };
+
+  const pdf = await Pdf.findById(rebuttal.pdf).select("aiResult originalName preferredRevision");
+  const counterDebate = pdf?.aiResult?.analysis?.counterDebate;
+  if (!counterDebate) {
+    return fail("The analysis this rebuttal answers no longer exists");
+  }
+
+  try {
+    let text = rebuttal.text;
+    if (!text && rebuttal.source === "pdf") {
+      const extracted = await extractRebuttalPdf(rebuttal, isCurrent);
+      if (extracted.reason) return fail(extracted.reason);
+      text = extracted.text;
+    }
+
+    if (!text?.trim()) return fail("Rebuttal is empty");
+
+    const graded = await gradeRebuttal({
+      topic: pdf.aiResult.gate?.detectedTopic || pdf.originalName,
+      counterDebate,
+      rebuttal: text,
+    });
+
+    await RebuttalGrade.updateOne(isCurrent, {
+      $set: {
+        status: "completed",
+        statusReason: null,
+        // the analysis may have been regenerated since submission: record the one actually graded
+        revision: pdf.preferredRevision,
+        result: graded.result,
+        overallScore: graded.overallScore,
+        meta: graded.meta,
+      },
+    });
+
+    return { status: "completed", overallScore: graded.overallScore };
+  } catch (error) {
+    if (isTerminalError(error)) return fail(failureReasonFor(error));
+    throw error;
+  }
+}
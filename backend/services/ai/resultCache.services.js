@@ -0,0 +1,98 @@
+/**
+ * Cross-User AI Result Cache
+ *
+ * A class uploading the same sample speech should cost one analysis, not thirty.
+ * Results are keyed by the document's contentHash, the pipeline step and a version string.
+ *
+ * DESIGN DECISIONS:
+ * - The version string lists every prompt version the step can use, the model and the step's
+ *   options (format, tone, length, difficulty, focus). Bumping a prompt or switching models changes it, so stale entries
+ *   are simply never matched again (and expire via TTL) - no explicit invalidation needed
+ * - Chunking is deterministic, so chunk indices in cached citations are valid for every copy
+ * - Only complete results are stored: an analysis whose optional steps failed is not cached,
+ *   so the next run gets a chance to produce them
+ * - Cache errors never fail an analysis: a broken lookup is a miss, a broken write is skipped
+ * - Pdf.analysisOptions.bypassCache skips lookups (the fresh result still replaces the entry)
+ */
+
+import { AiResultCache } from "../../models/aiResultCache.model.js";
+import { getPromptRef } from "./promptRegistry.js";
+import { getLLMProvider } from "./providers/llmProvider.js";
+import { analysisOptionsKey, resolveAnalysisOptions } from "./analysisOptions.js";
+
+const CACHE_TTL_DAYS = parseInt(process.env.AI_CACHE_TTL_DAYS, 10) || 30;
+
+// prompts each cached step can render (map-reduce and repairs included)
+const STEP_PROMPTS = {
+  gate: ["debateGate", "structuredRepair"],
+  analysis: ["counterDebate", "analysisMap", "analysisReduce", "argumentMap", "fallacies", "structuredRepair"],
+};
+
+const expiresAt = () => new Date(Date.now() + CACHE_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Version string of a step: prompt versions, model and options.
+ * @param {"gate"|"analysis"} type
+ * @param {object} [options] - analysis options (Pdf.analysisOptions), analysis step only
+ */
+export function cacheVersion(type, options) {
+  const prompts = STEP_PROMPTS[type].map((name) => `${name}.v${getPromptRef(name).version}`);
+  const parts = [...prompts, `model=${getLLMProvider().model}`];
+  if (type === "analysis") parts.push(analysisOptionsKey(resolveAnalysisOptions(options)));
+  return parts.join("|");
+}
+
+const cacheKey = (contentHash, type, options) => ({ contentHash, type, version: cacheVersion(type, options) });
+
+/**
+ * Look at a cached result without counting a hit (used to decide whether a replay is possible).
+ * @returns {Promise<{ result: any } | null>}
+ */
+export async function peekCachedResult({ contentHash, type, options }) {
+  if (!contentHash) return null;
+
+  try {
+    return await AiResultCache.findOne(cacheKey(contentHash, type, options)).select("result").lean();
+  } catch (err) {
+    console.error(`AI cache lookup failed: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Fetch a cached result and count the hit.
+ * @returns {Promise<{ result: any, meta: any, storedAt: Date } | null>}
+ */
+export async function findCachedResult({ contentHash, type, options }) {
+  if (!contentHash) return null;
+
+  try {
+    const entry = await AiResultCache.findOneAndUpdate(
+      cacheKey(contentHash, type, options),
+      { $inc: { hits: 1 }, $set: { expiresAt: expiresAt() } },
+      { new: true },
+    ).lean();
+
+    return entry ? { result: entry.result, meta: entry.meta, storedAt: entry.updatedAt } : null;
+  } catch (err) {
+    console.error(`AI cache lookup failed: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Store (or replace) a step's result.
+ */
+export async function storeCachedResult({ contentHash, type, options, result, meta }) {
+  if (!contentHash) return;
+
+  try {
+    await AiResultCache.findOneAndUpdate(
+      cacheKey(contentHash, type, options),
+      { $set: { result, meta, expiresAt: expiresAt() }, $setOnInsert: { hits: 0 } },
+      { upsert: true },
+    );
+  } catch (err) {
+    console.error(`AI cache write failed: ${err.message}`);
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Vector Retrieval over PdfChunk
+ *
+ * Local cosine-similarity index: chunk vectors live on the PdfChunk documents,
+ * scoring happens in-process. A single PDF has at most a few hundred chunks,
+ * so a brute-force scan is cheaper than running a vector database.
+ *
+ * Also builds prompt context from chunks: retrieved (relevance) or evenly sampled (coverage).
+ */
+
+import { PdfChunk } from "../../models/pdfChunk.model.js";
+import { embedPdfChunks, embedQueries } from "./embedding.services.js";
+import { getLLMProvider } from "./providers/llmProvider.js";
+
+const DEFAULT_TOP_K = parseInt(process.env.RAG_TOP_K, 10) || 6;
+const DOCUMENT_CONTEXT_TOKEN_BUDGET = parseInt(process.env.ANALYSIS_TOKEN_BUDGET, 10) || 30000;
+
+export function cosineSimilarity(a, b) {
+  if (!a?.length || a.length !== b?.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Load the chunk index for a PDF, embedding any chunks that are missing vectors.
+ * @param {string} pdfId
+ * @returns {Promise<Array<{ index: number, text: string, embedding: number[] }>>}
+ */
+async function loadChunkIndex(pdfId) {
+  await embedPdfChunks(pdfId);
+
+  return PdfChunk.find({ pdf: pdfId, embeddingModel: getLLMProvider().embeddingModel })
+    .select("index text +embedding")
+    .sort({ index: 1 })
+    .lean();
+}
+
+/**
+ * Retrieve the top-k chunks most relevant to any of the given queries.
+ * A chunk's score is its best similarity across all queries.
+ *
+ * @param {object} params
+ * @param {string} params.pdfId - MongoDB ObjectId of the PDF document
+ * @param {string[]} params.queries - natural-language retrieval queries
+ * @param {number} [params.topK]
+ * @returns {Promise<Array<{ index: number, text: string, score: number }>>} ordered by chunk index (reading order)
+ */
+export async function retrieveRelevantChunks({ pdfId, queries, topK = DEFAULT_TOP_K }) {
+  const chunks = await loadChunkIndex(pdfId);
+  if (chunks.length === 0) return [];
+
+  const cleanQueries = (queries || []).filter((q) => typeof q === "string" && q.trim());
+
+  // Nothing to rank against, or the whole document already fits: keep reading order
+  if (cleanQueries.length === 0 || chunks.length <= topK) {
+    return chunks.slice(0, topK).map(({ index, text }) => ({ index, text, score: 1 }));
+  }
+
+  const queryVectors = await embedQueries(cleanQueries);
+
+  return chunks
+    .map(({ index, text, embedding }) => ({
+      index,
+      text,
+      score: Math.max(...queryVectors.map((q) => cosineSimilarity(q, embedding))),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Render retrieved chunks as prompt context.
+ * Chunk indices are kept so the model (and later, citations) can refer back to them.
+ */
+export function buildChunkContext(chunks) {
+  return chunks.map((c) => `<Chunk index="${c.index}">\n${c.text}\n</Chunk>`).join("\n");
+}
+
+/**
+ * Pick evenly spaced chunks whose estimated size fits the token budget (reading order).
+ */
+function sampleChunks(chunks, tokensPerChar) {
+  const totalChars = chunks.reduce((sum, c) => sum + c.text.length, 0);
+  const keep = Math.max(1, Math.floor(chunks.length * Math.min(1, DOCUMENT_CONTEXT_TOKEN_BUDGET / (totalChars * tokensPerChar))));
+  const step = chunks.length / keep;
+
+  return Array.from({ length: keep }, (_, i) => chunks[Math.floor(i * step)]);
+}
+
+/**
+ * Build a context that covers the whole document: the full text when it fits, evenly sampled chunks otherwise.
+ * For tasks that need coverage rather than relevance (neutral summary, argument map).
+ * @returns {Promise<{ context: string, sources: Array<{ index: number|null, text: string }>, mode: string, chunksUsed?: number }>}
+ */
+export async function buildDocumentContext({ text, pdfId }) {
+  const tokenCount = await getLLMProvider().countTokens({ text });
+  if (tokenCount <= DOCUMENT_CONTEXT_TOKEN_BUDGET) {
+    return { context: text, sources: [{ index: null, text }], mode: "fullText" };
+  }
+
+  const tokensPerChar = tokenCount / text.length;
+  const chunks = await PdfChunk.find({ pdf: pdfId }).select("index text").sort({ index: 1 }).lean();
+  if (chunks.length === 0) {
+    const truncated = text.slice(0, Math.floor(DOCUMENT_CONTEXT_TOKEN_BUDGET / tokensPerChar));
+    return { context: truncated, sources: [{ index: null, text: truncated }], mode: "truncated" };
+  }
+
+  const sampled = sampleChunks(chunks, tokensPerChar);
+  console.log(`PDF ${pdfId} has ${tokenCount} tokens (budget ${DOCUMENT_CONTEXT_TOKEN_BUDGET}) - sampling ${sampled.length}/${chunks.length} chunks`);
+  return { context: buildChunkContext(sampled), sources: sampled, mode: "sampled", chunksUsed: sampled.length };
+}
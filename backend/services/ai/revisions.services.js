@@ -0,0 +1,101 @@
+/**
+ * Analysis Revisions
+ *
+ * Every completed analysis run is stored as a numbered AnalysisRevision; Pdf.aiResult is a copy
+ * of the preferred one (the latest run, until the user picks another).
+ *
+ * DESIGN DECISIONS:
+ * - Numbers come from an atomic $inc of Pdf.revisionCount filtered by the run's aiJobId,
+ *   so concurrent or stale runs can never allocate the same number
+ * - A PDF analyzed before revisions existed has its result archived as revision 1 on the next run,
+ *   so regenerating never loses it
+ * - The neutral summary is not part of a revision: it has its own lifecycle (aiResult.summary)
+ */
+
+import { Pdf } from "../../models/pdf.model.js";
+import { AnalysisRevision } from "../../models/analysisRevision.model.js";
+import { resolveAnalysisOptions } from "./analysisOptions.js";
+
+// aiResult fields (and aiResult.meta steps) a revision owns
+const RESULT_FIELDS = ["gate", "gateOverride", "analysis", "format", "argumentMap", "fallacies"];
+const META_STEPS = ["gate", "analysis", "argumentMap", "fallacies"];
+
+const pickDefined = (source, keys) => Object.fromEntries(keys.filter((k) => source?.[k] != null).map((k) => [k, source[k]]));
+
+/**
+ * Archive a pre-revision aiResult as revision 1 (no-op once the PDF has revisions).
+ * @param {object} pdf - Pdf document as loaded at the start of a run
+ */
+export async function archiveLegacyResult(pdf) {
+  if (pdf.revisionCount > 0 || !pdf.aiResult?.gate) return;
+
+  const claimed = await Pdf.updateOne({ _id: pdf._id, revisionCount: { $in: [0, null] } }, { $set: { revisionCount: 1, preferredRevision: 1 } });
+  if (claimed.modifiedCount === 0) return;
+
+  await AnalysisRevision.create({
+    user: pdf.user,
+    pdf: pdf._id,
+    number: 1,
+    options: resolveAnalysisOptions({ format: pdf.aiResult.format }), // older runs only had a format
+    result: pickDefined(pdf.aiResult, RESULT_FIELDS),
+    meta: pickDefined(pdf.aiResult.meta, META_STEPS),
+  });
+}
+
+/**
+ * Store a completed run as the PDF's next revision.
+ *
+ * @param {object} params
+ * @param {object} params.pdf - Pdf document of the run
+ * @param {string} params.jobId - ai-analysis job id that owns the run
+ * @param {object} params.result - { gate, gateOverride?, analysis?, format?, argumentMap?, fallacies? }
+ * @param {object} params.meta - per-step meta, same keys as aiResult.meta
+ * @returns {Promise<number|null>} the revision number, null when the run is no longer current
+ */
+export async function recordRevision({ pdf, jobId, result, meta }) {
+  const allocated = await Pdf.findOneAndUpdate({ _id: pdf._id, aiJobId: jobId }, { $inc: { revisionCount: 1 } }, { new: true })
+    .select("revisionCount")
+    .lean();
+  if (!allocated) return null;
+
+  await AnalysisRevision.create({
+    user: pdf.user,
+    pdf: pdf._id,
+    number: allocated.revisionCount,
+    options: resolveAnalysisOptions(pdf.analysisOptions),
+    result: pickDefined(result, RESULT_FIELDS),
+    meta: pickDefined(meta, META_STEPS),
+  });
+
+  return allocated.revisionCount;
+}
+
+/**
+ * Gate override of the PDF's latest overridden revision (null when its gate was never overridden).
+ */
+export async function earlierGateOverride(pdfId) {
+  const revision = await AnalysisRevision.findOne({ pdf: pdfId, "result.gateOverride": { $ne: null } })
+    .sort({ number: -1 })
+    .select("result.gateOverride")
+    .lean();
+  return revision?.result?.gateOverride ?? null;
+}
+
+/**
+ * Update that copies a revision into Pdf.aiResult (fields the revision lacks are cleared, the summary is kept).
+ * @returns {{ $set: object, $unset: object }}
+ */
+export function revisionToAiResultUpdate(revision) {
+  const update = { $set: { preferredRevision: revision.number }, $unset: {} };
+
+  for (const field of RESULT_FIELDS) {
+    if (revision.result?.[field] != null) update.$set[`aiResult.${field}`] = revision.result[field];
+    else update.$unset[`aiResult.${field}`] = "";
+  }
+  for (const step of META_STEPS) {
+    if (revision.meta?.[step] != null) update.$set[`aiResult.meta.${step}`] = revision.meta[step];
+    else update.$unset[`aiResult.meta.${step}`] = "";
+  }
+
+  return update;
+}
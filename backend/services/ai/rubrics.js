@@ -0,0 +1,172 @@
+/**
+ * Analysis Rubrics
+ *
+ * The analysis scores the document per rubric criterion (1–10 with a justification) instead of
+ * one overall rating. The weighted total is computed here, never taken from the model.
+ *
+ * DESIGN DECISIONS:
+ * - DEFAULT_RUBRIC applies unless the user's team coach defined one (Team.rubric)
+ * - The rubric is resolved at submit time and stored in Pdf.analysisOptions, so retries, revisions
+ *   and the result cache all see the rubric the run was submitted with
+ * - Criterion keys are derived from the labels: coaches only edit labels, descriptions and weights
+ * - The model never sees the weights, so it cannot shape the total; it only scores each criterion
+ */
+
+import crypto from "crypto";
+import * as z from "zod";
+import { Team } from "../../models/team.model.js";
+
+export const MIN_RUBRIC_CRITERIA = 2;
+export const MAX_RUBRIC_CRITERIA = 8;
+export const MAX_CRITERION_WEIGHT = 100;
+
+export const DEFAULT_RUBRIC = {
+  name: "Standard",
+  criteria: [
+    {
+      key: "matter",
+      label: "Matter",
+      description: "Substance of the case: strength, relevance and depth of the arguments and their reasoning.",
+      weight: 30,
+    },
+    {
+      key: "manner",
+      label: "Manner",
+      description: "Persuasiveness of the delivery on the page: clarity, word choice, rhetoric and engagement.",
+      weight: 20,
+    },
+    {
+      key: "method",
+      label: "Method",
+      description: "Structure and strategy: signposting, role fulfilment, prioritisation of arguments.",
+      weight: 20,
+    },
+    {
+      key: "evidence",
+      label: "Evidence quality",
+      description: "Quality and use of evidence: examples, statistics and sources, and how well they support the claims.",
+      weight: 15,
+    },
+    {
+      key: "rebuttalReadiness",
+      label: "Rebuttal readiness",
+      description: "How well the case anticipates the strongest opposing arguments and pre-empts them.",
+      weight: 15,
+    },
+  ],
+};
+
+// "Evidence quality" -> "evidenceQuality"; labels without latin letters fall back to criterionN
+function keyFromLabel(label, index) {
+  const words = label
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // accents: "É" -> "E"
+    .replace(/[^A-Za-z0-9 ]/g, " ")
+    .trim()
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  const key = words.map((w, i) => (i === 0 ? w : w[0].toUpperCase() + w.slice(1))).join("");
+  return /^[a-z]/.test(key) ? key.slice(0, 40) : `criterion${index + 1}`;
+}
+
+/**
+ * Build a rubric from coach input: criteria get stable keys (duplicates are suffixed).
+ * @param {{ name: string, criteria: Array<{ label: string, description?: string, weight: number }> }} input - validated by teamRubricSchema()
+ */
+export function buildRubric({ name, criteria }) {
+  const used = new Set();
+
+  return {
+    name,
+    criteria: criteria.map((c, i) => {
+      const base = keyFromLabel(c.label, i);
+      let key = base;
+      // a suffixed key can itself be a later label's key ("Matter", "Matter", "Matter 2")
+      for (let n = 2; used.has(key); n++) key = `${base}${n}`;
+      used.add(key);
+      return { key, label: c.label, description: c.description || "", weight: c.weight };
+    }),
+  };
+}
+
+/**
+ * Stored rubric, or the default for anything missing or malformed (PDFs submitted before rubrics).
+ */
+export function resolveRubric(stored) {
+  const criteria = stored?.criteria;
+  const valid =
+    Array.isArray(criteria) &&
+    criteria.length >= MIN_RUBRIC_CRITERIA &&
+    criteria.every((c) => typeof c?.key === "string" && typeof c?.label === "string" && c.weight > 0);
+
+  if (!valid) return DEFAULT_RUBRIC;
+  return {
+    name: stored.name || "Custom",
+    criteria: criteria.map(({ key, label, description, weight }) => ({ key, label, description: description || "", weight })),
+  };
+}
+
+/**
+ * Rubric that scores a user's analyses: their team's, or the default.
+ * @param {{ team?: import("mongoose").Types.ObjectId|null }} user - req.user
+ */
+export async function rubricForUser(user) {
+  if (!user?.team) return DEFAULT_RUBRIC;
+  const team = await Team.findById(user.team).select("rubric").lean();
+  return resolveRubric(team?.rubric);
+}
+
+/**
+ * Rubric block inserted into the analysis prompts (RUBRIC variable). Weights are left out on purpose.
+ */
+export function renderRubricRules(rubric) {
+  return rubric.criteria.map((c) => `- "${c.key}" (${c.label})${c.description ? `: ${c.description}` : ""}`).join("\n");
+}
+
+/**
+ * Model output for the rubric: exactly one { score, justification } per criterion key.
+ */
+export function rubricScoresSchema(rubric) {
+  const criterionScore = () =>
+    z
+      .object({
+        score: z.number().int().min(1).max(10),
+        justification: z.string().trim().min(1, "justification must not be empty"),
+      })
+      .strict();
+
+  return z.object(Object.fromEntries(rubric.criteria.map((c) => [c.key, criterionScore()]))).strict();
+}
+
+/**
+ * Replace the model's rubricScores with the scored rubric (analysis.rubric):
+ * each criterion with its weight share, and the weighted total on the same 1–10 scale.
+ */
+export function applyRubricScores(result, rubric) {
+  const { rubricScores, ...rest } = result;
+  const totalWeight = rubric.criteria.reduce((sum, c) => sum + c.weight, 0);
+
+  let weightedSum = 0;
+  const criteria = rubric.criteria.map((c) => {
+    const { score, justification } = rubricScores[c.key];
+    weightedSum += score * c.weight;
+    return {
+      key: c.key,
+      label: c.label,
+      weight: Math.round((c.weight / totalWeight) * 1000) / 10, // percent, one decimal
+      score,
+      justification,
+    };
+  });
+
+  return { ...rest, rubric: { name: rubric.name, criteria, total: Math.round((weightedSum / totalWeight) * 10) / 10 } };
+}
+
+/**
+ * Stable short id of a rubric (used in result cache keys).
+ */
+export function rubricKey(rubric) {
+  const text = JSON.stringify(rubric.criteria.map(({ key, label, description, weight }) => [key, label, description, weight]));
+  return crypto.createHash("sha256").update(text).digest("hex").slice(0, 12);
+}
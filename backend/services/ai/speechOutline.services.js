@@ -0,0 +1,80 @@
+/**
+ * Timed Speech Outlines
+ *
+ * Turns the counter-debate into a speech the student can deliver in a fixed slot
+ * (e.g. 7 minutes at 150 words per minute): sections with signposts, key points
+ * and a spoken text trimmed to fit.
+ *
+ * DESIGN DECISIONS:
+ * - The slot is converted to a word budget; the schema rejects speeches more than
+ *   OVERRUN_TOLERANCE over it, so the repair loop trims instead of the UI truncating
+ * - Per-section time budgets are computed here from the words actually written,
+ *   never taken from the model, so they always add up to the speech
+ * - Runs inside the HTTP request like a debate turn: one generation, the page waits for it
+ */
+
+import { ApiError } from "../../utils/ApiError.js";
+import { isRateLimitError } from "./utils/isRateLimitError.js";
+import { renderPrompt } from "./promptRegistry.js";
+import { generateStructured } from "./structuredOutput.services.js";
+import { sectionWordCount, speechOutlineSchema } from "../../zod/aiSchemas/speechOutline.schema.js";
+
+const OVERRUN_TOLERANCE = 1.1; // matches the prompt's "never exceed the target by more than 10%"
+
+const secondsFor = (words, wordsPerMinute) => Math.round((words / wordsPerMinute) * 60);
+
+/**
+ * Add word counts, time budgets and start offsets to the model's sections.
+ * @returns {{ sections: object[], totalWords: number, totalSeconds: number }}
+ */
+function budgetSections(sections, wordsPerMinute) {
+  let totalWords = 0;
+
+  // offsets are rounded from the running word count, so the budgets add up to the total exactly
+  const budgeted = sections.map((section) => {
+    const words = sectionWordCount(section);
+    const startsAt = secondsFor(totalWords, wordsPerMinute);
+    totalWords += words;
+    return { ...section, words, seconds: secondsFor(totalWords, wordsPerMinute) - startsAt, startsAt };
+  });
+
+  return { sections: budgeted, totalWords, totalSeconds: secondsFor(totalWords, wordsPerMinute) };
+}
+
+/**
+ * Generate a timed outline of a counter-debate.
+ *
+ * @param {object} params
+ * @param {string} params.topic - debate motion
+ * @param {string} params.formatLabel - debate format the counter-debate was written for
+ * @param {string} params.counterDebate - the speech to outline
+ * @param {number} params.minutes - speaking slot
+ * @param {number} params.wordsPerMinute - speaking pace
+ * @returns {Promise<{ targetWords: number, sections: object[], totalWords: number, totalSeconds: number, meta: object }>}
+ */
+export async function generateSpeechOutline({ topic, formatLabel, counterDebate, minutes, wordsPerMinute }) {
+  const targetWords = Math.round(minutes * wordsPerMinute);
+
+  const { text: finalPrompt, prompt } = renderPrompt("speechOutline", {
+    TOPIC: topic,
+    FORMAT: formatLabel,
+    MINUTES: minutes,
+    WORD_COUNT: targetWords,
+    COUNTER_DEBATE: counterDebate,
+  });
+
+  try {
+    const { data, model, repairAttempts } = await generateStructured({
+      task: "speechOutline",
+      prompt: finalPrompt,
+      schema: speechOutlineSchema(Math.round(targetWords * OVERRUN_TOLERANCE)),
+    });
+
+    return { targetWords, ...budgetSections(data.sections, wordsPerMinute), meta: { model, prompt, repairAttempts } };
+  } catch (error) {
+    console.error("AI speech outline error:", error?.message || error);
+    if (error instanceof ApiError) throw error;
+    if (isRateLimitError(error)) throw new ApiError(429, "AI usage limit reached. Please try again later.");
+    throw new ApiError(500, "Speech outline generation failed");
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Schema-Enforced Model Output
+ *
+ * WHY:
+ * - Models occasionally return JSON with missing fields, wrong types or extra prose
+ * - Silently coercing bad fields hides real failures and stores misleading results
+ *
+ * FLOW:
+ * - The zod schema is sent to the provider as a response schema (when supported)
+ * - The output is parsed and validated against the same schema
+ * - On failure, a bounded number of "repair" calls are made that include the validation errors
+ * - Callers get back how many repairs were needed, so it can be persisted with the result
+ */
+
+import * as z from "zod";
+import { ApiError } from "../../utils/ApiError.js";
+import { renderPrompt } from "./promptRegistry.js";
+import { parseModelJson } from "./utils/parseModelJson.js";
+import { getLLMProvider } from "./providers/llmProvider.js";
+
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.AI_MAX_REPAIR_ATTEMPTS ?? "2", 10);
+const MAX_REPAIR_RESPONSE_CHARS = 8000; // keeps repair prompts bounded if the model rambled
+
+/**
+ * JSON Schema for the provider (the "$schema" dialect marker is not accepted by every API).
+ */
+function toResponseSchema(schema) {
+  const { $schema, ...jsonSchema } = z.toJSONSchema(schema, { io: "output" });
+  return jsonSchema;
+}
+
+/**
+ * Parse + validate raw model text.
+ * @returns {{ data: object } | { errors: string[] }}
+ */
+function validateOutput(text, schema) {
+  let parsed;
+  try {
+    parsed = parseModelJson(text);
+  } catch (error) {
+    return { errors: [error.message] };
+  }
+
+  const result = schema.safeParse(parsed);
+  if (result.success) return { data: result.data };
+
+  return {
+    errors: result.error.issues.map((issue) => `${issue.path.length ? issue.path.join(".") : "(root)"}: ${issue.message}`),
+  };
+}
+
+function buildRepairPrompt(prompt, errors, previousText) {
+  return renderPrompt("structuredRepair", {
+    PROMPT: prompt,
+    ERRORS: errors.map((e) => `- ${e}`).join("\n"),
+    RESPONSE: (previousText || "").slice(0, MAX_REPAIR_RESPONSE_CHARS),
+  }).text;
+}
+
+/**
+ * Generate model output that is guaranteed to match a zod schema.
+ *
+ * @param {object} params
+ * @param {string} params.task - provider task name
+ * @param {string} params.prompt - fully rendered prompt
+ * @param {import("zod").ZodType} params.schema - expected output shape
+ * @param {(delta: string) => void} [params.onDelta] - stream the first attempt (repairs are not streamed)
+ * @param {number} [params.maxRepairAttempts]
+ * @returns {Promise<{ data: object, model: string, repairAttempts: number }>}
+ * @throws {ApiError} 502 if the output is still invalid after all repair attempts
+ */
+export async function generateStructured({ task, prompt, schema, onDelta, maxRepairAttempts = MAX_REPAIR_ATTEMPTS }) {
+  const provider = getLLMProvider();
+  const responseSchema = provider.supportsResponseSchema ? toResponseSchema(schema) : undefined;
+
+  let response = onDelta
+    ? await provider.generateStream({ task, prompt, responseSchema, onDelta })
+    : await provider.generate({ task, prompt, responseSchema });
+  let outcome = validateOutput(response.text, schema);
+
+  let repairAttempts = 0;
+  while (outcome.errors && repairAttempts < maxRepairAttempts) {
+    repairAttempts++;
+    console.warn(`AI ${task} output failed validation (repair ${repairAttempts}/${maxRepairAttempts}): ${outcome.errors.join("; ")}`);
+
+    response = await provider.generate({
+      task,
+      prompt: buildRepairPrompt(prompt, outcome.errors, response.text),
+      responseSchema,
+    });
+    outcome = validateOutput(response.text, schema);
+  }
+
+  if (outcome.errors) {
+    console.error(`AI ${task} output invalid after ${repairAttempts} repair attempts: ${outcome.errors.join("; ")}`);
+    throw new ApiError(502, "AI returned an invalid response");
+  }
+
+  return { data: outcome.data, model: response.model, repairAttempts };
+}
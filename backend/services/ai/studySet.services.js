@@ -0,0 +1,156 @@
+/**
+ * Study Sets (quizzes & flashcards)
+ *
+ * Multiple-choice questions and flashcards generated from any preprocessed PDF, for students
+ * who use Debatrium for reading material. Every item points back to the chunk it is based on.
+ *
+ * DESIGN DECISIONS:
+ * - Generated from a context covering the whole document (like the summary), so it works for any
+ *   preprocessed PDF, debate or not
+ * - Runs in the ai-analysis worker (job name "generateStudySet"), same retry rules as the analysis pipeline
+ * - Every item's quote goes through the citation verifier; unlike the question bank, an item whose
+ *   quote is not found is dropped: study material must not teach what the document does not say
+ * - A completed run replaces the PDF's review cards (services/study/spacedRepetition.js): one card per
+ *   item, due immediately, so regenerating resets the review progress of that PDF
+ */
+
+import mongoose from "mongoose";
+import { Pdf } from "../../models/pdf.model.js";
+import { StudySet } from "../../models/studySet.model.js";
+import { ReviewCard } from "../../models/reviewCard.model.js";
+import { ApiError } from "../../utils/ApiError.js";
+import { isRateLimitError } from "./utils/isRateLimitError.js";
+import { renderPrompt } from "./promptRegistry.js";
+import { generateStructured } from "./structuredOutput.services.js";
+import { createCitationVerifier } from "./citations.services.js";
+import { buildDocumentContext } from "./retrieval.services.js";
+import { isQuarantined, quarantineReasonFor } from "./injectionScreening.services.js";
+import { failureReasonFor, isTerminalError, toResultMeta } from "./analysisPipeline.services.js";
+import { studySetSchema } from "../../zod/aiSchemas/studySet.schema.js";
+
+const MCQ_COUNT = 8;
+const FLASHCARD_COUNT = 12;
+
+/**
+ * Generate the study set of a document.
+ *
+ * @param {object} params
+ * @param {string} params.text - full extracted text
+ * @param {string} params.pdfId - MongoDB ObjectId of the PDF (chunks are sampled for long documents)
+ * @returns {Promise<{ multipleChoice: object[], flashcards: object[], meta: object }>}
+ */
+export async function generateStudySet({ text, pdfId }) {
+  if (!text || !text.trim()) {
+    throw new ApiError(400, "Empty text provided for the study set");
+  }
+
+  const { context, sources, ...contextMeta } = await buildDocumentContext({ text, pdfId });
+  const { text: finalPrompt, prompt } = renderPrompt("studySet", {
+    MCQ_COUNT,
+    FLASHCARD_COUNT,
+    TEXT: context,
+  });
+
+  try {
+    const { data, model, repairAttempts } = await generateStructured({
+      task: "studySet",
+      prompt: finalPrompt,
+      schema: studySetSchema(),
+    });
+
+    // keep only the items whose source span is found in the document
+    const { verify, stats } = createCitationVerifier(sources);
+    const withCitations = (items) =>
+      items
+        .map(({ chunk, quote, ...item }) => ({ ...item, citations: verify([{ chunk, quote }]) }))
+        .filter((item) => item.citations.length > 0);
+
+    const multipleChoice = withCitations(data.multipleChoice);
+    const flashcards = withCitations(data.flashcards);
+
+    if (multipleChoice.length + flashcards.length === 0) {
+      throw new ApiError(422, "No study items could be matched to the document. Please try again.");
+    }
+
+    return { multipleChoice, flashcards, meta: { model, prompt, repairAttempts, ...contextMeta, citations: stats } };
+  } catch (error) {
+    console.error("AI study set error:", error?.message || error);
+    if (error instanceof ApiError) throw error;
+    if (isRateLimitError(error)) throw new ApiError(429, "AI usage limit reached. Please try again later.");
+    throw new ApiError(500, "Study set generation failed");
+  }
+}
+
+/**
+ * Mark a study set run as failed (only if the run is still current).
+ */
+export async function markStudySetFailed(studySetId, jobId, reason) {
+  await StudySet.updateOne(
+    { _id: studySetId, aiJobId: jobId, status: "processing" },
+    { $set: { status: "failed", statusReason: reason } },
+  );
+}
+
+// one due-now review card per item of the set
+const reviewCardsFor = (set, { multipleChoice, flashcards }, now) => [
+  ...multipleChoice.map((item) => ({ kind: "multipleChoice", item: item._id })),
+  ...flashcards.map((item) => ({ kind: "flashcard", item: item._id })),
+].map((card) => ({ ...card, user: set.user, pdf: set.pdf, studySet: set._id, dueAt: now }));
+
+/**
+ * Generate the study set of one PDF (ai-analysis worker).
+ *
+ * @param {object} params
+ * @param {string} params.studySetId - MongoDB ObjectId of the StudySet document
+ * @param {string} params.jobId - ai-analysis job id that owns this run
+ * @param {(progress: number) => void} [params.onProgress]
+ * @returns {Promise<{ status: string, reason?: string, multipleChoice?: number, flashcards?: number }>}
+ */
+export async function runStudySet({ studySetId, jobId, onProgress = () => {} }) {
+  const set = await StudySet.findById(studySetId).select("user pdf").lean();
+  const isCurrent = { _id: studySetId, aiJobId: jobId };
+
+  const fail = async (reason) => {
+    await markStudySetFailed(studySetId, jobId, reason);
+    return { status: "failed", reason };
+  };
+
+  const pdf = await Pdf.findById(set.pdf).select("+extractedText injectionRisk");
+  if (!pdf) return fail("The PDF for this study set no longer exists");
+  if (!pdf.extractedText?.trim()) return fail("No readable text found in PDF (possibly scanned)");
+  if (isQuarantined(pdf)) return fail(quarantineReasonFor(pdf.injectionRisk));
+
+  try {
+    onProgress(10);
+    const generated = await generateStudySet({ text: pdf.extractedText, pdfId: pdf._id });
+    onProgress(90);
+
+    // item ids are set here so the review cards can point at them
+    const multipleChoice = generated.multipleChoice.map((item) => ({ _id: new mongoose.Types.ObjectId(), ...item }));
+    const flashcards = generated.flashcards.map((item) => ({ _id: new mongoose.Types.ObjectId(), ...item }));
+    const now = new Date();
+
+    const result = await StudySet.updateOne(isCurrent, {
+      $set: {
+        status: "completed",
+        statusReason: null,
+        multipleChoice,
+        flashcards,
+        generatedAt: now,
+        meta: toResultMeta(generated.meta),
+      },
+    });
+
+    // only the current run replaces the review cards (a newer run writes its own)
+    if (result.modifiedCount > 0) {
+      await ReviewCard.deleteMany({ pdf: set.pdf });
+      await ReviewCard.insertMany(reviewCardsFor(set, { multipleChoice, flashcards }, now));
+    }
+
+    onProgress(100);
+    return { status: "completed", multipleChoice: multipleChoice.length, flashcards: flashcards.length };
+  } catch (error) {
+    if (isTerminalError(error)) return fail(failureReasonFor(error));
+    throw error;
+  }
+}
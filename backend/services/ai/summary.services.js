@@ -0,0 +1,117 @@
+/**
+ * Neutral Summary
+ *
+ * Key points, structure, thesis and notable evidence for ANY preprocessed PDF,
+ * including documents the debate gate rejected.
+ *
+ * DESIGN DECISIONS:
+ * - Stored next to the debate result (aiResult.summary) with its own lifecycle fields
+ *   (summaryStatus / summaryJobId), so a summary and a debate analysis can run side by side
+ * - A summary needs the whole document, not the chunks relevant to a query: over the token
+ *   budget, chunks are sampled evenly across the document instead of retrieved
+ * - Runs in the ai-analysis worker (job name "summarize"), same retry rules as the analysis pipeline
+ */
+
+import { Pdf } from "../../models/pdf.model.js";
+import { ApiError } from "../../utils/ApiError.js";
+import { isRateLimitError } from "./utils/isRateLimitError.js";
+import { renderPrompt } from "./promptRegistry.js";
+import { generateStructured } from "./structuredOutput.services.js";
+import { buildDocumentContext } from "./retrieval.services.js";
+import { isQuarantined, quarantineReasonFor } from "./injectionScreening.services.js";
+import { ensureAiResult, failureReasonFor, isTerminalError, toResultMeta } from "./analysisPipeline.services.js";
+import { summarySchema } from "../../zod/aiSchemas/summary.schema.js";
+
+/**
+ * Generate a neutral summary of a document.
+ *
+ * @param {object} params
+ * @param {string} params.text - full extracted text
+ * @param {string} params.pdfId - MongoDB ObjectId of the PDF (chunks are sampled for long documents)
+ * @returns {Promise<{ result: object, meta: { model: string, prompt: object, repairAttempts: number, mode: string } }>}
+ */
+export async function generateSummary({ text, pdfId }) {
+  if (!text || !text.trim()) {
+    throw new ApiError(400, "Empty text provided for summary");
+  }
+
+  const { context, sources, ...contextMeta } = await buildDocumentContext({ text, pdfId });
+  const { text: finalPrompt, prompt } = renderPrompt("summary", { TEXT: context });
+
+  try {
+    const { data, model, repairAttempts } = await generateStructured({
+      task: "summary",
+      prompt: finalPrompt,
+      schema: summarySchema(),
+    });
+
+    return { result: data, meta: { model, prompt, repairAttempts, ...contextMeta } };
+  } catch (error) {
+    console.error("AI summary error:", error?.message || error);
+    if (error instanceof ApiError) throw error;
+    if (isRateLimitError(error)) throw new ApiError(429, "AI usage limit reached. Please try again later.");
+    throw new ApiError(500, "Summary generation failed");
+  }
+}
+
+/**
+ * Mark a summary run as failed (only if the run is still current).
+ */
+export async function markSummaryFailed(pdfId, jobId, reason) {
+  await Pdf.updateOne(
+    { _id: pdfId, summaryJobId: jobId, summaryStatus: "processing" },
+    { $set: { summaryStatus: "failed", summaryStatusReason: reason } },
+  );
+}
+
+/**
+ * Summarize one PDF (ai-analysis worker).
+ *
+ * @param {object} params
+ * @param {string} params.pdfId - MongoDB ObjectId of the PDF document
+ * @param {string} params.jobId - ai-analysis job id that owns this run
+ * @param {(progress: number) => void} [params.onProgress]
+ * @returns {Promise<{ status: string, reason?: string }>}
+ */
+export async function runSummary({ pdfId, jobId, onProgress = () => {} }) {
+  const pdf = await Pdf.findById(pdfId).select("+extractedText");
+  const isCurrent = { _id: pdfId, summaryJobId: jobId };
+
+  if (!pdf?.extractedText?.trim()) {
+    const reason = "No readable text found in PDF (possibly scanned)";
+    await markSummaryFailed(pdfId, jobId, reason);
+    return { status: "failed", reason };
+  }
+
+  if (isQuarantined(pdf)) {
+    const reason = quarantineReasonFor(pdf.injectionRisk);
+    await markSummaryFailed(pdfId, jobId, reason);
+    return { status: "failed", reason };
+  }
+
+  try {
+    onProgress(10);
+    const { result, meta } = await generateSummary({ text: pdf.extractedText, pdfId: pdf._id });
+    onProgress(90);
+
+    await ensureAiResult(pdfId);
+    await Pdf.updateOne(isCurrent, {
+      $set: {
+        "aiResult.summary": result,
+        "aiResult.meta.summary": toResultMeta(meta),
+        summaryStatus: "completed",
+        summaryStatusReason: null,
+      },
+    });
+
+    onProgress(100);
+    return { status: "completed" };
+  } catch (error) {
+    if (isTerminalError(error)) {
+      const reason = failureReasonFor(error);
+      await markSummaryFailed(pdfId, jobId, reason);
+      return { status: "failed", reason };
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * Multi-Document Synthesis
+ *
+ * Several PDFs (e.g., a case file and its evidence packs) produce ONE opposition case.
+ *
+ * DESIGN DECISIONS:
+ * - Reuses the chunk store: each source contributes its most relevant chunks (RAG), never its full text
+ * - Sources share one token budget; when over it, the lowest-scoring chunks are dropped first,
+ *   but every source keeps at least one chunk so the case still draws on all of them
+ * - Runs in the ai-analysis worker (job name "synthesize"), same retry rules as the analysis pipeline
+ */
+
+import { Pdf } from "../../models/pdf.model.js";
+import { Synthesis } from "../../models/synthesis.model.js";
+import { ApiError } from "../../utils/ApiError.js";
+import { isRateLimitError } from "./utils/isRateLimitError.js";
+import { getLLMProvider } from "./providers/llmProvider.js";
+import { renderPrompt } from "./promptRegistry.js";
+import { generateStructured } from "./structuredOutput.services.js";
+import { buildChunkContext, retrieveRelevantChunks } from "./retrieval.services.js";
+import { failureReasonFor, isTerminalError } from "./analysisPipeline.services.js";
+import { synthesisSchema } from "../../zod/aiSchemas/synthesis.schema.js";
+
+const SYNTHESIS_TOKEN_BUDGET = parseInt(process.env.ANALYSIS_TOKEN_BUDGET, 10) || 30000;
+const MAX_SYNTHESIS_CHUNKS = 24; // shared by all sources
+const MAX_COUNTER_DEBATE_WORDS = 1500;
+
+function retrievalQueries(motion, topic) {
+  return [motion || topic, "central claims and the reasoning behind them", "evidence, statistics and examples used to support the argument"];
+}
+
+function renderSources(sources) {
+  return sources
+    .map((s) => `<Source id="${s.id}" name="${s.name.replace(/"/g, "'")}">\n${buildChunkContext(s.chunks)}\n</Source>`)
+    .join("\n\n");
+}
+
+/**
+ * Drop the lowest-scoring chunks until the rendered sources fit the token budget.
+ * Tokens are counted once; the chars-per-token ratio of that count estimates the rest.
+ */
+async function fitToBudget(sources) {
+  const rendered = renderSources(sources);
+  const tokens = await getLLMProvider().countTokens({ text: rendered });
+  if (tokens <= SYNTHESIS_TOKEN_BUDGET) return sources;
+
+  const tokensPerChar = tokens / rendered.length;
+  let estimated = tokens;
+
+  const candidates = sources
+    .flatMap((s) => s.chunks.map((chunk) => ({ source: s, chunk })))
+    .sort((a, b) => a.chunk.score - b.chunk.score);
+
+  const dropped = new Set();
+  for (const { source, chunk } of candidates) {
+    if (estimated <= SYNTHESIS_TOKEN_BUDGET) break;
+
+    const remaining = source.chunks.filter((c) => !dropped.has(c)).length;
+    if (remaining <= 1) continue;
+
+    dropped.add(chunk);
+    estimated -= Math.ceil(chunk.text.length * tokensPerChar);
+  }
+
+  return sources.map((s) => ({ ...s, chunks: s.chunks.filter((c) => !dropped.has(c)) }));
+}
+
+/**
+ * Generate one opposition case from several sources.
+ *
+ * @param {object} params
+ * @param {string|null} params.motion - user-given motion (null = inferred)
+ * @param {{ id: number, name: string, chunks: object[] }[]} params.sources - retrieved chunks per source
+ * @returns {Promise<{ result: object, meta: object }>}
+ */
+export async function generateSynthesis({ motion, sources }) {
+  const fitted = await fitToBudget(sources);
+
+  const { text: finalPrompt, prompt } = renderPrompt("synthesis", {
+    MOTION: motion || "infer",
+    MAX_WORDS: MAX_COUNTER_DEBATE_WORDS,
+    SOURCES: renderSources(fitted),
+  });
+
+  try {
+    const { data, model, repairAttempts } = await generateStructured({
+      task: "synthesis",
+      prompt: finalPrompt,
+      schema: synthesisSchema(fitted.length),
+    });
+
+    return {
+      result: data,
+      meta: {
+        model,
+        prompt,
+        repairAttempts,
+        chunksUsed: fitted.map((s) => ({ source: s.id, chunks: s.chunks.map((c) => c.index) })),
+      },
+    };
+  } catch (error) {
+    console.error("AI synthesis error:", error?.message || error);
+    if (error instanceof ApiError) throw error;
+    if (isRateLimitError(error)) throw new ApiError(429, "AI usage limit reached. Please try again later.");
+    throw new ApiError(500, "Synthesis generation failed");
+  }
+}
+
+/**
+ * Mark a synthesis run as failed (only if the run is still current).
+ */
+export async function markSynthesisFailed(synthesisId, jobId, reason) {
+  await Synthesis.updateOne(
+    { _id: synthesisId, aiJobId: jobId, status: "processing" },
+    { $set: { status: "failed", statusReason: reason } },
+  );
+}
+
+/**
+ * Run one synthesis (ai-analysis worker).
+ *
+ * @param {object} params
+ * @param {string} params.synthesisId - MongoDB ObjectId of the Synthesis document
+ * @param {string} params.jobId - ai-analysis job id that owns this run
+ * @param {(progress: number) => void} [params.onProgress]
+ * @returns {Promise<{ status: string, reason?: string }>}
+ */
+export async function runSynthesis({ synthesisId, jobId, onProgress = () => {} }) {
+  const synthesis = await Synthesis.findById(synthesisId).select("pdfs documents motion");
+  const isCurrent = { _id: synthesisId, aiJobId: jobId };
+
+  const fail = async (reason) => {
+    await markSynthesisFailed(synthesisId, jobId, reason);
+    return { status: "failed", reason };
+  };
+
+  try {
+    const pdfs = await Pdf.find({ _id: { $in: synthesis.pdfs } }).select("_id aiResult.gate").lean();
+    const topicFor = (pdfId) => pdfs.find((p) => p._id.equals(pdfId))?.aiResult?.gate?.detectedTopic;
+
+    // retrieve per source (sources whose PDF was deleted meanwhile have no chunks and are skipped)
+    const perSourceTopK = Math.max(2, Math.floor(MAX_SYNTHESIS_CHUNKS / synthesis.documents.length));
+    const sources = [];
+    for (const doc of synthesis.documents) {
+      const chunks = await retrieveRelevantChunks({
+        pdfId: doc.pdf,
+        queries: retrievalQueries(synthesis.motion, topicFor(doc.pdf)),
+        topK: perSourceTopK,
+      });
+      if (chunks.length > 0) {
+        sources.push({ id: sources.length + 1, pdf: doc.pdf, name: doc.originalName, chunks });
+      }
+    }
+    onProgress(40);
+
+    if (sources.length < 2) {
+      return fail("At least two of the selected PDFs must still exist and contain text");
+    }
+
+    const { result, meta } = await generateSynthesis({ motion: synthesis.motion, sources });
+    onProgress(90);
+
+    await Synthesis.updateOne(isCurrent, {
+      $set: {
+        status: "completed",
+        statusReason: null,
+        result,
+        // map prompt source ids back to PDFs
+        meta: { ...meta, sources: sources.map((s) => ({ source: s.id, pdf: s.pdf, name: s.name })) },
+      },
+    });
+
+    onProgress(100);
+    return { status: "completed" };
+  } catch (error) {
+    if (isTerminalError(error)) return fail(failureReasonFor(error));
+    throw error;
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * AI Usage Accounting & Quotas
+ *
+ * The whole team shares one Gemini key, so every model call is recorded in the AiUsage ledger
+ * (tokens, model, latency, cost estimate) and charged to a user; quotas stop one user from exhausting it.
+ *
+ * DESIGN DECISIONS:
+ * - Recording happens in the provider layer (withUsageTracking wraps the configured provider),
+ *   so no AI service has to remember it and new services are metered automatically
+ * - The user comes from an AsyncLocalStorage context: the debate controller runs its call inside
+ *   runWithUsageContext(req.user), workers do the same with the owner of the job's document
+ *   (looked up per job, so the job data carries no user id)
+ * - Ledger writes are fire-and-forget: a failed write is logged, it never fails the AI call
+ * - Cache hits make no model call, so they cost no quota
+ * - Quotas count tokens (daily = UTC day, monthly = UTC calendar month); 0 disables a quota.
+ *   They are checked before a run starts: a run that crosses the limit finishes, the next one is refused
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import mongoose from "mongoose";
+import { AiUsage } from "../../models/aiUsage.model.js";
+import { ApiError } from "../../utils/ApiError.js";
+
+const readQuota = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const DAILY_TOKEN_QUOTA = readQuota("AI_DAILY_TOKEN_QUOTA", 1_000_000);
+const MONTHLY_TOKEN_QUOTA = readQuota("AI_MONTHLY_TOKEN_QUOTA", 10_000_000);
+
+const HISTORY_DAYS = 30;
+const RECENT_CALLS = 20;
+const CHARS_PER_TOKEN = 4; // rough estimate for embeddings, which report no usage
+
+// list prices in USD per million tokens (thinking tokens are billed as output); unknown models cost 0
+const MODEL_PRICING = {
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "gemini-embedding-001": { input: 0.15, output: 0 },
+};
+
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with every model call inside it charged to userId.
+ * @param {object} context
+ * @param {string|import("mongoose").Types.ObjectId} context.userId
+ * @param {string} context.source - what started the calls ("analyze", "preprocess", "debateTurn", ...)
+ * @param {() => Promise<any>} fn
+ */
+export function runWithUsageContext({ userId, source }, fn) {
+  return usageContext.run({ userId: userId ?? null, source }, fn);
+}
+
+export function estimateCostUsd(model, promptTokens, outputTokens) {
+  const price = MODEL_PRICING[model];
+  if (!price) return 0;
+  return (promptTokens * price.input + outputTokens * price.output) / 1_000_000;
+}
+
+function recordUsage({ task, model, promptTokens = 0, outputTokens = 0, totalTokens = 0, estimated = false, latencyMs, failed = false }) {
+  const context = usageContext.getStore();
+  if (!context?.userId) {
+    console.warn(`AI call "${task}" ran outside a usage context - not charged to any user`);
+  }
+
+  // Gemini's totalTokenCount includes thinking tokens that candidatesTokenCount leaves out
+  const billedOutput = Math.max(outputTokens, totalTokens - promptTokens);
+
+  AiUsage.create({
+    user: context?.userId ?? null,
+    source: context?.source ?? "unknown",
+    task,
+    model,
+    promptTokens,
+    outputTokens: billedOutput,
+    totalTokens: Math.max(totalTokens, promptTokens + billedOutput),
+    estimated,
+    latencyMs,
+    costUsd: estimateCostUsd(model, promptTokens, billedOutput),
+    failed,
+  }).catch((err) => console.error(`Failed to record AI usage for "${task}": ${err.message}`));
+}
+
+async function metered({ task, model }, call, usageOf) {
+  const startedAt = Date.now();
+  try {
+    const response = await call();
+    recordUsage({ task, model, ...usageOf(response), latencyMs: Date.now() - startedAt });
+    return response;
+  } catch (err) {
+    recordUsage({ task, model, latencyMs: Date.now() - startedAt, failed: true });
+    throw err;
+  }
+}
+
+/**
+ * Wrap a provider so generate, generateStream and embed are recorded in the ledger.
+ * countTokens is free and not recorded.
+ */
+export function withUsageTracking(provider) {
+  const generationUsage = (response) => response.usage || {};
+
+  return {
+    ...provider,
+    generate: (params) => metered({ task: params.task, model: provider.model }, () => provider.generate(params), generationUsage),
+    generateStream: (params) => metered({ task: params.task, model: provider.model }, () => provider.generateStream(params), generationUsage),
+    embed: (params) =>
+      metered({ task: "embed", model: provider.embeddingModel }, () => provider.embed(params), () => {
+        const promptTokens = (params.texts || []).reduce((sum, text) => sum + Math.ceil(text.length / CHARS_PER_TOKEN), 0);
+        return { promptTokens, totalTokens: promptTokens, estimated: true };
+      }),
+  };
+}
+
+// aggregate() does not cast, and worker contexts carry the id as a string
+const toObjectId = (userId) => new mongoose.Types.ObjectId(String(userId));
+
+const startOfUtcDay = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+const startOfUtcMonth = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+/**
+ * Tokens used today and this month against the configured quotas.
+ * @returns {Promise<{ daily: object, monthly: object }>} each { used, limit, resetsAt } (limit 0 = unlimited)
+ */
+export async function getQuotaStatus(userId) {
+  const now = new Date();
+  const dayStart = startOfUtcDay(now);
+  const monthStart = startOfUtcMonth(now);
+
+  const [totals] = await AiUsage.aggregate([
+    { $match: { user: toObjectId(userId), createdAt: { $gte: monthStart } } },
+    {
+      $group: {
+        _id: null,
+        month: { $sum: "$totalTokens" },
+        day: { $sum: { $cond: [{ $gte: ["$createdAt", dayStart] }, "$totalTokens", 0] } },
+      },
+    },
+  ]);
+
+  return {
+    daily: {
+      used: totals?.day ?? 0,
+      limit: DAILY_TOKEN_QUOTA,
+      resetsAt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000),
+    },
+    monthly: {
+      used: totals?.month ?? 0,
+      limit: MONTHLY_TOKEN_QUOTA,
+      resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)),
+    },
+  };
+}
+
+const formatTokens = (n) => n.toLocaleString("en-US");
+
+/**
+ * Refuse a new AI run once the user is over a quota.
+ * @throws {ApiError} 429 with the quota, the usage and when it resets
+ */
+export async function assertWithinAiQuota(userId) {
+  const { daily, monthly } = await getQuotaStatus(userId);
+
+  if (monthly.limit > 0 && monthly.used >= monthly.limit) {
+    throw new ApiError(
+      429,
+      `Monthly AI limit reached (${formatTokens(monthly.used)} of ${formatTokens(monthly.limit)} tokens). It resets on ${monthly.resetsAt.toISOString().slice(0, 10)}.`,
+    );
+  }
+  if (daily.limit > 0 && daily.used >= daily.limit) {
+    throw new ApiError(429, `Daily AI limit reached (${formatTokens(daily.used)} of ${formatTokens(daily.limit)} tokens). It resets at midnight UTC.`);
+  }
+}
+
+/**
+ * Usage report for the profile page: quotas, this month by source, the last 30 days and the latest calls.
+ */
+export async function getUsageReport(userId) {
+  const historyStart = new Date(startOfUtcDay().getTime() - (HISTORY_DAYS - 1) * 24 * 60 * 60 * 1000);
+  const monthStart = startOfUtcMonth();
+
+  const [quota, [report], recent] = await Promise.all([
+    getQuotaStatus(userId),
+    AiUsage.aggregate([
+      { $match: { user: toObjectId(userId), createdAt: { $gte: historyStart < monthStart ? historyStart : monthStart } } },
+      {
+        $facet: {
+          bySource: [
+            { $match: { createdAt: { $gte: monthStart } } },
+            {
+              $group: {
+                _id: "$source",
+                tokens: { $sum: "$totalTokens" },
+                costUsd: { $sum: "$costUsd" },
+                calls: { $sum: 1 },
+                avgLatencyMs: { $avg: "$latencyMs" },
+              },
+            },
+            { $sort: { tokens: -1 } },
+          ],
+          days: [
+            { $match: { createdAt: { $gte: historyStart } } },
+            {
+              $group: {
+                _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+                tokens: { $sum: "$totalTokens" },
+                costUsd: { $sum: "$costUsd" },
+                calls: { $sum: 1 },
+              },
+            },
+            { $sort: { _id: 1 } },
+          ],
+        },
+      },
+    ]),
+    AiUsage.find({ user: userId })
+      .sort({ createdAt: -1 })
+      .limit(RECENT_CALLS)
+      .select("-_id source task model totalTokens estimated latencyMs costUsd failed createdAt")
+      .lean(),
+  ]);
+
+  const bySource = (report?.bySource ?? []).map((s) => ({
+    source: s._id,
+    tokens: s.tokens,
+    costUsd: s.costUsd,
+    calls: s.calls,
+    avgLatencyMs: Math.round(s.avgLatencyMs),
+  }));
+
+  return {
+    quota,
+    month: {
+      tokens: bySource.reduce((sum, s) => sum + s.tokens, 0),
+      costUsd: bySource.reduce((sum, s) => sum + s.costUsd, 0),
+      calls: bySource.reduce((sum, s) => sum + s.calls, 0),
+    },
+    bySource,
+    days: (report?.days ?? []).map((d) => ({ date: d._id, tokens: d.tokens, costUsd: d.costUsd, calls: d.calls })),
+    recent,
+  };
+}
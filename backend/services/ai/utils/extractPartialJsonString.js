@@ -0,0 +1,69 @@
+/**
+ * Decode the (possibly unfinished) string value of a top-level key
+ * from a partial JSON document, as it streams in from the model.
+ *
+ * Example: '{"counterDebate": "The motion\\nfa' -> 'The motion\nfa'
+ *
+ * @param {string} buffer - raw model output received so far
+ * @param {string} key - JSON key whose string value should be decoded
+ * @returns {string|null} decoded text so far, or null if the value has not started yet
+ */
+export function extractPartialJsonString(buffer, key) {
+  const start = buffer.match(new RegExp(`"${key}"\\s*:\\s*"`));
+  if (!start) return null;
+
+  const ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f", '"': '"', "\\": "\\", "/": "/" };
+  let out = "";
+  let i = start.index + start[0].length;
+
+  while (i < buffer.length) {
+    const ch = buffer[i];
+
+    if (ch === '"') break; // end of value
+
+    if (ch !== "\\") {
+      out += ch;
+      i++;
+      continue;
+    }
+
+    // escape sequence - stop if it is cut off at the end of the buffer
+    const next = buffer[i + 1];
+    if (next === undefined) break;
+
+    if (next === "u") {
+      const hex = buffer.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      out += String.fromCharCode(parseInt(hex, 16));
+      i += 6;
+      continue;
+    }
+
+    out += ESCAPES[next] ?? next;
+    i += 2;
+  }
+
+  return out;
+}
+
+/**
+ * Wrap a callback so it receives only the newly decoded text of `key`
+ * each time more raw model output arrives.
+ *
+ * @param {string} key
+ * @param {(delta: string) => void} onText
+ * @returns {(rawDelta: string) => void} pass as provider onDelta
+ */
+export function createJsonStringStreamer(key, onText) {
+  let raw = "";
+  let emitted = 0;
+
+  return (rawDelta) => {
+    raw += rawDelta;
+    const decoded = extractPartialJsonString(raw, key);
+    if (decoded && decoded.length > emitted) {
+      onText(decoded.slice(emitted));
+      emitted = decoded.length;
+    }
+  };
+}
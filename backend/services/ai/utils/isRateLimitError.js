@@ -0,0 +1,11 @@
+/**
+ * Detect provider rate-limit / quota errors (Gemini returns 429 RESOURCE_EXHAUSTED).
+ * Also matches ApiError(429) rethrown by the AI services.
+ */
+export function isRateLimitError(error) {
+  if (!error) return false;
+  if (error.status === 429 || error.statusCode === 429 || error.code === 429) return true;
+
+  const message = String(error.message || "").toLowerCase();
+  return message.includes("resource_exhausted") || message.includes("quota") || message.includes("rate limit");
+}
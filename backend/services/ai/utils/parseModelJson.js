@@ -0,0 +1,32 @@
+import { ApiError } from "../../../utils/ApiError.js";
+
+/**
+ * Safely parse LLM JSON output.
+ * Models occasionally wrap JSON in markdown fences or prose,
+ * so fall back to extracting the first JSON object.
+ *
+ * @param {string} rawResponse - raw model text
+ * @returns {object} parsed JSON
+ * @throws {ApiError} If no JSON object can be recovered
+ */
+export function parseModelJson(rawResponse) {
+  if (!rawResponse || typeof rawResponse !== "string") {
+    throw new ApiError(500, "Empty response from AI provider");
+  }
+
+  try {
+    // Best case: pure JSON
+    return JSON.parse(rawResponse);
+  } catch {
+    // Fallback: extract first JSON object
+    const match = rawResponse.match(/\{[\s\S]*\}/);
+    if (!match) {
+      throw new ApiError(500, "No JSON object found in AI response");
+    }
+    try {
+      return JSON.parse(match[0]);
+    } catch {
+      throw new ApiError(500, "Malformed JSON in AI response");
+    }
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * Spaced-Repetition Scheduler
+ *
+ * SM-2 style schedule for review cards, with the four grades of common flashcard apps:
+ * - "again": forgotten - back to learning, shown again in a few minutes
+ * - "hard":  recalled with effort - the interval grows slowly and the card gets harder
+ * - "good":  recalled - 1 day, then 3 days, then the interval times the card's ease
+ * - "easy":  recalled instantly - a longer interval and the card gets easier
+ *
+ * Pure functions: the caller persists the returned fields on the ReviewCard.
+ */
+
+export const REVIEW_GRADES = ["again", "hard", "good", "easy"];
+
+const MIN_EASE = 1.3;
+const RELEARN_MINUTES = 10;
+const MAX_INTERVAL_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundDays = (days) => Math.min(MAX_INTERVAL_DAYS, Math.max(1, Math.round(days)));
+const roundEase = (ease) => Math.round(Math.max(MIN_EASE, ease) * 100) / 100;
+
+/**
+ * Next schedule of a card after a review.
+ *
+ * @param {{ intervalDays: number, ease: number, repetitions: number, lapses: number }} card - current schedule
+ * @param {"again"|"hard"|"good"|"easy"} grade
+ * @param {Date} [now]
+ * @returns {{ intervalDays: number, ease: number, repetitions: number, lapses: number, dueAt: Date, lastGrade: string, lastReviewedAt: Date }}
+ */
+export function scheduleReview(card, grade, now = new Date()) {
+  let { intervalDays, ease, repetitions, lapses } = card;
+
+  if (grade === "again") {
+    // a lapse only counts once the card had been learned
+    if (repetitions > 0) lapses += 1;
+
+    return {
+      intervalDays: 0,
+      ease: roundEase(ease - 0.2),
+      repetitions: 0,
+      lapses,
+      dueAt: new Date(now.getTime() + RELEARN_MINUTES * 60 * 1000),
+      lastGrade: grade,
+      lastReviewedAt: now,
+    };
+  }
+
+  if (grade === "hard") {
+    ease -= 0.15;
+    intervalDays = repetitions === 0 ? 1 : roundDays(intervalDays * 1.2);
+  } else if (grade === "good") {
+    if (repetitions === 0) intervalDays = 1;
+    else if (repetitions === 1) intervalDays = 3;
+    else intervalDays = roundDays(intervalDays * ease);
+  } else {
+    intervalDays = repetitions === 0 ? 4 : roundDays(intervalDays * ease * 1.3);
+    ease += 0.15;
+  }
+
+  return {
+    intervalDays,
+    ease: roundEase(ease),
+    repetitions: repetitions + 1,
+    lapses,
+    dueAt: new Date(now.getTime() + intervalDays * DAY_MS),
+    lastGrade: grade,
+    lastReviewedAt: now,
+  };
+}
@@ -23,3 +23,30 @@ export async function extractPdfText(pdfBuffer) {
 
   return result.text || "";
 }
+
+// page boundary lines pdf-parse appends to every page ("-- 1 of 3 --")
+const PAGE_MARKER = /^-- \d+ of \d+ --$/gm;
+const MIN_CHARS_PER_PAGE = 25;
+
+/**
+ * Whether extracted text is too thin to be a real text layer (a scanned PDF).
+ * Scans come back as page markers only, or with a stray stamp or page number per page,
+ * so the check is on visible characters per page rather than on empty text.
+ *
+ * @param {string} text - output of extractPdfText
+ * @returns {boolean}
+ */
+export function isMissingTextLayer(text) {
+  const pages = (text.match(PAGE_MARKER) || []).length || 1;
+  const visibleChars = stripPageMarkers(text).replace(/\s+/g, "").length;
+  return visibleChars < pages * MIN_CHARS_PER_PAGE;
+}
+
+/**
+ * Extracted text without pdf-parse's page boundary lines.
+ * @param {string} text - output of extractPdfText
+ * @returns {string}
+ */
+export function stripPageMarkers(text) {
+  return text.replace(PAGE_MARKER, "");
+}
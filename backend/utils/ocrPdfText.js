@@ -0,0 +1,91 @@
+import { PDFParse } from "pdf-parse";
+import { createWorker, OEM } from "tesseract.js";
+import engData from "@tesseract.js-data/eng";
+
+/**
+ * OCR fallback for scanned PDFs (no text layer).
+ *
+ * STRICT CONTRACT (same as extractPdfText):
+ * - Only accepts Buffer input (from downloadPdfBuffer)
+ *
+ * DESIGN DECISIONS:
+ * - Fully local: pages are rendered by pdf-parse (pdfjs + @napi-rs/canvas) and recognized by
+ *   tesseract.js with the bundled English model (@tesseract.js-data/eng), so nothing is downloaded
+ * - One page rendered at a time, so a long scan never holds every page image in memory
+ * - Only the first MAX_OCR_PAGES pages are recognized (a page takes seconds on one core)
+ * - Pages below MIN_PAGE_CONFIDENCE are recorded but left out of the text (photos, blank pages and
+ *   noise come back as garbage that would pollute chunks and analyses)
+ */
+
+export const MAX_OCR_PAGES = 40;
+const MIN_PAGE_CONFIDENCE = 30; // 0-100, tesseract's mean word confidence
+const RENDER_SCALE = 2; // ~150 dpi for A4/Letter, tesseract's sweet spot is 150-300 dpi
+
+export const OCR_ENGINE = "tesseract.js";
+
+/**
+ * Recognize the text of a scanned PDF.
+ *
+ * @param {Buffer} pdfBuffer - PDF file as Buffer
+ * @param {object} [options]
+ * @param {(done: number, total: number) => void} [options.onPage] - called after each recognized page
+ * @returns {Promise<{ text: string, confidence: number | null, pages: { page: number, confidence: number, words: number, kept: boolean }[], pageCount: number, truncated: boolean }>}
+ *   confidence is the mean of the kept pages (null when no page was kept)
+ * @throws {Error} If input is not a Buffer, or the PDF cannot be rendered
+ */
+export async function ocrPdfText(pdfBuffer, { onPage = () => {} } = {}) {
+  if (!Buffer.isBuffer(pdfBuffer)) {
+    throw new Error("ocrPdfText: expected Buffer input, received " + typeof pdfBuffer);
+  }
+
+  const parser = new PDFParse({ data: pdfBuffer });
+  let worker = null;
+
+  try {
+    // inside the try: a worker that fails to start must not leak the parser
+    worker = await createWorker(engData.code, OEM.LSTM_ONLY, {
+      langPath: engData.langPath,
+      gzip: engData.gzip,
+      cacheMethod: "none", // the model is read from node_modules, never written next to the process
+    });
+
+    const { total: pageCount } = await parser.getInfo();
+    const toRecognize = Math.min(pageCount, MAX_OCR_PAGES);
+
+    const pages = [];
+    const texts = [];
+
+    for (let page = 1; page <= toRecognize; page++) {
+      const { pages: [screenshot] } = await parser.getScreenshot({
+        partial: [page],
+        scale: RENDER_SCALE,
+        imageBuffer: true,
+        imageDataUrl: false,
+      });
+
+      const { data } = await worker.recognize(Buffer.from(screenshot.data));
+      const text = data.text.trim();
+      const confidence = Math.round(data.confidence);
+      const kept = text.length > 0 && confidence >= MIN_PAGE_CONFIDENCE;
+
+      pages.push({ page, confidence, words: text ? text.split(/\s+/).length : 0, kept });
+      if (kept) texts.push(text);
+
+      onPage(page, toRecognize);
+    }
+
+    const keptPages = pages.filter((p) => p.kept);
+    const confidence = keptPages.length > 0 ? Math.round(keptPages.reduce((sum, p) => sum + p.confidence, 0) / keptPages.length) : null;
+
+    return {
+      text: texts.join("\n\n"),
+      confidence,
+      pages,
+      pageCount,
+      truncated: pageCount > toRecognize,
+    };
+  } finally {
+    await worker?.terminate();
+    await parser.destroy();
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Scans for AI runs stuck in "processing" whose job is gone, and re-enqueues them.
+ * Covers every owner of an ai-analysis job: PDFs (analysis and summary), rebuttal gradings, syntheses, question banks and study sets.
+ * Called on worker startup and Redis reconnection (next to recoverOrphanedPdfs).
+ *
+ * A job that is still waiting, delayed or active is left alone:
+ * BullMQ's stalled-job check already moves active jobs of a dead worker back to waiting.
+ */
+import { Pdf } from "../models/pdf.model.js";
+import { RebuttalGrade } from "../models/rebuttalGrade.model.js";
+import { Synthesis } from "../models/synthesis.model.js";
+import { QuestionBank } from "../models/questionBank.model.js";
+import { StudySet } from "../models/studySet.model.js";
+import {
+  aiAnalysisQueue,
+  createAiJobId,
+  enqueueAiAnalysis,
+  enqueueRebuttalGrading,
+  enqueueSynthesis,
+  enqueueSummary,
+  enqueueQuestionBank,
+  enqueueStudySet,
+} from "../queues/aiAnalysis.queue.js";
+
+const LIVE_JOB_STATES = ["waiting", "delayed", "active", "prioritized", "waiting-children"];
+
+// owner model + how to enqueue its job (status / job id fields default to status / aiJobId)
+const JOB_OWNERS = [
+  { label: "AI analysis for PDF", Model: Pdf, enqueue: enqueueAiAnalysis },
+  { label: "summary for PDF", Model: Pdf, enqueue: enqueueSummary, statusField: "summaryStatus", jobIdField: "summaryJobId" },
+  { label: "rebuttal grading", Model: RebuttalGrade, enqueue: enqueueRebuttalGrading },
+  { label: "synthesis", Model: Synthesis, enqueue: enqueueSynthesis },
+  { label: "question bank", Model: QuestionBank, enqueue: enqueueQuestionBank },
+  { label: "study set", Model: StudySet, enqueue: enqueueStudySet },
+];
+
+async function isJobLive(jobId) {
+  const job = jobId ? await aiAnalysisQueue.getJob(jobId) : null;
+  const state = job ? await job.getState() : null;
+  return LIVE_JOB_STATES.includes(state);
+}
+
+export async function recoverStuckAnalyses() {
+  let recovered = 0;
+
+  for (const { label, Model, enqueue, statusField = "status", jobIdField = "aiJobId" } of JOB_OWNERS) {
+    const stuck = await Model.find({ [statusField]: "processing" }).select(`_id ${jobIdField}`).lean();
+
+    for (const doc of stuck) {
+      if (await isJobLive(doc[jobIdField])) continue;
+
+      // Claim the document for a fresh job (no-op if someone resubmitted meanwhile)
+      const jobId = createAiJobId(doc._id);
+      const claimed = await Model.updateOne(
+        { _id: doc._id, [statusField]: "processing", [jobIdField]: doc[jobIdField] },
+        { $set: { [jobIdField]: jobId } },
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      console.log(` -> Re-enqueuing ${label}: ${doc._id}`);
+      await enqueue(doc._id, jobId);
+      recovered++;
+    }
+  }
+
+  console.log(recovered > 0 ? ` Recovered ${recovered} stuck AI jobs` : "No stuck AI jobs found");
+}
@@ -4,7 +4,7 @@
  * This file runs in a forked child process and initializes:
  * 1. Its own MongoDB connection
  * 2. Its own Redis singleton instance
- * 3. BullMQ PDF preprocessing worker
+ * 3. BullMQ PDF preprocessing and AI analysis workers
  * 
  * Communicates with primary process via IPC for graceful shutdown.
  */
@@ -14,6 +14,7 @@ import dotenv from "dotenv";
 import mongoose from "mongoose";
 import { connectDB } from "./db/connectDB.js";
 import RedisClient from "./redis/redis.js";
+import { validatePromptRegistry } from "./services/ai/promptRegistry.js";
 
 // Ensure this only runs as a worker
 if (!cluster.isWorker) {
@@ -26,10 +27,14 @@ dotenv.config();
 console.log(`Worker process started, PID: ${process.pid}`);
 
 let pdfPreprocessWorker = null;
+let aiAnalysisWorker = null;
 let isShuttingDown = false;
 
 async function startWorker() {
   try {
+    // 0. AI jobs render prompts - fail before taking any job if a template is broken
+    validatePromptRegistry();
+
     // 1. Connect to MongoDB (own connection for this process)
     await connectDB();
     console.log("Worker MongoDB connected");
@@ -37,7 +42,7 @@ async function startWorker() {
     // 2. Initialize Redis singleton (creates own connection in this process)
     const redisClient = RedisClient.getInstance();
 
-    // Listen for Redis reconnection to recover orphaned PDFs
+    // Listen for Redis reconnection to recover orphaned PDFs and stuck AI analyses
     redisClient.on("reconnect", async () => {
       console.log("Worker: Redis reconnected - triggering recovery...");
       try {
@@ -46,20 +51,35 @@ async function startWorker() {
       } catch (error) {
         console.error("Worker: Recovery failed during reconnect:", error.message);
       }
+      try {
+        const { recoverStuckAnalyses } = await import("./utils/recoverStuckAnalyses.js");
+        await recoverStuckAnalyses();
+      } catch (error) {
+        console.error("Worker: AI recovery failed during reconnect:", error.message);
+      }
     });
 
-    // 3. Recover orphaned PDFs before starting worker (best-effort)
+    // 3. Recover orphaned PDFs and stuck AI analyses before starting workers (best-effort)
     try {
       const { recoverOrphanedPdfs } = await import("./utils/recoverOrphanedPdfs.js");
       await recoverOrphanedPdfs();
     } catch (error) {
       console.error("Worker: recoverOrphanedPdfs failed, continuing:", error.message);
     }
+    try {
+      const { recoverStuckAnalyses } = await import("./utils/recoverStuckAnalyses.js");
+      await recoverStuckAnalyses();
+    } catch (error) {
+      console.error("Worker: recoverStuckAnalyses failed, continuing:", error.message);
+    }
 
-    // 4. Import and start BullMQ worker
+    // 4. Import and start BullMQ workers
     const workerModule = await import("./workers/pdfPreprocess.worker.js");
     pdfPreprocessWorker = workerModule.pdfPreprocessWorker;
 
+    const aiWorkerModule = await import("./workers/aiAnalysis.worker.js");
+    aiAnalysisWorker = aiWorkerModule.aiAnalysisWorker;
+
     // Notify primary that worker is ready
     process.send?.({ type: "ready" });
 
@@ -77,11 +97,15 @@ async function gracefulShutdown() {
   console.log("Worker shutting down gracefully...");
 
   try {
-    // 1. Close BullMQ worker (waits for current job to finish)
+    // 1. Close BullMQ workers (waits for current jobs to finish)
     if (pdfPreprocessWorker) {
       await pdfPreprocessWorker.close();
       console.log("Worker: PDF preprocessing worker closed");
     }
+    if (aiAnalysisWorker) {
+      await aiAnalysisWorker.close();
+      console.log("Worker: AI analysis worker closed");
+    }
 
     // 2. Close Redis connection
     const redisClient = RedisClient.getInstance();
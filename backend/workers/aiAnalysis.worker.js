@@ -0,0 +1,279 @@
+/**
+ * AI Analysis Worker
+ *
+ * RESPONSIBILITIES:
+ * - "analyze": run the debate gate and full analysis for submitted PDFs
+ * - "gradeRebuttal": grade a student's rebuttal against the counter-debate
+ * - "synthesize": build one opposition case from several PDFs
+ * - "summarize": neutral summary of any preprocessed PDF
+ * - "generateQuestions": POI / cross-examination question bank of a PDF
+ * - "generateStudySet": quiz questions and flashcards of a PDF
+ * - Persist results and the final AI status on the owning document
+ *
+ * DESIGN DECISIONS:
+ * - Uses the shared worker-style Redis connection (maxRetriesPerRequest: null)
+ * - Idempotent: skips jobs whose id no longer matches the owner's aiJobId (summaryJobId for summaries)
+ * - Custom backoff: rate-limit (429) errors wait much longer than other transient errors
+ * - The owner is only marked failed after all retries are exhausted
+ * - Model calls are charged to the user who owns the job's document (usage ledger, see usage.services.js)
+ */
+
+import { Worker } from "bullmq";
+import RedisClient from "../redis/redis.js";
+import { Pdf } from "../models/pdf.model.js";
+import { RebuttalGrade } from "../models/rebuttalGrade.model.js";
+import { runPdfAnalysis, markAnalysisFailed, failureReasonFor } from "../services/ai/analysisPipeline.services.js";
+import { runRebuttalGrading, markRebuttalFailed } from "../services/ai/rebuttalGrading.services.js";
+import { Synthesis } from "../models/synthesis.model.js";
+import { runSynthesis, markSynthesisFailed } from "../services/ai/synthesis.services.js";
+import { runSummary, markSummaryFailed } from "../services/ai/summary.services.js";
+import { QuestionBank } from "../models/questionBank.model.js";
+import { runQuestionBank, markQuestionBankFailed } from "../services/ai/questionBank.services.js";
+import { StudySet } from "../models/studySet.model.js";
+import { runStudySet, markStudySetFailed } from "../services/ai/studySet.services.js";
+import { isRateLimitError } from "../services/ai/utils/isRateLimitError.js";
+import { runWithUsageContext } from "../services/ai/usage.services.js";
+
+const redisInstance = RedisClient.getInstance();
+const workerConnection = redisInstance.getClient();
+
+const RATE_LIMIT_BASE_DELAY_MS = 30000; // 30s, then 60s, then 120s
+
+/**
+ * Backoff for the "aiRateLimit" strategy configured on the queue.
+ * Gemini 429s need the quota window to pass, so retrying after a few seconds only burns attempts.
+ */
+function aiBackoffStrategy(attemptsMade, type, err, job) {
+  const baseDelay = isRateLimitError(err) ? RATE_LIMIT_BASE_DELAY_MS : (job?.opts?.backoff?.delay ?? 5000);
+  return Math.round(baseDelay * Math.pow(2, attemptsMade - 1));
+}
+
+/**
+ * Main processor function for AI analysis.
+ */
+async function processAiAnalysis(job) {
+  const { pdfId } = job.data;
+  console.log(`AI analysis for PDF: ${pdfId} (job ${job.id})`);
+
+  const pdf = await Pdf.findById(pdfId).select("status aiJobId").lean();
+
+  if (!pdf) {
+    console.log(`PDF not found: ${pdfId} - skipping`);
+    return { status: "skipped", reason: "not_found" };
+  }
+
+  // A newer submission or recovery owns this PDF now
+  if (pdf.status !== "processing" || pdf.aiJobId !== job.id) {
+    console.log(`Stale AI job ${job.id} for PDF ${pdfId} - skipping`);
+    return { status: "skipped", reason: "stale_job" };
+  }
+
+  return runPdfAnalysis({
+    pdfId,
+    jobId: job.id,
+    onProgress: (progress) => job.updateProgress(progress),
+  });
+}
+
+/**
+ * Grade a submitted rebuttal.
+ */
+async function processRebuttalGrading(job) {
+  const { rebuttalId } = job.data;
+  console.log(`Rebuttal grading: ${rebuttalId} (job ${job.id})`);
+
+  const rebuttal = await RebuttalGrade.findById(rebuttalId).select("status aiJobId").lean();
+
+  if (!rebuttal) {
+    console.log(`Rebuttal not found: ${rebuttalId} - skipping`);
+    return { status: "skipped", reason: "not_found" };
+  }
+
+  if (rebuttal.status !== "processing" || rebuttal.aiJobId !== job.id) {
+    console.log(`Stale grading job ${job.id} for rebuttal ${rebuttalId} - skipping`);
+    return { status: "skipped", reason: "stale_job" };
+  }
+
+  return runRebuttalGrading({ rebuttalId, jobId: job.id });
+}
+
+/**
+ * Build one opposition case from several PDFs.
+ */
+async function processSynthesis(job) {
+  const { synthesisId } = job.data;
+  console.log(`Synthesis: ${synthesisId} (job ${job.id})`);
+
+  const synthesis = await Synthesis.findById(synthesisId).select("status aiJobId").lean();
+
+  if (!synthesis) {
+    console.log(`Synthesis not found: ${synthesisId} - skipping`);
+    return { status: "skipped", reason: "not_found" };
+  }
+
+  if (synthesis.status !== "processing" || synthesis.aiJobId !== job.id) {
+    console.log(`Stale synthesis job ${job.id} for ${synthesisId} - skipping`);
+    return { status: "skipped", reason: "stale_job" };
+  }
+
+  return runSynthesis({
+    synthesisId,
+    jobId: job.id,
+    onProgress: (progress) => job.updateProgress(progress),
+  });
+}
+
+/**
+ * Summarize a PDF (independent of its debate analysis).
+ */
+async function processSummary(job) {
+  const { pdfId } = job.data;
+  console.log(`Summary for PDF: ${pdfId} (job ${job.id})`);
+
+  const pdf = await Pdf.findById(pdfId).select("summaryStatus summaryJobId").lean();
+
+  if (!pdf) {
+    console.log(`PDF not found: ${pdfId} - skipping`);
+    return { status: "skipped", reason: "not_found" };
+  }
+
+  if (pdf.summaryStatus !== "processing" || pdf.summaryJobId !== job.id) {
+    console.log(`Stale summary job ${job.id} for PDF ${pdfId} - skipping`);
+    return { status: "skipped", reason: "stale_job" };
+  }
+
+  return runSummary({
+    pdfId,
+    jobId: job.id,
+    onProgress: (progress) => job.updateProgress(progress),
+  });
+}
+
+/**
+ * Generate the POI / cross-examination question bank of a PDF.
+ */
+async function processQuestionBank(job) {
+  const { bankId } = job.data;
+  console.log(`Question bank: ${bankId} (job ${job.id})`);
+
+  const bank = await QuestionBank.findById(bankId).select("status aiJobId").lean();
+
+  if (!bank) {
+    console.log(`Question bank not found: ${bankId} - skipping`);
+    return { status: "skipped", reason: "not_found" };
+  }
+
+  if (bank.status !== "processing" || bank.aiJobId !== job.id) {
+    console.log(`Stale question bank job ${job.id} for ${bankId} - skipping`);
+    return { status: "skipped", reason: "stale_job" };
+  }
+
+  return runQuestionBank({
+    bankId,
+    jobId: job.id,
+    onProgress: (progress) => job.updateProgress(progress),
+  });
+}
+
+/**
+ * Generate the quiz questions and flashcards of a PDF.
+ */
+async function processStudySet(job) {
+  const { studySetId } = job.data;
+  console.log(`Study set: ${studySetId} (job ${job.id})`);
+
+  const set = await StudySet.findById(studySetId).select("status aiJobId").lean();
+
+  if (!set) {
+    console.log(`Study set not found: ${studySetId} - skipping`);
+    return { status: "skipped", reason: "not_found" };
+  }
+
+  if (set.status !== "processing" || set.aiJobId !== job.id) {
+    console.log(`Stale study set job ${job.id} for ${studySetId} - skipping`);
+    return { status: "skipped", reason: "stale_job" };
+  }
+
+  return runStudySet({
+    studySetId,
+    jobId: job.id,
+    onProgress: (progress) => job.updateProgress(progress),
+  });
+}
+
+// owner of a job's document, looked up per job so recovered and older jobs need no extra job data
+const ownerOf = (Model, id) => Model.findById(id).select("user").lean().then((doc) => doc?.user ?? null);
+
+// job name -> { process, markFailed, owner }
+const jobHandlers = {
+  analyze: {
+    process: processAiAnalysis,
+    markFailed: (job, reason) => markAnalysisFailed(job.data.pdfId, job.id, reason),
+    owner: (job) => ownerOf(Pdf, job.data.pdfId),
+  },
+  gradeRebuttal: {
+    process: processRebuttalGrading,
+    markFailed: (job, reason) => markRebuttalFailed(job.data.rebuttalId, job.id, reason),
+    owner: (job) => ownerOf(RebuttalGrade, job.data.rebuttalId),
+  },
+  synthesize: {
+    process: processSynthesis,
+    markFailed: (job, reason) => markSynthesisFailed(job.data.synthesisId, job.id, reason),
+    owner: (job) => ownerOf(Synthesis, job.data.synthesisId),
+  },
+  summarize: {
+    process: processSummary,
+    markFailed: (job, reason) => markSummaryFailed(job.data.pdfId, job.id, reason),
+    owner: (job) => ownerOf(Pdf, job.data.pdfId),
+  },
+  generateQuestions: {
+    process: processQuestionBank,
+    markFailed: (job, reason) => markQuestionBankFailed(job.data.bankId, job.id, reason),
+    owner: (job) => ownerOf(QuestionBank, job.data.bankId),
+  },
+  generateStudySet: {
+    process: processStudySet,
+    markFailed: (job, reason) => markStudySetFailed(job.data.studySetId, job.id, reason),
+    owner: (job) => ownerOf(StudySet, job.data.studySetId),
+  },
+};
+
+async function processAiJob(job) {
+  const handler = jobHandlers[job.name];
+  if (!handler) {
+    console.error(`Unknown AI job name "${job.name}" (job ${job.id}) - skipping`);
+    return { status: "skipped", reason: "unknown_job" };
+  }
+
+  const userId = await handler.owner(job);
+  return runWithUsageContext({ userId, source: job.name }, () => handler.process(job));
+}
+
+const aiAnalysisWorker = new Worker("ai-analysis", processAiJob, {
+  connection: workerConnection,
+  concurrency: 2,
+  settings: { backoffStrategy: aiBackoffStrategy },
+});
+
+aiAnalysisWorker.on("completed", (job, result) => {
+  console.log(`AI job ${job.id} completed:`, result);
+});
+
+aiAnalysisWorker.on("failed", async (job, err) => {
+  console.error(`AI job ${job?.id} failed:`, err.message);
+
+  // Mark as failed in DB only after all retries are exhausted
+  const maxAttempts = job?.opts?.attempts ?? 0;
+  if (job && job.attemptsMade >= maxAttempts) {
+    console.error(`AI job ${job.id} exhausted all ${maxAttempts} retries - marking as failed`);
+    await jobHandlers[job.name]?.markFailed(job, failureReasonFor(err));
+  }
+});
+
+aiAnalysisWorker.on("error", (err) => {
+  console.error("AI worker error:", err.message);
+});
+
+console.log("AI analysis worker started");
+
+export { aiAnalysisWorker };
@@ -4,14 +4,19 @@
  * RESPONSIBILITIES:
  * - Download PDF from Cloudinary
  * - Extract and sanitize text
+ * - OCR fallback for scanned PDFs (no text layer), fully local
+ * - Screen the text for prompt-injection payloads (best-effort classifier, heuristics always)
  * - Generate content hash
  * - Create chunks and save to DB
+ * - Embed chunks for retrieval (best-effort)
  * 
  * DESIGN DECISIONS:
  * - Uses separate worker-style Redis connection (maxRetriesPerRequest: null)
  * - Idempotent: checks preprocessStatus before processing
  * - Atomic updates to prevent partial states
  * - Distinguishes transient vs permanent failures
+ * - OCR reports per-page progress between extraction (50) and screening (60)
+ * - Classifier and embedding calls are charged to the PDF's owner (usage ledger)
  */
 
 import { Worker } from "bullmq";
@@ -21,9 +26,13 @@ import RedisClient from "../redis/redis.js";
 import { Pdf } from "../models/pdf.model.js";
 import { PdfChunk } from "../models/pdfChunk.model.js";
 import { downloadPdfBuffer } from "../utils/downloadPdfBuffer.js";
-import { extractPdfText } from "../utils/extractPdfText.js";
+import { extractPdfText, isMissingTextLayer, stripPageMarkers } from "../utils/extractPdfText.js";
+import { ocrPdfText, OCR_ENGINE } from "../utils/ocrPdfText.js";
 import { sanitizeExtractedText } from "../utils/sanitizeExtractedText.js";
 import { chunkText } from "../utils/chunkText.js";
+import { embedPdfChunks } from "../services/ai/embedding.services.js";
+import { screenExtractedText } from "../services/ai/injectionScreening.services.js";
+import { runWithUsageContext } from "../services/ai/usage.services.js";
 
 const redisInstance = RedisClient.getInstance();
 const workerConnection = redisInstance.getClient();
@@ -111,6 +120,42 @@ async function processPdfPreprocess(job) {
 
     job.updateProgress(50);
 
+    // 5b. OCR fallback: scans have no text layer (only page markers or a stray stamp)
+    // Rendering errors are deterministic, so an OCR failure is permanent like an extraction failure
+    let ocr = null;
+    if (isMissingTextLayer(rawText)) {
+      console.log(`No text layer in PDF ${pdfId} - running OCR`);
+
+      let recognized;
+      try {
+        recognized = await ocrPdfText(pdfBuffer, {
+          onPage: (done, total) => job.updateProgress(50 + Math.floor((done / total) * 9)),
+        });
+      } catch (err) {
+        console.error(`OCR failed: ${err.message}`);
+        await markAsFailed(pdfId);
+        return permanentFailure(`ocr_failed: ${err.message}`);
+      }
+
+      // keep the text layer if OCR did not find more (without its page markers, so a scan
+      // with nothing recognizable still ends as "no_text" below)
+      const textLayer = sanitizeExtractedText(stripPageMarkers(rawText));
+      if (recognized.text.trim().length <= textLayer.length) {
+        rawText = textLayer;
+      } else {
+        rawText = recognized.text;
+        ocr = {
+          engine: OCR_ENGINE,
+          confidence: recognized.confidence,
+          pages: recognized.pages,
+          pageCount: recognized.pageCount,
+          truncated: recognized.truncated,
+          recognizedAt: new Date(),
+        };
+        console.log(`OCR recognized ${ocr.pages.filter((p) => p.kept).length}/${ocr.pageCount} pages of PDF ${pdfId} (confidence ${ocr.confidence})`);
+      }
+    }
+
     // 6. Sanitize extracted text
     const extractedText = sanitizeExtractedText(rawText);
 
@@ -120,6 +165,12 @@ async function processPdfPreprocess(job) {
       return permanentFailure("no_text");
     }
 
+    // 6b. Screen for prompt injection (a high-risk document is quarantined, not failed: the user sees why)
+    const injectionRisk = await runWithUsageContext({ userId: pdf.user, source: "preprocess" }, () => screenExtractedText(extractedText));
+    if (injectionRisk.level !== "low") {
+      console.log(`Injection screening for PDF ${pdfId}: ${injectionRisk.level} (${injectionRisk.signals.join(", ")})`);
+    }
+
     job.updateProgress(60);
 
     // 7. Generate content hash
@@ -134,7 +185,7 @@ async function processPdfPreprocess(job) {
     try {
       await Pdf.updateOne(
         { _id: pdfId },
-        { $set: { extractedText, contentHash } } // not saving preprocessStatus and is set only after chunks are created
+        { $set: { extractedText, contentHash, injectionRisk, ocr } } // not saving preprocessStatus and is set only after chunks are created
       );
     } catch (err) {
       // E11000 = duplicate key error (user already has PDF with same contentHash)
@@ -203,9 +254,23 @@ async function processPdfPreprocess(job) {
       });
     }
 
+    job.updateProgress(85);
+
+    // 10. Embed chunks for retrieval
+    // Best-effort: an AI provider outage must not fail preprocessing.
+    // Retrieval backfills any missing vectors lazily before the first analysis.
+    if (chunks.length > 0) {
+      try {
+        const embedded = await runWithUsageContext({ userId: pdf.user, source: "preprocess" }, () => embedPdfChunks(pdfId));
+        console.log(`Embedded ${embedded} chunks for PDF: ${pdfId}`);
+      } catch (err) {
+        console.error(`Chunk embedding failed for PDF ${pdfId} - will backfill on retrieval: ${err.message}`);
+      }
+    }
+
     job.updateProgress(90);
 
-    // 10. Mark as completed (AFTER chunks - crash-safety)
+    // 11. Mark as completed (AFTER chunks - crash-safety)
     // If worker crashes before this, status stays "processing" and retry redoes everything
     await Pdf.updateOne(
       { _id: pdfId },
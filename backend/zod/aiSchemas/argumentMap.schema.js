@@ -0,0 +1,68 @@
+import * as z from "zod";
+import { citationSchema } from "./debateAnalysis.schema.js";
+
+export const ARGUMENT_NODE_TYPES = ["claim", "premise", "evidence", "warrant"];
+
+/**
+ * Argument graph of the document (side "document") and of the counter-debate attacking it (side "counter").
+ * Edges must connect existing nodes: support stays within one side, attack goes from the counter-debate to the document.
+ */
+export function argumentMapSchema() {
+  return z
+    .object({
+      nodes: z
+        .array(
+          z
+            .object({
+              id: z.string().trim().min(1),
+              type: z.enum(ARGUMENT_NODE_TYPES),
+              side: z.enum(["document", "counter"]),
+              text: z.string().trim().min(1),
+              paragraph: z.number().int().min(1).nullable(),
+              citations: z.array(citationSchema()),
+            })
+            .strict(),
+        )
+        .min(1, "at least one node is required"),
+      edges: z.array(
+        z
+          .object({
+            from: z.string(),
+            to: z.string(),
+            relation: z.enum(["support", "attack"]),
+          })
+          .strict(),
+      ),
+    })
+    .strict()
+    .superRefine((map, ctx) => {
+      const sides = new Map();
+      map.nodes.forEach((node, i) => {
+        if (sides.has(node.id)) {
+          ctx.addIssue({ code: "custom", path: ["nodes", i, "id"], message: `duplicate node id "${node.id}"` });
+        }
+        sides.set(node.id, node.side);
+        if (node.side === "document" && node.paragraph !== null) {
+          ctx.addIssue({ code: "custom", path: ["nodes", i, "paragraph"], message: "paragraph must be null for document nodes" });
+        }
+      });
+
+      if (!map.nodes.some((node) => node.side === "document" && node.type === "claim")) {
+        ctx.addIssue({ code: "custom", path: ["nodes"], message: "the document needs at least one claim node" });
+      }
+
+      map.edges.forEach((edge, i) => {
+        const from = sides.get(edge.from);
+        const to = sides.get(edge.to);
+        if (!from || !to) {
+          ctx.addIssue({ code: "custom", path: ["edges", i], message: `edge ${edge.from} -> ${edge.to} references an unknown node` });
+        } else if (edge.from === edge.to) {
+          ctx.addIssue({ code: "custom", path: ["edges", i], message: "an edge cannot connect a node to itself" });
+        } else if (edge.relation === "support" && from !== to) {
+          ctx.addIssue({ code: "custom", path: ["edges", i], message: "support edges must connect nodes of the same side" });
+        } else if (edge.relation === "attack" && (from !== "counter" || to !== "document")) {
+          ctx.addIssue({ code: "custom", path: ["edges", i], message: "attack edges must go from a counter node to a document node" });
+        }
+      });
+    });
+}
@@ -0,0 +1,61 @@
+import * as z from "zod";
+
+/**
+ * Reference to the source text: a PdfChunk index (null when the full text was given) and a verbatim quote.
+ */
+export function citationSchema() {
+  return z
+    .object({
+      chunk: z.number().int().min(0).nullable(),
+      quote: z.string().trim().min(1),
+    })
+    .strict();
+}
+
+// strength / weakness / grammar note with the text it is about
+const citedItem = () => z.object({ text: z.string().trim().min(1), citations: z.array(citationSchema()) }).strict();
+
+/**
+ * Full debate analysis output (single-pass and map-reduce "reduce" step).
+ * counterDebate stays one string (it is streamed); its citations are listed per paragraph (1-based).
+ * @param {import("zod").ZodType} [formatFieldsSchema] - fields of the chosen debate format (services/ai/debateFormats.js)
+ * @param {import("zod").ZodType} rubricScoresSchema - one score per rubric criterion (services/ai/rubrics.js)
+ */
+export function debateAnalysisSchema(formatFieldsSchema = z.null(), rubricScoresSchema) {
+  return z
+    .object({
+      counterDebate: z.string().trim().min(1, "counterDebate must not be empty"),
+      counterDebateCitations: z.array(
+        z
+          .object({
+            paragraph: z.number().int().min(1),
+            citations: z.array(citationSchema()),
+          })
+          .strict(),
+      ),
+      strengths: z.array(citedItem()),
+      weaknesses: z.array(citedItem()),
+      grammarNotes: z.array(citedItem()),
+      rubricScores: rubricScoresSchema,
+      resources: z.array(z.object({ title: z.string(), url: z.url() }).strict()),
+      formatFields: formatFieldsSchema,
+    })
+    .strict();
+}
+
+// map step item: quotes are verbatim spans of the single excerpt being analyzed
+const quotedNote = () => z.object({ text: z.string(), quotes: z.array(z.string()) }).strict();
+
+/**
+ * Per-chunk notes from the map-reduce "map" step.
+ */
+export function analysisMapSchema() {
+  return z
+    .object({
+      claims: z.array(quotedNote()),
+      strengths: z.array(quotedNote()),
+      weaknesses: z.array(quotedNote()),
+      grammarNotes: z.array(quotedNote()),
+    })
+    .strict();
+}
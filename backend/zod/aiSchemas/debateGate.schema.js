@@ -0,0 +1,24 @@
+import * as z from "zod";
+
+/**
+ * Debate gate output.
+ * isDebate and detectedTopic must agree: a topic only exists for debate-suitable documents.
+ */
+export function debateGateSchema() {
+  return z
+    .object({
+      isDebate: z.boolean(),
+      confidence: z.number().min(0).max(1),
+      reason: z.string().nullable(),
+      detectedTopic: z.string().nullable(),
+    })
+    .strict()
+    .superRefine((gate, ctx) => {
+      if (gate.isDebate && !gate.detectedTopic?.trim()) {
+        ctx.addIssue({ code: "custom", path: ["detectedTopic"], message: "detectedTopic is required when isDebate is true" });
+      }
+      if (!gate.isDebate && gate.detectedTopic !== null) {
+        ctx.addIssue({ code: "custom", path: ["detectedTopic"], message: "detectedTopic must be null when isDebate is false" });
+      }
+    });
+}
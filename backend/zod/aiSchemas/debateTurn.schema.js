@@ -0,0 +1,12 @@
+import * as z from "zod";
+
+/**
+ * One AI rebuttal in an interactive debate session.
+ */
+export function debateTurnSchema() {
+  return z
+    .object({
+      reply: z.string().trim().min(1, "reply must not be empty"),
+    })
+    .strict();
+}
@@ -0,0 +1,24 @@
+import * as z from "zod";
+import { FALLACY_SEVERITIES, FALLACY_TYPE_KEYS } from "../../services/ai/fallacyTaxonomy.js";
+
+/**
+ * Fallacies found in the user's speech, each labelled from the fixed taxonomy
+ * with the offending span (chunk + verbatim quote).
+ */
+export function fallacyDetectionSchema() {
+  return z
+    .object({
+      fallacies: z.array(
+        z
+          .object({
+            type: z.enum(FALLACY_TYPE_KEYS),
+            chunk: z.number().int().min(0).nullable(),
+            quote: z.string().trim().min(1),
+            explanation: z.string().trim().min(1),
+            severity: z.enum(FALLACY_SEVERITIES),
+          })
+          .strict(),
+      ),
+    })
+    .strict();
+}
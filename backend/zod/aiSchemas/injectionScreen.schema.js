@@ -0,0 +1,14 @@
+import * as z from "zod";
+
+/**
+ * Prompt-injection classifier verdict on the suspicious excerpts of a document.
+ */
+export function injectionScreenSchema() {
+  return z
+    .object({
+      isInjection: z.boolean(),
+      confidence: z.number().min(0).max(1),
+      reason: z.string().trim().min(1),
+    })
+    .strict();
+}
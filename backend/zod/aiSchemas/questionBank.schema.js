@@ -0,0 +1,43 @@
+import * as z from "zod";
+
+export const QUESTION_KINDS = ["poi", "crossExam"];
+export const QUESTION_DIFFICULTIES = ["easy", "medium", "hard"];
+
+/**
+ * Questions an opponent would ask about the user's speech, each aimed at one claim
+ * (summary + verbatim span) with a difficulty and the answer the student should give.
+ */
+export function questionBankSchema() {
+  return z
+    .object({
+      questions: z
+        .array(
+          z
+            .object({
+              kind: z.enum(QUESTION_KINDS),
+              question: z.string().trim().min(1, "question must not be empty"),
+              targetClaim: z.string().trim().min(1, "targetClaim must not be empty"),
+              chunk: z.number().int().min(0).nullable(),
+              quote: z.string().trim().min(1),
+              difficulty: z.enum(QUESTION_DIFFICULTIES),
+              suggestedAnswer: z.string().trim().min(1, "suggestedAnswer must not be empty"),
+            })
+            .strict(),
+        )
+        .min(1),
+    })
+    .strict();
+}
+
+/**
+ * Adjudicator's verdict on one drill answer.
+ */
+export function drillAnswerGradeSchema() {
+  return z
+    .object({
+      score: z.number().int().min(1).max(10),
+      feedback: z.array(z.string().trim().min(1)).min(1).max(3),
+      improvedAnswer: z.string().trim().min(1, "improvedAnswer must not be empty"),
+    })
+    .strict();
+}
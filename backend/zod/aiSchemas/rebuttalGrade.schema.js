@@ -0,0 +1,33 @@
+import * as z from "zod";
+
+const rubricScore = () => z.number().int().min(1).max(10);
+
+/**
+ * Adjudication of a student's rebuttal against the counter-debate.
+ */
+export function rebuttalGradeSchema() {
+  return z
+    .object({
+      counterArguments: z
+        .array(
+          z
+            .object({
+              argument: z.string().trim().min(1),
+              status: z.enum(["answered", "partial", "dropped"]),
+              explanation: z.string(),
+            })
+            .strict(),
+        )
+        .min(1, "at least one counter-argument is required"),
+      rubric: z
+        .object({
+          refutation: rubricScore(),
+          evidence: rubricScore(),
+          clarity: rubricScore(),
+          structure: rubricScore(),
+        })
+        .strict(),
+      feedback: z.array(z.string()),
+    })
+    .strict();
+}
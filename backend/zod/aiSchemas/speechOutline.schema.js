@@ -0,0 +1,47 @@
+import * as z from "zod";
+
+export const MIN_OUTLINE_SECTIONS = 3;
+export const MAX_OUTLINE_SECTIONS = 7;
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+/**
+ * Words a section takes to deliver (its signpost is spoken too).
+ */
+export const sectionWordCount = (section) => countWords(section.signpost) + countWords(section.text);
+
+/**
+ * Timed speech outline. The word limit is part of the schema, so a speech that
+ * would overrun the slot fails validation and goes through the repair loop.
+ *
+ * @param {number} maxWords - most words the whole speech may have
+ */
+export function speechOutlineSchema(maxWords) {
+  return z
+    .object({
+      sections: z
+        .array(
+          z
+            .object({
+              title: z.string().trim().min(1, "title must not be empty"),
+              signpost: z.string().trim().min(1, "signpost must not be empty"),
+              points: z.array(z.string().trim().min(1)).min(1).max(4),
+              text: z.string().trim().min(1, "text must not be empty"),
+            })
+            .strict(),
+        )
+        .min(MIN_OUTLINE_SECTIONS)
+        .max(MAX_OUTLINE_SECTIONS),
+    })
+    .strict()
+    .superRefine((outline, ctx) => {
+      const words = outline.sections.reduce((sum, section) => sum + sectionWordCount(section), 0);
+      if (words > maxWords) {
+        ctx.addIssue({
+          code: "custom",
+          path: ["sections"],
+          message: `the speech has ${words} words, trim it to at most ${maxWords} words`,
+        });
+      }
+    });
+}
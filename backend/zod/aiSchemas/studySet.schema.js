@@ -0,0 +1,44 @@
+import * as z from "zod";
+
+export const MCQ_OPTION_COUNT = 4;
+
+/**
+ * Study material from a document: multiple-choice questions and flashcards,
+ * each with the span it is based on (chunk + verbatim quote).
+ */
+export function studySetSchema() {
+  const source = {
+    chunk: z.number().int().min(0).nullable(),
+    quote: z.string().trim().min(1),
+  };
+
+  return z
+    .object({
+      multipleChoice: z.array(
+        z
+          .object({
+            question: z.string().trim().min(1, "question must not be empty"),
+            options: z.array(z.string().trim().min(1)).length(MCQ_OPTION_COUNT),
+            answerIndex: z
+              .number()
+              .int()
+              .min(0)
+              .max(MCQ_OPTION_COUNT - 1),
+            explanation: z.string().trim().min(1, "explanation must not be empty"),
+            ...source,
+          })
+          .strict(),
+      ),
+      flashcards: z.array(
+        z
+          .object({
+            front: z.string().trim().min(1, "front must not be empty"),
+            back: z.string().trim().min(1, "back must not be empty"),
+            ...source,
+          })
+          .strict(),
+      ),
+    })
+    .strict()
+    .refine((set) => set.multipleChoice.length + set.flashcards.length > 0, "the study set must not be empty");
+}
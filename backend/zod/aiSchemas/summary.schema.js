@@ -0,0 +1,31 @@
+import * as z from "zod";
+
+/**
+ * Neutral summary of any document (no debate required).
+ */
+export function summarySchema() {
+  return z
+    .object({
+      thesis: z.string().trim().min(1).nullable(),
+      keyPoints: z.array(z.string().trim().min(1)).min(1, "at least one key point is required"),
+      structure: z
+        .array(
+          z
+            .object({
+              section: z.string().trim().min(1),
+              summary: z.string(),
+            })
+            .strict(),
+        )
+        .min(1, "at least one section is required"),
+      notableEvidence: z.array(
+        z
+          .object({
+            evidence: z.string().trim().min(1),
+            supports: z.string(),
+          })
+          .strict(),
+      ),
+    })
+    .strict();
+}
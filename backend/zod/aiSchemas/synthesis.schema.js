@@ -0,0 +1,21 @@
+import * as z from "zod";
+
+/**
+ * One opposition case synthesized from several documents.
+ * @param {number} sourceCount - number of <Source> blocks in the prompt
+ */
+export function synthesisSchema(sourceCount) {
+  return z
+    .object({
+      motion: z.string().trim().min(1),
+      counterDebate: z.string().trim().min(1, "counterDebate must not be empty"),
+      sourceNotes: z
+        .array(z.object({ source: z.number().int().min(1).max(sourceCount), note: z.string() }).strict())
+        .min(1, "sourceNotes must cover the sources"),
+      strengths: z.array(z.string()),
+      weaknesses: z.array(z.string()),
+      rating: z.number().int().min(1).max(10),
+      resources: z.array(z.object({ title: z.string(), url: z.url() }).strict()),
+    })
+    .strict();
+}
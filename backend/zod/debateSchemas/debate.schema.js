@@ -0,0 +1,23 @@
+import * as z from "zod";
+
+export const MAX_DEBATE_REPLY_LENGTH = 2000;
+
+export function startDebateSchema() {
+  return z
+    .object({
+      publicId: z.string().trim().min(1, "PDF is required to start a debate."),
+    })
+    .strict();
+}
+
+export function debateReplySchema() {
+  return z
+    .object({
+      content: z
+        .string()
+        .trim()
+        .min(1, "Reply cannot be empty.")
+        .max(MAX_DEBATE_REPLY_LENGTH, `Reply is too long (max ${MAX_DEBATE_REPLY_LENGTH} characters).`),
+    })
+    .strict();
+}
@@ -0,0 +1,15 @@
+import * as z from "zod";
+
+export const MAX_DRILL_ANSWER_LENGTH = 1500;
+
+export function drillAnswerSchema() {
+  return z
+    .object({
+      answer: z
+        .string()
+        .trim()
+        .min(1, "Answer cannot be empty.")
+        .max(MAX_DRILL_ANSWER_LENGTH, `Answer is too long (max ${MAX_DRILL_ANSWER_LENGTH} characters).`),
+    })
+    .strict();
+}
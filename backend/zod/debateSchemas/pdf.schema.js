@@ -0,0 +1,19 @@
+import * as z from "zod";
+
+// opt a PDF in or out of the dashboard cleanup of viewed non-debate files
+export function keepPdfSchema() {
+  return z
+    .object({
+      keep: z.boolean({ error: "keep must be true or false." }),
+    })
+    .strict();
+}
+
+// release a quarantined PDF (the owner vouches for it) or put it back in quarantine
+export function releasePdfSchema() {
+  return z
+    .object({
+      release: z.boolean({ error: "release must be true or false." }),
+    })
+    .strict();
+}
@@ -0,0 +1,21 @@
+import * as z from "zod";
+
+export const MAX_REBUTTAL_LENGTH = 12000; // characters, typed or extracted from a PDF
+
+// JSON body size that always fits MAX_REBUTTAL_LENGTH characters: worst case is a 6-byte
+// escape (\u001f) per character (a 4-byte UTF-8 emoji counts as 2 characters), plus room for the envelope
+export const REBUTTAL_BODY_LIMIT = MAX_REBUTTAL_LENGTH * 6 + 1024; // bytes
+
+// text is optional because the rebuttal may be uploaded as a PDF instead (checked in the controller)
+export function rebuttalSubmissionSchema() {
+  return z
+    .object({
+      text: z
+        .string()
+        .trim()
+        .min(1, "Rebuttal cannot be empty.")
+        .max(MAX_REBUTTAL_LENGTH, `Rebuttal is too long (max ${MAX_REBUTTAL_LENGTH} characters).`)
+        .optional(),
+    })
+    .strict();
+}
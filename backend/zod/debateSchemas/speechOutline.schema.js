@@ -0,0 +1,27 @@
+import * as z from "zod";
+
+export const MIN_OUTLINE_MINUTES = 1;
+export const MAX_OUTLINE_MINUTES = 15;
+export const MIN_WORDS_PER_MINUTE = 100;
+export const MAX_WORDS_PER_MINUTE = 220;
+
+// minutes is optional: the PDF's debate format sets the default slot (controllers/speechOutline.controller.js)
+export function speechOutlineRequestSchema() {
+  return z
+    .object({
+      minutes: z
+        .number("Speaking time must be a number of minutes.")
+        .min(MIN_OUTLINE_MINUTES, `Speaking time must be at least ${MIN_OUTLINE_MINUTES} minute.`)
+        .max(MAX_OUTLINE_MINUTES, `Speaking time must be at most ${MAX_OUTLINE_MINUTES} minutes.`)
+        .multipleOf(0.5, "Speaking time must be in half minutes.")
+        .optional(),
+      wordsPerMinute: z
+        .number("Speaking pace must be a number of words per minute.")
+        .int("Speaking pace must be a whole number.")
+        .min(MIN_WORDS_PER_MINUTE, `Speaking pace must be at least ${MIN_WORDS_PER_MINUTE} words per minute.`)
+        .max(MAX_WORDS_PER_MINUTE, `Speaking pace must be at most ${MAX_WORDS_PER_MINUTE} words per minute.`)
+        .optional(),
+    })
+    .strict()
+    .prefault({}); // a request without a body uses the defaults
+}
@@ -0,0 +1,37 @@
+import * as z from "zod";
+import { DEBATE_FORMAT_KEYS, DEFAULT_DEBATE_FORMAT } from "../../services/ai/debateFormats.js";
+import {
+  ANALYSIS_DIFFICULTIES,
+  ANALYSIS_LENGTHS,
+  ANALYSIS_TONES,
+  DEFAULT_ANALYSIS_OPTIONS,
+  MAX_FOCUS_LENGTH,
+} from "../../services/ai/analysisOptions.js";
+
+const optionEnum = (table, name) => {
+  const keys = Object.keys(table);
+  return z.enum(keys, { error: `${name} must be one of: ${keys.join(", ")}.` });
+};
+
+export function submitPdfSchema() {
+  return z
+    .object({
+      format: z
+        .enum(DEBATE_FORMAT_KEYS, { error: `Format must be one of: ${DEBATE_FORMAT_KEYS.join(", ")}.` })
+        .default(DEFAULT_DEBATE_FORMAT),
+      tone: optionEnum(ANALYSIS_TONES, "Tone").default(DEFAULT_ANALYSIS_OPTIONS.tone),
+      length: optionEnum(ANALYSIS_LENGTHS, "Length").default(DEFAULT_ANALYSIS_OPTIONS.length),
+      difficulty: optionEnum(ANALYSIS_DIFFICULTIES, "Difficulty").default(DEFAULT_ANALYSIS_OPTIONS.difficulty),
+      focus: z
+        .string({ error: "Focus must be text." })
+        .trim()
+        .max(MAX_FOCUS_LENGTH, { error: `Focus must be at most ${MAX_FOCUS_LENGTH} characters.` })
+        .nullable()
+        .default(null)
+        .transform((focus) => focus || null), // "" = no focus
+      bypassCache: z.boolean({ error: "bypassCache must be true or false." }).default(false), // force fresh model calls
+      skipGate: z.boolean({ error: "skipGate must be true or false." }).default(false), // "run analysis anyway" after a not-a-debate verdict
+    })
+    .strict()
+    .prefault({}); // a submit without a body uses the defaults
+}
@@ -0,0 +1,17 @@
+import * as z from "zod";
+
+export const MIN_SYNTHESIS_PDFS = 2;
+export const MAX_SYNTHESIS_PDFS = 5;
+
+export function createSynthesisSchema() {
+  return z
+    .object({
+      publicIds: z
+        .array(z.string().trim().min(1))
+        .min(MIN_SYNTHESIS_PDFS, `Select at least ${MIN_SYNTHESIS_PDFS} PDFs.`)
+        .max(MAX_SYNTHESIS_PDFS, `Select at most ${MAX_SYNTHESIS_PDFS} PDFs.`)
+        .refine((ids) => new Set(ids).size === ids.length, "Each PDF can only be selected once."),
+      motion: z.string().trim().max(300, "Motion is too long (max 300 characters).").optional(),
+    })
+    .strict();
+}
@@ -0,0 +1,10 @@
+import * as z from "zod";
+import { REVIEW_GRADES } from "../../services/study/spacedRepetition.js";
+
+export function reviewGradeSchema() {
+  return z
+    .object({
+      grade: z.enum(REVIEW_GRADES, `Grade must be one of: ${REVIEW_GRADES.join(", ")}.`),
+    })
+    .strict();
+}
@@ -0,0 +1,49 @@
+import * as z from "zod";
+import { MAX_CRITERION_WEIGHT, MAX_RUBRIC_CRITERIA, MIN_RUBRIC_CRITERIA } from "../../services/ai/rubrics.js";
+
+export function createTeamSchema() {
+  return z
+    .object({
+      name: z.string().trim().min(2, "Team name is too short.").max(60, "Team name is too long (max 60 characters)."),
+    })
+    .strict();
+}
+
+export function joinTeamSchema() {
+  return z
+    .object({
+      inviteCode: z.string().trim().toUpperCase().min(1, "Enter an invite code."),
+    })
+    .strict();
+}
+
+/**
+ * Custom rubric set by a coach (criterion keys are derived from the labels by the service).
+ */
+export function teamRubricSchema() {
+  return z
+    .object({
+      name: z.string().trim().min(1, "Give the rubric a name.").max(60, "Rubric name is too long (max 60 characters)."),
+      criteria: z
+        .array(
+          z
+            .object({
+              label: z.string().trim().min(1, "Every criterion needs a name.").max(40, "Criterion names are limited to 40 characters."),
+              description: z.string().trim().max(200, "Criterion descriptions are limited to 200 characters.").default(""),
+              weight: z
+                .number("Weights must be numbers.")
+                .int("Weights must be whole numbers.")
+                .min(1, "Weights must be at least 1.")
+                .max(MAX_CRITERION_WEIGHT, `Weights are at most ${MAX_CRITERION_WEIGHT}.`),
+            })
+            .strict(),
+        )
+        .min(MIN_RUBRIC_CRITERIA, `A rubric needs at least ${MIN_RUBRIC_CRITERIA} criteria.`)
+        .max(MAX_RUBRIC_CRITERIA, `A rubric has at most ${MAX_RUBRIC_CRITERIA} criteria.`)
+        .refine(
+          (criteria) => new Set(criteria.map((c) => c.label.toLowerCase())).size === criteria.length,
+          "Each criterion needs a different name.",
+        ),
+    })
+    .strict();
+}
@@ -1,6 +1,6 @@
 import axios from "axios";
 
-const BASE_URL = "http://localhost:4000/api/v1";
+export const BASE_URL = "http://localhost:4000/api/v1";
 
 // Create axios instance
 export const api = axios.create({
@@ -0,0 +1,107 @@
+import { useState } from "react";
+import AnimatedModal from "@/components/ui/AnimatedModal";
+import { DEBATE_FORMATS } from "@/utils/debateFormats";
+import {
+  ANALYSIS_DIFFICULTIES,
+  ANALYSIS_LENGTHS,
+  ANALYSIS_TONES,
+  DEFAULT_ANALYSIS_OPTIONS,
+  MAX_FOCUS_LENGTH,
+} from "@/utils/analysisOptions";
+
+const selectClass = "w-full px-3 py-2 bg-gray-700 text-white text-sm rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-400";
+
+// row of toggle buttons for a small option list
+function OptionButtons({ options, value, onChange }) {
+  return (
+    <div className="flex gap-2">
+      {options.map((o) => (
+        <button
+          key={o.key}
+          type="button"
+          title={o.hint}
+          onClick={() => onChange(o.key)}
+          className={`flex-1 rounded-lg px-2 py-1.5 text-sm ${
+            value === o.key ? "bg-yellow-400 text-black font-semibold" : "bg-gray-700 text-gray-200 hover:bg-gray-600"
+          }`}>
+          {o.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Options for a new analysis run (submit, retry or regenerate): debate format, tone, length,
+ * difficulty, focus area and whether to skip results reused from identical documents.
+ * Mount it when needed - the form starts from initialOptions every time.
+ */
+const AnalysisOptionsModal = ({ isOpen, onClose, onSubmit, initialOptions, title = "Analysis options", submitLabel = "Submit to AI" }) => {
+  const [options, setOptions] = useState(() => ({ ...DEFAULT_ANALYSIS_OPTIONS, ...initialOptions, focus: initialOptions?.focus || "" }));
+  const [bypassCache, setBypassCache] = useState(false);
+
+  const set = (key) => (value) => setOptions((prev) => ({ ...prev, [key]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    // only the keys the submit endpoint accepts: stored options also carry server-side fields (rubric)
+    const { format, tone, length, difficulty, focus, skipGate = false } = options;
+    onSubmit({ format, tone, length, difficulty, focus: focus.trim() || null, bypassCache, skipGate });
+    onClose();
+  };
+
+  return (
+    <AnimatedModal isOpen={isOpen} onClose={onClose} title={title}>
+      <form onSubmit={handleSubmit} className="space-y-4 text-sm">
+        <label className="block space-y-1">
+          <span className="text-gray-400">Debate format</span>
+          <select value={options.format} onChange={(e) => set("format")(e.target.value)} className={selectClass}>
+            {DEBATE_FORMATS.map((f) => (
+              <option key={f.key} value={f.key}>
+                {f.label} - {f.hint}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <div className="space-y-1">
+          <span className="text-gray-400">Tone</span>
+          <OptionButtons options={ANALYSIS_TONES} value={options.tone} onChange={set("tone")} />
+        </div>
+
+        <div className="space-y-1">
+          <span className="text-gray-400">Length</span>
+          <OptionButtons options={ANALYSIS_LENGTHS} value={options.length} onChange={set("length")} />
+        </div>
+
+        <div className="space-y-1">
+          <span className="text-gray-400">Difficulty</span>
+          <OptionButtons options={ANALYSIS_DIFFICULTIES} value={options.difficulty} onChange={set("difficulty")} />
+        </div>
+
+        <label className="block space-y-1">
+          <span className="text-gray-400">Focus area (optional)</span>
+          <input
+            type="text"
+            value={options.focus}
+            maxLength={MAX_FOCUS_LENGTH}
+            placeholder="e.g. the economic argument"
+            onChange={(e) => set("focus")(e.target.value)}
+            className={selectClass}
+          />
+        </label>
+
+        <label className="flex items-center gap-2 text-gray-400" title="Do not reuse a result from an identical document">
+          <input type="checkbox" checked={bypassCache} onChange={(e) => setBypassCache(e.target.checked)} className="accent-yellow-400" />
+          Fresh analysis
+        </label>
+
+        <button type="submit" className="w-full bg-yellow-400 text-black font-semibold py-2 rounded-lg hover:bg-yellow-300 transition">
+          {submitLabel}
+        </button>
+      </form>
+    </AnimatedModal>
+  );
+};
+
+export default AnalysisOptionsModal;
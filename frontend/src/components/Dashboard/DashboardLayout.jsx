@@ -1,5 +1,5 @@
 import { Sidebar, SidebarBody, SidebarLink, useSidebar } from "@/components/ui/sidebar";
-import { IconUpload, IconUser, IconLogout, IconHome } from "@tabler/icons-react";
+import { IconUpload, IconUser, IconLogout, IconHome, IconCards } from "@tabler/icons-react";
 import { Outlet } from "react-router-dom";
 import { useAuth } from "@/context/AuthContext";
 import { Toaster } from "react-hot-toast";
@@ -50,6 +50,14 @@ export default function DashboardLayout() {
                 }}
                 className="h-10 rounded hover:bg-gray-800 [&_span]:text-white"
               />
+              <SidebarLink
+                link={{
+                  label: "Review",
+                  href: "/dashboard/review",
+                  icon: <IconCards className="text-white shrink-0" />,
+                }}
+                className="h-10 rounded hover:bg-gray-800 [&_span]:text-white"
+              />
               <SidebarLink
                 link={{
                   label: "Home",
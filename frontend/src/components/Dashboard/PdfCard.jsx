@@ -1,17 +1,36 @@
+import { isLowOcrConfidence } from "@/utils/ocr";
+
 /**
  * PdfCard Button Logic:
  * 
- * | preprocessStatus | status     | Buttons Shown        |
- * |------------------|------------|----------------------|
- * | pending/processing | -        | (overlay Only)       |
- * | failed           | -          | Delete only          |
- * | completed        | idle       | Submit + Delete      |
- * | completed        | processing | (overlay)            |
- * | completed        | completed  | Details + Delete     |
- * | completed        | failed     | Retry + Delete       |
+ * | preprocessStatus   | status     | Buttons Shown                 |
+ * |--------------------|------------|-------------------------------|
+ * | pending/processing | -          | (overlay Only)                |
+ * | failed             | -          | Delete only                   |
+ * | completed          | idle       | Submit + Delete               |
+ * | completed          | processing | Watch live (overlay)          |
+ * | completed          | completed  | Details + Regenerate + Delete |
+ * | completed          | failed     | Retry + Delete                |
+ *
+ * Submit, Retry and Regenerate call onSubmit(); the dashboard asks for the analysis options
+ * (format, tone, length, difficulty, focus) before submitting. A regenerated result becomes a new revision.
+ *
+ * Quarantine: a PDF whose text was screened as a prompt-injection risk ("high") gets
+ * Delete (and Details, if it already has results) only, with the reason below the metadata.
+ * The owner can release it (onRelease) if the text is legitimate; the AI actions come back.
+ * "medium" only shows a warning; the AI actions stay available.
+ *
+ * Neutral summary (independent of status): "Summarize" is offered next to Submit/Retry
+ * until a summary was requested; from then on "Details" opens it.
+ *
+ * OCR: a scanned PDF (text recognized by OCR during preprocessing) shows a note with the
+ * recognition confidence, in yellow when it is low enough to expect errors.
+ *
+ * Selection mode (multi-document synthesis): a checkbox is shown instead,
+ * enabled once preprocessing is complete (the synthesis reads the chunk store).
  */
 
-export default function PdfCard({ pdf, onSubmit, onDelete, onDetails }) {
+export default function PdfCard({ pdf, onSubmit, onSummarize, onDelete, onDetails, onRelease, selectable = false, selected = false, onToggleSelect }) {
   const createdDate = new Date(pdf.createdAt);
 
   // State checks
@@ -23,6 +42,10 @@ export default function PdfCard({ pdf, onSubmit, onDelete, onDetails }) {
   const isAIIdle = isWorkerComplete && pdf.status === "idle";
   const isAIComplete = isWorkerComplete && pdf.status === "completed";
   const isAIFailed = isWorkerComplete && pdf.status === "failed";
+  const hasSummaryRun = isWorkerComplete && Boolean(pdf.summaryStatus) && pdf.summaryStatus !== "idle";
+  const isQuarantined = pdf.injectionRisk?.level === "high" && !pdf.injectionRisk.released;
+  const canRunAI = !isQuarantined;
+  const canSelect = isWorkerComplete && !isQuarantined;
 
   // Determine overlay state
   const showOverlay = isWorkerProcessing || isAIProcessing;
@@ -30,10 +53,29 @@ export default function PdfCard({ pdf, onSubmit, onDelete, onDetails }) {
 
   return (
     <div className="relative group rounded-xl overflow-hidden border border-neutral-700 bg-neutral-900 transition hover:border-yellow-400 hover:shadow-[0_0_18px_rgba(234,179,8,0.18)]">
+      {/* SELECTION (synthesis) */}
+      {selectable && (
+        <label
+          className={`absolute top-2 left-2 z-30 flex items-center gap-2 rounded-md px-2 py-1 text-xs ${
+            canSelect ? "bg-black/70 text-white cursor-pointer" : "bg-black/50 text-neutral-500 cursor-not-allowed"
+          }`}>
+          <input type="checkbox" checked={selected} disabled={!canSelect} onChange={onToggleSelect} className="accent-yellow-400" />
+          {selected ? "Selected" : "Select"}
+        </label>
+      )}
+
       {/* PROCESSING OVERLAY */}
       {showOverlay && (
-        <div className="absolute inset-0 z-20 bg-black/70 flex items-center justify-center">
+        <div className="absolute inset-0 z-20 bg-black/70 flex flex-col items-center justify-center gap-3">
           <span className="text-sm text-yellow-400 animate-pulse">{overlayMessage}</span>
+          {/* AI run streams its counter debate on the details page */}
+          {isAIProcessing && (
+            <button
+              onClick={onDetails}
+              className="rounded-md bg-slate-800/80 text-slate-200 border border-slate-700/60 transition-all duration-200 px-3 py-1.5 text-sm font-medium hover:bg-amber-400/90 hover:text-black">
+              Watch live
+            </button>
+          )}
         </div>
       )}
 
@@ -44,7 +86,7 @@ export default function PdfCard({ pdf, onSubmit, onDelete, onDetails }) {
         {/* HOVER ACTIONS */}
         <div className="absolute inset-0 flex items-center justify-center gap-3 bg-black/60 transition opacity-100 pointer-events-auto lg:opacity-0 lg:pointer-events-none lg:group-hover:opacity-100 lg:group-hover:pointer-events-auto">
           {/* SUBMIT - only when worker complete and AI idle */}
-          {isAIIdle && (
+          {isAIIdle && canRunAI && (
             <button
               onClick={onSubmit}
               className="rounded-md bg-slate-800/80 text-slate-200 border border-slate-700/60 transition-all duration-200 px-3 py-1.5 text-sm font-medium hover:bg-amber-400/90 hover:text-black hover:border-amber-400/50">
@@ -52,8 +94,17 @@ export default function PdfCard({ pdf, onSubmit, onDelete, onDetails }) {
             </button>
           )}
 
-          {/* DETAILS - only when AI complete */}
-          {isAIComplete && (
+          {/* SUMMARIZE - neutral summary, no debate needed */}
+          {(isAIIdle || isAIFailed) && !hasSummaryRun && canRunAI && (
+            <button
+              onClick={onSummarize}
+              className="rounded-md bg-slate-800/80 text-slate-200 border border-slate-700/60 transition-all duration-200 px-3 py-1.5 text-sm font-medium hover:bg-amber-400/90 hover:text-black hover:border-amber-400/50">
+              Summarize
+            </button>
+          )}
+
+          {/* DETAILS - when AI complete or a summary was requested */}
+          {(isAIComplete || hasSummaryRun) && (
             <button
               onClick={onDetails}
               className="rounded-md bg-slate-800/80 text-slate-200 border border-slate-700/60 transition-all duration-200 px-3 py-1.5 text-sm font-medium hover:bg-amber-400/90">
@@ -61,8 +112,17 @@ export default function PdfCard({ pdf, onSubmit, onDelete, onDetails }) {
             </button>
           )}
 
+          {/* REGENERATE - new run with other options, the current result is kept as a revision */}
+          {isAIComplete && canRunAI && (
+            <button
+              onClick={onSubmit}
+              className="rounded-md bg-slate-800/80 text-slate-200 border border-slate-700/60 transition-all duration-200 px-3 py-1.5 text-sm font-medium hover:bg-amber-400/90 hover:text-black hover:border-amber-400/50">
+              Regenerate
+            </button>
+          )}
+
           {/* RETRY - AI failed only (worker failures are permanent) */}
-          {isAIFailed && (
+          {isAIFailed && canRunAI && (
             <button
               onClick={onSubmit}
               className="rounded-md bg-slate-800/80 text-slate-200 border border-slate-700/60 transition-all duration-200 px-3 py-1.5 text-sm font-medium hover:border-slate-600">
@@ -89,7 +149,23 @@ export default function PdfCard({ pdf, onSubmit, onDelete, onDetails }) {
 
         {/* STATUS LABELS */}
         {isWorkerFailed && <p className="text-xs text-red-400 mt-1">Preprocessing failed</p>}
-        {isAIFailed && <p className="text-xs text-red-400 mt-1">AI processing failed</p>}
+        {isAIFailed && !isQuarantined && <p className="text-xs text-red-400 mt-1">{pdf.statusReason || "AI processing failed"}</p>}
+        {isAIComplete && pdf.statusReason && <p className="text-xs text-yellow-400 mt-1">Regeneration failed: {pdf.statusReason}</p>}
+        {isQuarantined && (
+          <p className="text-xs text-red-400 mt-1">
+            Quarantined: {pdf.injectionRisk.reason}{" "}
+            <button onClick={onRelease} className="text-yellow-400 hover:underline">
+              Release
+            </button>
+          </p>
+        )}
+        {pdf.injectionRisk?.released && <p className="text-xs text-yellow-400 mt-1">Released from quarantine by you</p>}
+        {pdf.injectionRisk?.level === "medium" && <p className="text-xs text-yellow-400 mt-1">Contains text that looks like instructions to the AI</p>}
+        {pdf.ocr && (
+          <p className={`text-xs mt-1 ${isLowOcrConfidence(pdf.ocr) ? "text-yellow-400" : "text-neutral-400"}`}>
+            Scanned · text recognized by OCR ({pdf.ocr.confidence ?? 0}% confidence)
+          </p>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,147 @@
+import { handleApiError } from "@/utils/handleApiError";
+import api from "@/api/axiosConfig.js";
+import React, { useEffect, useState } from "react";
+
+// usage ledger sources (what started the model calls)
+const SOURCE_LABELS = {
+  analyze: "Debate analysis",
+  summarize: "Neutral summaries",
+  gradeRebuttal: "Rebuttal grading",
+  synthesize: "Multi-document synthesis",
+  debateTurn: "Argue back",
+  speechOutline: "Speech outlines",
+  generateQuestions: "POI & cross-ex questions",
+  drillAnswer: "Question drills",
+  generateStudySet: "Quizzes & flashcards",
+  preprocess: "Upload screening & embeddings",
+};
+
+const formatTokens = (n) => n.toLocaleString("en-US");
+const formatCost = (usd) => (usd < 0.01 && usd > 0 ? "< $0.01" : `$${usd.toFixed(2)}`);
+
+function QuotaBar({ label, quota }) {
+  const unlimited = !quota.limit;
+  const percent = unlimited ? 0 : Math.min(100, Math.round((quota.used / quota.limit) * 100));
+  const color = percent >= 100 ? "bg-red-500" : percent >= 80 ? "bg-yellow-400" : "bg-green-500";
+
+  return (
+    <div>
+      <div className="flex justify-between text-sm">
+        <span className="text-gray-300">{label}</span>
+        <span className="text-gray-400">
+          {formatTokens(quota.used)} {unlimited ? "tokens (no limit)" : `/ ${formatTokens(quota.limit)} tokens`}
+        </span>
+      </div>
+      {!unlimited && (
+        <div className="mt-1 h-2 rounded bg-neutral-800">
+          <div className={`h-2 rounded ${color}`} style={{ width: `${percent}%` }} />
+        </div>
+      )}
+      <p className="mt-1 text-xs text-gray-500">Resets {new Date(quota.resetsAt).toLocaleString()}</p>
+    </div>
+  );
+}
+
+/**
+ * The user's AI usage: daily and monthly quotas, this month by feature,
+ * tokens per day for the last 30 days and the latest model calls.
+ */
+function AiUsage() {
+  const [usage, setUsage] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    api
+      .get("/users/me/usage", { signal: controller.signal })
+      .then((res) => setUsage(res?.data?.data || null))
+      .catch(handleApiError);
+
+    return () => controller.abort();
+  }, []);
+
+  const busiestDay = Math.max(1, ...(usage?.days ?? []).map((d) => d.tokens));
+
+  return (
+    <div className="bg-neutral-900 rounded-xl shadow-lg p-8 mb-6">
+      <h2 className="text-2xl font-semibold text-white mb-2">AI Usage</h2>
+      <p className="text-sm text-gray-400 mb-6">
+        {usage
+          ? `${formatTokens(usage.month.tokens)} tokens in ${usage.month.calls} model calls this month (about ${formatCost(usage.month.costUsd)}).`
+          : "Loading…"}
+      </p>
+
+      {usage && (
+        <div className="space-y-6">
+          <div className="space-y-4">
+            <QuotaBar label="Today" quota={usage.quota.daily} />
+            <QuotaBar label="This month" quota={usage.quota.monthly} />
+          </div>
+
+          {usage.bySource.length > 0 && (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500">
+                  <th className="pb-2 font-normal">This month</th>
+                  <th className="pb-2 font-normal text-right">Calls</th>
+                  <th className="pb-2 font-normal text-right">Tokens</th>
+                  <th className="pb-2 font-normal text-right">Cost</th>
+                </tr>
+              </thead>
+              <tbody className="text-gray-300">
+                {usage.bySource.map((s) => (
+                  <tr key={s.source} className="border-t border-neutral-800">
+                    <td className="py-1.5">{SOURCE_LABELS[s.source] ?? "Other"}</td>
+                    <td className="py-1.5 text-right">{s.calls}</td>
+                    <td className="py-1.5 text-right">{formatTokens(s.tokens)}</td>
+                    <td className="py-1.5 text-right">{formatCost(s.costUsd)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {usage.days.length > 0 && (
+            <div>
+              <p className="mb-2 text-xs text-gray-500">Tokens per day (last 30 days)</p>
+              <div className="flex h-16 items-end gap-1">
+                {usage.days.map((d) => (
+                  <div
+                    key={d.date}
+                    title={`${d.date}: ${formatTokens(d.tokens)} tokens, ${d.calls} calls`}
+                    className="flex-1 rounded-t bg-yellow-400/70"
+                    style={{ height: `${Math.max(4, (d.tokens / busiestDay) * 100)}%` }}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+
+          {usage.recent.length === 0 && <p className="text-gray-400">No AI calls yet.</p>}
+
+          {usage.recent.length > 0 && (
+            <div>
+              <p className="mb-2 text-xs text-gray-500">Latest model calls</p>
+              <ul className="space-y-1 text-xs text-gray-400">
+                {usage.recent.map((call, i) => (
+                  <li key={i} className="flex justify-between gap-4">
+                    <span className="truncate">
+                      {new Date(call.createdAt).toLocaleString()} · {SOURCE_LABELS[call.source] ?? "Other"} · {call.task}
+                      {call.failed && <span className="ml-1 text-red-400">(failed)</span>}
+                    </span>
+                    <span className="shrink-0">
+                      {call.estimated ? "~" : ""}
+                      {formatTokens(call.totalTokens)} tokens · {(call.latencyMs / 1000).toFixed(1)}s
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AiUsage;
@@ -0,0 +1,105 @@
+import { handleApiError } from "@/utils/handleApiError";
+import api from "@/api/axiosConfig.js";
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { SEVERITY_STYLES } from "@/utils/fallacies";
+
+/**
+ * The user's fallacies across all analyzed PDFs, most frequent first.
+ * Selecting a type lists its recent findings with the document each came from.
+ * With a username, shows that team member's fallacies instead (coach only, documents are not linked).
+ */
+function FallacyStats({ username = null }) {
+  const baseUrl = username ? `/teams/mine/members/${encodeURIComponent(username)}/fallacies` : "/users/me/fallacies";
+  const [stats, setStats] = useState(null);
+  const [openType, setOpenType] = useState(null);
+  const [findings, setFindings] = useState({});
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    api
+      .get(baseUrl, { signal: controller.signal })
+      .then((res) => setStats(res?.data?.data || null))
+      .catch((err) => {
+        if (err.name !== "CanceledError" && err.name !== "AbortError") {
+          handleApiError(err);
+        }
+      });
+
+    return () => controller.abort();
+  }, [baseUrl]);
+
+  const toggle = async (type) => {
+    if (openType === type) return setOpenType(null);
+    setOpenType(type);
+    if (findings[type]) return;
+
+    try {
+      const res = await api.get(`${baseUrl}/${type}`);
+      setFindings((prev) => ({ ...prev, [type]: res?.data?.data?.findings || [] }));
+    } catch (err) {
+      handleApiError(err);
+    }
+  };
+
+  return (
+    <div className={username ? "" : "bg-neutral-900 rounded-xl shadow-lg p-8 mb-6"}>
+      {!username && <h2 className="text-2xl font-semibold text-white mb-2">Recurring Fallacies</h2>}
+      <p className="text-sm text-gray-400 mb-6">
+        {stats ? `${stats.totals.findings} found across ${stats.totals.documents} analyzed documents.` : "Loading…"}
+      </p>
+
+      {stats?.fallacies?.length === 0 && <p className="text-gray-400">No fallacies found in {username ? "their" : "your"} speeches yet.</p>}
+
+      <ul className="space-y-3">
+        {stats?.fallacies?.map((f) => (
+          <li key={f.type} className="rounded-lg border border-neutral-800">
+            <button onClick={() => toggle(f.type)} className="flex w-full items-center justify-between gap-4 p-3 text-left">
+              <div>
+                <p className="text-white font-medium">
+                  {f.label}
+                  {f.recurring && <span className="ml-2 rounded bg-yellow-400/20 px-1.5 py-0.5 text-xs text-yellow-300">recurring</span>}
+                </p>
+                <p className="text-xs text-gray-400">{f.description}</p>
+              </div>
+              <div className="shrink-0 text-right text-sm text-gray-300">
+                <p>
+                  {f.count}× in {f.documents} {f.documents === 1 ? "document" : "documents"}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {f.severity.high} high · {f.severity.medium} medium · {f.severity.low} low
+                </p>
+              </div>
+            </button>
+
+            {openType === f.type && (
+              <ul className="space-y-2 border-t border-neutral-800 p-3 text-sm text-gray-300">
+                {!findings[f.type] && <li className="animate-pulse text-gray-400">Loading findings…</li>}
+                {findings[f.type]?.map((finding, i) => (
+                  <li key={i}>
+                    <p className="italic">“{finding.quote}”</p>
+                    <p className="text-xs text-gray-400">
+                      <span className={`mr-2 rounded px-1.5 py-0.5 ${SEVERITY_STYLES[finding.severity] ?? SEVERITY_STYLES.low}`}>{finding.severity}</span>
+                      {finding.pdf?.publicId ? (
+                        <Link to={`/dashboard/pdf/${encodeURIComponent(finding.pdf.publicId)}`} className="text-yellow-400 hover:underline">
+                          {finding.pdf.originalName}
+                        </Link>
+                      ) : (
+                        (finding.pdf?.originalName ?? "Deleted document")
+                      )}
+                      {" · "}
+                      {new Date(finding.createdAt).toLocaleDateString()}
+                    </p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default FallacyStats;
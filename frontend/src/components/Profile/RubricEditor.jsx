@@ -0,0 +1,98 @@
+import React, { useState } from "react";
+
+// limits match backend services/ai/rubrics.js
+const MIN_CRITERIA = 2;
+const MAX_CRITERIA = 8;
+const MAX_WEIGHT = 100;
+
+const inputClass = "rounded bg-neutral-800 px-2 py-1 text-sm text-white focus:outline-none focus:ring-2 focus:ring-yellow-400";
+
+/**
+ * Coach's rubric editor: name, and 2–8 criteria with a label, description and relative weight.
+ * Mount it conditionally: the form is initialized once from `rubric`.
+ */
+function RubricEditor({ rubric, onSave, onCancel, saving }) {
+  const [name, setName] = useState(rubric.name);
+  const [criteria, setCriteria] = useState(() => rubric.criteria.map(({ label, description, weight }) => ({ label, description, weight })));
+
+  const totalWeight = criteria.reduce((sum, c) => sum + (Number(c.weight) || 0), 0);
+
+  const update = (index, field, value) => setCriteria((prev) => prev.map((c, i) => (i === index ? { ...c, [field]: value } : c)));
+  const remove = (index) => setCriteria((prev) => prev.filter((_, i) => i !== index));
+  const add = () => setCriteria((prev) => [...prev, { label: "", description: "", weight: 10 }]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({ name, criteria: criteria.map((c) => ({ ...c, weight: Number(c.weight) })) });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <label className="block text-sm text-gray-400">
+        Rubric name
+        <input value={name} onChange={(e) => setName(e.target.value)} maxLength={60} className={`${inputClass} mt-1 block w-full`} />
+      </label>
+
+      <ul className="space-y-3">
+        {criteria.map((c, i) => (
+          <li key={i} className="rounded-lg border border-neutral-800 p-3 space-y-2">
+            <div className="flex gap-2">
+              <input
+                value={c.label}
+                onChange={(e) => update(i, "label", e.target.value)}
+                placeholder="Criterion (e.g. Matter)"
+                maxLength={40}
+                className={`${inputClass} min-w-0 flex-1`}
+              />
+              <input
+                type="number"
+                min={1}
+                max={MAX_WEIGHT}
+                value={c.weight}
+                onChange={(e) => update(i, "weight", e.target.value)}
+                className={`${inputClass} w-20`}
+                aria-label="Weight"
+              />
+              <span className="self-center w-12 text-right text-xs text-gray-500">
+                {totalWeight > 0 ? `${Math.round(((Number(c.weight) || 0) / totalWeight) * 100)}%` : "–"}
+              </span>
+              <button
+                type="button"
+                onClick={() => remove(i)}
+                disabled={criteria.length <= MIN_CRITERIA}
+                className="px-2 text-sm text-gray-400 hover:text-red-400 disabled:opacity-30">
+                Remove
+              </button>
+            </div>
+            <input
+              value={c.description}
+              onChange={(e) => update(i, "description", e.target.value)}
+              placeholder="What the AI should judge for this criterion"
+              maxLength={200}
+              className={`${inputClass} w-full`}
+            />
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          type="button"
+          onClick={add}
+          disabled={criteria.length >= MAX_CRITERIA}
+          className="px-3 py-1 text-sm rounded border border-yellow-400 text-yellow-400 hover:bg-yellow-400 hover:text-black disabled:opacity-40">
+          Add criterion
+        </button>
+        <span className="flex-1 text-xs text-gray-500">Weights are relative; the total is the weighted average of the scores.</span>
+        <button type="button" onClick={onCancel} className="text-sm text-gray-400 hover:text-white">
+          Cancel
+        </button>
+        <button type="submit" disabled={saving} className="px-3 py-1 text-sm rounded bg-yellow-400 text-black hover:bg-yellow-300 disabled:opacity-50">
+          {saving ? "Saving…" : "Save rubric"}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default RubricEditor;
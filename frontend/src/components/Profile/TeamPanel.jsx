@@ -0,0 +1,186 @@
+import { handleApiError } from "@/utils/handleApiError";
+import api from "@/api/axiosConfig.js";
+import React, { useEffect, useState } from "react";
+import { toast } from "react-hot-toast";
+import RubricEditor from "@/components/Profile/RubricEditor";
+import FallacyStats from "@/components/Profile/FallacyStats";
+
+const inputClass = "min-w-0 flex-1 rounded bg-neutral-800 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-yellow-400";
+const buttonClass = "px-4 py-2 text-sm font-semibold rounded bg-yellow-400 text-black hover:bg-yellow-300 disabled:opacity-50";
+
+/**
+ * The user's team: create one (and coach it) or join with an invite code.
+ * The team's rubric scores every member's analyses; only the coach edits it.
+ * The coach can also open each member's recurring fallacies.
+ */
+function TeamPanel() {
+  const [team, setTeam] = useState(undefined); // undefined = loading, null = no team
+  const [teamName, setTeamName] = useState("");
+  const [inviteCode, setInviteCode] = useState("");
+  const [isEditing, setIsEditing] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [statsMember, setStatsMember] = useState(null); // username whose fallacies the coach is viewing
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    api
+      .get("/teams/mine", { signal: controller.signal })
+      .then((res) => setTeam(res?.data?.data?.team ?? null))
+      .catch(handleApiError);
+
+    return () => controller.abort();
+  }, []);
+
+  const run = async (request, successMessage) => {
+    setBusy(true);
+    try {
+      const res = await request();
+      setTeam(res?.data?.data?.team ?? null);
+      toast.success(successMessage);
+      return true;
+    } catch (err) {
+      handleApiError(err);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const createTeam = (e) => {
+    e.preventDefault();
+    run(() => api.post("/teams", { name: teamName }), "Team created");
+  };
+
+  const joinTeam = (e) => {
+    e.preventDefault();
+    run(() => api.post("/teams/join", { inviteCode }), "Joined team");
+  };
+
+  const leaveTeam = () => {
+    const message = team.isCoach ? "Close the team? Every member is removed and the default rubric applies again." : "Leave this team?";
+    if (!window.confirm(message)) return;
+    run(() => api.post("/teams/leave"), team.isCoach ? "Team closed" : "Left team");
+  };
+
+  const saveRubric = async (rubric) => {
+    if (await run(() => api.put("/teams/mine/rubric", rubric), "Rubric saved - it applies to analyses submitted from now on")) {
+      setIsEditing(false);
+    }
+  };
+
+  const resetRubric = () => run(() => api.delete("/teams/mine/rubric"), "Rubric reset to the default");
+
+  return (
+    <div className="bg-neutral-900 rounded-xl shadow-lg p-8 mb-6">
+      <h2 className="text-2xl font-semibold text-white mb-2">Team & Rubric</h2>
+
+      {team === undefined && <p className="text-sm text-gray-400">Loading…</p>}
+
+      {team === null && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-400">Analyses are scored with the standard rubric. Join your coach's team to use theirs.</p>
+          <form onSubmit={joinTeam} className="flex gap-3">
+            <input value={inviteCode} onChange={(e) => setInviteCode(e.target.value)} placeholder="Invite code" className={inputClass} />
+            <button type="submit" disabled={busy || !inviteCode.trim()} className={buttonClass}>
+              Join team
+            </button>
+          </form>
+          <form onSubmit={createTeam} className="flex gap-3">
+            <input value={teamName} onChange={(e) => setTeamName(e.target.value)} placeholder="New team name" maxLength={60} className={inputClass} />
+            <button type="submit" disabled={busy || teamName.trim().length < 2} className={buttonClass}>
+              Create as coach
+            </button>
+          </form>
+        </div>
+      )}
+
+      {team && (
+        <div className="space-y-6">
+          <div className="flex items-start justify-between gap-4">
+            <div className="text-sm text-gray-300">
+              <p className="text-lg text-white">{team.name}</p>
+              <p>
+                Coach: {team.isCoach ? "you" : (team.coach?.fullname ?? "unknown")} · {team.members.length}{" "}
+                {team.members.length === 1 ? "member" : "members"}
+              </p>
+              {team.inviteCode && (
+                <p className="mt-1">
+                  Invite code: <span className="font-mono text-yellow-400">{team.inviteCode}</span>
+                </p>
+              )}
+            </div>
+            <button onClick={leaveTeam} disabled={busy} className="shrink-0 text-sm text-gray-400 hover:text-red-400">
+              {team.isCoach ? "Close team" : "Leave team"}
+            </button>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between gap-4 mb-3">
+              <p className="text-white font-medium">
+                {team.rubric.name} rubric {!team.customRubric && <span className="text-xs text-gray-500">(default)</span>}
+              </p>
+              {team.isCoach && !isEditing && (
+                <div className="flex gap-3">
+                  {team.customRubric && (
+                    <button onClick={resetRubric} disabled={busy} className="text-sm text-gray-400 hover:text-white">
+                      Reset to default
+                    </button>
+                  )}
+                  <button onClick={() => setIsEditing(true)} className="text-sm text-yellow-400 hover:underline">
+                    Edit rubric
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {isEditing ? (
+              <RubricEditor rubric={team.rubric} onSave={saveRubric} onCancel={() => setIsEditing(false)} saving={busy} />
+            ) : (
+              <ul className="space-y-2 text-sm">
+                {team.rubric.criteria.map((c) => (
+                  <li key={c.key} className="flex justify-between gap-4">
+                    <div>
+                      <p className="text-gray-200">{c.label}</p>
+                      {c.description && <p className="text-xs text-gray-500">{c.description}</p>}
+                    </div>
+                    <span className="shrink-0 text-gray-400">weight {c.weight}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {team.isCoach && (
+            <div>
+              <p className="text-white font-medium mb-3">Members</p>
+              <ul className="space-y-2 text-sm">
+                {team.members.map((m) => (
+                  <li key={m.username}>
+                    <div className="flex justify-between gap-4">
+                      <p className="text-gray-200">
+                        {m.fullname} <span className="text-xs text-gray-500">@{m.username}</span>
+                      </p>
+                      <button
+                        onClick={() => setStatsMember((prev) => (prev === m.username ? null : m.username))}
+                        className="shrink-0 text-sm text-yellow-400 hover:underline">
+                        {statsMember === m.username ? "Hide fallacies" : "Recurring fallacies"}
+                      </button>
+                    </div>
+                    {statsMember === m.username && (
+                      <div className="mt-3">
+                        <FallacyStats username={m.username} />
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TeamPanel;
@@ -0,0 +1,217 @@
+import { handleApiError } from "@/utils/handleApiError";
+import api from "@/api/axiosConfig.js";
+import React, { useEffect, useMemo, useState } from "react";
+import Citations from "@/components/Summary/Citations";
+
+const NODE_WIDTH = 170;
+const NODE_HEIGHT = 72;
+const GAP_X = 24;
+const ROW_GAP = 120;
+const PADDING = 20;
+
+// top to bottom: the counter-debate attacks down into the document's claims, premises and evidence
+const ROWS = [
+  { key: "counter", label: "Counter debate", match: (n) => n.side === "counter" },
+  { key: "claims", label: "Claims", match: (n) => n.side === "document" && n.type === "claim" },
+  { key: "reasons", label: "Premises & warrants", match: (n) => n.side === "document" && (n.type === "premise" || n.type === "warrant") },
+  { key: "evidence", label: "Evidence", match: (n) => n.side === "document" && n.type === "evidence" },
+];
+
+const NODE_STYLES = {
+  counter: "border-red-400/70 bg-red-950/60",
+  claim: "border-yellow-400/70 bg-gray-900",
+  premise: "border-sky-400/60 bg-gray-900",
+  warrant: "border-violet-400/60 bg-gray-900",
+  evidence: "border-emerald-400/60 bg-gray-900",
+};
+
+/**
+ * Position every node: one row per group, each row centered.
+ */
+function layoutGraph(nodes) {
+  const rows = ROWS.map((row) => nodes.filter(row.match)).filter((row) => row.length > 0);
+  const widest = Math.max(...rows.map((row) => row.length));
+  const width = PADDING * 2 + widest * NODE_WIDTH + (widest - 1) * GAP_X;
+
+  const positions = {};
+  rows.forEach((row, r) => {
+    const rowWidth = row.length * NODE_WIDTH + (row.length - 1) * GAP_X;
+    const startX = (width - rowWidth) / 2;
+    row.forEach((node, i) => {
+      positions[node.id] = { x: startX + i * (NODE_WIDTH + GAP_X), y: PADDING + r * ROW_GAP };
+    });
+  });
+
+  return { positions, width, height: PADDING * 2 + (rows.length - 1) * ROW_GAP + NODE_HEIGHT };
+}
+
+// vertical bezier between the facing edges of two nodes (side to side within a row)
+function edgePath(from, to) {
+  if (from.y === to.y) {
+    const [left, right] = from.x < to.x ? [from, to] : [to, from];
+    const y = from.y + NODE_HEIGHT / 2;
+    const startX = from === left ? left.x + NODE_WIDTH : right.x;
+    const endX = from === left ? right.x : left.x + NODE_WIDTH;
+    return `M ${startX} ${y} C ${startX} ${y - 40}, ${endX} ${y - 40}, ${endX} ${y}`;
+  }
+
+  const down = from.y < to.y;
+  const x1 = from.x + NODE_WIDTH / 2;
+  const y1 = down ? from.y + NODE_HEIGHT : from.y;
+  const x2 = to.x + NODE_WIDTH / 2;
+  const y2 = down ? to.y : to.y + NODE_HEIGHT;
+  const bend = (y2 - y1) / 2;
+  return `M ${x1} ${y1} C ${x1} ${y1 + bend}, ${x2} ${y2 - bend}, ${x2} ${y2}`;
+}
+
+/**
+ * Interactive argument graph: the document's claims, premises, warrants and evidence,
+ * and the counter-debate arguments attacking specific nodes. Click a node for its details.
+ * revision: show an older analysis revision's map instead of the current one.
+ */
+function ArgumentMap({ publicId, revision }) {
+  const [argumentMap, setArgumentMap] = useState(null);
+  const [unavailable, setUnavailable] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    api
+      .get(`/pdfs/${encodeURIComponent(publicId)}/argument-map`, { params: revision ? { revision } : undefined, signal: controller.signal })
+      .then((res) => setArgumentMap(res?.data?.data?.argumentMap || null))
+      .catch((err) => {
+        // no map for this analysis is an expected state, not an error toast
+        if (err?.response?.status === 404) return setUnavailable(err.response.data?.message || "No argument map for this PDF");
+        handleApiError(err);
+      });
+
+    return () => controller.abort();
+  }, [publicId, revision]);
+
+  const layout = useMemo(() => (argumentMap ? layoutGraph(argumentMap.nodes) : null), [argumentMap]);
+
+  if (!argumentMap) {
+    return (
+      <section className="rounded-lg border border-gray-700 bg-gray-800 p-4">
+        <h2 className="text-lg font-semibold mb-2">Argument Map</h2>
+        <p className="text-sm text-gray-400">{unavailable || "Loading argument map…"}</p>
+      </section>
+    );
+  }
+
+  const { nodes, edges } = argumentMap;
+  const nodeById = Object.fromEntries(nodes.map((n) => [n.id, n]));
+  const selected = selectedId ? nodeById[selectedId] : null;
+  const isLinked = (edge) => selectedId && (edge.from === selectedId || edge.to === selectedId);
+  const linkedIds = new Set(edges.filter(isLinked).flatMap((e) => [e.from, e.to]));
+  const relations = selected ? edges.filter(isLinked) : [];
+
+  const describe = (edge) => {
+    const outgoing = edge.from === selectedId;
+    const other = nodeById[outgoing ? edge.to : edge.from];
+    const verb = edge.relation === "attack" ? (outgoing ? "Attacks" : "Attacked by") : outgoing ? "Supports" : "Supported by";
+    return { verb, other };
+  };
+
+  return (
+    <section className="rounded-lg border border-gray-700 bg-gray-800 p-4 space-y-3">
+      <div>
+        <h2 className="text-lg font-semibold">Argument Map</h2>
+        <p className="text-sm text-gray-400">How your case is built, and where the counter debate attacks it. Click a node for details.</p>
+      </div>
+
+      <div className="flex flex-wrap gap-3 text-xs text-gray-400">
+        <span className="text-red-300">■ Counter argument</span>
+        <span className="text-yellow-400">■ Claim</span>
+        <span className="text-sky-400">■ Premise</span>
+        <span className="text-violet-400">■ Warrant</span>
+        <span className="text-emerald-400">■ Evidence</span>
+        <span>── supports</span>
+        <span className="text-red-400">- - attacks</span>
+      </div>
+
+      <div className="overflow-x-auto rounded bg-gray-950/60">
+        <svg width={layout.width} height={layout.height} className="mx-auto block" onClick={() => setSelectedId(null)}>
+          <defs>
+            {["support", "attack"].map((relation) => (
+              <marker key={relation} id={`arrow-${relation}`} viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z" fill={relation === "attack" ? "#f87171" : "#9ca3af"} />
+              </marker>
+            ))}
+          </defs>
+
+          {edges.map((edge, i) => {
+            const from = layout.positions[edge.from];
+            const to = layout.positions[edge.to];
+            if (!from || !to) return null;
+            const dimmed = selectedId && !isLinked(edge);
+
+            return (
+              <path
+                key={i}
+                d={edgePath(from, to)}
+                fill="none"
+                stroke={edge.relation === "attack" ? "#f87171" : "#9ca3af"}
+                strokeWidth={isLinked(edge) ? 2.5 : 1.5}
+                strokeDasharray={edge.relation === "attack" ? "6 4" : undefined}
+                markerEnd={`url(#arrow-${edge.relation})`}
+                opacity={dimmed ? 0.15 : 0.9}
+              />
+            );
+          })}
+
+          {nodes.map((node) => {
+            const position = layout.positions[node.id];
+            if (!position) return null;
+            const dimmed = selectedId && node.id !== selectedId && !linkedIds.has(node.id);
+
+            return (
+              <foreignObject key={node.id} x={position.x} y={position.y} width={NODE_WIDTH} height={NODE_HEIGHT} opacity={dimmed ? 0.3 : 1}>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setSelectedId(node.id === selectedId ? null : node.id);
+                  }}
+                  title={node.text}
+                  className={`h-full w-full overflow-hidden rounded-md border px-2 py-1 text-left text-[11px] leading-snug text-gray-200 ${
+                    NODE_STYLES[node.side === "counter" ? "counter" : node.type]
+                  } ${node.id === selectedId ? "ring-2 ring-white" : ""}`}>
+                  <span className="line-clamp-4">{node.text}</span>
+                </button>
+              </foreignObject>
+            );
+          })}
+        </svg>
+      </div>
+
+      {selected && (
+        <div className="rounded border border-gray-700 bg-gray-900 p-3 text-sm text-gray-300 space-y-2">
+          <p className="text-xs uppercase tracking-wide text-gray-400">
+            {selected.side === "counter" ? `Counter debate · paragraph ${selected.paragraph ?? "?"}` : `Your case · ${selected.type}`}
+          </p>
+          <p className="text-white">{selected.text}</p>
+          <Citations publicId={publicId} citations={selected.citations} />
+
+          {relations.length > 0 && (
+            <ul className="space-y-1">
+              {relations.map((edge, i) => {
+                const { verb, other } = describe(edge);
+                return (
+                  <li key={i}>
+                    <span className={edge.relation === "attack" ? "text-red-400" : "text-gray-400"}>{verb}:</span>{" "}
+                    <button onClick={() => setSelectedId(other.id)} className="text-left hover:text-yellow-400">
+                      {other.text}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default ArgumentMap;
@@ -0,0 +1,79 @@
+import { handleApiError } from "@/utils/handleApiError";
+import api from "@/api/axiosConfig.js";
+import React, { useState } from "react";
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// split the chunk text around the quote (whitespace and case may differ from the quote)
+function highlight(text, quote) {
+  const pattern = new RegExp(quote.trim().split(/\s+/).map(escapeRegExp).join("\\s+"), "i");
+  const match = text.match(pattern);
+  if (!match) return [text, null, ""];
+  return [text.slice(0, match.index), match[0], text.slice(match.index + match[0].length)];
+}
+
+/**
+ * Verified citations of one analysis item. Clicking a citation shows the quote inside its chunk.
+ */
+function Citations({ publicId, citations }) {
+  const [openIndex, setOpenIndex] = useState(null);
+  const [chunkTexts, setChunkTexts] = useState({});
+
+  if (!citations?.length) return null;
+
+  const toggle = async (i) => {
+    if (openIndex === i) return setOpenIndex(null);
+    setOpenIndex(i);
+
+    const { chunk } = citations[i];
+    if (chunk === null || chunkTexts[chunk] !== undefined) return;
+
+    try {
+      const res = await api.get(`/pdfs/${encodeURIComponent(publicId)}/chunks/${chunk}`);
+      setChunkTexts((prev) => ({ ...prev, [chunk]: res?.data?.data?.chunk?.text ?? "" }));
+    } catch (err) {
+      handleApiError(err);
+      setChunkTexts((prev) => ({ ...prev, [chunk]: null })); // fall back to the quote alone
+    }
+  };
+
+  const open = openIndex !== null ? citations[openIndex] : null;
+  const context = open && open.chunk !== null ? chunkTexts[open.chunk] : null;
+  const [before, match, after] = context ? highlight(context, open.quote) : [];
+
+  return (
+    <div className="ml-5 mt-1 space-y-1">
+      <div className="flex flex-wrap gap-1">
+        {citations.map((c, i) => (
+          <button
+            key={i}
+            onClick={() => toggle(i)}
+            title={c.quote}
+            className={`max-w-xs truncate rounded px-1.5 py-0.5 text-xs ${
+              openIndex === i ? "bg-yellow-400 text-black" : "bg-gray-900 text-yellow-400 hover:bg-gray-700"
+            }`}>
+            “{c.quote}”{c.chunk !== null && ` · §${c.chunk + 1}`}
+          </button>
+        ))}
+      </div>
+
+      {open && (
+        <blockquote className="rounded border-l-2 border-yellow-400 bg-gray-900 p-2 text-xs leading-relaxed text-gray-400 whitespace-pre-line">
+          {open.chunk !== null && context === undefined ? (
+            <span className="animate-pulse">Loading excerpt…</span>
+          ) : match ? (
+            <>
+              {before}
+              <mark className="bg-yellow-400/30 text-gray-200">{match}</mark>
+              {after}
+            </>
+          ) : (
+            context || <mark className="bg-yellow-400/30 text-gray-200">{open.quote}</mark>
+          )}
+        </blockquote>
+      )}
+    </div>
+  );
+}
+
+export default Citations;
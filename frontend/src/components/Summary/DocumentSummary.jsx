@@ -0,0 +1,111 @@
+import { handleApiError } from "@/utils/handleApiError";
+import api from "@/api/axiosConfig.js";
+import React, { useEffect, useState } from "react";
+
+const POLL_INTERVAL_MS = 3000;
+
+/**
+ * Neutral summary (key points, structure, thesis, evidence) - available for any preprocessed PDF.
+ * Polls the lightweight /status endpoint while a summary runs, then asks the page to refetch.
+ */
+function DocumentSummary({ publicId, summary, summaryStatus, summaryStatusReason, onUpdated }) {
+  const [isRequesting, setIsRequesting] = useState(false);
+  const isProcessing = summaryStatus === "processing";
+
+  useEffect(() => {
+    if (!isProcessing) return;
+
+    const timer = setInterval(async () => {
+      try {
+        const res = await api.get(`/pdfs/${encodeURIComponent(publicId)}/status`);
+        if (res?.data?.data?.summaryStatus !== "processing") onUpdated();
+      } catch {
+        // keep polling - the next tick retries
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [isProcessing, publicId, onUpdated]);
+
+  const requestSummary = async () => {
+    setIsRequesting(true);
+    try {
+      await api.post(`/pdfs/${encodeURIComponent(publicId)}/summary`);
+      await onUpdated();
+    } catch (err) {
+      handleApiError(err);
+    } finally {
+      setIsRequesting(false);
+    }
+  };
+
+  return (
+    <section className="rounded-lg border border-gray-700 bg-gray-800 p-4 space-y-3">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold">Summary</h2>
+          <p className="text-sm text-gray-400">A neutral overview of the document, debate or not.</p>
+        </div>
+        {isProcessing ? (
+          <span className="shrink-0 text-xs text-yellow-400 animate-pulse">Summarizing…</span>
+        ) : (
+          <button
+            onClick={requestSummary}
+            disabled={isRequesting}
+            className="shrink-0 px-3 py-1 text-sm rounded bg-yellow-400 text-black hover:bg-yellow-300 disabled:opacity-50">
+            {summary ? "Regenerate" : "Generate summary"}
+          </button>
+        )}
+      </div>
+
+      {summaryStatus === "failed" && <p className="text-sm text-red-400">{summaryStatusReason || "Summary failed"}</p>}
+
+      {summary && (
+        <div className="space-y-3 text-sm text-gray-300">
+          {summary.thesis && (
+            <div>
+              <strong className="text-white">Thesis:</strong>
+              <p className="mt-1">{summary.thesis}</p>
+            </div>
+          )}
+
+          <div>
+            <strong className="text-white">Key points:</strong>
+            <ul className="list-disc list-inside mt-1">
+              {summary.keyPoints?.map((p, i) => (
+                <li key={i}>{p}</li>
+              ))}
+            </ul>
+          </div>
+
+          <div>
+            <strong className="text-white">Structure:</strong>
+            <ol className="list-decimal list-inside mt-1 space-y-1">
+              {summary.structure?.map((s, i) => (
+                <li key={i}>
+                  <span className="text-white">{s.section}</span> — {s.summary}
+                </li>
+              ))}
+            </ol>
+          </div>
+
+          {summary.notableEvidence?.length > 0 && (
+            <div>
+              <strong className="text-white">Notable evidence:</strong>
+              <ul className="list-disc list-inside mt-1 space-y-1">
+                {summary.notableEvidence.map((e, i) => (
+                  <li key={i}>
+                    {e.evidence}
+                    <span className="text-xs text-gray-400"> (supports: {e.supports})</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default DocumentSummary;
@@ -0,0 +1,34 @@
+import React from "react";
+import Citations from "@/components/Summary/Citations";
+import { FALLACY_LABELS, SEVERITY_STYLES } from "@/utils/fallacies";
+
+/**
+ * Fallacies detected in the user's speech (aiResult.fallacies), most severe first.
+ * null = detection did not run or failed (reason in aiResult.meta.fallacies.error).
+ */
+function Fallacies({ publicId, fallacies, error }) {
+  if (!fallacies) {
+    return error ? <p className="text-sm text-gray-400">Fallacy check unavailable: {error}</p> : null;
+  }
+
+  if (fallacies.length === 0) {
+    return <p className="text-sm text-gray-400">No logical fallacies found.</p>;
+  }
+
+  return (
+    <ul className="space-y-3">
+      {fallacies.map((f, i) => (
+        <li key={i}>
+          <div className="flex items-center gap-2">
+            <span className="font-medium text-white">{FALLACY_LABELS[f.type] ?? f.type}</span>
+            <span className={`rounded px-1.5 py-0.5 text-xs ${SEVERITY_STYLES[f.severity] ?? SEVERITY_STYLES.low}`}>{f.severity}</span>
+          </div>
+          <p className="mt-1">{f.explanation}</p>
+          <Citations publicId={publicId} citations={[{ chunk: f.chunk, quote: f.quote }]} />
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default Fallacies;
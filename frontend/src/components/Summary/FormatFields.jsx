@@ -0,0 +1,102 @@
+import React from "react";
+
+/**
+ * Format-specific parts of the counter-debate (analysis.formatFields), one layout per debate format.
+ * Renders nothing for the generic format (formatFields is null).
+ */
+function FormatFields({ format, fields }) {
+  if (!fields) return null;
+
+  switch (format) {
+    case "bp":
+      return (
+        <div className="space-y-2">
+          <strong className="text-white">Opposition whip: key clashes</strong>
+          <ol className="list-decimal list-inside space-y-1">
+            {fields.whipSpeech?.clashes?.map((c, i) => (
+              <li key={i}>
+                <span className="text-white">{c.question}</span> — {c.opposition}
+              </li>
+            ))}
+          </ol>
+          <p>
+            <span className="text-white">Weighing:</span> {fields.whipSpeech?.weighing}
+          </p>
+        </div>
+      );
+
+    case "worldSchools":
+      return (
+        <div className="space-y-2">
+          <strong className="text-white">Case split</strong>
+          <ul className="space-y-1">
+            {fields.caseSplit?.map((s, i) => (
+              <li key={i}>
+                <span className="text-white">Speaker {s.speaker}:</span> {s.responsibility}
+                {s.arguments?.length > 0 && (
+                  <ul className="list-disc list-inside ml-4 text-gray-400">
+                    {s.arguments.map((a, j) => (
+                      <li key={j}>{a}</li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+          <strong className="text-white">Reply speech outline</strong>
+          <ul className="list-disc list-inside">
+            {fields.replyOutline?.map((p, i) => (
+              <li key={i}>{p}</li>
+            ))}
+          </ul>
+        </div>
+      );
+
+    case "ld":
+      return (
+        <div className="grid gap-3 sm:grid-cols-2">
+          <div>
+            <strong className="text-white">Negative framework</strong>
+            <p className="mt-1">Value: {fields.framework?.value}</p>
+            <p>Criterion: {fields.framework?.criterion}</p>
+            {fields.framework?.justification && <p className="mt-1 text-gray-400">{fields.framework.justification}</p>}
+          </div>
+          <div>
+            <strong className="text-white">Affirmative framework</strong>
+            <p className="mt-1">Value: {fields.affirmativeFramework?.value ?? "Not stated"}</p>
+            <p>Criterion: {fields.affirmativeFramework?.criterion ?? "Not stated"}</p>
+          </div>
+        </div>
+      );
+
+    case "pf":
+      return (
+        <div className="space-y-2">
+          <strong className="text-white">Contentions</strong>
+          <ol className="list-decimal list-inside space-y-1">
+            {fields.contentions?.map((c, i) => (
+              <li key={i}>
+                <span className="text-white">{c.tag}</span> — {c.warrant}
+                <span className="text-gray-400"> Impact: {c.impact}</span>
+              </li>
+            ))}
+          </ol>
+          {fields.voters?.length > 0 && (
+            <>
+              <strong className="text-white">Voters</strong>
+              <ul className="list-disc list-inside">
+                {fields.voters.map((v, i) => (
+                  <li key={i}>{v}</li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      );
+
+    default:
+      return null;
+  }
+}
+
+export default FormatFields;
@@ -0,0 +1,139 @@
+import { handleApiError } from "@/utils/handleApiError";
+import api from "@/api/axiosConfig.js";
+import React, { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import Citations from "@/components/Summary/Citations";
+import { DIFFICULTY_STYLES, QUESTION_KIND_LABELS, scoreColor } from "@/utils/questionBank";
+
+const POLL_INTERVAL_MS = 3000;
+
+/**
+ * The Points of Information and cross-examination questions an opponent would ask about the speech,
+ * each with the claim it attacks and a suggested answer. Drill mode lives on its own page.
+ */
+function QuestionBank({ publicId }) {
+  const navigate = useNavigate();
+  const [bank, setBank] = useState(undefined); // undefined = loading, null = not generated yet
+  const [isRequesting, setIsRequesting] = useState(false);
+  const [revealed, setRevealed] = useState({}); // questionId -> suggested answer shown
+
+  const fetchBank = useCallback(
+    async (signal) => {
+      try {
+        const res = await api.get(`/pdfs/${encodeURIComponent(publicId)}/questions`, { signal });
+        setBank(res?.data?.data?.bank ?? null);
+      } catch (err) {
+        if (err.name !== "CanceledError" && err.name !== "AbortError") {
+          handleApiError(err);
+        }
+      }
+    },
+    [publicId]
+  );
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchBank(controller.signal);
+    return () => controller.abort();
+  }, [fetchBank]);
+
+  // poll while questions are being generated
+  const isProcessing = bank?.status === "processing";
+  useEffect(() => {
+    if (!isProcessing) return;
+    const timer = setInterval(() => fetchBank(), POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isProcessing, fetchBank]);
+
+  const generate = async () => {
+    setIsRequesting(true);
+    try {
+      const res = await api.post(`/pdfs/${encodeURIComponent(publicId)}/questions`);
+      setBank(res?.data?.data?.bank ?? null);
+    } catch (err) {
+      handleApiError(err);
+    } finally {
+      setIsRequesting(false);
+    }
+  };
+
+  const questions = bank?.questions ?? [];
+  const answered = questions.filter((q) => q.attemptCount > 0).length;
+
+  return (
+    <section className="rounded-lg border border-gray-700 bg-gray-800 p-4 space-y-4">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold">POI & Cross-Examination</h2>
+          <p className="text-sm text-gray-400">The questions an opponent would likely ask you, with the claim each one attacks.</p>
+        </div>
+        <div className="flex shrink-0 gap-2">
+          {questions.length > 0 && (
+            <button
+              onClick={() => navigate(`/dashboard/pdf/${encodeURIComponent(publicId)}/drill`)}
+              className="px-3 py-1 text-sm rounded bg-yellow-400 text-black hover:bg-yellow-300">
+              Start drill
+            </button>
+          )}
+          {bank !== undefined && (
+            <button
+              onClick={generate}
+              disabled={isRequesting || isProcessing}
+              className={`px-3 py-1 text-sm rounded disabled:opacity-50 ${
+                questions.length > 0 ? "border border-gray-600 text-gray-300 hover:bg-gray-700" : "bg-yellow-400 text-black hover:bg-yellow-300"
+              }`}>
+              {isProcessing ? "Generating…" : questions.length > 0 ? "Regenerate" : "Generate questions"}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {isProcessing && (
+        <p className="text-sm text-yellow-400 animate-pulse">
+          Writing the questions…{questions.length > 0 && " The current ones stay until the new ones are ready."}
+        </p>
+      )}
+      {bank?.status === "failed" && <p className="text-sm text-red-400">{bank.statusReason || "Question generation failed"}</p>}
+
+      {questions.length > 0 && (
+        <>
+          <p className="text-xs text-gray-500">
+            {questions.length} questions · {answered} drilled
+            {bank.generatedAt && ` · generated ${new Date(bank.generatedAt).toLocaleString()}`}
+          </p>
+          <ul className="space-y-3 text-sm text-gray-300">
+            {questions.map((q) => (
+              <li key={q.questionId} className="rounded bg-gray-900 p-3">
+                <div className="flex items-start justify-between gap-3">
+                  <p className="text-white">
+                    <span className="mr-2 rounded bg-gray-700 px-1.5 py-0.5 text-xs text-gray-300">{QUESTION_KIND_LABELS[q.kind]}</span>
+                    {q.question}
+                  </p>
+                  <span className={`shrink-0 rounded px-1.5 py-0.5 text-xs ${DIFFICULTY_STYLES[q.difficulty]}`}>{q.difficulty}</span>
+                </div>
+                <p className="mt-1 text-xs text-gray-400">Targets: {q.targetClaim}</p>
+                <Citations publicId={publicId} citations={q.citations} />
+                <div className="mt-2 flex items-center justify-between gap-3 text-xs">
+                  <button
+                    onClick={() => setRevealed((prev) => ({ ...prev, [q.questionId]: !prev[q.questionId] }))}
+                    className="text-yellow-400 hover:underline">
+                    {revealed[q.questionId] ? "Hide answer" : "Show suggested answer"}
+                  </button>
+                  {q.bestScore !== null && (
+                    <span className="text-gray-400">
+                      Best: <span className={scoreColor(q.bestScore)}>{q.bestScore} / 10</span> ({q.attemptCount}{" "}
+                      {q.attemptCount === 1 ? "attempt" : "attempts"})
+                    </span>
+                  )}
+                </div>
+                {revealed[q.questionId] && <p className="mt-2 border-l-2 border-yellow-400 pl-2 text-gray-300">{q.suggestedAnswer}</p>}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </section>
+  );
+}
+
+export default QuestionBank;
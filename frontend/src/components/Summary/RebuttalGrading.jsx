@@ -0,0 +1,180 @@
+import { handleApiError } from "@/utils/handleApiError";
+import api from "@/api/axiosConfig.js";
+import React, { useCallback, useEffect, useState } from "react";
+
+const POLL_INTERVAL_MS = 3000;
+const MAX_REBUTTAL_LENGTH = 12000; // matches backend validation
+
+const STATUS_STYLES = {
+  answered: "bg-green-500/20 text-green-400",
+  partial: "bg-yellow-500/20 text-yellow-400",
+  dropped: "bg-red-500/20 text-red-400",
+};
+
+function RebuttalGrading({ publicId }) {
+  const [rebuttals, setRebuttals] = useState([]);
+  const [rubric, setRubric] = useState([]);
+  const [text, setText] = useState("");
+  const [file, setFile] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const fetchRebuttals = useCallback(
+    async (signal) => {
+      try {
+        const res = await api.get(`/pdfs/${encodeURIComponent(publicId)}/rebuttals`, { signal });
+        setRebuttals(res?.data?.data?.rebuttals || []);
+        setRubric(res?.data?.data?.rubric || []);
+      } catch (err) {
+        if (err.name !== "CanceledError" && err.name !== "AbortError") {
+          handleApiError(err);
+        }
+      }
+    },
+    [publicId]
+  );
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchRebuttals(controller.signal);
+    return () => controller.abort();
+  }, [fetchRebuttals]);
+
+  // poll while a grading run is in progress
+  const hasPending = rebuttals.some((r) => r.status === "processing");
+  useEffect(() => {
+    if (!hasPending) return;
+    const timer = setInterval(() => fetchRebuttals(), POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [hasPending, fetchRebuttals]);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (isSubmitting || (!text.trim() && !file)) return;
+
+    setIsSubmitting(true);
+    try {
+      if (file) {
+        const formData = new FormData();
+        formData.append("file", file);
+        await api.post(`/pdfs/${encodeURIComponent(publicId)}/rebuttals`, formData);
+      } else {
+        await api.post(`/pdfs/${encodeURIComponent(publicId)}/rebuttals`, { text: text.trim() });
+      }
+      setText("");
+      setFile(null);
+      setSelectedId(null);
+      await fetchRebuttals();
+    } catch (err) {
+      handleApiError(err);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // newest completed result unless the user picked one from the history
+  const completed = rebuttals.filter((r) => r.status === "completed");
+  const selected = rebuttals.find((r) => r.rebuttalId === selectedId) || completed[completed.length - 1];
+
+  return (
+    <section className="rounded-lg border border-gray-700 bg-gray-800 p-4 space-y-4">
+      <div>
+        <h2 className="text-lg font-semibold">Grade Your Rebuttal</h2>
+        <p className="text-sm text-gray-400">Answer the counter debate and see which arguments you answered or dropped.</p>
+      </div>
+
+      {/* ===== SUBMISSION ===== */}
+      <form onSubmit={submit} className="space-y-2">
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          maxLength={MAX_REBUTTAL_LENGTH}
+          rows={5}
+          disabled={Boolean(file) || isSubmitting}
+          placeholder={file ? "Grading the uploaded PDF…" : "Write your rebuttal here…"}
+          className="w-full resize-y rounded bg-gray-900 p-2 text-sm text-gray-200 outline-none focus:ring-1 focus:ring-yellow-400 disabled:opacity-50"
+        />
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <label className="text-xs text-gray-400">
+            or upload a PDF:{" "}
+            <input
+              type="file"
+              accept="application/pdf"
+              disabled={isSubmitting}
+              onChange={(e) => setFile(e.target.files?.[0] || null)}
+              className="text-xs text-gray-300"
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={isSubmitting || (!text.trim() && !file)}
+            className="px-4 py-1.5 text-sm rounded bg-yellow-400 text-black hover:bg-yellow-300 disabled:opacity-50 disabled:cursor-not-allowed">
+            {isSubmitting ? "Submitting…" : "Grade rebuttal"}
+          </button>
+        </div>
+      </form>
+
+      {/* ===== HISTORY (progress over time) ===== */}
+      {rebuttals.length > 0 && (
+        <ul className="space-y-1 text-sm">
+          {rebuttals.map((r, i) => (
+            <li key={r.rebuttalId} className="flex items-center justify-between text-gray-300">
+              <span className="text-gray-400">
+                #{i + 1} · {new Date(r.createdAt).toLocaleString()}
+                {r.originalName ? ` · ${r.originalName}` : ""}
+                {r.revision ? ` · revision ${r.revision}` : ""}
+              </span>
+              {r.status === "completed" && (
+                <button onClick={() => setSelectedId(r.rebuttalId)} className="text-yellow-400 hover:underline">
+                  {r.overallScore} / 100
+                </button>
+              )}
+              {r.status === "processing" && <span className="text-xs text-yellow-400 animate-pulse">Grading…</span>}
+              {r.status === "failed" && <span className="text-xs text-red-400">{r.statusReason || "Grading failed"}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* ===== SELECTED RESULT ===== */}
+      {selected?.result && (
+        <div className="space-y-3 border-t border-gray-700 pt-3 text-sm text-gray-300">
+          <p className="text-white font-semibold">Score: {selected.overallScore} / 100</p>
+
+          <div className="grid grid-cols-2 gap-2 sm:grid-cols-4">
+            {rubric.map((c) => (
+              <div key={c.key} className="rounded bg-gray-900 p-2">
+                <p className="text-xs text-gray-400">{c.label}</p>
+                <p className="text-white">{selected.result.rubric?.[c.key]} / 10</p>
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <strong className="text-white">Counter-arguments:</strong>
+            <ul className="mt-1 space-y-2">
+              {selected.result.counterArguments?.map((c, i) => (
+                <li key={i}>
+                  <span className={`mr-2 rounded px-1.5 py-0.5 text-xs ${STATUS_STYLES[c.status]}`}>{c.status}</span>
+                  {c.argument}
+                  <p className="ml-1 mt-0.5 text-xs text-gray-400">{c.explanation}</p>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <div>
+            <strong className="text-white">Feedback:</strong>
+            <ul className="list-disc list-inside mt-1">
+              {selected.result.feedback?.map((f, i) => (
+                <li key={i}>{f}</li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default RebuttalGrading;
@@ -0,0 +1,66 @@
+import api from "@/api/axiosConfig.js";
+import React, { useEffect, useState } from "react";
+import { describeAnalysisOptions } from "@/utils/analysisOptions";
+
+/**
+ * Analysis history of a PDF: every run is a numbered revision. The user can view an older one,
+ * make it the preferred (current) result, or regenerate with other options.
+ * viewedRevision: the revision shown instead of the current result (null = current result).
+ */
+function RevisionSwitcher({ publicId, preferredRevision, viewedRevision, onView, onPrefer, onRegenerate }) {
+  const [revisions, setRevisions] = useState([]);
+
+  // every run and every "prefer" changes preferredRevision, so this refetches after both
+  useEffect(() => {
+    const controller = new AbortController();
+
+    api
+      .get(`/pdfs/${encodeURIComponent(publicId)}/revisions`, { signal: controller.signal })
+      .then((res) => setRevisions(res?.data?.data?.revisions || []))
+      .catch(() => {
+        // silent failure — the current result is still shown
+      });
+
+    return () => controller.abort();
+  }, [publicId, preferredRevision]);
+
+  const shownNumber = viewedRevision ?? preferredRevision;
+
+  return (
+    <section className="rounded-lg border border-gray-700 bg-gray-800 p-4 space-y-3">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold">Revisions</h2>
+          <p className="text-sm text-gray-400">Every analysis run is kept. Argue Back and rebuttal grading use the preferred one.</p>
+        </div>
+        <button onClick={onRegenerate} className="shrink-0 px-3 py-1 text-sm rounded bg-yellow-400 text-black hover:bg-yellow-300">
+          Regenerate
+        </button>
+      </div>
+
+      {revisions.length > 0 && (
+        <div className="flex flex-wrap items-center gap-3">
+          <select
+            value={shownNumber ?? ""}
+            onChange={(e) => onView(Number(e.target.value))}
+            className="min-w-0 flex-1 rounded bg-gray-900 px-2 py-1 text-sm text-gray-200 focus:outline-none focus:ring-2 focus:ring-yellow-400">
+            {revisions.map((r) => (
+              <option key={r.number} value={r.number}>
+                #{r.number} · {new Date(r.createdAt).toLocaleString()} · {r.isDebate ? describeAnalysisOptions(r.options) : "not a debate"}
+                {r.isPreferred ? " (preferred)" : ""}
+              </option>
+            ))}
+          </select>
+
+          {viewedRevision !== null && viewedRevision !== preferredRevision && (
+            <button onClick={onPrefer} className="shrink-0 px-3 py-1 text-sm rounded border border-yellow-400 text-yellow-400 hover:bg-yellow-400 hover:text-black">
+              Set as preferred
+            </button>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default RevisionSwitcher;
@@ -0,0 +1,39 @@
+import React from "react";
+
+/**
+ * Rubric scores of an analysis: every criterion with its weight, score and justification,
+ * and the weighted total the backend computed. Analyses from before rubrics only have a single rating.
+ */
+function RubricBreakdown({ rubric, rating }) {
+  if (!rubric) {
+    return <p className="mt-1">{rating ? `${rating} / 10` : "Not rated"}</p>;
+  }
+
+  return (
+    <div className="mt-1 space-y-3">
+      <p>
+        <span className="text-2xl font-semibold text-white">{rubric.total.toFixed(1)}</span> / 10
+        <span className="ml-2 text-xs text-gray-400">weighted total · {rubric.name} rubric</span>
+      </p>
+
+      <ul className="space-y-3">
+        {rubric.criteria.map((c) => (
+          <li key={c.key}>
+            <div className="flex justify-between gap-4">
+              <span className="text-white">{c.label}</span>
+              <span className="shrink-0 text-gray-400">
+                {c.score} / 10 <span className="text-xs">· weight {c.weight}%</span>
+              </span>
+            </div>
+            <div className="mt-1 h-1.5 rounded bg-gray-900">
+              <div className="h-1.5 rounded bg-yellow-400" style={{ width: `${c.score * 10}%` }} />
+            </div>
+            <p className="mt-1 text-xs text-gray-400">{c.justification}</p>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default RubricBreakdown;
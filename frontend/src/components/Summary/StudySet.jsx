@@ -0,0 +1,181 @@
+import { handleApiError } from "@/utils/handleApiError";
+import api from "@/api/axiosConfig.js";
+import React, { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import Citations from "@/components/Summary/Citations";
+import { optionStyle } from "@/utils/studySet";
+
+const POLL_INTERVAL_MS = 3000;
+
+/**
+ * Quiz questions and flashcards generated from the document, each pointing back to its source chunk.
+ * Answering here is practice only; the spaced-repetition schedule lives on the review page.
+ */
+function StudySet({ publicId }) {
+  const navigate = useNavigate();
+  const [studySet, setStudySet] = useState(undefined); // undefined = loading, null = not generated yet
+  const [isRequesting, setIsRequesting] = useState(false);
+  const [view, setView] = useState("quiz");
+  const [picked, setPicked] = useState({}); // itemId -> picked option index
+  const [flipped, setFlipped] = useState({}); // itemId -> back shown
+
+  const fetchStudySet = useCallback(
+    async (signal) => {
+      try {
+        const res = await api.get(`/pdfs/${encodeURIComponent(publicId)}/study`, { signal });
+        setStudySet(res?.data?.data?.studySet ?? null);
+      } catch (err) {
+        if (err.name !== "CanceledError" && err.name !== "AbortError") {
+          handleApiError(err);
+        }
+      }
+    },
+    [publicId]
+  );
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchStudySet(controller.signal);
+    return () => controller.abort();
+  }, [fetchStudySet]);
+
+  // poll while the study set is being generated
+  const isProcessing = studySet?.status === "processing";
+  useEffect(() => {
+    if (!isProcessing) return;
+    const timer = setInterval(() => fetchStudySet(), POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isProcessing, fetchStudySet]);
+
+  const generate = async () => {
+    setIsRequesting(true);
+    try {
+      const res = await api.post(`/pdfs/${encodeURIComponent(publicId)}/study`);
+      setStudySet(res?.data?.data?.studySet ?? null);
+      setPicked({});
+      setFlipped({});
+    } catch (err) {
+      handleApiError(err);
+    } finally {
+      setIsRequesting(false);
+    }
+  };
+
+  const questions = studySet?.multipleChoice ?? [];
+  const flashcards = studySet?.flashcards ?? [];
+  const hasItems = questions.length + flashcards.length > 0;
+  const answered = questions.filter((q) => picked[q.itemId] !== undefined);
+  const correct = answered.filter((q) => picked[q.itemId] === q.answerIndex).length;
+
+  return (
+    <section className="rounded-lg border border-gray-700 bg-gray-800 p-4 space-y-4">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold">Study Set</h2>
+          <p className="text-sm text-gray-400">Quiz questions and flashcards from this document, with the passage each one comes from.</p>
+        </div>
+        <div className="flex shrink-0 gap-2">
+          {hasItems && (
+            <button
+              onClick={() => navigate(`/dashboard/review?publicId=${encodeURIComponent(publicId)}`)}
+              className="px-3 py-1 text-sm rounded bg-yellow-400 text-black hover:bg-yellow-300">
+              Review{studySet.review?.due > 0 && ` (${studySet.review.due} due)`}
+            </button>
+          )}
+          {studySet !== undefined && (
+            <button
+              onClick={generate}
+              disabled={isRequesting || isProcessing}
+              className={`px-3 py-1 text-sm rounded disabled:opacity-50 ${
+                hasItems ? "border border-gray-600 text-gray-300 hover:bg-gray-700" : "bg-yellow-400 text-black hover:bg-yellow-300"
+              }`}>
+              {isProcessing ? "Generating…" : hasItems ? "Regenerate" : "Generate study set"}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {isProcessing && (
+        <p className="text-sm text-yellow-400 animate-pulse">
+          Writing questions and flashcards…{hasItems && " The current ones stay until the new ones are ready."}
+        </p>
+      )}
+      {studySet?.status === "failed" && <p className="text-sm text-red-400">{studySet.statusReason || "Study set generation failed"}</p>}
+
+      {hasItems && (
+        <>
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex gap-2 text-sm">
+              {[
+                { key: "quiz", label: `Quiz (${questions.length})` },
+                { key: "flashcards", label: `Flashcards (${flashcards.length})` },
+              ].map((tab) => (
+                <button
+                  key={tab.key}
+                  onClick={() => setView(tab.key)}
+                  className={`px-3 py-1 rounded ${view === tab.key ? "bg-gray-700 text-white" : "text-gray-400 hover:text-white"}`}>
+                  {tab.label}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500">
+              {view === "quiz" && answered.length > 0 && `${correct} / ${answered.length} correct · `}
+              {studySet.review && `${studySet.review.due} of ${studySet.review.total} cards due for review`}
+              {studySet.generatedAt && ` · generated ${new Date(studySet.generatedAt).toLocaleString()}`}
+            </p>
+          </div>
+
+          {view === "quiz" && (
+            <ol className="space-y-3 text-sm text-gray-300">
+              {questions.map((q, i) => {
+                const choice = picked[q.itemId] ?? null;
+                return (
+                  <li key={q.itemId} className="rounded bg-gray-900 p-3">
+                    <p className="text-white">
+                      {i + 1}. {q.question}
+                    </p>
+                    <div className="mt-2 grid gap-2">
+                      {q.options.map((option, index) => (
+                        <button
+                          key={index}
+                          onClick={() => setPicked((prev) => ({ ...prev, [q.itemId]: index }))}
+                          disabled={choice !== null}
+                          className={`rounded border px-3 py-1.5 text-left ${optionStyle(index, choice, q.answerIndex)}`}>
+                          {option}
+                        </button>
+                      ))}
+                    </div>
+                    {choice !== null && (
+                      <div className="mt-2 text-xs text-gray-400">
+                        <p>{q.explanation}</p>
+                        <Citations publicId={publicId} citations={q.citations} />
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+
+          {view === "flashcards" && (
+            <ul className="grid gap-3 text-sm sm:grid-cols-2">
+              {flashcards.map((card) => (
+                <li key={card.itemId} className="rounded bg-gray-900 p-3">
+                  <button
+                    onClick={() => setFlipped((prev) => ({ ...prev, [card.itemId]: !prev[card.itemId] }))}
+                    className="w-full min-h-16 text-left">
+                    {flipped[card.itemId] ? <p className="text-gray-300">{card.back}</p> : <p className="text-white font-medium">{card.front}</p>}
+                    <span className="mt-1 block text-xs text-yellow-400">{flipped[card.itemId] ? "Show front" : "Flip"}</span>
+                  </button>
+                  {flipped[card.itemId] && <Citations publicId={publicId} citations={card.citations} />}
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default StudySet;
@@ -8,6 +8,10 @@ const PdfContext = createContext(null);
 
 const POLL_INTERVAL_MS = 5000; // 5 seconds
 
+// PDFs whose state is still changing on the backend
+const needsPolling = (p) =>
+  p.preprocessStatus === "pending" || p.preprocessStatus === "processing" || p.status === "processing";
+
 /**
  * PdfProvider - manages PDF state for authenticated routes
  * 
@@ -16,6 +20,7 @@ const POLL_INTERVAL_MS = 5000; // 5 seconds
  * - Subsequent Dashboard navigations use cached state
  * - Upload/Delete/Submit update state directly (no refetch)
  * - Polls for preprocessing status updates (pending/processing → completed/failed)
+ * - Polls for AI status updates while analysis runs in the background queue
  * - State clears on logout (provider unmounts with ProtectedRoutes)
  * - Uses publicId (Cloudinary ID) for all operations instead of MongoDB _id
  */
@@ -51,30 +56,35 @@ export function PdfProvider() {
     );
   }, []);
 
-  // Count PDFs that need polling (preprocessing in progress)
-  const preprocessingCount = pdfs.filter(
-    (p) => p.preprocessStatus === "pending" || p.preprocessStatus === "processing"
-  ).length;
+  // Count PDFs that need polling (preprocessing or AI analysis in progress)
+  const pollingCount = pdfs.filter(needsPolling).length;
 
-  // Poll for preprocessing status updates
+  // Poll for preprocessing and AI status updates
   useEffect(() => {
     // Don't poll if no PDFs need it
-    if (preprocessingCount === 0) return;
+    if (pollingCount === 0) return;
 
     const pollStatus = async () => {
       const currentPdfs = pdfsRef.current;
-      const pollingPdfs = currentPdfs.filter(
-        (p) => p.preprocessStatus === "pending" || p.preprocessStatus === "processing"
-      );
+      const pollingPdfs = currentPdfs.filter(needsPolling);
 
       for (const pdf of pollingPdfs) {
         try {
           const res = await api.get(`/pdfs/${encodeURIComponent(pdf.publicId)}/status`);
-          const { preprocessStatus, status } = res?.data?.data || {};
+          const { preprocessStatus, status, statusReason, injectionRisk } = res?.data?.data || {};
 
           // Only update if status changed
           if (preprocessStatus !== pdf.preprocessStatus || status !== pdf.status) {
-            updatePdf(pdf.publicId, { preprocessStatus, status });
+            updatePdf(pdf.publicId, { preprocessStatus, status, statusReason, injectionRisk });
+
+            // AI run finished in the background queue
+            if (pdf.status === "processing" && status === "completed" && statusReason) {
+              toast.error(`${statusReason} The previous analysis was kept.`);
+            } else if (pdf.status === "processing" && status === "completed") {
+              toast.success(`AI analysis ready: ${pdf.originalName}`);
+            } else if (pdf.status === "processing" && status === "failed") {
+              toast.error(statusReason || "AI processing failed");
+            }
           }
         } catch (err) {
           // If PDF was deleted (e.g., duplicate detected by worker), remove from state
@@ -92,7 +102,7 @@ export function PdfProvider() {
     const intervalId = setInterval(pollStatus, POLL_INTERVAL_MS);
 
     return () => clearInterval(intervalId);
-  }, [preprocessingCount, updatePdf]);
+  }, [pollingCount, updatePdf]);
 
   return (
     <PdfContext.Provider
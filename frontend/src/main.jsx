@@ -20,6 +20,11 @@ const Signup = lazy(() => import("./pages/SignUp"));
 const ResetPassword = lazy(() => import("./pages/ResetPassword"));
 const AiSummary = lazy(() => import("./pages/AiSummary"));
 const Profile = lazy(() => import("./pages/Profile"));
+const DebateSession = lazy(() => import("./pages/DebateSession"));
+const SpeechPractice = lazy(() => import("./pages/SpeechPractice"));
+const QuestionDrill = lazy(() => import("./pages/QuestionDrill"));
+const Review = lazy(() => import("./pages/Review"));
+const SynthesisResult = lazy(() => import("./pages/SynthesisResult"));
 const Home = lazy(() => import("./pages/Home"));
 
 // Suspense fallback for lazy-loaded pages
@@ -50,6 +55,11 @@ const router = createBrowserRouter(
           <Route path="dashboard" element={<DashboardLayout />}>
             <Route index element={<Dashboard />} />
             <Route path="pdf/:publicId" element={<Suspense fallback={<PageLoader />}><AiSummary /></Suspense>}></Route>
+            <Route path="pdf/:publicId/practice" element={<Suspense fallback={<PageLoader />}><SpeechPractice /></Suspense>} />
+            <Route path="pdf/:publicId/drill" element={<Suspense fallback={<PageLoader />}><QuestionDrill /></Suspense>} />
+            <Route path="review" element={<Suspense fallback={<PageLoader />}><Review /></Suspense>} />
+            <Route path="debate/:sessionId" element={<Suspense fallback={<PageLoader />}><DebateSession /></Suspense>} />
+            <Route path="synthesis/:synthesisId" element={<Suspense fallback={<PageLoader />}><SynthesisResult /></Suspense>} />
             <Route path="profile" element={<Suspense fallback={<PageLoader />}><Profile /></Suspense>} />
           </Route>
         </Route>
@@ -1,19 +1,50 @@
 import { handleApiError } from "@/utils/handleApiError";
-import api from "../api/axiosConfig.js";
-import React, { useEffect, useState } from "react";
-import { useParams } from "react-router-dom";
+import api, { BASE_URL } from "../api/axiosConfig.js";
+import React, { useCallback, useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { toast } from "react-hot-toast";
+import RebuttalGrading from "@/components/Summary/RebuttalGrading";
+import QuestionBank from "@/components/Summary/QuestionBank";
+import DocumentSummary from "@/components/Summary/DocumentSummary";
+import StudySet from "@/components/Summary/StudySet";
+import Citations from "@/components/Summary/Citations";
+import FormatFields from "@/components/Summary/FormatFields";
+import ArgumentMap from "@/components/Summary/ArgumentMap";
+import Fallacies from "@/components/Summary/Fallacies";
+import RevisionSwitcher from "@/components/Summary/RevisionSwitcher";
+import RubricBreakdown from "@/components/Summary/RubricBreakdown";
+import AnalysisOptionsModal from "@/components/AnalysisOptionsModal";
+import { debateFormatLabel } from "@/utils/debateFormats";
+import { isLowOcrConfidence } from "@/utils/ocr";
+
+const STREAM_RETRY_MS = 5000;
+
+// analysis items carry citations ({ text, citations }); results from before citations are plain strings
+const itemText = (item) => (typeof item === "string" ? item : item.text);
+
+const STAGE_LABELS = {
+  gate: "Checking debate suitability…",
+  analysis: "Writing counter debate…",
+  argumentMap: "Mapping the argument…",
+  fallacies: "Checking for fallacies…",
+};
 
 function AiSummary() {
   const { publicId } = useParams();
+  const navigate = useNavigate();
   const [singlePdf, setSinglePdf] = useState(null);
+  const [liveText, setLiveText] = useState("");
+  const [liveStage, setLiveStage] = useState(null);
+  const [streamAttempt, setStreamAttempt] = useState(0);
+  const [debates, setDebates] = useState([]);
+  const [isStartingDebate, setIsStartingDebate] = useState(false);
+  const [viewedRevision, setViewedRevision] = useState(null); // an older revision shown instead of aiResult
+  const [optionsMode, setOptionsMode] = useState(null); // "regenerate" | "override" while the options modal is open
 
-  useEffect(() => {
-    const controller = new AbortController();
-    const fetchPdf = async () => {
+  const fetchPdf = useCallback(
+    async (signal) => {
       try {
-        const res = await api.get(`/pdfs/${encodeURIComponent(publicId)}`,
-          { signal: controller.signal }
-        );
+        const res = await api.get(`/pdfs/${encodeURIComponent(publicId)}`, { signal });
         setSinglePdf(res?.data?.data?.pdf);
       } catch (err) {
         // Only handle error if not aborted
@@ -21,12 +52,57 @@ function AiSummary() {
           handleApiError(err);
         }
       }
-    };
-    fetchPdf();
+    },
+    [publicId]
+  );
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchPdf(controller.signal);
     return () => {
       controller.abort();
     };
-  }, [publicId]);
+  }, [fetchPdf]);
+
+  const isProcessing = singlePdf?.status === "processing";
+
+  // Live counter-debate while the AI run is in progress (Server-Sent Events)
+  useEffect(() => {
+    if (!isProcessing) return;
+
+    let retryTimer = null;
+    const source = new EventSource(`${BASE_URL}/pdfs/${encodeURIComponent(publicId)}/stream`, { withCredentials: true });
+    const read = (e) => JSON.parse(e.data || "{}");
+
+    // stream gone (auth expired, server restart): refetch (refreshes token) and reconnect
+    const retryLater = () => {
+      source.close();
+      retryTimer = setTimeout(async () => {
+        await fetchPdf();
+        setStreamAttempt((n) => n + 1);
+      }, STREAM_RETRY_MS);
+    };
+
+    source.addEventListener("snapshot", (e) => setLiveText(read(e).text || ""));
+    source.addEventListener("delta", (e) => setLiveText((prev) => prev + (read(e).text || "")));
+    source.addEventListener("reset", () => setLiveText(""));
+    source.addEventListener("stage", (e) => setLiveStage(read(e).stage));
+    source.addEventListener("unavailable", retryLater);
+    source.addEventListener("done", () => {
+      source.close();
+      // final structured result is persisted by now
+      fetchPdf();
+    });
+    source.onerror = () => {
+      // browser reconnects by itself unless the stream was closed for good
+      if (source.readyState === EventSource.CLOSED) retryLater();
+    };
+
+    return () => {
+      clearTimeout(retryTimer);
+      source.close();
+    };
+  }, [isProcessing, publicId, fetchPdf, streamAttempt]);
 
   // fire and forget call
   useEffect(() => {
@@ -37,8 +113,97 @@ function AiSummary() {
     });
   }, [publicId]);
 
-  const gate = singlePdf?.aiResult?.gate;
-  const analysis = singlePdf?.aiResult?.analysis;
+  // the viewed revision, or the preferred result (aiResult); the neutral summary is not part of revisions
+  const result = viewedRevision ? { ...viewedRevision.result, meta: viewedRevision.meta } : singlePdf?.aiResult;
+  const gate = result?.gate;
+  const analysis = result?.analysis;
+  // "user" (run anyway) or "lowConfidence" (verdict below the gate threshold): the analysis ran despite the gate
+  const gateOverride = result?.gateOverride;
+  const hasAnalysis = Boolean((gate?.isDebate || gateOverride) && analysis);
+  const canDebate = Boolean(hasAnalysis && analysis?.counterDebate);
+  const counterParagraphs = (analysis?.counterDebate || "")
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+  const format = result?.format;
+  const fallacies = result?.fallacies;
+  const isCachedResult = Boolean(result?.meta?.analysis?.cache?.hit);
+  const fallacyError = result?.meta?.fallacies?.error;
+  const paragraphCitations = (n) => analysis?.counterDebateCitations?.find((c) => c.paragraph === n)?.citations;
+  const summary = singlePdf?.aiResult?.summary;
+  const keepsForSummary = Boolean(summary) || singlePdf?.summaryStatus === "processing";
+  const isKept = Boolean(singlePdf?.keepAfterViewing);
+
+  // previous "argue back" sessions for this PDF
+  useEffect(() => {
+    if (!canDebate) return;
+
+    const controller = new AbortController();
+    api
+      .get("/debates", { params: { publicId }, signal: controller.signal })
+      .then((res) => setDebates(res?.data?.data?.sessions || []))
+      .catch(() => {
+        // silent failure — the start button still works
+      });
+
+    return () => controller.abort();
+  }, [canDebate, publicId]);
+
+  const viewRevision = async (number) => {
+    if (number === singlePdf?.preferredRevision) return setViewedRevision(null);
+    try {
+      const res = await api.get(`/pdfs/${encodeURIComponent(publicId)}/revisions/${number}`);
+      setViewedRevision(res?.data?.data?.revision || null);
+    } catch (err) {
+      handleApiError(err);
+    }
+  };
+
+  const preferRevision = async () => {
+    try {
+      await api.patch(`/pdfs/${encodeURIComponent(publicId)}/revisions/${viewedRevision.number}/prefer`);
+      setViewedRevision(null);
+      await fetchPdf();
+      toast.success(`Revision ${viewedRevision.number} is now the preferred result`);
+    } catch (err) {
+      handleApiError(err);
+    }
+  };
+
+  // a new run: the current result stays available as a revision
+  const regenerate = async (options) => {
+    try {
+      const res = await api.post(`/pdfs/${encodeURIComponent(publicId)}/submit`, options);
+      setViewedRevision(null);
+      setLiveText("");
+      if (res?.data?.data?.cached) toast.success("Analysis ready - reused from an identical document");
+      await fetchPdf();
+    } catch (err) {
+      handleApiError(err);
+    }
+  };
+
+  // opt out of (or back into) the cleanup of viewed non-debate files
+  const setKeepAfterViewing = async (keep) => {
+    try {
+      const res = await api.patch(`/pdfs/${encodeURIComponent(publicId)}/keep`, { keep });
+      setSinglePdf((prev) => ({ ...prev, keepAfterViewing: res?.data?.data?.keepAfterViewing }));
+    } catch (err) {
+      handleApiError(err);
+    }
+  };
+
+  const startDebate = async () => {
+    setIsStartingDebate(true);
+    try {
+      const res = await api.post("/debates", { publicId });
+      navigate(`/dashboard/debate/${res.data.data.session.sessionId}`);
+    } catch (err) {
+      handleApiError(err);
+      setIsStartingDebate(false);
+    }
+  };
+
   return (
     <div className="space-y-8">
       {/* ===== PDF SECTION ===== */}
@@ -55,36 +220,222 @@ function AiSummary() {
             View PDF
           </button>
         </div>
+
+        {singlePdf?.ocr && (
+          <p className={`mt-2 text-xs ${isLowOcrConfidence(singlePdf.ocr) ? "text-yellow-400" : "text-gray-400"}`}>
+            This is a scanned document: its text was recognized by OCR ({singlePdf.ocr.confidence ?? 0}% confidence).
+            {isLowOcrConfidence(singlePdf.ocr) && " Quotes and citations may contain recognition errors."}
+            {singlePdf.ocr.truncated && ` Only part of its ${singlePdf.ocr.pageCount} pages was read.`}
+          </p>
+        )}
       </section>
 
+      {/* ===== NEUTRAL SUMMARY (any preprocessed PDF) ===== */}
+      {singlePdf?.preprocessStatus === "completed" && (
+        <DocumentSummary
+          publicId={publicId}
+          summary={summary}
+          summaryStatus={singlePdf.summaryStatus}
+          summaryStatusReason={singlePdf.summaryStatusReason}
+          onUpdated={fetchPdf}
+        />
+      )}
+
+      {/* ===== QUIZ & FLASHCARDS (any preprocessed PDF) ===== */}
+      {singlePdf?.preprocessStatus === "completed" && <StudySet publicId={publicId} />}
+
+      {/* a failed regeneration keeps the previous result */}
+      {singlePdf?.status === "completed" && singlePdf.statusReason && (
+        <p className="text-sm text-yellow-400">The last regeneration failed: {singlePdf.statusReason} The previous analysis is shown.</p>
+      )}
+
+      {/* ===== REVISIONS (switch, prefer, regenerate) ===== */}
+      {singlePdf?.status === "completed" && (
+        <RevisionSwitcher
+          publicId={publicId}
+          preferredRevision={singlePdf.preferredRevision ?? null}
+          viewedRevision={viewedRevision?.number ?? null}
+          onView={viewRevision}
+          onPrefer={preferRevision}
+          onRegenerate={() => setOptionsMode("regenerate")}
+        />
+      )}
+
+      {/* regenerating an overridden PDF keeps skipping the gate (skipGate is part of its options) */}
+      {optionsMode && (
+        <AnalysisOptionsModal
+          isOpen
+          onClose={() => setOptionsMode(null)}
+          onSubmit={regenerate}
+          initialOptions={optionsMode === "override" ? { ...singlePdf?.analysisOptions, skipGate: true } : singlePdf?.analysisOptions}
+          title={optionsMode === "override" ? "Run analysis anyway" : "Regenerate analysis"}
+          submitLabel={optionsMode === "override" ? "Run analysis" : "Regenerate"}
+        />
+      )}
+
+      {/* ===== LIVE COUNTER DEBATE (AI still running) ===== */}
+      {isProcessing && (
+        <section className="rounded-lg border border-yellow-500/40 bg-gray-800 p-4">
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="text-lg font-semibold">AI Counter Debate</h2>
+            <span className="text-xs text-yellow-400 animate-pulse">{STAGE_LABELS[liveStage] || "AI Processing…"}</span>
+          </div>
+
+          <p className="text-sm text-gray-300 leading-relaxed whitespace-pre-line">
+            {liveText || <span className="opacity-60">Waiting for the model to start writing…</span>}
+          </p>
+        </section>
+      )}
+
       {/* non a debate */}
-      {gate && gate.isDebate === false && (
+      {gate && gate.isDebate === false && !gateOverride && (
         <section className="rounded-lg border border-yellow-500 bg-yellow-500/10 p-4">
           <h2 className="text-lg font-semibold mb-2 text-yellow-400">Not Suitable for Debate</h2>
-          <p className="mt-3 text-sm text-red-400">
-            This file will be automatically removed from your dashboard after you leave this page to keep things tidy.
-          </p>
-          <p className="mb-2 text-sm text-gray-400">You can view and download the PDF now if you want to keep a copy.</p>
+          {keepsForSummary ? (
+            <p className="mt-3 mb-2 text-sm text-gray-400">This file stays on your dashboard because it has a summary.</p>
+          ) : isKept ? (
+            <p className="mt-3 mb-2 text-sm text-gray-400">This file stays on your dashboard because you chose to keep it.</p>
+          ) : (
+            <>
+              <p className="mt-3 text-sm text-red-400">
+                This file will be automatically removed from your dashboard after you leave this page to keep things tidy.
+              </p>
+              <p className="mb-2 text-sm text-gray-400">
+                You can view and download the PDF now if you want to keep a copy, or generate a summary to keep it.
+              </p>
+            </>
+          )}
 
           <p className="text-sm text-gray-300">{gate.reason}</p>
 
           <p className="mt-2 text-xs text-gray-400">Confidence: {(gate.confidence * 100).toFixed(0)}%</p>
+
+          {/* the gate can be wrong: let the user analyze the file anyway, or keep it */}
+          {!viewedRevision && singlePdf?.status === "completed" && (
+            <div className="mt-4 flex flex-wrap gap-2">
+              <button
+                onClick={() => setOptionsMode("override")}
+                className="px-3 py-1 text-sm rounded bg-yellow-400 text-black hover:bg-yellow-300">
+                Run analysis anyway
+              </button>
+              {!keepsForSummary && (
+                <button
+                  onClick={() => setKeepAfterViewing(!isKept)}
+                  className="px-3 py-1 text-sm rounded border border-gray-600 text-gray-300 hover:border-yellow-400 hover:text-yellow-400">
+                  {isKept ? "Allow automatic removal" : "Keep this file"}
+                </button>
+              )}
+            </div>
+          )}
         </section>
       )}
 
       {/* ===== AI COUNTER DEBATE ===== */}
-      {gate?.isDebate && analysis && (
+      {hasAnalysis && (
         <>
           <section className="rounded-lg border border-gray-700 bg-gray-800 p-4">
-            <h2 className="text-lg font-semibold mb-2">AI Counter Debate</h2>
+            <div className="flex items-center justify-between gap-4 mb-2">
+              <h2 className="text-lg font-semibold">AI Counter Debate</h2>
+              <div className="flex shrink-0 gap-2">
+                {gateOverride && (
+                  <span
+                    className="rounded bg-gray-900 px-2 py-0.5 text-xs text-gray-400"
+                    title={
+                      gateOverride === "user"
+                        ? "You ran the analysis although the document did not look like a debate"
+                        : "The document did not look like a debate, but the check was not confident enough to stop the analysis"
+                    }>
+                    Gate overridden
+                  </span>
+                )}
+                {isCachedResult && (
+                  <span className="rounded bg-gray-900 px-2 py-0.5 text-xs text-gray-400" title="An identical document was analyzed before">
+                    Reused result
+                  </span>
+                )}
+                <span className="rounded bg-gray-900 px-2 py-0.5 text-xs text-yellow-400">{debateFormatLabel(format)}</span>
+              </div>
+            </div>
+
+            <div className="space-y-3 text-sm text-gray-300 leading-relaxed">
+              {counterParagraphs.length ? (
+                counterParagraphs.map((p, i) => (
+                  <div key={i}>
+                    <p>{p}</p>
+                    <Citations publicId={publicId} citations={paragraphCitations(i + 1)} />
+                  </div>
+                ))
+              ) : (
+                <p>NO AI COUNTER DEBATE GENERATED</p>
+              )}
+              <p className="text-gray-400">This section represents the opposing stance in the debate.</p>
+              {analysis.formatFields && (
+                <div className="border-t border-gray-700 pt-3">
+                  <FormatFields format={format} fields={analysis.formatFields} />
+                </div>
+              )}
+            </div>
+          </section>
+
+          {/* ===== ARGUMENT MAP ===== */}
+          <ArgumentMap
+            key={viewedRevision ? `revision-${viewedRevision.number}` : `current-${singlePdf?.preferredRevision}`}
+            publicId={publicId}
+            revision={viewedRevision?.number}
+          />
+
+          {/* ===== ARGUE BACK ===== */}
+          <section className="rounded-lg border border-gray-700 bg-gray-800 p-4">
+            <div className="flex items-center justify-between gap-4">
+              <div>
+                <h2 className="text-lg font-semibold">Argue Back</h2>
+                <p className="text-sm text-gray-400">Reply to the counter debate and get a rebuttal, turn by turn.</p>
+              </div>
+              <button
+                onClick={startDebate}
+                disabled={isStartingDebate}
+                className="shrink-0 px-3 py-1 text-sm rounded bg-yellow-400 text-black hover:bg-yellow-300 disabled:opacity-50">
+                {isStartingDebate ? "Starting…" : "Start debate"}
+              </button>
+            </div>
 
-            <p className="text-sm text-gray-300 leading-relaxed">
-              {analysis?.counterDebate || "NO AI COUNTER DEBATE GENERATED"}
-              <br />
-              This section represents the opposing stance in the debate.
-            </p>
+            {debates.length > 0 && (
+              <ul className="mt-3 space-y-1 text-sm text-gray-300">
+                {debates.map((d) => (
+                  <li key={d.sessionId} className="flex items-center justify-between">
+                    <span className="text-gray-400">
+                      {new Date(d.updatedAt).toLocaleString()} · {d.turnCount} turns
+                    </span>
+                    <button onClick={() => navigate(`/dashboard/debate/${d.sessionId}`)} className="text-yellow-400 hover:underline">
+                      Continue
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
           </section>
 
+          {/* ===== SPEECH PRACTICE ===== */}
+          <section className="rounded-lg border border-gray-700 bg-gray-800 p-4">
+            <div className="flex items-center justify-between gap-4">
+              <div>
+                <h2 className="text-lg font-semibold">Speech Practice</h2>
+                <p className="text-sm text-gray-400">Get a timed outline of the counter debate for your speaking slot and practice it against the clock.</p>
+              </div>
+              <button
+                onClick={() => navigate(`/dashboard/pdf/${encodeURIComponent(publicId)}/practice`)}
+                className="shrink-0 px-3 py-1 text-sm rounded bg-yellow-400 text-black hover:bg-yellow-300">
+                Practice speech
+              </button>
+            </div>
+          </section>
+
+          {/* ===== POI & CROSS-EXAMINATION ===== */}
+          <QuestionBank publicId={publicId} />
+
+          {/* ===== REBUTTAL GRADING ===== */}
+          <RebuttalGrading publicId={publicId} />
+
           {/* ===== AI ANALYSIS & FEEDBACK ===== */}
           <section className="rounded-lg border border-gray-700 bg-gray-800 p-4">
             <h2 className="text-lg font-semibold mb-4">AI Analysis</h2>
@@ -93,14 +444,32 @@ function AiSummary() {
               <div>
                 <strong className="text-white">Strengths:</strong>
                 <ul className="list-disc list-inside mt-1">
-                  {analysis?.strengths?.length ? analysis.strengths.map((s, i) => <li key={i}>{s}</li>) : <li className="opacity-60">No data</li>}
+                  {analysis?.strengths?.length ? (
+                    analysis.strengths.map((s, i) => (
+                      <li key={i}>
+                        {itemText(s)}
+                        <Citations publicId={publicId} citations={s.citations} />
+                      </li>
+                    ))
+                  ) : (
+                    <li className="opacity-60">No data</li>
+                  )}
                 </ul>
               </div>
 
               <div>
                 <strong className="text-white">Weaknesses:</strong>
                 <ul className="list-disc list-inside mt-1">
-                  {analysis?.weaknesses?.length ? analysis.weaknesses.map((w, i) => <li key={i}>{w}</li>) : <li className="opacity-60">No data</li>}
+                  {analysis?.weaknesses?.length ? (
+                    analysis.weaknesses.map((w, i) => (
+                      <li key={i}>
+                        {itemText(w)}
+                        <Citations publicId={publicId} citations={w.citations} />
+                      </li>
+                    ))
+                  ) : (
+                    <li className="opacity-60">No data</li>
+                  )}
                 </ul>
               </div>
 
@@ -108,7 +477,12 @@ function AiSummary() {
                 <strong className="text-white">Grammar & Clarity:</strong>
                 <ul className="list-disc list-inside mt-1">
                   {analysis?.grammarNotes?.length ? (
-                    analysis.grammarNotes.map((g, i) => <li key={i}>{g}</li>)
+                    analysis.grammarNotes.map((g, i) => (
+                      <li key={i}>
+                        {itemText(g)}
+                        <Citations publicId={publicId} citations={g.citations} />
+                      </li>
+                    ))
                   ) : (
                     <li className="opacity-60">No data</li>
                   )}
@@ -116,11 +490,22 @@ function AiSummary() {
               </div>
 
               <div>
-                <strong className="text-white">Overall Rating:</strong>
-                <p className="mt-1">{analysis?.rating ? `${analysis.rating} / 10` : "Not rated"}</p>
+                <strong className="text-white">Scores:</strong>
+                <RubricBreakdown rubric={analysis?.rubric} rating={analysis?.rating} />
               </div>
             </div>
           </section>
+
+          {/* ===== LOGICAL FALLACIES (analyses before fallacy detection have neither field) ===== */}
+          {(fallacies !== undefined || fallacyError) && (
+            <section className="rounded-lg border border-gray-700 bg-gray-800 p-4">
+              <h2 className="text-lg font-semibold mb-2">Logical Fallacies</h2>
+              <div className="text-sm text-gray-300">
+                <Fallacies publicId={publicId} fallacies={fallacies} error={fallacyError} />
+              </div>
+            </section>
+          )}
+
           {/* ===== RELEVANT RESOURCES ===== */}
           <section className="rounded-lg border border-gray-700 bg-gray-800 p-4">
             <h2 className="text-lg font-semibold mb-2">Relevant Resources</h2>
@@ -2,6 +2,7 @@ import React, { useRef, useState, useEffect } from "react";
 import api from "../api/axiosConfig.js";
 import UploadCard from "../components/Dashboard/UploadCard";
 import PdfCard from "../components/Dashboard/PdfCard";
+import AnalysisOptionsModal from "@/components/AnalysisOptionsModal";
 import { handleApiError } from "@/utils/handleApiError";
 import { toast } from "react-hot-toast";
 import { usePdfs } from "../context/PdfContext";
@@ -14,11 +15,32 @@ function Dashboard() {
   const [uploading, setUploading] = useState(false);
   const navigate = useNavigate();
 
+  // multi-document synthesis
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [motion, setMotion] = useState("");
+  const [creatingSynthesis, setCreatingSynthesis] = useState(false);
+  const [syntheses, setSyntheses] = useState([]);
+
+  // PDF whose analysis options are being chosen (submit, retry, regenerate)
+  const [submitTarget, setSubmitTarget] = useState(null);
+
   // Fetch PDFs on first Dashboard mount (skips if already fetched)
   useEffect(() => {
     fetchPdfs();
   }, [fetchPdfs]);
 
+  useEffect(() => {
+    const controller = new AbortController();
+    api
+      .get("/syntheses", { signal: controller.signal })
+      .then((res) => setSyntheses(res?.data?.data?.syntheses || []))
+      .catch(() => {
+        // silent failure — list is secondary on the dashboard
+      });
+    return () => controller.abort();
+  }, []);
+
   const handleCardClick = () => {
     if (!uploading) fileInputRef.current?.click();
   };
@@ -71,17 +93,53 @@ function Dashboard() {
     }
   };
 
-  const handleSubmitToAI = async (publicId) => {
+  // options: { format, tone, length, difficulty, focus, bypassCache, skipGate } from AnalysisOptionsModal
+  const handleSubmitToAI = async (publicId, options) => {
+    const previousStatus = pdfs.find((p) => p.publicId === publicId)?.status;
+
     // Optimistic update - set AI status to processing
     setPdfs((prev) => prev.map((p) => (p.publicId === publicId ? { ...p, status: "processing" } : p)));
     try {
-      const AIRes = await api.post(`/pdfs/${encodeURIComponent(publicId)}/submit`, {});
+      // 202 - analysis runs in the background, PdfContext polls until it finishes
+      // 200 - an identical document was analyzed before, the result is ready
+      const AIRes = await api.post(`/pdfs/${encodeURIComponent(publicId)}/submit`, options);
       const updatedPdf = AIRes?.data?.data?.pdf;
       setPdfs((prev) => prev.map((p) => (p.publicId === updatedPdf.publicId ? updatedPdf : p)));
-      toast.success("AI Debate generated");
+      if (AIRes?.data?.data?.cached) {
+        toast.success("Analysis ready - reused from an identical document");
+      } else {
+        toast.success("Submitted to AI, this can take a minute");
+      }
+    } catch (error) {
+      // rollback on error (a quota refusal never touched the PDF, so it keeps its status)
+      const rollbackStatus = error?.response?.status === 429 ? previousStatus : "failed";
+      setPdfs((prev) => prev.map((p) => (p.publicId === publicId ? { ...p, status: rollbackStatus } : p)));
+      handleApiError(error);
+    }
+  };
+
+  // owner override of the injection screening
+  const handleRelease = async (publicId) => {
+    if (!window.confirm("Release this document from quarantine? Its text will be sent to the AI as it is.")) return;
+
+    try {
+      const res = await api.patch(`/pdfs/${encodeURIComponent(publicId)}/quarantine`, { release: true });
+      const injectionRisk = res?.data?.data?.injectionRisk;
+      setPdfs((prev) => prev.map((p) => (p.publicId === publicId ? { ...p, injectionRisk } : p)));
+      toast.success("Document released from quarantine");
+    } catch (error) {
+      handleApiError(error);
+    }
+  };
+
+  // summary runs in the background, the details page shows its progress
+  const handleSummarize = async (publicId) => {
+    try {
+      const res = await api.post(`/pdfs/${encodeURIComponent(publicId)}/summary`, {});
+      const updatedPdf = res?.data?.data?.pdf;
+      setPdfs((prev) => prev.map((p) => (p.publicId === updatedPdf.publicId ? updatedPdf : p)));
+      navigate(`/dashboard/pdf/${encodeURIComponent(publicId)}`);
     } catch (error) {
-      // rollback on error
-      setPdfs((prev) => prev.map((p) => (p.publicId === publicId ? { ...p, status: "failed" } : p)));
       handleApiError(error);
     }
   };
@@ -90,14 +148,70 @@ function Dashboard() {
     navigate(`/dashboard/pdf/${encodeURIComponent(publicId)}`);
   };
 
+  const toggleSelected = (publicId) => {
+    setSelectedIds((prev) => (prev.includes(publicId) ? prev.filter((id) => id !== publicId) : [...prev, publicId]));
+  };
+
+  const cancelSelection = () => {
+    setIsSelecting(false);
+    setSelectedIds([]);
+    setMotion("");
+  };
+
+  const handleCreateSynthesis = async () => {
+    setCreatingSynthesis(true);
+    try {
+      const res = await api.post("/syntheses", { publicIds: selectedIds, ...(motion.trim() && { motion: motion.trim() }) });
+      toast.success("Synthesis started, this can take a minute");
+      navigate(`/dashboard/synthesis/${res.data.data.synthesis.synthesisId}`);
+    } catch (err) {
+      handleApiError(err);
+    } finally {
+      setCreatingSynthesis(false);
+    }
+  };
+
   return (
     <div className="space-y-6">
 
-      <div>
-        <h1 className="text-2xl font-semibold text-white">Uploads</h1>
-        <p className="text-sm text-neutral-400">Upload PDF files to process with AI</p>
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-semibold text-white">Uploads</h1>
+          <p className="text-sm text-neutral-400">Upload PDF files to process with AI</p>
+        </div>
+
+        {!isSelecting && (
+          <button
+            onClick={() => setIsSelecting(true)}
+            className="rounded-md border border-neutral-700 px-3 py-1.5 text-sm text-neutral-200 hover:border-yellow-400">
+            Combine PDFs
+          </button>
+        )}
       </div>
 
+      {/* Synthesis toolbar */}
+      {isSelecting && (
+        <div className="flex flex-wrap items-center gap-3 rounded-lg border border-yellow-400/40 bg-neutral-900 p-3">
+          <span className="text-sm text-neutral-300">{selectedIds.length} selected (2–5)</span>
+          <input
+            value={motion}
+            onChange={(e) => setMotion(e.target.value)}
+            maxLength={300}
+            placeholder="Motion (optional, inferred if empty)"
+            className="min-w-[240px] flex-1 rounded bg-neutral-800 px-2 py-1.5 text-sm text-neutral-200 outline-none focus:ring-1 focus:ring-yellow-400"
+          />
+          <button
+            onClick={handleCreateSynthesis}
+            disabled={creatingSynthesis || selectedIds.length < 2 || selectedIds.length > 5}
+            className="rounded-md bg-yellow-400 px-3 py-1.5 text-sm font-medium text-black hover:bg-yellow-300 disabled:opacity-50 disabled:cursor-not-allowed">
+            {creatingSynthesis ? "Starting…" : "Create synthesis"}
+          </button>
+          <button onClick={cancelSelection} className="text-sm text-neutral-400 hover:text-white">
+            Cancel
+          </button>
+        </div>
+      )}
+
       {/* Hidden file input */}
       <input ref={fileInputRef} type="file" accept="application/pdf" className="hidden" onChange={handleFileChange} />
 
@@ -113,13 +227,50 @@ function Dashboard() {
             <PdfCard
               key={pdf.publicId}
               pdf={pdf}
-              onSubmit={() => handleSubmitToAI(pdf.publicId)}
+              onSubmit={() => setSubmitTarget(pdf)}
+              onSummarize={() => handleSummarize(pdf.publicId)}
               onDelete={() => handleDeletePdf(pdf.publicId)}
               onDetails={() => handleGoToDetails(pdf.publicId)}
+              onRelease={() => handleRelease(pdf.publicId)}
+              selectable={isSelecting}
+              selected={selectedIds.includes(pdf.publicId)}
+              onToggleSelect={() => toggleSelected(pdf.publicId)}
             />
           ))}
         </div>
       )}
+
+      {/* Previous syntheses */}
+      {syntheses.length > 0 && (
+        <div className="space-y-2">
+          <h2 className="text-lg font-semibold text-white">Syntheses</h2>
+          <ul className="space-y-1 text-sm">
+            {syntheses.map((s) => (
+              <li key={s.synthesisId} className="flex items-center justify-between gap-4 rounded-md bg-neutral-900 px-3 py-2">
+                <span className="truncate text-neutral-300">
+                  {s.result?.motion || s.motion || s.documents.map((d) => d.originalName).join(" + ")}
+                </span>
+                <button
+                  onClick={() => navigate(`/dashboard/synthesis/${s.synthesisId}`)}
+                  className="shrink-0 text-yellow-400 hover:underline">
+                  {s.status === "processing" ? "Processing…" : s.status === "failed" ? "Failed" : "Open"}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {submitTarget && (
+        <AnalysisOptionsModal
+          isOpen
+          onClose={() => setSubmitTarget(null)}
+          onSubmit={(options) => handleSubmitToAI(submitTarget.publicId, options)}
+          initialOptions={submitTarget.analysisOptions}
+          title={submitTarget.status === "completed" ? "Regenerate analysis" : "Analysis options"}
+          submitLabel={submitTarget.status === "completed" ? "Regenerate" : "Submit to AI"}
+        />
+      )}
     </div>
   );
 }
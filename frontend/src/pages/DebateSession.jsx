@@ -0,0 +1,128 @@
+import { handleApiError } from "@/utils/handleApiError";
+import api from "../api/axiosConfig.js";
+import React, { useEffect, useRef, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+
+const MAX_REPLY_LENGTH = 2000; // matches backend validation
+
+function DebateSession() {
+  const { sessionId } = useParams();
+  const [session, setSession] = useState(null);
+  const [reply, setReply] = useState("");
+  const [isSending, setIsSending] = useState(false);
+  const bottomRef = useRef(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    api
+      .get(`/debates/${sessionId}`, { signal: controller.signal })
+      .then((res) => setSession(res?.data?.data?.session))
+      .catch((err) => {
+        if (err.name !== "CanceledError" && err.name !== "AbortError") {
+          handleApiError(err);
+        }
+      });
+
+    return () => controller.abort();
+  }, [sessionId]);
+
+  // keep the newest turn in view
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [session?.turns?.length, isSending]);
+
+  const turnLimitReached = session && session.turns.length + 2 > session.maxTurns;
+
+  const sendReply = async (e) => {
+    e.preventDefault();
+    const content = reply.trim();
+    if (!content || isSending) return;
+
+    setIsSending(true);
+    try {
+      const res = await api.post(`/debates/${sessionId}/turns`, { content });
+      setSession(res?.data?.data?.session);
+      setReply("");
+    } catch (err) {
+      // reply text is kept so the student can resend it
+      handleApiError(err);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col h-full space-y-4">
+      {/* ===== HEADER ===== */}
+      <section className="rounded-lg border border-gray-700 bg-gray-800 p-4">
+        <div className="flex items-center justify-between gap-4">
+          <div className="min-w-0">
+            <h2 className="text-lg font-semibold">Debate</h2>
+            <p className="text-sm text-gray-300 truncate">{session?.topic}</p>
+          </div>
+          {session?.publicId && (
+            <Link
+              to={`/dashboard/pdf/${encodeURIComponent(session.publicId)}`}
+              className="shrink-0 px-3 py-1 text-sm rounded border border-gray-600 text-gray-300 hover:bg-gray-700">
+              Back to analysis
+            </Link>
+          )}
+        </div>
+      </section>
+
+      {/* ===== TURNS ===== */}
+      <section className="flex-1 space-y-3 overflow-y-auto">
+        {session?.turns?.map((turn) => (
+          <div key={turn.id} className={`flex ${turn.role === "user" ? "justify-end" : "justify-start"}`}>
+            <div
+              className={`max-w-[80%] rounded-lg p-3 text-sm leading-relaxed whitespace-pre-line ${
+                turn.role === "user" ? "bg-yellow-400 text-black" : "border border-gray-700 bg-gray-800 text-gray-300"
+              }`}>
+              <p className="mb-1 text-xs font-semibold opacity-70">{turn.role === "user" ? "You" : "Opponent"}</p>
+              {turn.content}
+            </div>
+          </div>
+        ))}
+
+        {isSending && (
+          <div className="flex justify-start">
+            <div className="rounded-lg border border-gray-700 bg-gray-800 p-3 text-sm text-yellow-400 animate-pulse">Opponent is preparing a rebuttal…</div>
+          </div>
+        )}
+        <div ref={bottomRef} />
+      </section>
+
+      {/* ===== REPLY BOX ===== */}
+      {session &&
+        (turnLimitReached ? (
+          <p className="text-sm text-gray-400">This debate has reached its turn limit. Start a new debate from the analysis page to keep practicing.</p>
+        ) : (
+          <form onSubmit={sendReply} className="rounded-lg border border-gray-700 bg-gray-800 p-3 space-y-2">
+            <textarea
+              value={reply}
+              onChange={(e) => setReply(e.target.value)}
+              maxLength={MAX_REPLY_LENGTH}
+              rows={4}
+              disabled={isSending}
+              placeholder="Argue back…"
+              className="w-full resize-none rounded bg-gray-900 p-2 text-sm text-gray-200 outline-none focus:ring-1 focus:ring-yellow-400"
+            />
+            <div className="flex items-center justify-between">
+              <span className="text-xs text-gray-500">
+                {reply.length} / {MAX_REPLY_LENGTH}
+              </span>
+              <button
+                type="submit"
+                disabled={isSending || !reply.trim()}
+                className="px-4 py-1.5 text-sm rounded bg-yellow-400 text-black hover:bg-yellow-300 disabled:opacity-50 disabled:cursor-not-allowed">
+                {isSending ? "Sending…" : "Send"}
+              </button>
+            </div>
+          </form>
+        ))}
+    </div>
+  );
+}
+
+export default DebateSession;
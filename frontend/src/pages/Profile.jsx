@@ -2,6 +2,9 @@ import { useAuth } from "@/context/AuthContext";
 import React, { useState } from "react";
 import ChangePasswordModal from "@/components/ChangePasswordModal";
 import ChangeUsernameModal from "@/components/ChangeUsernameModal";
+import FallacyStats from "@/components/Profile/FallacyStats";
+import AiUsage from "@/components/Profile/AiUsage";
+import TeamPanel from "@/components/Profile/TeamPanel";
 
 const Profile = () => {
   const [showPasswordModal, setShowPasswordModal] = useState(false);
@@ -41,6 +44,12 @@ const Profile = () => {
           </div>
         </div>
 
+        <TeamPanel />
+
+        <FallacyStats />
+
+        <AiUsage />
+
         <div className="bg-neutral-900 rounded-xl shadow-lg p-8">
           <h2 className="text-2xl font-semibold text-white mb-6">Actions</h2>
 
@@ -0,0 +1,234 @@
+import { handleApiError } from "@/utils/handleApiError";
+import api from "../api/axiosConfig.js";
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import Citations from "@/components/Summary/Citations";
+import { DIFFICULTY_STYLES, QUESTION_KIND_LABELS, scoreColor } from "@/utils/questionBank";
+
+const MAX_ANSWER_LENGTH = 1500; // matches backend validation
+
+const KIND_FILTERS = [
+  { key: "all", label: "All questions" },
+  { key: "poi", label: "Points of Information" },
+  { key: "crossExam", label: "Cross-examination" },
+];
+
+// never-drilled questions first, then the weakest best score
+const drillOrder = (a, b) => (a.bestScore ?? -1) - (b.bestScore ?? -1);
+
+/**
+ * Drill mode: the bank's questions one at a time, weakest first.
+ * The student types an answer and the AI grades it with feedback and an improved answer.
+ */
+function QuestionDrill() {
+  const { publicId } = useParams();
+  const [bank, setBank] = useState(undefined); // undefined = loading, null = no bank yet
+  const [kindFilter, setKindFilter] = useState("all");
+  const [queue, setQueue] = useState(null); // question ids of the running drill, null = not started
+  const [position, setPosition] = useState(0);
+  const [answer, setAnswer] = useState("");
+  const [result, setResult] = useState(null); // graded attempt of the current question
+  const [isGrading, setIsGrading] = useState(false);
+  const [sessionScores, setSessionScores] = useState({}); // questionId -> latest score in this drill
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    api
+      .get(`/pdfs/${encodeURIComponent(publicId)}/questions`, { signal: controller.signal })
+      .then((res) => setBank(res?.data?.data?.bank ?? null))
+      .catch((err) => {
+        if (err.name !== "CanceledError" && err.name !== "AbortError") {
+          handleApiError(err);
+        }
+      });
+
+    return () => controller.abort();
+  }, [publicId]);
+
+  const questions = bank?.questions ?? [];
+  const current = queue ? questions.find((q) => q.questionId === queue[position]) : null;
+  const isFinished = queue && position >= queue.length;
+  const drilledScores = Object.values(sessionScores);
+
+  const startDrill = () => {
+    const selected = questions.filter((q) => kindFilter === "all" || q.kind === kindFilter).sort(drillOrder);
+    setQueue(selected.map((q) => q.questionId));
+    setPosition(0);
+    setAnswer("");
+    setResult(null);
+    setSessionScores({});
+  };
+
+  const nextQuestion = () => {
+    setPosition((prev) => prev + 1);
+    setAnswer("");
+    setResult(null);
+  };
+
+  const retryQuestion = () => {
+    setAnswer("");
+    setResult(null);
+  };
+
+  const submitAnswer = async (e) => {
+    e.preventDefault();
+    const content = answer.trim();
+    if (!content || isGrading) return;
+
+    setIsGrading(true);
+    try {
+      const res = await api.post(`/pdfs/${encodeURIComponent(publicId)}/questions/${current.questionId}/answers`, { answer: content });
+      const { attempt, question } = res?.data?.data ?? {};
+      setResult(attempt);
+      setSessionScores((prev) => ({ ...prev, [question.questionId]: attempt.score }));
+      setBank((prev) => ({ ...prev, questions: prev.questions.map((q) => (q.questionId === question.questionId ? question : q)) }));
+    } catch (err) {
+      // the answer is kept so the student can resend it
+      handleApiError(err);
+    } finally {
+      setIsGrading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* ===== HEADER ===== */}
+      <section className="rounded-lg border border-gray-700 bg-gray-800 p-4">
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <h2 className="text-lg font-semibold">Question Drill</h2>
+            <p className="text-sm text-gray-400">Answer each question as you would in the round, then compare with the feedback.</p>
+          </div>
+          <Link
+            to={`/dashboard/pdf/${encodeURIComponent(publicId)}`}
+            className="shrink-0 px-3 py-1 text-sm rounded border border-gray-600 text-gray-300 hover:bg-gray-700">
+            Back to analysis
+          </Link>
+        </div>
+
+        {bank === undefined && <p className="mt-4 text-sm text-gray-400">Loading…</p>}
+        {bank !== undefined && questions.length === 0 && (
+          <p className="mt-4 text-sm text-gray-400">No questions yet. Generate the question bank from the analysis page first.</p>
+        )}
+
+        {questions.length > 0 && (
+          <div className="mt-4 flex flex-wrap items-center gap-3">
+            <select
+              value={kindFilter}
+              onChange={(e) => setKindFilter(e.target.value)}
+              className="rounded bg-gray-900 px-2 py-1 text-sm text-gray-200 outline-none focus:ring-1 focus:ring-yellow-400">
+              {KIND_FILTERS.map((f) => (
+                <option key={f.key} value={f.key}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+            <button onClick={startDrill} className="px-3 py-1 text-sm rounded bg-yellow-400 text-black hover:bg-yellow-300">
+              {queue ? "Restart drill" : "Start drill"}
+            </button>
+            {queue && !isFinished && (
+              <span className="text-xs text-gray-400">
+                Question {position + 1} of {queue.length}
+              </span>
+            )}
+          </div>
+        )}
+      </section>
+
+      {/* ===== CURRENT QUESTION ===== */}
+      {current && (
+        <section className="rounded-lg border border-gray-700 bg-gray-800 p-4 space-y-4">
+          <div className="flex items-start justify-between gap-3">
+            <p className="text-lg text-white">
+              <span className="mr-2 rounded bg-gray-700 px-1.5 py-0.5 align-middle text-xs text-gray-300">{QUESTION_KIND_LABELS[current.kind]}</span>
+              {current.question}
+            </p>
+            <span className={`shrink-0 rounded px-1.5 py-0.5 text-xs ${DIFFICULTY_STYLES[current.difficulty]}`}>{current.difficulty}</span>
+          </div>
+          <div className="text-xs text-gray-400">
+            Targets: {current.targetClaim}
+            <Citations publicId={publicId} citations={current.citations} />
+          </div>
+
+          <form onSubmit={submitAnswer} className="space-y-2">
+            <textarea
+              value={answer}
+              onChange={(e) => setAnswer(e.target.value)}
+              maxLength={MAX_ANSWER_LENGTH}
+              rows={current.kind === "poi" ? 3 : 5}
+              disabled={isGrading || Boolean(result)}
+              placeholder={current.kind === "poi" ? "Answer in a sentence or two, as you would mid-speech…" : "Your answer…"}
+              className="w-full resize-y rounded bg-gray-900 p-2 text-sm text-gray-200 outline-none focus:ring-1 focus:ring-yellow-400 disabled:opacity-60"
+            />
+            <div className="flex items-center justify-between">
+              <span className="text-xs text-gray-500">
+                {answer.length} / {MAX_ANSWER_LENGTH}
+              </span>
+              {result ? (
+                <div className="flex gap-2">
+                  <button onClick={retryQuestion} type="button" className="px-3 py-1 text-sm rounded border border-gray-600 text-gray-300 hover:bg-gray-700">
+                    Try again
+                  </button>
+                  <button onClick={nextQuestion} type="button" className="px-3 py-1 text-sm rounded bg-yellow-400 text-black hover:bg-yellow-300">
+                    {position + 1 < queue.length ? "Next question" : "Finish"}
+                  </button>
+                </div>
+              ) : (
+                <div className="flex gap-2">
+                  <button onClick={nextQuestion} type="button" disabled={isGrading} className="px-3 py-1 text-sm text-gray-400 hover:text-white disabled:opacity-50">
+                    Skip
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={isGrading || !answer.trim()}
+                    className="px-4 py-1 text-sm rounded bg-yellow-400 text-black hover:bg-yellow-300 disabled:opacity-50 disabled:cursor-not-allowed">
+                    {isGrading ? "Grading…" : "Submit answer"}
+                  </button>
+                </div>
+              )}
+            </div>
+          </form>
+
+          {result && (
+            <div className="space-y-3 border-t border-gray-700 pt-3 text-sm text-gray-300">
+              <p className="text-white font-semibold">
+                Score: <span className={scoreColor(result.score)}>{result.score} / 10</span>
+              </p>
+              <ul className="list-disc list-inside">
+                {result.feedback.map((f, i) => (
+                  <li key={i}>{f}</li>
+                ))}
+              </ul>
+              <div>
+                <strong className="text-white">Stronger answer:</strong>
+                <p className="mt-1 border-l-2 border-yellow-400 pl-2">{result.improvedAnswer}</p>
+              </div>
+              <div>
+                <strong className="text-white">Suggested answer:</strong>
+                <p className="mt-1 border-l-2 border-gray-600 pl-2 text-gray-400">{current.suggestedAnswer}</p>
+              </div>
+            </div>
+          )}
+        </section>
+      )}
+
+      {/* ===== DRILL SUMMARY ===== */}
+      {isFinished && (
+        <section className="rounded-lg border border-gray-700 bg-gray-800 p-4 text-sm text-gray-300">
+          <h3 className="text-white font-semibold mb-1">Drill complete</h3>
+          {drilledScores.length > 0 ? (
+            <p>
+              You answered {drilledScores.length} of {queue.length} questions, averaging{" "}
+              {(drilledScores.reduce((sum, s) => sum + s, 0) / drilledScores.length).toFixed(1)} / 10. Restart the drill to work on the weakest ones first.
+            </p>
+          ) : (
+            <p>You skipped every question. Restart the drill when you are ready.</p>
+          )}
+        </section>
+      )}
+    </div>
+  );
+}
+
+export default QuestionDrill;
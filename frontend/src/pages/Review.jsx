@@ -0,0 +1,227 @@
+import { handleApiError } from "@/utils/handleApiError";
+import api from "../api/axiosConfig.js";
+import React, { useCallback, useEffect, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import Citations from "@/components/Summary/Citations";
+import { REVIEW_GRADES, formatDueIn, optionStyle } from "@/utils/studySet";
+
+const QUEUE_SIZE = 50;
+
+/**
+ * Spaced-repetition review of the user's study sets: the decks (one per PDF) and the cards due now.
+ * Flashcards are flipped and graded; a multiple-choice question answered wrong counts as "again".
+ */
+function Review() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const deckFilter = searchParams.get("publicId");
+  const [decks, setDecks] = useState(undefined); // undefined = loading
+  const [cards, setCards] = useState(null); // due queue, null = loading
+  const [position, setPosition] = useState(0);
+  const [revealed, setRevealed] = useState(false); // flashcard back shown
+  const [picked, setPicked] = useState(null); // multiple-choice option index
+  const [isGrading, setIsGrading] = useState(false);
+  const [reviewed, setReviewed] = useState(0);
+
+  const fetchDecks = useCallback(async (signal) => {
+    try {
+      const res = await api.get("/reviews", { signal });
+      setDecks(res?.data?.data?.decks ?? []);
+    } catch (err) {
+      if (err.name !== "CanceledError" && err.name !== "AbortError") {
+        handleApiError(err);
+      }
+    }
+  }, []);
+
+  const fetchDue = useCallback(
+    async (signal) => {
+      const params = { limit: QUEUE_SIZE, ...(deckFilter && { publicId: deckFilter }) };
+      try {
+        const res = await api.get("/reviews/due", { params, signal });
+        setCards(res?.data?.data?.cards ?? []);
+        setPosition(0);
+        setRevealed(false);
+        setPicked(null);
+      } catch (err) {
+        if (err.name !== "CanceledError" && err.name !== "AbortError") {
+          handleApiError(err);
+        }
+      }
+    },
+    [deckFilter]
+  );
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchDecks(controller.signal);
+    return () => controller.abort();
+  }, [fetchDecks]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setCards(null);
+    fetchDue(controller.signal);
+    return () => controller.abort();
+  }, [fetchDue]);
+
+  const current = cards?.[position];
+  const isAnswered = current?.kind === "flashcard" ? revealed : picked !== null;
+  const isCorrect = current?.kind === "multipleChoice" && picked === current.item.answerIndex;
+  // a wrong answer can only be graded "again"
+  const grades = current?.kind === "multipleChoice" && !isCorrect ? REVIEW_GRADES.filter((g) => g.key === "again") : REVIEW_GRADES;
+
+  const selectDeck = (publicId) => setSearchParams(publicId ? { publicId } : {});
+
+  const grade = async (key) => {
+    if (isGrading) return;
+
+    setIsGrading(true);
+    try {
+      await api.post(`/reviews/${current.cardId}`, { grade: key });
+      setReviewed((prev) => prev + 1);
+      setPosition((prev) => prev + 1);
+      setRevealed(false);
+      setPicked(null);
+    } catch (err) {
+      handleApiError(err);
+    } finally {
+      setIsGrading(false);
+    }
+  };
+
+  // once the queue is done, refresh the counts (and pick up cards that came due meanwhile)
+  const isQueueDone = cards !== null && position >= cards.length;
+  useEffect(() => {
+    if (isQueueDone && reviewed > 0) fetchDecks();
+  }, [isQueueDone, reviewed, fetchDecks]);
+
+  const totalDue = (decks ?? []).filter((d) => !deckFilter || d.publicId === deckFilter).reduce((sum, d) => sum + d.due, 0);
+
+  return (
+    <div className="space-y-6">
+      {/* ===== DECKS ===== */}
+      <section className="rounded-lg border border-gray-700 bg-gray-800 p-4">
+        <h2 className="text-lg font-semibold">Review</h2>
+        <p className="text-sm text-gray-400">Cards come back just before you would forget them. Generate a study set from any document to add a deck.</p>
+
+        {decks === undefined && <p className="mt-4 text-sm text-gray-400">Loading…</p>}
+        {decks?.length === 0 && <p className="mt-4 text-sm text-gray-400">No decks yet. Open a document and generate its study set first.</p>}
+
+        {decks?.length > 0 && (
+          <ul className="mt-4 space-y-2 text-sm">
+            <li>
+              <button
+                onClick={() => selectDeck(null)}
+                className={`w-full rounded px-3 py-2 text-left ${!deckFilter ? "bg-gray-700 text-white" : "text-gray-300 hover:bg-gray-700"}`}>
+                All decks
+              </button>
+            </li>
+            {decks.map((deck) => (
+              <li key={deck.publicId}>
+                <button
+                  onClick={() => selectDeck(deck.publicId)}
+                  className={`flex w-full items-center justify-between gap-3 rounded px-3 py-2 text-left ${
+                    deckFilter === deck.publicId ? "bg-gray-700 text-white" : "text-gray-300 hover:bg-gray-700"
+                  }`}>
+                  <span className="truncate">{deck.originalName}</span>
+                  <span className="shrink-0 text-xs text-gray-400">
+                    <span className={deck.due > 0 ? "text-yellow-400" : ""}>{deck.due} due</span> · {deck.learned} / {deck.total} learned
+                    {deck.due === 0 && deck.nextDueAt && ` · next in ${formatDueIn(deck.nextDueAt)}`}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {/* ===== CURRENT CARD ===== */}
+      {cards === null && decks?.length > 0 && <p className="text-sm text-gray-400">Loading cards…</p>}
+
+      {current && (
+        <section className="rounded-lg border border-gray-700 bg-gray-800 p-4 space-y-4">
+          <div className="flex items-center justify-between gap-3 text-xs text-gray-400">
+            <Link to={`/dashboard/pdf/${encodeURIComponent(current.publicId)}`} className="truncate hover:text-white">
+              {current.originalName}
+            </Link>
+            <span className="shrink-0">
+              Card {position + 1} of {cards.length}
+              {totalDue > cards.length && ` (${totalDue} due in total)`}
+            </span>
+          </div>
+
+          {current.kind === "flashcard" ? (
+            <div className="space-y-3">
+              <p className="text-lg text-white">{current.item.front}</p>
+              {revealed ? (
+                <div className="border-t border-gray-700 pt-3 text-sm text-gray-300">
+                  <p>{current.item.back}</p>
+                  <Citations publicId={current.publicId} citations={current.item.citations} />
+                </div>
+              ) : (
+                <button onClick={() => setRevealed(true)} className="px-4 py-1 text-sm rounded bg-yellow-400 text-black hover:bg-yellow-300">
+                  Show answer
+                </button>
+              )}
+            </div>
+          ) : (
+            <div className="space-y-3 text-sm">
+              <p className="text-lg text-white">{current.item.question}</p>
+              <div className="grid gap-2 text-gray-300">
+                {current.item.options.map((option, index) => (
+                  <button
+                    key={index}
+                    onClick={() => setPicked(index)}
+                    disabled={picked !== null}
+                    className={`rounded border px-3 py-1.5 text-left ${optionStyle(index, picked, current.item.answerIndex)}`}>
+                    {option}
+                  </button>
+                ))}
+              </div>
+              {picked !== null && (
+                <div className="border-t border-gray-700 pt-3 text-gray-300">
+                  <p className={isCorrect ? "text-green-400" : "text-red-400"}>{isCorrect ? "Correct." : "Not quite."}</p>
+                  <p className="mt-1">{current.item.explanation}</p>
+                  <Citations publicId={current.publicId} citations={current.item.citations} />
+                </div>
+              )}
+            </div>
+          )}
+
+          {isAnswered && (
+            <div className="flex flex-wrap gap-2">
+              {grades.map((g) => (
+                <button
+                  key={g.key}
+                  onClick={() => grade(g.key)}
+                  disabled={isGrading}
+                  className={`rounded px-3 py-1 text-sm disabled:opacity-50 ${g.style}`}>
+                  {grades.length === 1 ? "Continue" : g.label}
+                  <span className="ml-1 text-xs opacity-70">{formatDueIn(current.nextDueAt[g.key])}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </section>
+      )}
+
+      {/* ===== QUEUE DONE ===== */}
+      {isQueueDone && decks?.length > 0 && (
+        <section className="rounded-lg border border-gray-700 bg-gray-800 p-4 text-sm text-gray-300">
+          <h3 className="text-white font-semibold mb-1">{cards.length > 0 ? "Session complete" : "All caught up"}</h3>
+          <p>
+            {reviewed > 0 ? `You reviewed ${reviewed} ${reviewed === 1 ? "card" : "cards"}. ` : "No cards are due right now. "}
+            {totalDue > 0 ? `${totalDue} more ${totalDue === 1 ? "is" : "are"} due.` : "Come back when the next cards are due."}
+          </p>
+          {totalDue > 0 && (
+            <button onClick={() => fetchDue()} className="mt-3 px-3 py-1 text-sm rounded bg-yellow-400 text-black hover:bg-yellow-300">
+              Continue reviewing
+            </button>
+          )}
+        </section>
+      )}
+    </div>
+  );
+}
+
+export default Review;
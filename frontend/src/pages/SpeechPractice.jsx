@@ -0,0 +1,283 @@
+import { handleApiError } from "@/utils/handleApiError";
+import api from "../api/axiosConfig.js";
+import React, { useEffect, useRef, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { debateFormatLabel, debateFormatMinutes } from "@/utils/debateFormats";
+
+// limits match backend zod/debateSchemas/speechOutline.schema.js
+const MIN_MINUTES = 1;
+const MAX_MINUTES = 15;
+const MIN_WPM = 100;
+const MAX_WPM = 220;
+const DEFAULT_MINUTES = 5;
+const DEFAULT_WPM = 150;
+const WARNING_SECONDS = 30; // the section timer turns yellow this close to the end of a section
+
+const inputClass = "w-24 rounded bg-gray-900 px-2 py-1 text-sm text-gray-200 outline-none focus:ring-1 focus:ring-yellow-400";
+
+const clock = (seconds) => {
+  const whole = Math.floor(Math.abs(seconds));
+  return `${seconds < 0 ? "-" : ""}${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+};
+
+const isCanceled = (err) => err.name === "CanceledError" || err.name === "AbortError";
+
+/**
+ * Practice view for delivering the counter-debate in a fixed slot: generate a timed outline,
+ * then run the timer - the section that should be spoken now is highlighted.
+ */
+function SpeechPractice() {
+  const { publicId } = useParams();
+  const [pdf, setPdf] = useState(null);
+  const [outlines, setOutlines] = useState([]);
+  const [outline, setOutline] = useState(null);
+  const [minutes, setMinutes] = useState(String(DEFAULT_MINUTES));
+  const [wordsPerMinute, setWordsPerMinute] = useState(String(DEFAULT_WPM));
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [showText, setShowText] = useState(true); // false = cue cards (signposts and points only)
+
+  // timer: time banked by earlier runs + the run in progress
+  const [timer, setTimer] = useState({ running: false, startedAt: null, banked: 0 });
+  const [now, setNow] = useState(() => Date.now());
+  const sectionRefs = useRef([]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const encoded = encodeURIComponent(publicId);
+
+    api
+      .get(`/pdfs/${encoded}`, { signal: controller.signal })
+      .then((res) => {
+        const loaded = res?.data?.data?.pdf;
+        setPdf(loaded);
+        setMinutes(String(debateFormatMinutes(loaded?.aiResult?.format) ?? DEFAULT_MINUTES));
+      })
+      .catch((err) => !isCanceled(err) && handleApiError(err));
+
+    api
+      .get(`/pdfs/${encoded}/outlines`, { signal: controller.signal })
+      .then((res) => setOutlines(res?.data?.data?.outlines || []))
+      .catch((err) => !isCanceled(err) && handleApiError(err));
+
+    return () => controller.abort();
+  }, [publicId]);
+
+  useEffect(() => {
+    if (!timer.running) return;
+    const id = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(id);
+  }, [timer.running]);
+
+  const elapsed = (timer.banked + (timer.running ? now - timer.startedAt : 0)) / 1000;
+  const sections = outline?.sections || [];
+  const hasStarted = timer.running || timer.banked > 0;
+  const currentIndex = hasStarted ? sections.findLastIndex((s) => s.startsAt <= elapsed) : -1;
+  const current = sections[currentIndex];
+  const sectionLeft = current ? current.startsAt + current.seconds - elapsed : null;
+  const isOvertime = outline && elapsed > outline.targetSeconds;
+
+  // keep the section being spoken in view
+  useEffect(() => {
+    if (currentIndex >= 0) sectionRefs.current[currentIndex]?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  }, [currentIndex]);
+
+  const startTimer = () => {
+    const startedAt = Date.now();
+    setNow(startedAt);
+    setTimer((prev) => ({ ...prev, running: true, startedAt }));
+  };
+
+  const pauseTimer = () => setTimer((prev) => ({ running: false, startedAt: null, banked: prev.banked + (Date.now() - prev.startedAt) }));
+
+  const resetTimer = () => setTimer({ running: false, startedAt: null, banked: 0 });
+
+  const showOutline = (next) => {
+    resetTimer();
+    setOutline(next);
+  };
+
+  const openOutline = async (outlineId) => {
+    try {
+      const res = await api.get(`/pdfs/${encodeURIComponent(publicId)}/outlines/${outlineId}`);
+      showOutline(res?.data?.data?.outline);
+    } catch (err) {
+      handleApiError(err);
+    }
+  };
+
+  const generateOutline = async (e) => {
+    e.preventDefault();
+    setIsGenerating(true);
+    try {
+      const res = await api.post(`/pdfs/${encodeURIComponent(publicId)}/outlines`, {
+        minutes: Number(minutes),
+        wordsPerMinute: Number(wordsPerMinute),
+      });
+      const created = res?.data?.data?.outline;
+      showOutline(created);
+      setOutlines((prev) => [created, ...prev]);
+    } catch (err) {
+      handleApiError(err);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* ===== HEADER ===== */}
+      <section className="rounded-lg border border-gray-700 bg-gray-800 p-4">
+        <div className="flex items-center justify-between gap-4">
+          <div className="min-w-0">
+            <h2 className="text-lg font-semibold">Speech Practice</h2>
+            <p className="text-sm text-gray-300 truncate">
+              {pdf?.originalName}
+              {pdf?.aiResult?.format && <span className="text-gray-500"> · {debateFormatLabel(pdf.aiResult.format)}</span>}
+            </p>
+          </div>
+          <Link
+            to={`/dashboard/pdf/${encodeURIComponent(publicId)}`}
+            className="shrink-0 px-3 py-1 text-sm rounded border border-gray-600 text-gray-300 hover:bg-gray-700">
+            Back to analysis
+          </Link>
+        </div>
+
+        <form onSubmit={generateOutline} className="mt-4 flex flex-wrap items-end gap-4">
+          <label className="text-sm text-gray-400">
+            <span className="block mb-1">Speaking time (min)</span>
+            <input
+              type="number"
+              min={MIN_MINUTES}
+              max={MAX_MINUTES}
+              step={0.5}
+              value={minutes}
+              onChange={(e) => setMinutes(e.target.value)}
+              className={inputClass}
+            />
+          </label>
+          <label className="text-sm text-gray-400">
+            <span className="block mb-1">Pace (words/min)</span>
+            <input
+              type="number"
+              min={MIN_WPM}
+              max={MAX_WPM}
+              step={5}
+              value={wordsPerMinute}
+              onChange={(e) => setWordsPerMinute(e.target.value)}
+              className={inputClass}
+            />
+          </label>
+          <span className="pb-1 text-xs text-gray-500">≈ {Math.round(Number(minutes) * Number(wordsPerMinute)) || 0} words</span>
+          <button
+            type="submit"
+            disabled={isGenerating || !minutes || !wordsPerMinute}
+            className="ml-auto px-3 py-1 text-sm rounded bg-yellow-400 text-black hover:bg-yellow-300 disabled:opacity-50">
+            {isGenerating ? "Writing outline…" : "Generate outline"}
+          </button>
+        </form>
+
+        {outlines.length > 0 && (
+          <ul className="mt-4 space-y-1 text-sm">
+            {outlines.map((o) => (
+              <li key={o.outlineId} className="flex items-center justify-between">
+                <span className={o.outlineId === outline?.outlineId ? "text-yellow-400" : "text-gray-400"}>
+                  {new Date(o.createdAt).toLocaleString()} · {o.minutes} min at {o.wordsPerMinute} wpm · {clock(o.totalSeconds)}
+                </span>
+                <button onClick={() => openOutline(o.outlineId)} className="text-yellow-400 hover:underline">
+                  Open
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {outline && (
+        <>
+          {/* ===== TIMER ===== */}
+          <section className="sticky top-0 z-10 rounded-lg border border-gray-700 bg-gray-800 p-4">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <div>
+                <p className={`text-3xl font-mono ${isOvertime ? "text-red-400" : "text-white"}`}>
+                  {clock(elapsed)} <span className="text-base text-gray-500">/ {clock(outline.targetSeconds)}</span>
+                </p>
+                <p className="text-xs text-gray-400">
+                  {isOvertime
+                    ? `Over time by ${clock(elapsed - outline.targetSeconds)}`
+                    : current
+                      ? `${current.title}: ${clock(Math.max(0, sectionLeft))} left in this section`
+                      : `Speech planned at ${clock(outline.totalSeconds)} (${outline.totalWords} words)`}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                {timer.running ? (
+                  <button onClick={pauseTimer} className="px-3 py-1 text-sm rounded bg-yellow-400 text-black hover:bg-yellow-300">
+                    Pause
+                  </button>
+                ) : (
+                  <button onClick={startTimer} className="px-3 py-1 text-sm rounded bg-yellow-400 text-black hover:bg-yellow-300">
+                    {hasStarted ? "Resume" : "Start"}
+                  </button>
+                )}
+                <button
+                  onClick={resetTimer}
+                  disabled={!hasStarted}
+                  className="px-3 py-1 text-sm rounded border border-gray-600 text-gray-300 hover:bg-gray-700 disabled:opacity-50">
+                  Reset
+                </button>
+                <button onClick={() => setShowText((prev) => !prev)} className="px-3 py-1 text-sm rounded border border-gray-600 text-gray-300 hover:bg-gray-700">
+                  {showText ? "Cue cards" : "Full text"}
+                </button>
+              </div>
+            </div>
+
+            {/* section budgets as one bar, with the elapsed time marked */}
+            <div className="relative mt-3 flex h-2 overflow-hidden rounded bg-gray-900">
+              {sections.map((s, i) => (
+                <div
+                  key={i}
+                  title={`${s.title}: ${clock(s.seconds)}`}
+                  className={`h-2 border-r border-gray-800 ${i === currentIndex ? "bg-yellow-400" : i < currentIndex ? "bg-yellow-400/40" : "bg-gray-600"}`}
+                  style={{ width: `${(s.seconds / Math.max(outline.totalSeconds, outline.targetSeconds)) * 100}%` }}
+                />
+              ))}
+            </div>
+          </section>
+
+          {/* ===== SECTIONS ===== */}
+          <section className="space-y-3">
+            {sections.map((s, i) => {
+              const isCurrent = i === currentIndex;
+              const isDone = hasStarted && i < currentIndex;
+              return (
+                <div
+                  key={i}
+                  ref={(el) => (sectionRefs.current[i] = el)}
+                  className={`rounded-lg border p-4 transition-colors ${
+                    isCurrent ? "border-yellow-400 bg-gray-800" : `border-gray-700 bg-gray-800 ${isDone ? "opacity-50" : ""}`
+                  }`}>
+                  <div className="flex items-center justify-between gap-4">
+                    <h3 className="font-semibold text-white">{s.title}</h3>
+                    <span
+                      className={`shrink-0 text-xs ${isCurrent && sectionLeft <= WARNING_SECONDS ? "text-yellow-400" : "text-gray-400"}`}>
+                      {clock(s.startsAt)}–{clock(s.startsAt + s.seconds)} · {clock(s.seconds)} · {s.words} words
+                    </span>
+                  </div>
+                  <p className="mt-2 text-sm italic text-yellow-400">“{s.signpost}”</p>
+                  <ul className="mt-2 list-disc list-inside text-sm text-gray-300">
+                    {s.points.map((point, j) => (
+                      <li key={j}>{point}</li>
+                    ))}
+                  </ul>
+                  {showText && <p className="mt-3 text-sm leading-relaxed text-gray-300 whitespace-pre-line">{s.text}</p>}
+                </div>
+              );
+            })}
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SpeechPractice;
@@ -0,0 +1,125 @@
+import { handleApiError } from "@/utils/handleApiError";
+import api from "../api/axiosConfig.js";
+import React, { useCallback, useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+
+const POLL_INTERVAL_MS = 3000;
+
+function SynthesisResult() {
+  const { synthesisId } = useParams();
+  const [synthesis, setSynthesis] = useState(null);
+
+  const fetchSynthesis = useCallback(
+    async (signal) => {
+      try {
+        const res = await api.get(`/syntheses/${synthesisId}`, { signal });
+        setSynthesis(res?.data?.data?.synthesis);
+      } catch (err) {
+        if (err.name !== "CanceledError" && err.name !== "AbortError") {
+          handleApiError(err);
+        }
+      }
+    },
+    [synthesisId]
+  );
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchSynthesis(controller.signal);
+    return () => controller.abort();
+  }, [fetchSynthesis]);
+
+  // poll until the worker has finished
+  const isProcessing = synthesis?.status === "processing";
+  useEffect(() => {
+    if (!isProcessing) return;
+    const timer = setInterval(() => fetchSynthesis(), POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isProcessing, fetchSynthesis]);
+
+  const result = synthesis?.result;
+  const sourceName = (id) => synthesis?.sources.find((s) => s.source === id)?.name || `Source ${id}`;
+
+  return (
+    <div className="space-y-4">
+      {/* ===== HEADER ===== */}
+      <section className="rounded-lg border border-gray-700 bg-gray-800 p-4">
+        <div className="flex items-center justify-between gap-4">
+          <div className="min-w-0">
+            <h2 className="text-lg font-semibold">Synthesis</h2>
+            <p className="text-sm text-gray-400 truncate">{synthesis?.documents.map((d) => d.originalName).join(" + ")}</p>
+          </div>
+          <Link to="/dashboard" className="shrink-0 px-3 py-1 text-sm rounded border border-gray-600 text-gray-300 hover:bg-gray-700">
+            Back to dashboard
+          </Link>
+        </div>
+      </section>
+
+      {isProcessing && <p className="text-sm text-yellow-400 animate-pulse">Reading all documents and building one counter debate…</p>}
+
+      {synthesis?.status === "failed" && <p className="text-sm text-red-400">{synthesis.statusReason || "Synthesis failed"}</p>}
+
+      {/* ===== RESULT ===== */}
+      {result && (
+        <section className="rounded-lg border border-gray-700 bg-gray-800 p-4 space-y-4 text-sm text-gray-300">
+          <div>
+            <p className="text-xs text-gray-400">Motion</p>
+            <p className="text-white font-semibold">{result.motion}</p>
+          </div>
+
+          <p className="leading-relaxed whitespace-pre-line">{result.counterDebate}</p>
+
+          <div>
+            <strong className="text-white">Per-source notes:</strong>
+            <ul className="mt-1 space-y-2">
+              {result.sourceNotes?.map((n, i) => (
+                <li key={i}>
+                  <span className="mr-2 rounded bg-gray-900 px-1.5 py-0.5 text-xs text-yellow-400">{sourceName(n.source)}</span>
+                  {n.note}
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <div className="grid gap-4 sm:grid-cols-2">
+            <div>
+              <strong className="text-white">Strengths:</strong>
+              <ul className="list-disc list-inside mt-1">
+                {result.strengths?.map((s, i) => (
+                  <li key={i}>{s}</li>
+                ))}
+              </ul>
+            </div>
+            <div>
+              <strong className="text-white">Weaknesses:</strong>
+              <ul className="list-disc list-inside mt-1">
+                {result.weaknesses?.map((w, i) => (
+                  <li key={i}>{w}</li>
+                ))}
+              </ul>
+            </div>
+          </div>
+
+          <p className="text-white font-semibold">Rating: {result.rating} / 10</p>
+
+          {result.resources?.length > 0 && (
+            <div>
+              <strong className="text-white">Resources:</strong>
+              <ul className="list-disc list-inside mt-1">
+                {result.resources.map((r, i) => (
+                  <li key={i}>
+                    <a href={r.url} target="_blank" rel="noopener noreferrer" className="text-yellow-400 hover:underline">
+                      {r.title}
+                    </a>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </section>
+      )}
+    </div>
+  );
+}
+
+export default SynthesisResult;
@@ -0,0 +1,44 @@
+import { debateFormatLabel } from "@/utils/debateFormats";
+
+// Style options offered when submitting or regenerating an analysis (keys match backend services/ai/analysisOptions.js)
+export const ANALYSIS_TONES = [
+  { key: "academic", label: "Academic", hint: "Formal and measured" },
+  { key: "aggressive", label: "Aggressive", hint: "Hard-hitting competition style" },
+];
+
+export const ANALYSIS_LENGTHS = [
+  { key: "short", label: "Short" },
+  { key: "standard", label: "Standard" },
+  { key: "long", label: "Long" },
+];
+
+export const ANALYSIS_DIFFICULTIES = [
+  { key: "beginner", label: "Beginner" },
+  { key: "intermediate", label: "Intermediate" },
+  { key: "advanced", label: "Advanced" },
+];
+
+export const MAX_FOCUS_LENGTH = 120;
+
+export const DEFAULT_ANALYSIS_OPTIONS = {
+  format: "generic",
+  tone: "academic",
+  length: "standard",
+  difficulty: "intermediate",
+  focus: "",
+};
+
+const labelOf = (list, key) => list.find((o) => o.key === key)?.label ?? key;
+
+// one-line description of a revision's options, e.g. "Public Forum · Aggressive · Short · Beginner"
+export const describeAnalysisOptions = (options = {}) =>
+  [
+    debateFormatLabel(options.format),
+    labelOf(ANALYSIS_TONES, options.tone ?? DEFAULT_ANALYSIS_OPTIONS.tone),
+    labelOf(ANALYSIS_LENGTHS, options.length ?? DEFAULT_ANALYSIS_OPTIONS.length),
+    labelOf(ANALYSIS_DIFFICULTIES, options.difficulty ?? DEFAULT_ANALYSIS_OPTIONS.difficulty),
+    options.focus && `focus: ${options.focus}`,
+    options.rubric?.name && options.rubric.name !== "Standard" && `${options.rubric.name} rubric`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
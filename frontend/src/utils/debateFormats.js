@@ -0,0 +1,13 @@
+// Debate format profiles offered at submit time (keys match backend services/ai/debateFormats.js)
+export const DEBATE_FORMATS = [
+  { key: "generic", label: "Generic speech", minutes: null, hint: "Same length as your speech" },
+  { key: "bp", label: "British Parliamentary", minutes: 7, hint: "7 min · whip-speech clashes" },
+  { key: "worldSchools", label: "World Schools", minutes: 8, hint: "8 min · case split + reply" },
+  { key: "ld", label: "Lincoln-Douglas", minutes: 7, hint: "7 min · value / criterion" },
+  { key: "pf", label: "Public Forum", minutes: 4, hint: "4 min · contentions" },
+];
+
+export const debateFormatLabel = (key) => DEBATE_FORMATS.find((f) => f.key === key)?.label ?? DEBATE_FORMATS[0].label;
+
+// speaking time of one speech in the format (null = untimed)
+export const debateFormatMinutes = (key) => DEBATE_FORMATS.find((f) => f.key === key)?.minutes ?? null;
@@ -0,0 +1,21 @@
+// Fallacy labels (keys match backend services/ai/fallacyTaxonomy.js)
+export const FALLACY_LABELS = {
+  strawman: "Strawman",
+  falseDilemma: "False dilemma",
+  slipperySlope: "Slippery slope",
+  hastyGeneralization: "Hasty generalization",
+  adHominem: "Ad hominem",
+  appealToAuthority: "Appeal to authority",
+  appealToEmotion: "Appeal to emotion",
+  bandwagon: "Bandwagon",
+  falseCause: "False cause",
+  circularReasoning: "Circular reasoning",
+  redHerring: "Red herring",
+  tuQuoque: "Tu quoque",
+};
+
+export const SEVERITY_STYLES = {
+  high: "bg-red-500/20 text-red-300",
+  medium: "bg-orange-500/20 text-orange-300",
+  low: "bg-gray-600/40 text-gray-300",
+};
@@ -0,0 +1,4 @@
+// OCR-derived PDFs (backend utils/ocrPdfText.js): below this mean confidence, expect recognition errors
+export const LOW_OCR_CONFIDENCE = 70;
+
+export const isLowOcrConfidence = (ocr) => ocr?.confidence !== null && ocr?.confidence !== undefined && ocr.confidence < LOW_OCR_CONFIDENCE;
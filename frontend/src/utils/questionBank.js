@@ -0,0 +1,14 @@
+// question bank labels (kinds and difficulties match backend models/questionBank.model.js)
+export const QUESTION_KIND_LABELS = {
+  poi: "POI",
+  crossExam: "Cross-ex",
+};
+
+export const DIFFICULTY_STYLES = {
+  easy: "bg-green-500/20 text-green-400",
+  medium: "bg-yellow-500/20 text-yellow-400",
+  hard: "bg-red-500/20 text-red-400",
+};
+
+// 1-10 drill score -> text color
+export const scoreColor = (score) => (score >= 7 ? "text-green-400" : score >= 4 ? "text-yellow-400" : "text-red-400");
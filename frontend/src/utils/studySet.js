@@ -0,0 +1,24 @@
+// review grades (match backend services/study/spacedRepetition.js)
+export const REVIEW_GRADES = [
+  { key: "again", label: "Again", style: "border border-red-500/60 text-red-400 hover:bg-red-500/10" },
+  { key: "hard", label: "Hard", style: "border border-orange-500/60 text-orange-400 hover:bg-orange-500/10" },
+  { key: "good", label: "Good", style: "border border-green-500/60 text-green-400 hover:bg-green-500/10" },
+  { key: "easy", label: "Easy", style: "border border-sky-500/60 text-sky-400 hover:bg-sky-500/10" },
+];
+
+// option of an answered multiple-choice question -> classes (correct green, wrong pick red)
+export const optionStyle = (index, picked, answerIndex) => {
+  if (picked === null) return "border-gray-600 hover:bg-gray-700";
+  if (index === answerIndex) return "border-green-500 bg-green-500/10 text-green-300";
+  if (index === picked) return "border-red-500 bg-red-500/10 text-red-300";
+  return "border-gray-700 opacity-60";
+};
+
+// time until a date, as shown on the grade buttons ("10 min", "3 days")
+export const formatDueIn = (date, now = Date.now()) => {
+  const minutes = Math.max(1, Math.round((new Date(date).getTime() - now) / 60000));
+  if (minutes < 60) return `${minutes} min`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h`;
+  const days = Math.round(minutes / (24 * 60));
+  return days === 1 ? "1 day" : `${days} days`;
+};